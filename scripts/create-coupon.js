@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Create a checkout coupon
+ *
+ * Run with: node scripts/create-coupon.js --code=LAUNCH20 --type=percent --value=20 [options]
+ *
+ * Options:
+ * --code=CODE             : Coupon code (stored upper-case)
+ * --type=percent|flat     : Percentage off, or rupees off
+ * --value=N               : Percent (1-100) or rupee amount
+ * --max-discount=N        : Cap in rupees for percent coupons
+ * --plans=a,b             : Restrict to plan codes (default: any)
+ * --billing-cycles=a,b    : Restrict to billing cycles (default: any)
+ * --valid-from=ISO_DATE   : Not usable before this date
+ * --expires=ISO_DATE      : Not usable from this date
+ * --max-redemptions=N     : Total paid redemptions allowed (default: unlimited)
+ * --per-user=N            : Redemptions per user (default: 1, 0 = unlimited)
+ * --description="..."     : Shown to the user on validation
+ *
+ * Example: node scripts/create-coupon.js --code=ANNUAL500 --type=flat --value=500 --billing-cycles=annual --expires=2026-12-31
+ */
+
+require('dotenv').config();
+const mongodb = require('../src/config/mongodb');
+const CouponModel = require('../src/models/Coupon');
+const couponService = require('../src/services/couponService');
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...rest] = arg.slice(2).split('=');
+            return [key, rest.join('=')];
+        })
+);
+
+const list = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+const number = (value) => (value === undefined || value === '' ? null : Number(value));
+const date = (value) => (value ? new Date(value) : null);
+
+function buildCoupon() {
+    const coupon = {
+        code: couponService.normalizeCode(args.code),
+        description: args.description || null,
+        type: args.type,
+        value: number(args.value),
+        maxDiscount: number(args['max-discount']),
+        plans: list(args.plans),
+        billingCycles: list(args['billing-cycles']),
+        validFrom: date(args['valid-from']),
+        expiresAt: date(args.expires),
+        maxRedemptions: number(args['max-redemptions']),
+        perUserLimit: args['per-user'] === '0' ? null : (number(args['per-user']) ?? 1)
+    };
+
+    const errors = [];
+    if (!coupon.code) errors.push('--code is required');
+    if (!['percent', 'flat'].includes(coupon.type)) errors.push('--type must be percent or flat');
+    if (!(coupon.value > 0)) errors.push('--value must be a positive number');
+    if (coupon.type === 'percent' && coupon.value > 100) errors.push('--value cannot exceed 100 for percent coupons');
+    for (const key of ['validFrom', 'expiresAt']) {
+        if (coupon[key] && isNaN(coupon[key].getTime())) errors.push(`Invalid date for ${key}`);
+    }
+
+    if (errors.length) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        process.exit(1);
+    }
+    return coupon;
+}
+
+async function run() {
+    const coupon = buildCoupon();
+    await mongodb.connect();
+
+    try {
+        const saved = await CouponModel.create(coupon);
+        console.log(`✅ Coupon ${saved.code} created`);
+    } catch (error) {
+        if (error.code === 11000) {
+            console.error(`❌ Coupon ${coupon.code} already exists`);
+            process.exitCode = 1;
+        } else {
+            throw error;
+        }
+    } finally {
+        await mongodb.disconnect();
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Failed to create coupon:', error.message);
+    process.exit(1);
+});
@@ -122,7 +122,6 @@ function mapFirebaseUserToMongoDB(firebaseUser) {
                 profileVisibility: 'public'
             }
         },
-        watchlist: [],
         // Migration metadata
         migratedAt: new Date(),
         migrationSource: 'firebase-auth'
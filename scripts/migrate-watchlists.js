@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Move watchlists into named lists (user_watchlists)
+ *
+ * Run with: node scripts/migrate-watchlists.js [--dry-run] [--cleanup]
+ *
+ * Options:
+ * --dry-run   : Report what would be migrated; change nothing
+ * --cleanup   : After migrating, delete the legacy `watchlists` documents and
+ *               unset `watchlist` on user documents
+ *
+ * Company codes were kept in two places that had drifted apart: the
+ * `watchlists` collection (used by the follow/unfollow endpoints) and a
+ * `watchlist` array on each user document. Both are merged into the user's
+ * default list; codes already on it are skipped, so the script can be re-run.
+ *
+ * The app also migrates each user on their first watchlist read (see
+ * watchlistService._migrateLegacy). Run this once after deploying anyway:
+ * follower lookups for feed events and push only see migrated users.
+ */
+
+require('dotenv').config();
+const mongodb = require('../src/config/mongodb');
+const WatchlistModel = require('../src/models/Watchlist');
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...rest] = arg.slice(2).split('=');
+            return [key, rest.join('=')];
+        })
+);
+
+const dryRun = 'dry-run' in args;
+const cleanup = 'cleanup' in args;
+
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+
+/**
+ * Legacy company codes per user, watchlists collection first
+ * @returns {Promise<Map<string, {codes: string[], addedAt: Date}>>}
+ */
+async function collectLegacyWatchlists() {
+    const legacy = new Map();
+    const add = (userId, codes, addedAt) => {
+        if (!userId || !Array.isArray(codes) || codes.length === 0) return;
+        const current = legacy.get(userId) || { codes: [], addedAt };
+        for (const code of codes) {
+            if (code && !current.codes.includes(code)) current.codes.push(code);
+        }
+        if (addedAt < current.addedAt) current.addedAt = addedAt;
+        legacy.set(userId, current);
+    };
+
+    const watchlists = mongodb.getCollection('watchlists').find({});
+    for await (const doc of watchlists) {
+        add(doc.userId, doc.companyCodes, doc.createdAt || new Date());
+    }
+
+    const users = mongodb.getCollection('users').find(
+        { 'watchlist.0': { $exists: true } },
+        { projection: { uid: 1, watchlist: 1, createdAt: 1 } }
+    );
+    for await (const user of users) {
+        add(user.uid, user.watchlist, user.createdAt || new Date());
+    }
+
+    return legacy;
+}
+
+async function migrateUser(userId, { codes, addedAt }) {
+    let list = await WatchlistModel.findDefault(userId);
+    const existing = new Set((list?.entries || []).map(entry => entry.companyCode));
+    const missing = codes.filter(code => !existing.has(code));
+    if (missing.length === 0 || dryRun) return missing.length;
+
+    const entries = missing.map(companyCode => ({
+        companyCode,
+        note: null,
+        tags: [],
+        addedAt,
+        // No price was recorded when these were followed
+        priceRef: null
+    }));
+
+    if (!list) {
+        list = await WatchlistModel.create({ userId, name: DEFAULT_WATCHLIST_NAME, isDefault: true, entries });
+        if (list) return missing.length;
+        // Created concurrently by the running app; fall through and append
+        list = await WatchlistModel.findDefault(userId);
+    }
+
+    let added = 0;
+    for (const entry of entries) {
+        if (await WatchlistModel.addEntry(String(list._id), userId, entry)) added++;
+    }
+    return added;
+}
+
+async function run() {
+    await mongodb.connect();
+
+    try {
+        await WatchlistModel.createIndexes();
+        const legacy = await collectLegacyWatchlists();
+        console.log(`Found legacy watchlists for ${legacy.size} users${dryRun ? ' (dry run)' : ''}`);
+
+        let usersMigrated = 0;
+        let entriesAdded = 0;
+        for (const [userId, watchlist] of legacy) {
+            try {
+                const added = await migrateUser(userId, watchlist);
+                if (added > 0) {
+                    usersMigrated++;
+                    entriesAdded += added;
+                }
+            } catch (error) {
+                console.error(`❌ ${userId}: ${error.message}`);
+                process.exitCode = 1;
+            }
+        }
+        console.log(`✅ ${dryRun ? 'Would add' : 'Added'} ${entriesAdded} entries for ${usersMigrated} users`);
+
+        if (cleanup && !dryRun && process.exitCode !== 1) {
+            const removed = await mongodb.getCollection('watchlists').deleteMany({});
+            const unset = await mongodb.getCollection('users').updateMany(
+                { watchlist: { $exists: true } },
+                { $unset: { watchlist: '' } }
+            );
+            console.log(`🧹 Deleted ${removed.deletedCount} legacy watchlist documents, cleaned ${unset.modifiedCount} users`);
+        } else if (cleanup) {
+            console.log('Skipping cleanup (dry run or errors above)');
+        }
+    } finally {
+        await mongodb.disconnect();
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Watchlist migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Reconcile unpaid orders against Razorpay and print the discrepancy report
+ *
+ * Run with: node scripts/reconcile-payments.js [options]
+ *
+ * Options:
+ * --dry-run              : Report only — no captures, activations or DB changes
+ * --since-hours=N        : Scan orders created in the last N hours (default: 72)
+ * --min-age-minutes=N    : Skip orders younger than N minutes (default: 15)
+ * --limit=N              : Max orders to check (default: 200)
+ * --json                 : Print the full report as JSON
+ *
+ * Example: node scripts/reconcile-payments.js --dry-run --since-hours=168
+ */
+
+require('dotenv').config();
+const mongodb = require('../src/config/mongodb');
+const reconciliationService = require('../src/services/reconciliationService');
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...rest] = arg.slice(2).split('=');
+            return [key, rest.length ? rest.join('=') : true];
+        })
+);
+
+const number = (value) => (value === undefined ? undefined : Number(value));
+
+function printReport(report) {
+    console.log(`\n📊 Payment reconciliation${report.dryRun ? ' (dry run)' : ''}`);
+    console.log(`   Orders scanned:  ${report.scanned}`);
+    console.log(`   Recovered:       ${report.recovered.length}`);
+    console.log(`   Marked paid:     ${report.markedPaid.length}`);
+    console.log(`   Unpaid:          ${report.unpaid.length}`);
+    console.log(`   Discrepancies:   ${report.discrepancies.length}`);
+    console.log(`   Errors:          ${report.errors.length}`);
+
+    for (const entry of report.recovered) {
+        console.log(`✅ ${entry.action} ${entry.razorpayOrderId} / ${entry.razorpayPaymentId} (user ${entry.userId})`);
+    }
+    for (const entry of report.discrepancies) {
+        console.log(`⚠️  ${entry.type}: ${entry.razorpayOrderId} / ${entry.razorpayPaymentId} ` +
+            `(order ${entry.orderAmount} paise, payment ${entry.paymentAmount} paise)${entry.error ? ` — ${entry.error}` : ''}`);
+    }
+    for (const entry of report.errors) {
+        console.log(`❌ ${entry.razorpayOrderId}: ${entry.error}`);
+    }
+}
+
+async function run() {
+    const hours = number(args['since-hours']);
+    const minutes = number(args['min-age-minutes']);
+
+    await mongodb.connect();
+    try {
+        const report = await reconciliationService.reconcileOrders({
+            dryRun: args['dry-run'] === true,
+            lookbackMs: hours === undefined ? undefined : hours * 60 * 60 * 1000,
+            minAgeMs: minutes === undefined ? undefined : minutes * 60 * 1000,
+            limit: number(args.limit)
+        });
+
+        if (args.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        if (report.discrepancies.length || report.errors.length) process.exitCode = 2;
+    } finally {
+        await mongodb.disconnect();
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+});
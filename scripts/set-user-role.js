@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Set a user's role (stored in MongoDB and mirrored into Firebase custom claims)
+ *
+ * Run with: node scripts/set-user-role.js --email=ops@example.com --role=admin
+ *
+ * Options:
+ * --email=EMAIL   : User to update (or --uid)
+ * --uid=UID       : Firebase UID of the user to update
+ * --role=ROLE     : user | admin
+ *
+ * Use this to create the first admin; after that, admins can manage roles
+ * with PUT /api/admin/users/:uid/role. The user picks up the new role on
+ * their next token refresh.
+ */
+
+require('dotenv').config();
+const mongodb = require('../src/config/mongodb');
+const User = require('../src/models/User');
+const authService = require('../src/services/authService');
+const { ROLES } = require('../src/config/roles');
+
+const args = Object.fromEntries(
+    process.argv.slice(2)
+        .filter(arg => arg.startsWith('--'))
+        .map(arg => {
+            const [key, ...rest] = arg.slice(2).split('=');
+            return [key, rest.join('=')];
+        })
+);
+
+function validateArgs() {
+    const errors = [];
+    if (!args.email && !args.uid) errors.push('--email or --uid is required');
+    if (!ROLES[args.role]) errors.push(`--role must be one of: ${Object.keys(ROLES).join(', ')}`);
+
+    if (errors.length) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        process.exit(1);
+    }
+}
+
+async function run() {
+    validateArgs();
+    await mongodb.connect();
+
+    try {
+        const user = args.uid ? await User.findByUid(args.uid) : await User.findByEmail(args.email);
+        if (!user) {
+            console.error(`❌ User ${args.uid || args.email} not found`);
+            process.exitCode = 1;
+            return;
+        }
+
+        await authService.setUserRole(user.uid, args.role);
+        console.log(`✅ ${user.email} (${user.uid}) is now ${args.role}`);
+    } finally {
+        await mongodb.disconnect();
+    }
+}
+
+run().catch(error => {
+    console.error('❌ Failed to set role:', error.message);
+    process.exit(1);
+});
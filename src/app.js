@@ -7,6 +7,7 @@ require('dotenv').config();
 
 // Import middleware
 const corsMiddleware = require('./middleware/cors');
+const requestId = require('./middleware/requestId');
 const { generalLimiter } = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
 
@@ -35,6 +36,9 @@ if (process.env.NODE_ENV === 'production') {
 app.use(helmet());
 app.use(compression());
 
+// Request ID (used in audit entries)
+app.use(requestId);
+
 // Logging middleware
 app.use(morgan('combined', { stream: { write: (message) => logger.info(message.trim()) } }));
 
@@ -0,0 +1,8 @@
+const auditConfig = {
+  // Audit entries are deleted this many days after they're written
+  retentionDays: Number(process.env.AUDIT_RETENTION_DAYS || 365)
+};
+
+module.exports = {
+  auditConfig
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const notificationConfig = require('./notifications');
+const logger = require('../utils/logger');
+
+/**
+ * Email delivery adapters. Every transport has the same shape:
+ *   send({ to, subject, html, text, headers }) → Promise<{ messageId }>
+ * The one in use is chosen by EMAIL_TRANSPORT (see config/notifications.js).
+ */
+
+/** Delivers through an SMTP server with nodemailer */
+function createSmtpTransport(config) {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send({ to, subject, html, text, headers = {} }) {
+      const info = await transporter.sendMail({ from: config.from, to, subject, html, text, headers });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Writes each message to a JSON file instead of sending it — for local
+ * development and tests, where the rendered email can be inspected
+ */
+function createFileTransport(config) {
+  return {
+    name: 'file',
+    async send(message) {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(config.fileDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(config.fileDir, `${messageId}.json`),
+        JSON.stringify({ messageId, from: config.from, ...message, createdAt: new Date() }, null, 2)
+      );
+      return { messageId };
+    }
+  };
+}
+
+/** Logs the envelope only — nothing is delivered */
+function createLogTransport() {
+  return {
+    name: 'log',
+    async send({ to, subject }) {
+      const messageId = `log-${crypto.randomBytes(6).toString('hex')}`;
+      logger.info(`Email not sent (log transport): "${subject}" to ${to} [${messageId}]`);
+      return { messageId };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  log: createLogTransport
+};
+
+/**
+ * Build a transport by name
+ * @param {string} name - smtp | file | log
+ * @param {Object} [config] - Email config (defaults to notificationConfig.email)
+ * @returns {Object} Transport
+ */
+function createTransport(name, config = notificationConfig.email) {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`Unknown email transport: ${name}`);
+  return factory(config);
+}
+
+let emailTransport;
+if (notificationConfig.email.transport === 'smtp' && !notificationConfig.email.smtp.host) {
+  console.warn('EMAIL_TRANSPORT=smtp but SMTP_HOST is not set. Emails will only be logged.');
+  emailTransport = createLogTransport();
+} else {
+  emailTransport = createTransport(notificationConfig.email.transport);
+}
+
+module.exports = {
+  emailTransport,
+  createTransport
+};
@@ -0,0 +1,27 @@
+/**
+ * Invoice issuer details and GST settings.
+ * Plan prices are GST inclusive; invoices back the tax out of the amount paid.
+ */
+const sellerGstin = process.env.INVOICE_SELLER_GSTIN || null;
+
+const invoiceConfig = {
+  seller: {
+    name: process.env.INVOICE_SELLER_NAME || 'SpecterFi',
+    legalName: process.env.INVOICE_SELLER_LEGAL_NAME || process.env.INVOICE_SELLER_NAME || 'SpecterFi',
+    gstin: sellerGstin,
+    address: process.env.INVOICE_SELLER_ADDRESS || null,
+    // State the supply is made from — decides CGST/SGST vs IGST
+    stateCode: process.env.INVOICE_SELLER_STATE_CODE || (sellerGstin ? sellerGstin.slice(0, 2) : '29'),
+    email: process.env.INVOICE_SELLER_EMAIL || null
+  },
+  gstRate: Number(process.env.INVOICE_GST_RATE || 18),
+  // SAC for online information / database access services
+  sacCode: process.env.INVOICE_SAC_CODE || '998431',
+  numberPrefix: process.env.INVOICE_NUMBER_PREFIX || 'INV'
+};
+
+if (!invoiceConfig.seller.gstin) {
+  console.warn('INVOICE_SELLER_GSTIN not set. Invoices will be issued without a supplier GSTIN.');
+}
+
+module.exports = invoiceConfig;
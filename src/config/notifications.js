@@ -0,0 +1,73 @@
+/**
+ * Notification settings: email delivery transport, digest schedule,
+ * unsubscribe links and web push.
+ */
+const isProduction = process.env.NODE_ENV === 'production';
+
+const notificationConfig = {
+  email: {
+    // smtp | file | log — defaults to smtp when SMTP_HOST is set, else log
+    transport: process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+    from: process.env.EMAIL_FROM || 'SpecterFi <no-reply@specterfi.com>',
+    smtp: {
+      host: process.env.SMTP_HOST || null,
+      port: Number(process.env.SMTP_PORT || 587),
+      // true for port 465; STARTTLS is used otherwise
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null
+    },
+    // Where the file transport writes messages
+    fileDir: process.env.EMAIL_FILE_DIR || 'logs/emails'
+  },
+  digest: {
+    // Digests go out on the first run at or after this hour (UTC); 3 = 08:30 IST
+    sendHourUtc: Number(process.env.DIGEST_SEND_HOUR_UTC || 3),
+    // Day weekly digests go out (0 = Sunday)
+    weeklyDay: Number(process.env.DIGEST_WEEKLY_DAY || 1),
+    // For users who never chose a frequency
+    defaultFrequency: 'weekly',
+    maxItems: 20,
+    // Remind about a subscription that won't renew this many days before it ends
+    expiryReminderDays: 7
+  },
+  unsubscribe: {
+    // Signs unsubscribe tokens; rotating it invalidates links in sent emails
+    secret: process.env.UNSUBSCRIBE_TOKEN_SECRET || (isProduction ? null : 'dev-unsubscribe-secret'),
+    // Public base URL of this API, for links in emails
+    baseUrl: process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 8080}`
+  },
+  push: {
+    // VAPID key pair; generate once with `npx web-push generate-vapid-keys`
+    publicKey: process.env.VAPID_PUBLIC_KEY || null,
+    privateKey: process.env.VAPID_PRIVATE_KEY || null,
+    // Contact for push services about this sender
+    subject: process.env.VAPID_SUBJECT || 'mailto:support@specterfi.com',
+    // How long a push service holds a message for an offline device
+    ttlSeconds: 24 * 60 * 60,
+    maxSubscriptionsPerUser: 10,
+    // An endpoint that fails this many times in a row is dropped
+    maxFailures: 5,
+    // Remind about a subscription that won't renew this many days before it ends
+    expiryReminderDays: 3,
+    // Opened when a notification is clicked; paths like /company/:code are appended
+    appUrl: process.env.APP_URL || null,
+    // Push services whose endpoints we accept (Chrome/Edge via FCM, Firefox,
+    // Safari, legacy Edge); "*." matches any subdomain
+    allowedHosts: process.env.PUSH_ALLOWED_HOSTS
+      ? process.env.PUSH_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+      : ['fcm.googleapis.com', '*.push.services.mozilla.com', '*.push.apple.com', '*.notify.windows.com']
+  },
+  // Where users manage their notification settings
+  preferencesUrl: process.env.NOTIFICATION_PREFERENCES_URL || null
+};
+
+if (!notificationConfig.unsubscribe.secret) {
+  console.warn('UNSUBSCRIBE_TOKEN_SECRET not set. Email digests will not be sent.');
+}
+
+if (isProduction && !(notificationConfig.push.publicKey && notificationConfig.push.privateKey)) {
+  console.warn('VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY not set. Web push notifications are disabled.');
+}
+
+module.exports = notificationConfig;
@@ -0,0 +1,73 @@
+/**
+ * Named entitlements a plan (features) or an add-on can grant.
+ * Checked with req.entitlements / entitlementService instead of "is premium".
+ */
+const ENTITLEMENTS = {
+    insights: 'Financial insights tables, series and cross-company comparison',
+    guidance_tracker: 'Unlimited guidance tracker views',
+    unlimited_concalls: 'Unlimited conference call summaries',
+    rag_chat: 'Chat with company filings and concall transcripts'
+};
+
+/**
+ * Default plan catalog.
+ *
+ * Seeded into the `plans` collection on startup (insert-only — edits made in
+ * MongoDB are never overwritten) and used as a fallback when MongoDB is
+ * unavailable. Prices are in major currency units (rupees), GST inclusive.
+ *
+ * features: entitlements the plan grants (keys of ENTITLEMENTS).
+ * quotas: monthly usage limits per usage type; null means unlimited. An
+ * unlimited_* / guidance_tracker entitlement lifts the matching quota.
+ */
+const DEFAULT_PLANS = [
+    {
+        code: 'free',
+        name: 'Free',
+        description: 'Company pages with a monthly allowance of guidance and concall views',
+        tier: 'free',
+        currency: 'INR',
+        billingCycles: {},
+        trialDays: 0,
+        features: [],
+        quotas: {
+            guidance: 10,
+            concalls: 10,
+            watchlist: 10
+        },
+        isActive: true,
+        isPublic: true,
+        sortOrder: 0
+    },
+    {
+        code: 'premium',
+        name: 'Premium',
+        description: 'Full insights, unlimited guidance tracking and concall summaries',
+        tier: 'paid',
+        currency: 'INR',
+        billingCycles: {
+            monthly: { price: 299, durationDays: 30 },
+            annual: { price: 2999, durationDays: 365 }
+        },
+        // New users get this plan free for trialDays
+        trialDays: 30,
+        features: ['insights', 'guidance_tracker', 'unlimited_concalls', 'rag_chat'],
+        quotas: {
+            guidance: null,
+            concalls: null,
+            watchlist: null
+        },
+        isActive: true,
+        isPublic: true,
+        sortOrder: 1
+    }
+];
+
+/** Plan code users fall back to when they have no active paid subscription */
+const FREE_PLAN_CODE = 'free';
+
+module.exports = {
+    ENTITLEMENTS,
+    DEFAULT_PLANS,
+    FREE_PLAN_CODE
+};
@@ -0,0 +1,16 @@
+const isProduction = process.env.NODE_ENV === 'production';
+
+const privacyConfig = {
+  // Keys the pseudonyms that replace a deleted user's uid on retained
+  // records. Without it a pseudonym could be matched to a known uid, so
+  // account deletion is refused when it's unset.
+  pseudonymSecret: process.env.PSEUDONYM_SECRET || (isProduction ? null : 'dev-pseudonym-secret')
+};
+
+if (!privacyConfig.pseudonymSecret) {
+  console.warn('PSEUDONYM_SECRET not set. Accounts cannot be deleted.');
+}
+
+module.exports = {
+  privacyConfig
+};
@@ -9,7 +9,12 @@ const razorpayConfig = {
 // Initialize Razorpay instance only if credentials are available
 let razorpay = null;
 
-if (razorpayConfig.key_id && razorpayConfig.key_secret) {
+if (process.env.RAZORPAY_STUB === 'true' && process.env.NODE_ENV !== 'production') {
+  // Local in-memory client for development and tests — no real payments
+  const { createStubClient } = require('./razorpayStub');
+  razorpay = createStubClient();
+  console.warn('Using stub Razorpay client (RAZORPAY_STUB=true). No real payments will be made.');
+} else if (razorpayConfig.key_id && razorpayConfig.key_secret) {
   razorpay = new Razorpay({
     key_id: razorpayConfig.key_id,
     key_secret: razorpayConfig.key_secret,
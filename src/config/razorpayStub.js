@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Razorpay SDK, enabled with RAZORPAY_STUB=true
+ * (never in production). Covers the calls paymentService makes so order and
+ * subscription flows can be exercised locally and in tests without network
+ * access. Entities mimic the Razorpay API shape (amounts in paise, unix
+ * timestamps in seconds).
+ */
+
+const PERIOD_SECONDS = {
+  daily: 24 * 60 * 60,
+  weekly: 7 * 24 * 60 * 60,
+  monthly: 30 * 24 * 60 * 60,
+  yearly: 365 * 24 * 60 * 60
+};
+
+const newId = (prefix) => `${prefix}_stub${crypto.randomBytes(7).toString('hex')}`;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function notFound(kind, id) {
+  const err = new Error(`${kind} ${id} does not exist`);
+  err.statusCode = 400;
+  err.error = { code: 'BAD_REQUEST_ERROR', description: err.message };
+  return err;
+}
+
+function createStubClient() {
+  const orders = new Map();
+  const payments = new Map();
+  const plans = new Map();
+  const subscriptions = new Map();
+
+  const get = (store, kind, id) => {
+    if (!store.has(id)) throw notFound(kind, id);
+    return store.get(id);
+  };
+
+  return {
+    orders: {
+      async create({ amount, currency = 'INR', receipt, notes = {} }) {
+        const order = {
+          id: newId('order'), entity: 'order', amount, amount_paid: 0, amount_due: amount,
+          currency, receipt, status: 'created', attempts: 0, notes, created_at: nowSeconds()
+        };
+        orders.set(order.id, order);
+        return order;
+      },
+      async fetch(id) {
+        return get(orders, 'Order', id);
+      },
+      async fetchPayments(id) {
+        get(orders, 'Order', id);
+        const items = [...payments.values()].filter(payment => payment.order_id === id);
+        return { entity: 'collection', count: items.length, items };
+      },
+      /**
+       * Test helper (not part of the Razorpay SDK): simulate the customer
+       * paying an order in checkout, without the verify call or webhook.
+       * status 'authorized' simulates a payment awaiting manual capture.
+       */
+      pay(id, { status = 'captured', amount } = {}) {
+        const order = get(orders, 'Order', id);
+        const payment = {
+          id: newId('pay'), entity: 'payment', amount: amount ?? order.amount, currency: order.currency,
+          status, method: 'upi', order_id: id, email: null, contact: null,
+          captured_at: status === 'captured' ? nowSeconds() : null
+        };
+        payments.set(payment.id, payment);
+        order.attempts += 1;
+        if (status === 'captured') {
+          Object.assign(order, { status: 'paid', amount_paid: payment.amount, amount_due: 0 });
+        } else {
+          order.status = 'attempted';
+        }
+        return payment;
+      }
+    },
+
+    payments: {
+      async fetch(id) {
+        // Payments are made in the checkout UI, so any id resolves to a captured payment
+        if (!payments.has(id)) {
+          payments.set(id, {
+            id, entity: 'payment', amount: 0, currency: 'INR', status: 'captured',
+            method: 'upi', email: null, contact: null, captured_at: nowSeconds()
+          });
+        }
+        return payments.get(id);
+      },
+      async capture(id, amount, currency) {
+        const payment = get(payments, 'Payment', id);
+        if (payment.status !== 'authorized' || payment.amount !== amount || payment.currency !== currency) {
+          const err = new Error(`Payment ${id} cannot be captured`);
+          err.statusCode = 400;
+          err.error = { code: 'BAD_REQUEST_ERROR', description: err.message };
+          throw err;
+        }
+        Object.assign(payment, { status: 'captured', captured_at: nowSeconds() });
+        if (payment.order_id && orders.has(payment.order_id)) {
+          Object.assign(orders.get(payment.order_id), { status: 'paid', amount_paid: amount, amount_due: 0 });
+        }
+        return payment;
+      },
+      async refund(paymentId, { amount, notes = {} } = {}) {
+        const payment = await this.fetch(paymentId);
+        return {
+          id: newId('rfnd'), entity: 'refund', payment_id: paymentId,
+          amount: amount || payment.amount, currency: payment.currency,
+          status: 'processed', notes, created_at: nowSeconds()
+        };
+      }
+    },
+
+    plans: {
+      async create({ period, interval = 1, item, notes = {} }) {
+        const plan = { id: newId('plan'), entity: 'plan', period, interval, item, notes, created_at: nowSeconds() };
+        plans.set(plan.id, plan);
+        return plan;
+      },
+      async fetch(id) {
+        return get(plans, 'Plan', id);
+      }
+    },
+
+    subscriptions: {
+      async create({ plan_id, total_count, start_at, notes = {} }) {
+        get(plans, 'Plan', plan_id);
+        const subscription = {
+          id: newId('sub'), entity: 'subscription', plan_id, status: 'created',
+          total_count, paid_count: 0, remaining_count: total_count,
+          current_start: null, current_end: null, charge_at: start_at || nowSeconds(),
+          start_at: start_at || null, ended_at: null, notes,
+          short_url: 'https://rzp.io/i/stub', created_at: nowSeconds()
+        };
+        subscriptions.set(subscription.id, subscription);
+        return subscription;
+      },
+      async fetch(id) {
+        return get(subscriptions, 'Subscription', id);
+      },
+      async cancel(id, cancelAtCycleEnd = false) {
+        const subscription = get(subscriptions, 'Subscription', id);
+        if (!cancelAtCycleEnd) {
+          subscription.status = 'cancelled';
+          subscription.ended_at = nowSeconds();
+        }
+        return subscription;
+      },
+      async pause(id) {
+        const subscription = get(subscriptions, 'Subscription', id);
+        subscription.status = 'paused';
+        subscription.paused_at = nowSeconds();
+        return subscription;
+      },
+      async resume(id) {
+        const subscription = get(subscriptions, 'Subscription', id);
+        subscription.status = 'active';
+        subscription.paused_at = null;
+        return subscription;
+      },
+      /**
+       * Test helper (not part of the Razorpay SDK): simulate a successful
+       * recurring charge and return a `subscription.charged` webhook payload.
+       */
+      charge(id) {
+        const subscription = get(subscriptions, 'Subscription', id);
+        const plan = get(plans, 'Plan', subscription.plan_id);
+        const start = subscription.current_end || nowSeconds();
+        Object.assign(subscription, {
+          status: 'active',
+          current_start: start,
+          current_end: start + PERIOD_SECONDS[plan.period] * plan.interval,
+          paid_count: subscription.paid_count + 1,
+          remaining_count: subscription.total_count - subscription.paid_count - 1
+        });
+        const payment = {
+          id: newId('pay'), entity: 'payment', amount: plan.item.amount, currency: plan.item.currency,
+          status: 'captured', method: 'card', order_id: null, invoice_id: newId('inv'),
+          email: null, contact: null, captured_at: nowSeconds()
+        };
+        payments.set(payment.id, payment);
+        return {
+          subscription: { entity: { ...subscription } },
+          payment: { entity: payment }
+        };
+      }
+    }
+  };
+}
+
+module.exports = { createStubClient };
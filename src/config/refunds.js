@@ -0,0 +1,22 @@
+/**
+ * Refund request policy.
+ * Users request refunds with a reason code; staff approve or reject them, and
+ * only approved requests are refunded through Razorpay.
+ */
+const REFUND_REASONS = {
+  duplicate_payment: 'Charged more than once',
+  accidental_purchase: 'Bought by mistake',
+  not_as_described: 'Plan did not meet expectations',
+  technical_issue: 'Could not access paid features',
+  other: 'Other'
+};
+
+const refundConfig = {
+  // Payments older than this can't be refunded through a request
+  windowDays: Number(process.env.REFUND_WINDOW_DAYS || 7)
+};
+
+module.exports = {
+  REFUND_REASONS,
+  refundConfig
+};
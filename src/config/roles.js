@@ -0,0 +1,16 @@
+/**
+ * User roles. Stored on the user document (source of truth) and mirrored
+ * into the Firebase custom claim `role`, so tokens carry it.
+ */
+const ROLES = {
+    user: 'Regular user',
+    admin: 'Staff with access to /api/admin'
+};
+
+/** Role given to new users */
+const DEFAULT_ROLE = 'user';
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE
+};
@@ -0,0 +1,202 @@
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const ApiResponse = require('../utils/responses');
+const logger = require('../utils/logger');
+
+// Admin service error codes → HTTP status
+const ADMIN_ERROR_STATUS = {
+    USER_NOT_FOUND: 404,
+    INVALID_PLAN: 400,
+    INVALID_ROLE: 400,
+    SUBSCRIPTION_CONFLICT: 409
+};
+
+const adminErrorResponse = (res, error, context, message) => {
+    const status = ADMIN_ERROR_STATUS[error.code];
+    if (status) return ApiResponse.error(res, error.message, status);
+    logger.error(`Error in ${context} controller:`, error);
+    return ApiResponse.error(res, message, 500);
+};
+
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+class AdminController {
+    /**
+     * GET /api/admin/users
+     * Query: q (email or uid), plan, expiresAfter, expiresBefore,
+     * status (active|inactive), role, page, limit
+     */
+    async searchUsers(req, res) {
+        try {
+            const { q, plan, status, role } = req.query;
+            const expiresAfter = parseDate(req.query.expiresAfter);
+            const expiresBefore = parseDate(req.query.expiresBefore);
+            if (expiresAfter === undefined || expiresBefore === undefined) {
+                return ApiResponse.validationError(res, ['expiresAfter and expiresBefore must be valid dates']);
+            }
+            if (status && !['active', 'inactive'].includes(status)) {
+                return ApiResponse.validationError(res, ['status must be active or inactive']);
+            }
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+            const result = await adminService.searchUsers({
+                query: q ? String(q).trim() : null,
+                plan,
+                expiresAfter,
+                expiresBefore,
+                isActive: status ? status === 'active' : undefined,
+                role
+            }, page, limit);
+
+            return ApiResponse.success(res, result, 'Users retrieved successfully');
+        } catch (error) {
+            logger.error('Error in searchUsers controller:', error);
+            return ApiResponse.error(res, 'Failed to search users', 500);
+        }
+    }
+
+    /**
+     * GET /api/admin/users/:uid
+     * Account, subscription, entitlements, watchlist, usage and recent
+     * admin actions for one user.
+     */
+    async getUser(req, res) {
+        try {
+            const detail = await adminService.getUserDetail(req.params.uid);
+            return ApiResponse.success(res, detail, 'User retrieved successfully');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'getUser', 'Failed to retrieve user');
+        }
+    }
+
+    /**
+     * POST /api/admin/users/:uid/subscription/grant
+     * Body: { plan, days, reason }
+     * Grants the plan for `days`, or extends it if already active.
+     */
+    async grantSubscription(req, res) {
+        try {
+            const { plan, days, reason } = req.body;
+            const subscription = await adminService.grantSubscription(
+                auditService.actorFromRequest(req),
+                req.params.uid,
+                { plan, days, reason }
+            );
+            return ApiResponse.success(res, { subscription }, 'Subscription granted successfully');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'grantSubscription', 'Failed to grant subscription');
+        }
+    }
+
+    /**
+     * DELETE /api/admin/users/:uid/usage
+     * Resets a user's usage for the current month to zero.
+     */
+    async resetUserUsage(req, res) {
+        try {
+            const result = await adminService.resetUsage(auditService.actorFromRequest(req), req.params.uid);
+            return ApiResponse.success(res, result, 'Usage reset successfully');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'resetUserUsage', 'Failed to reset usage');
+        }
+    }
+
+    /**
+     * PUT /api/admin/users/:uid/status
+     * Body: { isActive: boolean, reason? }
+     * Deactivating also disables the Firebase user and signs them out.
+     */
+    async setUserStatus(req, res) {
+        try {
+            const { uid } = req.params;
+            const { isActive, reason } = req.body;
+
+            if (uid === req.user.uid && !isActive) {
+                return ApiResponse.error(res, 'You cannot deactivate your own account', 400);
+            }
+
+            await adminService.setActive(auditService.actorFromRequest(req), uid, isActive, reason || null);
+            return ApiResponse.success(res, { uid, isActive }, isActive ? 'User reactivated' : 'User deactivated');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'setUserStatus', 'Failed to update user status');
+        }
+    }
+
+    /**
+     * POST /api/admin/users/:uid/revoke-sessions
+     * Body: { reason? }
+     * Signs the user out on every device.
+     */
+    async revokeSessions(req, res) {
+        try {
+            const { uid } = req.params;
+            await adminService.revokeSessions(auditService.actorFromRequest(req), uid, req.body?.reason || null);
+            return ApiResponse.success(res, { uid }, 'Sessions revoked');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'revokeSessions', 'Failed to revoke sessions');
+        }
+    }
+
+    /**
+     * GET /api/admin/audit-log
+     * Query: actor (uid), action (exact, or prefix like 'refund.*'),
+     * targetType, targetId, requestId, from, to, page, limit
+     */
+    async getAuditLog(req, res) {
+        try {
+            const { actor, action, targetType, targetId, requestId } = req.query;
+            const from = parseDate(req.query.from);
+            const to = parseDate(req.query.to);
+            if (from === undefined || to === undefined) {
+                return ApiResponse.validationError(res, ['from and to must be valid dates']);
+            }
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+            const result = await auditService.query({
+                actorUid: actor,
+                action,
+                targetType,
+                targetId,
+                requestId,
+                from,
+                to
+            }, page, limit);
+
+            return ApiResponse.success(res, result, 'Audit log retrieved successfully');
+        } catch (error) {
+            logger.error('Error in getAuditLog controller:', error);
+            return ApiResponse.error(res, 'Failed to retrieve audit log', 500);
+        }
+    }
+
+    /**
+     * PUT /api/admin/users/:uid/role
+     * Body: { role: 'user' | 'admin' }
+     * Sets the role in MongoDB and the user's Firebase custom claims.
+     */
+    async setUserRole(req, res) {
+        try {
+            const { uid } = req.params;
+            const { role } = req.body;
+
+            if (uid === req.user.uid && role !== 'admin') {
+                return ApiResponse.error(res, 'You cannot remove your own admin role', 400);
+            }
+
+            await adminService.setRole(auditService.actorFromRequest(req), uid, role);
+            return ApiResponse.success(res, { uid, role }, 'Role updated. It applies to the user\'s next token refresh.');
+        } catch (error) {
+            return adminErrorResponse(res, error, 'setUserRole', 'Failed to update role');
+        }
+    }
+}
+
+module.exports = new AdminController();
@@ -1,9 +1,14 @@
 const companyService = require("../services/companyService");
 const watchlistService = require("../services/watchlistService");
-const userService = require("../services/userService");
+const guidanceService = require("../services/guidanceService");
+const usageService = require("../services/usageService");
+const auditService = require("../services/auditService");
 const ApiResponse = require("../utils/responses");
 const logger = require("../utils/logger");
 
+/** Upper bound on metrics per series request — keeps payloads chart-sized */
+const MAX_SERIES_METRICS = 10;
+
 class CompanyController {
   /**
    * Get company details by ID
@@ -18,8 +23,8 @@ class CompanyController {
         return ApiResponse.validationError(res, ["Company ID is required"]);
       }
 
-      // Parallelize company fetch, watchlist check, and premium check
-      const [company, inWatchlist, isPremium] = await Promise.all([
+      // Parallelize company fetch and watchlist check
+      const [company, inWatchlist] = await Promise.all([
         companyService.getCompanyById(id),
         // Only check watchlist if user is authenticated
         req.user && req.user.uid
@@ -27,10 +32,6 @@ class CompanyController {
               logger.warn(`Failed to check watchlist status for user ${req.user.uid}:`, error);
               return false;
             })
-          : Promise.resolve(false),
-        // Check premium subscription (cached in Redis for 5 min)
-        req.user && req.user.uid
-          ? userService.isPremium(req.user.uid)
           : Promise.resolve(false)
       ]);
 
@@ -38,16 +39,20 @@ class CompanyController {
         return ApiResponse.notFound(res, "Company not found");
       }
 
-      // Build response — strip insights for non-premium users
+      // Build response — gate metered sections, strip insights without the entitlement
       const responseData = {
-        ...company,
+        ...companyService.applyUsageGate(company, req.usageGate),
         inWatchlist
       };
+      if (req.usageGate) {
+        responseData.usageGate = req.usageGate;
+      }
 
-      if (!isPremium) {
+      const entitlements = req.entitlements || [];
+      if (!entitlements.includes("insights")) {
         delete responseData.insights;
       } else if (responseData.insights === undefined) {
-        // Premium user but this company has no insights data yet.
+        // Entitled user but this company has no insights data yet.
         // Return an empty object so the frontend shows "No data available"
         // instead of the non-premium "Upgrade" gate.
         responseData.insights = {};
@@ -64,6 +69,129 @@ class CompanyController {
     }
   }
 
+  /**
+   * Get numeric time series for insights metrics (requires the insights entitlement)
+   * Query: metric=Sales&metric=Net Profit  or  metric=Sales,Net Profit
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getInsightSeries(req, res) {
+    try {
+      const { id, tab } = req.params;
+      const metrics = [].concat(req.query.metric || [])
+        .flatMap(m => String(m).split(","))
+        .map(m => m.trim())
+        .filter(Boolean);
+
+      if (metrics.length === 0) {
+        return ApiResponse.validationError(res, ["At least one metric is required"]);
+      }
+      if (metrics.length > MAX_SERIES_METRICS) {
+        return ApiResponse.validationError(res, [
+          `At most ${MAX_SERIES_METRICS} metrics can be requested at once`,
+        ]);
+      }
+
+      const result = await companyService.getInsightSeries(id, tab, metrics);
+      if (!result) {
+        return ApiResponse.notFound(res, "Company not found");
+      }
+      if (result.series.length === 0) {
+        return ApiResponse.notFound(res, `No matching metrics found in ${result.tab}`);
+      }
+
+      return ApiResponse.success(res, result, "Insight series retrieved successfully");
+    } catch (error) {
+      if (error.code === 'INSIGHTS_TAB_NOT_FOUND') {
+        return ApiResponse.notFound(res, error.message);
+      }
+      logger.error("Error in getInsightSeries controller:", error);
+      return ApiResponse.error(res, "Failed to retrieve insight series", 500);
+    }
+  }
+
+  /**
+   * Get the guidance tracker (guided values vs reported actuals) for a company.
+   * Counts as a guidance view — free users are limited per month.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGuidanceTracker(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.uid;
+
+      const tracker = await guidanceService.getGuidanceTracker(id);
+      if (!tracker) {
+        return ApiResponse.notFound(res, "Company not found");
+      }
+
+      await usageService.trackGuidanceView(userId, id);
+
+      return ApiResponse.success(res, tracker, "Guidance tracker retrieved successfully");
+    } catch (error) {
+      if (error.code === 'USAGE_LIMIT_REACHED') {
+        return ApiResponse.usageLimitReached(res, error.message, error.usage);
+      }
+      logger.error("Error in getGuidanceTracker controller:", error);
+      return ApiResponse.error(res, "Failed to retrieve guidance tracker", 500);
+    }
+  }
+
+  /**
+   * Get a single concall summary by its stable ID.
+   * The view is recorded against the monthly free-plan concall limit in the
+   * same request, so the summary is only returned once the quota is consumed.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getConcallById(req, res) {
+    try {
+      const { id, concallId } = req.params;
+      const userId = req.user.uid;
+
+      const result = await companyService.getConcallById(id, concallId);
+      if (!result) {
+        return ApiResponse.notFound(res, "Concall not found");
+      }
+
+      const usage = await usageService.trackConcallView(userId, result.concall.concallId);
+
+      return ApiResponse.success(
+        res,
+        { ...result, usage },
+        "Concall retrieved successfully"
+      );
+    } catch (error) {
+      if (error.code === 'USAGE_LIMIT_REACHED') {
+        return ApiResponse.usageLimitReached(res, error.message, error.usage);
+      }
+      logger.error("Error in getConcallById controller:", error);
+      return ApiResponse.error(res, "Failed to retrieve concall", 500);
+    }
+  }
+
+  /**
+   * Compare insights metrics across several companies (requires the insights entitlement)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async compareCompanies(req, res) {
+    try {
+      const { companyCodes, metrics } = req.body;
+
+      const result = await companyService.compareCompanies(companyCodes, metrics);
+      if (result.companies.length === 0) {
+        return ApiResponse.notFound(res, "None of the requested companies were found");
+      }
+
+      return ApiResponse.success(res, result, "Company comparison retrieved successfully");
+    } catch (error) {
+      logger.error("Error in compareCompanies controller:", error);
+      return ApiResponse.error(res, "Failed to compare companies", 500);
+    }
+  }
+
   /**
    * Get companies by criteria
    * @param {Object} req - Express request object
@@ -260,7 +388,7 @@ class CompanyController {
         return ApiResponse.notFound(res, "Company not found");
       }
 
-      const result = await watchlistService.followCompany(userId, companyCode);
+      const result = await watchlistService.followCompany(userId, companyCode, auditService.actorFromRequest(req));
 
       return ApiResponse.success(
         res,
@@ -290,7 +418,7 @@ class CompanyController {
         return ApiResponse.validationError(res, ["Company code is required"]);
       }
 
-      const result = await watchlistService.unfollowCompany(userId, companyCode);
+      const result = await watchlistService.unfollowCompany(userId, companyCode, auditService.actorFromRequest(req));
 
       return ApiResponse.success(
         res,
@@ -314,11 +442,15 @@ class CompanyController {
     try {
       const { companyId } = req.params;
 
+      const actor = auditService.actorFromRequest(req);
+
       if (companyId) {
         await companyService.clearCompanyCache(companyId);
+        await auditService.record(actor, "cache.cleared", { type: "company", id: companyId });
         return ApiResponse.success(res, null, `Cache cleared for company: ${companyId}`);
       } else {
         await companyService.clearAllCache();
+        await auditService.record(actor, "cache.cleared", { type: "company", id: "*" });
         return ApiResponse.success(res, null, "All company caches cleared");
       }
     } catch (error) {
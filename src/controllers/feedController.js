@@ -0,0 +1,42 @@
+const feedService = require('../services/feedService');
+const ApiResponse = require('../utils/responses');
+const logger = require('../utils/logger');
+
+class FeedController {
+    /**
+     * GET /api/user/feed
+     * Query: cursor (nextCursor from the previous page), limit, unread=true
+     */
+    async getFeed(req, res) {
+        try {
+            const feed = await feedService.getFeed(req.user.uid, {
+                cursor: req.query.cursor || null,
+                limit: parseInt(req.query.limit) || undefined,
+                unreadOnly: req.query.unread === 'true'
+            });
+            return ApiResponse.success(res, feed, 'Feed retrieved successfully');
+        } catch (error) {
+            if (error.code === 'INVALID_CURSOR') {
+                return ApiResponse.validationError(res, [error.message]);
+            }
+            logger.error('Error in getFeed controller:', error);
+            return ApiResponse.error(res, 'Failed to retrieve feed', 500);
+        }
+    }
+
+    /**
+     * POST /api/user/feed/read
+     * Body: { ids } or { all: true }
+     */
+    async markRead(req, res) {
+        try {
+            const result = await feedService.markRead(req.user.uid, req.body.all ? null : req.body.ids);
+            return ApiResponse.success(res, result, 'Feed items marked as read');
+        } catch (error) {
+            logger.error('Error in markRead controller:', error);
+            return ApiResponse.error(res, 'Failed to mark feed items as read', 500);
+        }
+    }
+}
+
+module.exports = new FeedController();
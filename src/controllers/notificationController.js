@@ -0,0 +1,82 @@
+const notificationService = require('../services/notificationService');
+const userService = require('../services/userService');
+const auditService = require('../services/auditService');
+const ApiResponse = require('../utils/responses');
+const { renderUnsubscribePage } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+class NotificationController {
+    /**
+     * GET /api/user/notifications
+     */
+    async getPreferences(req, res) {
+        try {
+            const user = await userService.getUserByUid(req.user.uid);
+            if (!user) {
+                return ApiResponse.notFound(res, 'User not found');
+            }
+            return ApiResponse.success(
+                res,
+                { notifications: notificationService.getPreferences(user) },
+                'Notification preferences retrieved successfully'
+            );
+        } catch (error) {
+            logger.error('Error in getPreferences controller:', error);
+            return ApiResponse.error(res, 'Failed to retrieve notification preferences', 500);
+        }
+    }
+
+    /**
+     * PUT /api/user/notifications
+     * Body: any of { email, push, sms, digest }
+     */
+    async updatePreferences(req, res) {
+        try {
+            const { email, push, sms, digest } = req.body;
+            const notifications = await notificationService.updatePreferences(
+                req.user.uid,
+                { email, push, sms, digest },
+                auditService.actorFromRequest(req)
+            );
+            if (!notifications) {
+                return ApiResponse.notFound(res, 'User not found');
+            }
+            return ApiResponse.success(res, { notifications }, 'Notification preferences updated successfully');
+        } catch (error) {
+            logger.error('Error in updatePreferences controller:', error);
+            return ApiResponse.error(res, 'Failed to update notification preferences', 500);
+        }
+    }
+
+    /**
+     * GET  /api/notifications/unsubscribe?token= — link in the email, answers with a page
+     * POST /api/notifications/unsubscribe?token= — one-click unsubscribe (RFC 8058)
+     */
+    async unsubscribe(req, res) {
+        const wantsPage = req.method === 'GET';
+        try {
+            const result = await notificationService.unsubscribe(req.query.token);
+            const message = result.scope === 'digest'
+                ? 'You will no longer receive watchlist digest emails. You can turn them back on in your notification settings.'
+                : 'You will no longer receive emails from us. You can turn them back on in your notification settings.';
+
+            if (wantsPage) {
+                return res.status(200).type('html').send(renderUnsubscribePage({ success: true, message }));
+            }
+            return ApiResponse.success(res, { scope: result.scope }, message);
+        } catch (error) {
+            const status = { INVALID_UNSUBSCRIBE_TOKEN: 400, USER_NOT_FOUND: 404 }[error.code];
+            if (!status) {
+                logger.error('Error in unsubscribe controller:', error);
+            }
+            const message = status ? error.message : 'Something went wrong. Please try again later.';
+
+            if (wantsPage) {
+                return res.status(status || 500).type('html').send(renderUnsubscribePage({ success: false, message }));
+            }
+            return ApiResponse.error(res, message, status || 500);
+        }
+    }
+}
+
+module.exports = new NotificationController();
@@ -1,40 +1,135 @@
+const crypto = require('crypto');
 const paymentService = require('../services/paymentService');
+const planService = require('../services/planService');
+const couponService = require('../services/couponService');
+const invoiceService = require('../services/invoiceService');
+const planChangeService = require('../services/planChangeService');
+const refundService = require('../services/refundService');
+const webhookService = require('../services/webhookService');
+const auditService = require('../services/auditService');
+const { REFUND_REASONS } = require('../config/refunds');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
 const ApiResponse = require('../utils/responses');
 const logger = require('../utils/logger');
 
-// Server-side price list — single source of truth, not controllable by the client
-const VALID_PRICES = {
-  'premium:monthly': 299,
-  'premium:annual':  2999,
+// Subscription and plan change error codes thrown by the services → HTTP status
+const SUBSCRIPTION_ERROR_STATUS = {
+  INVALID_PLAN: 400,
+  SAME_PLAN: 400,
+  SUBSCRIPTION_NOT_FOUND: 404,
+  SUBSCRIPTION_EXISTS: 409,
+  INVALID_SUBSCRIPTION_STATE: 409,
+  NO_SWITCHABLE_PLAN: 409,
+  QUOTE_STALE: 409
+};
+
+// Refund request error codes thrown by refundService → HTTP status
+const REFUND_ERROR_STATUS = {
+  PAYMENT_NOT_FOUND: 404,
+  REFUND_REQUEST_NOT_FOUND: 404,
+  REFUND_NOT_ELIGIBLE: 400,
+  REFUND_REQUEST_EXISTS: 409,
+  INVALID_REFUND_STATE: 409
+};
+
+const refundErrorResponse = (res, error, context) => {
+  const status = REFUND_ERROR_STATUS[error.code];
+  if (status) return ApiResponse.error(res, error.message, status);
+  logger.error(`Error in ${context}:`, error);
+  return ApiResponse.error(res, error.message, 500);
+};
+
+const subscriptionErrorResponse = (res, error, context) => {
+  const status = SUBSCRIPTION_ERROR_STATUS[error.code];
+  if (status) return ApiResponse.error(res, error.message, status);
+  logger.error(`Error in ${context}:`, error);
+  return ApiResponse.error(res, error.message, 500);
 };
 
 const createOrder = async (req, res) => {
   try {
-    const { amount, currency, receipt, notes } = req.body;
-    if (!amount || amount <= 0) {
+    const { amount, currency, receipt, notes, couponCode } = req.body;
+    // With a coupon the server prices the order, so the amount is optional
+    if (!couponCode && (!amount || amount <= 0)) {
       return ApiResponse.error(res, 'Valid amount is required', 400);
     }
 
-    // Validate amount against server-side price list to prevent price manipulation
+    // Validate amount against the plan catalog to prevent price manipulation.
+    // Older clients only send notes.durationDays, so fall back to that for the cycle.
     const plan = notes?.plan || 'premium';
-    const billingCycle = notes?.durationDays === '365' ? 'annual' : 'monthly';
-    const expectedAmount = VALID_PRICES[`${plan}:${billingCycle}`];
-    if (!expectedAmount || parseFloat(amount) !== expectedAmount) {
-      logger.warn(`Price manipulation attempt: received ${amount}, expected ${expectedAmount} for ${plan}:${billingCycle}`);
+    const billingCycle = notes?.billingCycle || (notes?.durationDays === '365' ? 'annual' : 'monthly');
+    const pricing = await planService.getBillingCycle(plan, billingCycle);
+    if (!pricing) {
+      return ApiResponse.error(res, 'Invalid plan or billing cycle', 400);
+    }
+    if (currency && currency !== pricing.currency) {
+      return ApiResponse.error(res, `Plan is priced in ${pricing.currency}`, 400);
+    }
+
+    let chargeAmount = pricing.price;
+    let coupon = null;
+    if (couponCode) {
+      const applied = await couponService.applyCoupon(couponCode, { userId: req.user.uid, plan, billingCycle });
+      chargeAmount = applied.finalAmount;
+      coupon = {
+        code: applied.code,
+        originalAmount: applied.originalAmount,
+        discount: applied.discount,
+        redeemedAt: null
+      };
+    }
+
+    // Clients may send the list price or the discounted price; anything else is rejected
+    if (amount !== undefined && ![pricing.price, chargeAmount].includes(parseFloat(amount))) {
+      logger.warn(`Price manipulation attempt: received ${amount}, expected ${chargeAmount} for ${plan}:${billingCycle}`);
       return ApiResponse.error(res, 'Invalid amount for selected plan', 400);
     }
 
+    // Plan terms in notes are written server-side — activation reads them back
     const { razorpayOrder, savedOrder } = await paymentService.createOrder(
-      { amount: expectedAmount, currency, receipt, notes },
+      {
+        amount: chargeAmount,
+        currency: pricing.currency,
+        receipt,
+        notes: {
+          ...notes,
+          plan,
+          billingCycle,
+          durationDays: String(pricing.durationDays),
+          ...(coupon && { couponCode: coupon.code })
+        },
+        coupon
+      },
       req.user.uid
     );
     return ApiResponse.success(res, { order: razorpayOrder, savedOrder }, 'Order created successfully');
   } catch (error) {
+    if (error.code === 'INVALID_COUPON') {
+      return ApiResponse.error(res, error.message, 400);
+    }
     logger.error('Error in createOrder:', error);
     return ApiResponse.error(res, error.message, 500);
   }
 };
 
+const validateCoupon = async (req, res) => {
+  try {
+    const { code, plan = 'premium', billingCycle } = req.body;
+    if (!code || !billingCycle) {
+      return ApiResponse.error(res, 'code and billingCycle are required', 400);
+    }
+
+    const preview = await couponService.applyCoupon(code, { userId: req.user.uid, plan, billingCycle });
+    return ApiResponse.success(res, { valid: true, ...preview }, 'Coupon applied');
+  } catch (error) {
+    if (error.code === 'INVALID_COUPON') {
+      return ApiResponse.error(res, error.message, 400);
+    }
+    logger.error('Error in validateCoupon:', error);
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
 const verifyPayment = async (req, res) => {
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
@@ -90,24 +185,66 @@ const getOrderDetails = async (req, res) => {
   }
 };
 
-const createRefund = async (req, res) => {
+const requestRefund = async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { amount, notes } = req.body;
+    const { reasonCode, comment, amount } = req.body;
     if (!paymentId) return ApiResponse.error(res, 'Payment ID is required', 400);
 
-    const refundData = {
-      amount: amount ? Math.round(amount * 100) : undefined, // convert to paise
-      notes: notes || {}
-    };
-    const refund = await paymentService.createRefund(paymentId, refundData, req.user.uid);
-    return ApiResponse.success(res, { refund }, 'Refund created successfully');
+    const refund = await refundService.requestRefund(req.user.uid, paymentId, {
+      reasonCode,
+      comment: comment || null,
+      amount: amount ? Math.round(amount * 100) : undefined // convert to paise
+    }, auditService.actorFromRequest(req));
+    return ApiResponse.success(res, { refund }, 'Refund requested successfully', 201);
   } catch (error) {
-    logger.error('Error in createRefund:', error);
+    return refundErrorResponse(res, error, 'requestRefund');
+  }
+};
+
+const getRefunds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const refunds = await refundService.getUserRefunds(req.user.uid, page, limit);
+    return ApiResponse.success(res, { refunds, reasons: REFUND_REASONS, page, limit }, 'Refunds retrieved successfully');
+  } catch (error) {
+    logger.error('Error in getRefunds:', error);
     return ApiResponse.error(res, error.message, 500);
   }
 };
 
+const listRefundRequests = async (req, res) => {
+  try {
+    const status = req.query.status === 'all' ? null : req.query.status || 'requested';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const requests = await refundService.listRequests(status, page, limit);
+    return ApiResponse.success(res, { requests, page, limit }, 'Refund requests retrieved successfully');
+  } catch (error) {
+    logger.error('Error in listRefundRequests:', error);
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
+const approveRefundRequest = async (req, res) => {
+  try {
+    const refund = await refundService.approveRequest(req.params.id, auditService.actorFromRequest(req), req.body.note || null);
+    return ApiResponse.success(res, { refund }, 'Refund request approved');
+  } catch (error) {
+    return refundErrorResponse(res, error, 'approveRefundRequest');
+  }
+};
+
+const rejectRefundRequest = async (req, res) => {
+  try {
+    const refund = await refundService.rejectRequest(req.params.id, auditService.actorFromRequest(req), req.body.reason);
+    return ApiResponse.success(res, { refund }, 'Refund request rejected');
+  } catch (error) {
+    return refundErrorResponse(res, error, 'rejectRefundRequest');
+  }
+};
+
 const getPaymentHistory = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
@@ -120,6 +257,165 @@ const getPaymentHistory = async (req, res) => {
   }
 };
 
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await paymentService.getSubscription(req.user.uid);
+    return ApiResponse.success(res, { subscription }, 'Subscription retrieved successfully');
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'getSubscription');
+  }
+};
+
+const createSubscription = async (req, res) => {
+  try {
+    const { plan = 'premium', billingCycle } = req.body;
+    if (!billingCycle) {
+      return ApiResponse.error(res, 'billingCycle is required', 400);
+    }
+
+    const { razorpaySubscription, savedSubscription } = await paymentService.createSubscription(
+      req.user.uid,
+      plan,
+      billingCycle
+    );
+    return ApiResponse.success(
+      res,
+      { subscription: razorpaySubscription, savedSubscription },
+      'Subscription created successfully',
+      201
+    );
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'createSubscription');
+  }
+};
+
+const verifySubscription = async (req, res) => {
+  try {
+    const { razorpay_subscription_id, razorpay_payment_id, razorpay_signature } = req.body;
+    if (!razorpay_subscription_id || !razorpay_payment_id || !razorpay_signature) {
+      return ApiResponse.error(res, 'Missing required subscription verification data', 400);
+    }
+
+    const isValid = paymentService.verifySubscriptionSignature({
+      razorpay_subscription_id,
+      razorpay_payment_id,
+      razorpay_signature
+    });
+    if (!isValid) {
+      return ApiResponse.error(res, 'Subscription verification failed', 400);
+    }
+
+    const subscription = await paymentService.confirmSubscription(
+      razorpay_subscription_id,
+      razorpay_payment_id,
+      req.user.uid
+    );
+    return ApiResponse.success(res, { verified: true, subscription }, 'Subscription verified successfully');
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'verifySubscription');
+  }
+};
+
+const cancelSubscription = async (req, res) => {
+  try {
+    // Cancel at the end of the paid period unless the client asks for immediate
+    const cancelAtCycleEnd = req.body?.cancelAtCycleEnd !== false;
+    const subscription = await paymentService.cancelSubscription(req.user.uid, cancelAtCycleEnd);
+    return ApiResponse.success(res, { subscription }, 'Subscription cancelled successfully');
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'cancelSubscription');
+  }
+};
+
+const pauseSubscription = async (req, res) => {
+  try {
+    const subscription = await paymentService.pauseSubscription(req.user.uid);
+    return ApiResponse.success(res, { subscription }, 'Subscription paused successfully');
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'pauseSubscription');
+  }
+};
+
+const resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await paymentService.resumeSubscription(req.user.uid);
+    return ApiResponse.success(res, { subscription }, 'Subscription resumed successfully');
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'resumeSubscription');
+  }
+};
+
+/**
+ * Switch plan or billing cycle with prorated credit for the unused period.
+ * dryRun returns the quote only. Switches the credit fully covers are applied
+ * immediately; otherwise an order for the difference is created and the
+ * switch is applied when it's paid (via /verify or the webhook).
+ */
+const changePlan = async (req, res) => {
+  try {
+    const { plan = 'premium', billingCycle, dryRun = false } = req.body;
+    if (!billingCycle) {
+      return ApiResponse.error(res, 'billingCycle is required', 400);
+    }
+
+    const quote = await planChangeService.quote(req.user.uid, plan, billingCycle);
+    if (dryRun) {
+      return ApiResponse.success(res, { dryRun: true, quote }, 'Plan change preview');
+    }
+
+    if (!quote.requiresPayment) {
+      const subscription = await planChangeService.applySwitch(req.user.uid, quote);
+      return ApiResponse.success(res, { applied: true, quote, subscription }, 'Plan changed successfully');
+    }
+
+    const { razorpayOrder, savedOrder } = await paymentService.createPlanChangeOrder(req.user.uid, quote);
+    return ApiResponse.success(
+      res,
+      { applied: false, quote, order: razorpayOrder, savedOrder },
+      'Plan change order created successfully'
+    );
+  } catch (error) {
+    return subscriptionErrorResponse(res, error, 'changePlan');
+  }
+};
+
+const getInvoices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const invoices = await invoiceService.getInvoices(req.user.uid, page, limit);
+    return ApiResponse.success(res, { invoices, page, limit }, 'Invoices retrieved successfully');
+  } catch (error) {
+    logger.error('Error in getInvoices:', error);
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
+/**
+ * JSON by default; PDF with ?format=pdf or Accept: application/pdf
+ */
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.getInvoice(req.user.uid, req.params.id);
+    if (!invoice) return ApiResponse.notFound(res, 'Invoice not found');
+
+    const wantsPdf = req.query.format === 'pdf' ||
+      (req.query.format !== 'json' && req.accepts(['json', 'pdf']) === 'pdf');
+    if (!wantsPdf) {
+      return ApiResponse.success(res, { invoice }, 'Invoice retrieved successfully');
+    }
+
+    const filename = `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    renderInvoicePdf(invoice, res);
+  } catch (error) {
+    logger.error('Error in getInvoice:', error);
+    if (res.headersSent) return res.end();
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
 const handleWebhook = async (req, res) => {
   try {
     const signature = req.headers['x-razorpay-signature'];
@@ -135,23 +431,68 @@ const handleWebhook = async (req, res) => {
     }
 
     const { event, payload } = req.body;
-    logger.info(`Webhook received: ${event}`);
+    // Razorpay sends the same event ID on every redelivery of an event
+    const eventId = req.headers['x-razorpay-event-id']
+      || crypto.createHash('sha256').update(body).digest('hex');
+    logger.info(`Webhook received: ${event} (${eventId})`);
 
-    await paymentService.processWebhookEvent(event, payload);
+    // Processing failures are retried by the webhook retry job, so only a
+    // failure to record the event asks Razorpay to redeliver
+    const result = await webhookService.receive({ eventId, event, payload });
 
-    return ApiResponse.success(res, {}, 'Webhook processed successfully');
+    const message = result.duplicate ? 'Webhook already received' : 'Webhook received successfully';
+    return ApiResponse.success(res, { status: result.status }, message);
   } catch (error) {
     logger.error('Error in handleWebhook:', error);
     return ApiResponse.error(res, error.message, 500);
   }
 };
 
+const listDeadLetterWebhooks = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const events = await webhookService.listDeadLetters(page, limit);
+    return ApiResponse.success(res, { events, page, limit }, 'Dead-lettered webhook events retrieved successfully');
+  } catch (error) {
+    logger.error('Error in listDeadLetterWebhooks:', error);
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
+const replayWebhook = async (req, res) => {
+  try {
+    const event = await webhookService.replay(req.params.id);
+    if (!event) return ApiResponse.error(res, 'Webhook event not found, not failed, or redacted', 404);
+    return ApiResponse.success(res, { event }, `Webhook replayed: ${event.status}`);
+  } catch (error) {
+    logger.error('Error in replayWebhook:', error);
+    return ApiResponse.error(res, error.message, 500);
+  }
+};
+
 module.exports = {
   createOrder,
+  validateCoupon,
   verifyPayment,
   getPaymentDetails,
   getOrderDetails,
-  createRefund,
+  requestRefund,
+  getRefunds,
+  listRefundRequests,
+  approveRefundRequest,
+  rejectRefundRequest,
   getPaymentHistory,
-  handleWebhook
+  getSubscription,
+  createSubscription,
+  verifySubscription,
+  cancelSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  changePlan,
+  getInvoices,
+  getInvoice,
+  handleWebhook,
+  listDeadLetterWebhooks,
+  replayWebhook
 };
\ No newline at end of file
@@ -0,0 +1,25 @@
+const planService = require('../services/planService');
+const ApiResponse = require('../utils/responses');
+const logger = require('../utils/logger');
+
+class PlanController {
+    /**
+     * GET /api/plans
+     * Returns the public plan catalog: prices per billing cycle, trial length,
+     * features and monthly quotas.
+     */
+    async getPlans(req, res) {
+        try {
+            const plans = await planService.getPlans();
+            const publicPlans = plans
+                .filter(plan => plan.isPublic !== false)
+                .map(plan => planService.toPublic(plan));
+            return ApiResponse.success(res, publicPlans, 'Plans retrieved');
+        } catch (error) {
+            logger.error('Error in getPlans controller:', error);
+            return ApiResponse.error(res, 'Failed to retrieve plans', 500);
+        }
+    }
+}
+
+module.exports = new PlanController();
@@ -0,0 +1,73 @@
+const pushService = require('../services/pushService');
+const ApiResponse = require('../utils/responses');
+const logger = require('../utils/logger');
+
+// Push service error codes → HTTP status
+const PUSH_ERROR_STATUS = {
+    PUSH_DISABLED: 503,
+    INVALID_PUSH_SUBSCRIPTION: 400,
+    PUSH_SUBSCRIPTION_LIMIT: 400,
+    PUSH_SUBSCRIPTION_NOT_FOUND: 404
+};
+
+const pushErrorResponse = (res, error, context, message) => {
+    const status = PUSH_ERROR_STATUS[error.code];
+    if (status) return ApiResponse.error(res, error.message, status);
+    logger.error(`Error in ${context} controller:`, error);
+    return ApiResponse.error(res, message, 500);
+};
+
+class PushController {
+    /**
+     * GET /api/user/push/config
+     * VAPID public key for pushManager.subscribe()
+     */
+    async getConfig(req, res) {
+        return ApiResponse.success(res, pushService.getConfig(), 'Push configuration retrieved successfully');
+    }
+
+    /**
+     * GET /api/user/push/subscriptions
+     */
+    async getSubscriptions(req, res) {
+        try {
+            const subscriptions = await pushService.getSubscriptions(req.user.uid);
+            return ApiResponse.success(res, { subscriptions }, 'Push subscriptions retrieved successfully');
+        } catch (error) {
+            return pushErrorResponse(res, error, 'getSubscriptions', 'Failed to retrieve push subscriptions');
+        }
+    }
+
+    /**
+     * POST /api/user/push/subscriptions
+     * Body: { subscription: { endpoint, expirationTime, keys: { p256dh, auth } }, deviceName? }
+     */
+    async subscribe(req, res) {
+        try {
+            const subscription = await pushService.subscribe(req.user.uid, req.body.subscription, {
+                deviceName: req.body.deviceName || null,
+                userAgent: req.get('user-agent') || null
+            });
+            return ApiResponse.success(res, { subscription }, 'Push subscription registered successfully', 201);
+        } catch (error) {
+            return pushErrorResponse(res, error, 'subscribe', 'Failed to register push subscription');
+        }
+    }
+
+    /**
+     * DELETE /api/user/push/subscriptions — Body: { endpoint } (this browser)
+     * DELETE /api/user/push/subscriptions/:id — any of the user's devices
+     */
+    async unsubscribe(req, res) {
+        try {
+            await pushService.unsubscribe(req.user.uid, req.params.id
+                ? { id: req.params.id }
+                : { endpoint: req.body.endpoint });
+            return ApiResponse.success(res, null, 'Push subscription removed successfully');
+        } catch (error) {
+            return pushErrorResponse(res, error, 'unsubscribe', 'Failed to remove push subscription');
+        }
+    }
+}
+
+module.exports = new PushController();
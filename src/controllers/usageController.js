@@ -1,5 +1,4 @@
 const usageService = require('../services/usageService');
-const userService = require('../services/userService');
 const ApiResponse = require('../utils/responses');
 const logger = require('../utils/logger');
 
@@ -29,13 +28,12 @@ class UsageController {
             const userId = req.user.uid;
             const { companyCode } = req.body;
 
-            const isPremium = await userService.isPremium(userId);
-            const result = await usageService.trackGuidanceView(userId, companyCode, isPremium);
+            const result = await usageService.trackGuidanceView(userId, companyCode);
 
             return ApiResponse.success(res, result, 'Guidance view tracked');
         } catch (error) {
             if (error.code === 'USAGE_LIMIT_REACHED') {
-                return ApiResponse.forbidden(res, error.message);
+                return ApiResponse.usageLimitReached(res, error.message, error.usage);
             }
             logger.error('Error in trackGuidance controller:', error);
             return ApiResponse.error(res, 'Failed to track guidance view', 500);
@@ -52,33 +50,17 @@ class UsageController {
             const userId = req.user.uid;
             const { concallId } = req.body;
 
-            const isPremium = await userService.isPremium(userId);
-            const result = await usageService.trackConcallView(userId, concallId, isPremium);
+            const result = await usageService.trackConcallView(userId, concallId);
 
             return ApiResponse.success(res, result, 'Concall view tracked');
         } catch (error) {
             if (error.code === 'USAGE_LIMIT_REACHED') {
-                return ApiResponse.forbidden(res, error.message);
+                return ApiResponse.usageLimitReached(res, error.message, error.usage);
             }
             logger.error('Error in trackConcall controller:', error);
             return ApiResponse.error(res, 'Failed to track concall view', 500);
         }
     }
-
-    /**
-     * DELETE /api/user/usage
-     * Resets the current month's usage to zero (testing / admin).
-     */
-    async resetUsage(req, res) {
-        try {
-            const userId = req.user.uid;
-            const result = await usageService.resetUsage(userId);
-            return ApiResponse.success(res, result, 'Usage reset successfully');
-        } catch (error) {
-            logger.error('Error in resetUsage controller:', error);
-            return ApiResponse.error(res, 'Failed to reset usage', 500);
-        }
-    }
 }
 
 module.exports = new UsageController();
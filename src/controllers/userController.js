@@ -1,8 +1,15 @@
 const userService = require('../services/userService');
 const watchlistService = require('../services/watchlistService');
+const planService = require('../services/planService');
+const subscriptionEventService = require('../services/subscriptionEventService');
+const auditService = require('../services/auditService');
+const accountService = require('../services/accountService');
 const ApiResponse = require('../utils/responses');
 const logger = require('../utils/logger');
 
+// Account deletion needs a sign-in at most this long ago
+const RECENT_SIGN_IN_SECONDS = 5 * 60;
+
 class UserController {
     /**
      * Get user profile
@@ -45,7 +52,7 @@ class UserController {
             }
 
             // Update user profile
-            const updatedProfile = await userService.updateUserProfile(userId, updates);
+            const updatedProfile = await userService.updateUserProfile(userId, updates, auditService.actorFromRequest(req));
 
             if (!updatedProfile) {
                 return ApiResponse.error(res, 'User not found', 404);
@@ -61,6 +68,27 @@ class UserController {
         }
     }
 
+    /**
+     * Update billing details (legal name, GSTIN, address) used on invoices
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateBillingDetails(req, res) {
+        try {
+            const userId = req.user.uid;
+            const billingDetails = await userService.updateBillingDetails(userId, req.body, auditService.actorFromRequest(req));
+
+            if (!billingDetails) {
+                return ApiResponse.error(res, 'User not found', 404);
+            }
+
+            return ApiResponse.success(res, billingDetails, 'Billing details updated successfully');
+        } catch (error) {
+            logger.error('Error in updateBillingDetails controller:', error);
+            return ApiResponse.error(res, 'Failed to update billing details', 500);
+        }
+    }
+
     /**
      * Get user's watchlist
      * @param {Object} req - Express request object
@@ -96,10 +124,13 @@ class UserController {
                 return ApiResponse.validationError(res, ['Company code is required']);
             }
 
-            const result = await watchlistService.followCompany(userId, companyCode);
+            const result = await watchlistService.followCompany(userId, companyCode, auditService.actorFromRequest(req));
 
             return ApiResponse.success(res, result, 'Company added to watchlist successfully');
         } catch (error) {
+            if (error.code === 'WATCHLIST_LIMIT_REACHED') {
+                return ApiResponse.forbidden(res, error.message);
+            }
             logger.error('Error in addToWatchlist controller:', error);
             return ApiResponse.error(res, 'Failed to add company to watchlist', 500);
         }
@@ -121,14 +152,17 @@ class UserController {
 
             const sub = userProfile.subscription || null;
             const now = new Date();
-            const isActive = sub && sub.plan === 'premium' && new Date(sub.expiresAt) > now;
+            const activePlan = await planService.getActivePlan(sub);
+            const isActive = sub && activePlan.code === sub.plan && activePlan.tier !== 'free';
             const daysRemaining = isActive
                 ? Math.ceil((new Date(sub.expiresAt) - now) / (1000 * 60 * 60 * 24))
                 : 0;
 
             return ApiResponse.success(res, {
-                plan: isActive ? 'premium' : 'free',
+                plan: activePlan.code,
                 isActive: !!isActive,
+                quotas: activePlan.quotas || {},
+                entitlements: req.entitlements || [],
                 subscription: sub ? {
                     plan: sub.plan,
                     billingCycle: sub.billingCycle || null,
@@ -137,7 +171,9 @@ class UserController {
                     expiresAt: sub.expiresAt,
                     daysRemaining,
                     isTrial: sub.source === 'trial',
+                    autoRenew: sub.autoRenew || false,
                 } : null,
+                history: userProfile.subscriptionHistory || [],
             }, 'Subscription status retrieved successfully');
         } catch (error) {
             logger.error('Error in getSubscription controller:', error);
@@ -145,6 +181,31 @@ class UserController {
         }
     }
 
+    /**
+     * Get the user's subscription ledger (trial, activations, renewals,
+     * plan changes, downgrades, expiries), newest first
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSubscriptionHistory(req, res) {
+        try {
+            const userId = req.user.uid;
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+            const events = await subscriptionEventService.getHistory(userId, page, limit);
+
+            return ApiResponse.success(res, {
+                events,
+                page,
+                limit
+            }, 'Subscription history retrieved successfully');
+        } catch (error) {
+            logger.error('Error in getSubscriptionHistory controller:', error);
+            return ApiResponse.error(res, 'Failed to retrieve subscription history', 500);
+        }
+    }
+
     /**
      * Remove company from watchlist
      * @param {Object} req - Express request object
@@ -159,7 +220,7 @@ class UserController {
                 return ApiResponse.validationError(res, ['Company code is required']);
             }
 
-            const result = await watchlistService.unfollowCompany(userId, companyCode);
+            const result = await watchlistService.unfollowCompany(userId, companyCode, auditService.actorFromRequest(req));
 
             return ApiResponse.success(res, result, 'Company removed from watchlist successfully');
         } catch (error) {
@@ -167,6 +228,62 @@ class UserController {
             return ApiResponse.error(res, 'Failed to remove company from watchlist', 500);
         }
     }
+
+    /**
+     * Download everything stored about the user as a JSON file
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async exportData(req, res) {
+        try {
+            const userId = req.user.uid;
+            const archive = await accountService.exportData(userId);
+
+            if (!archive) {
+                return ApiResponse.error(res, 'User not found', 404);
+            }
+
+            await auditService.record(auditService.actorFromRequest(req), 'user.data_exported', { type: 'user', id: userId });
+
+            const filename = `account-export-${new Date().toISOString().slice(0, 10)}.json`;
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).json(archive);
+        } catch (error) {
+            logger.error('Error in exportData controller:', error);
+            return ApiResponse.error(res, 'Failed to export account data', 500);
+        }
+    }
+
+    /**
+     * Delete the user's account: personal data is deleted, payment records
+     * are kept pseudonymized and the Firebase user is removed. Requires a
+     * sign-in within the last few minutes.
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async deleteAccount(req, res) {
+        try {
+            const userId = req.user.uid;
+
+            const signedInAgo = Date.now() / 1000 - (req.user.authTime || 0);
+            if (signedInAgo > RECENT_SIGN_IN_SECONDS) {
+                return res.status(401).json({
+                    error: 'Reauthentication required',
+                    action: 'reauthenticate',
+                    message: 'Please sign in again to delete your account.',
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            const summary = await accountService.deleteAccount(userId, auditService.actorFromRequest(req));
+
+            return ApiResponse.success(res, summary, 'Account deleted successfully');
+        } catch (error) {
+            logger.error('Error in deleteAccount controller:', error);
+            return ApiResponse.error(res, 'Failed to delete account', 500);
+        }
+    }
+
 }
 
 module.exports = new UserController();
\ No newline at end of file
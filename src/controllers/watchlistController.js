@@ -0,0 +1,199 @@
+const watchlistService = require('../services/watchlistService');
+const auditService = require('../services/auditService');
+const ApiResponse = require('../utils/responses');
+const logger = require('../utils/logger');
+
+// Watchlist service error codes → HTTP status
+const WATCHLIST_ERROR_STATUS = {
+    WATCHLIST_NOT_FOUND: 404,
+    ENTRY_NOT_FOUND: 404,
+    WATCHLIST_EXISTS: 409,
+    ENTRY_EXISTS: 409,
+    WATCHLIST_CONFLICT: 409,
+    WATCHLIST_COUNT_LIMIT: 400,
+    WATCHLIST_FULL: 400,
+    DEFAULT_WATCHLIST: 400,
+    INVALID_ORDER: 400,
+    WATCHLIST_LIMIT_REACHED: 403
+};
+
+const watchlistErrorResponse = (res, error, context, message) => {
+    const status = WATCHLIST_ERROR_STATUS[error.code];
+    if (status) return ApiResponse.error(res, error.message, status);
+    logger.error(`Error in ${context} controller:`, error);
+    return ApiResponse.error(res, message, 500);
+};
+
+class WatchlistController {
+    /**
+     * GET /api/user/watchlist/dashboard
+     * Query: watchlistId (optional; defaults to every followed company)
+     * Headline metrics need the insights entitlement (loadEntitlements).
+     */
+    async getDashboard(req, res) {
+        try {
+            const dashboard = await watchlistService.getDashboard(req.user.uid, {
+                watchlistId: req.query.watchlistId || null,
+                includeInsights: (req.entitlements || []).includes('insights')
+            });
+            return ApiResponse.success(res, dashboard, 'Watchlist dashboard retrieved successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'getDashboard', 'Failed to retrieve watchlist dashboard');
+        }
+    }
+
+    /**
+     * GET /api/user/watchlists
+     */
+    async getWatchlists(req, res) {
+        try {
+            const watchlists = await watchlistService.getWatchlists(req.user.uid);
+            return ApiResponse.success(res, { watchlists }, 'Watchlists retrieved successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'getWatchlists', 'Failed to retrieve watchlists');
+        }
+    }
+
+    /**
+     * POST /api/user/watchlists
+     * Body: { name }
+     */
+    async createWatchlist(req, res) {
+        try {
+            const watchlist = await watchlistService.createWatchlist(
+                req.user.uid,
+                req.body.name,
+                auditService.actorFromRequest(req)
+            );
+            return ApiResponse.success(res, { watchlist }, 'Watchlist created successfully', 201);
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'createWatchlist', 'Failed to create watchlist');
+        }
+    }
+
+    /**
+     * PUT /api/user/watchlists/order
+     * Body: { ids } - every watchlist ID in the new order
+     */
+    async reorderWatchlists(req, res) {
+        try {
+            const watchlists = await watchlistService.reorderWatchlists(req.user.uid, req.body.ids);
+            return ApiResponse.success(res, { watchlists }, 'Watchlists reordered successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'reorderWatchlists', 'Failed to reorder watchlists');
+        }
+    }
+
+    /**
+     * GET /api/user/watchlists/:id
+     */
+    async getWatchlist(req, res) {
+        try {
+            const watchlist = await watchlistService.getWatchlist(req.user.uid, req.params.id);
+            return ApiResponse.success(res, { watchlist }, 'Watchlist retrieved successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'getWatchlist', 'Failed to retrieve watchlist');
+        }
+    }
+
+    /**
+     * PUT /api/user/watchlists/:id
+     * Body: { name }
+     */
+    async renameWatchlist(req, res) {
+        try {
+            const watchlist = await watchlistService.renameWatchlist(
+                req.user.uid,
+                req.params.id,
+                req.body.name,
+                auditService.actorFromRequest(req)
+            );
+            return ApiResponse.success(res, { watchlist }, 'Watchlist renamed successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'renameWatchlist', 'Failed to rename watchlist');
+        }
+    }
+
+    /**
+     * DELETE /api/user/watchlists/:id
+     */
+    async deleteWatchlist(req, res) {
+        try {
+            await watchlistService.deleteWatchlist(req.user.uid, req.params.id, auditService.actorFromRequest(req));
+            return ApiResponse.success(res, null, 'Watchlist deleted successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'deleteWatchlist', 'Failed to delete watchlist');
+        }
+    }
+
+    /**
+     * POST /api/user/watchlists/:id/entries
+     * Body: { companyCode, note?, tags?, price?, currency? }
+     */
+    async addEntry(req, res) {
+        try {
+            const { companyCode, note, tags, price, currency } = req.body;
+            const watchlist = await watchlistService.addEntry(
+                req.user.uid,
+                req.params.id,
+                { companyCode, note, tags, price, currency },
+                auditService.actorFromRequest(req)
+            );
+            return ApiResponse.success(res, { watchlist }, `${companyCode} added to watchlist`, 201);
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'addEntry', 'Failed to add company to watchlist');
+        }
+    }
+
+    /**
+     * PUT /api/user/watchlists/:id/entries/order
+     * Body: { companyCodes } - every company on the list in the new order
+     */
+    async reorderEntries(req, res) {
+        try {
+            const watchlist = await watchlistService.reorderEntries(req.user.uid, req.params.id, req.body.companyCodes);
+            return ApiResponse.success(res, { watchlist }, 'Watchlist reordered successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'reorderEntries', 'Failed to reorder watchlist');
+        }
+    }
+
+    /**
+     * PUT /api/user/watchlists/:id/entries/:companyCode
+     * Body: { note?, tags? }
+     */
+    async updateEntry(req, res) {
+        try {
+            const { note, tags } = req.body;
+            const watchlist = await watchlistService.updateEntry(
+                req.user.uid,
+                req.params.id,
+                req.params.companyCode,
+                { note, tags },
+                auditService.actorFromRequest(req)
+            );
+            return ApiResponse.success(res, { watchlist }, 'Watchlist entry updated successfully');
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'updateEntry', 'Failed to update watchlist entry');
+        }
+    }
+
+    /**
+     * DELETE /api/user/watchlists/:id/entries/:companyCode
+     */
+    async removeEntry(req, res) {
+        try {
+            const watchlist = await watchlistService.removeEntry(
+                req.user.uid,
+                req.params.id,
+                req.params.companyCode,
+                auditService.actorFromRequest(req)
+            );
+            return ApiResponse.success(res, { watchlist }, `${req.params.companyCode} removed from watchlist`);
+        } catch (error) {
+            return watchlistErrorResponse(res, error, 'removeEntry', 'Failed to remove company from watchlist');
+        }
+    }
+}
+
+module.exports = new WatchlistController();
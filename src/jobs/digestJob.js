@@ -0,0 +1,25 @@
+const ScheduledJob = require('./scheduledJob');
+const notificationService = require('../services/notificationService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Sends daily and weekly watchlist digests (see
+ * notificationService.sendDueDigests). Runs hourly; each user gets at most
+ * one digest per period however often it runs.
+ */
+class DigestJob extends ScheduledJob {
+    constructor() {
+        super({ name: 'digest', label: 'Digest job', intervalMs: 60 * MINUTE_MS });
+    }
+
+    /**
+     * Send digests that are due
+     * @returns {Promise<Object>} Summary per frequency
+     */
+    async execute() {
+        return notificationService.sendDueDigests();
+    }
+}
+
+module.exports = new DigestJob();
@@ -0,0 +1,25 @@
+const ScheduledJob = require('./scheduledJob');
+const feedService = require('../services/feedService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Periodically scans followed companies for new concalls, guidance and
+ * insights periods and delivers them to followers' activity feeds (see
+ * feedService.scan).
+ */
+class FeedJob extends ScheduledJob {
+    constructor() {
+        super({ name: 'feed_scan', label: 'Feed scan job', intervalMs: 30 * MINUTE_MS });
+    }
+
+    /**
+     * Scan followed companies once
+     * @returns {Promise<Object>} Scan summary
+     */
+    async execute() {
+        return feedService.scan();
+    }
+}
+
+module.exports = new FeedJob();
@@ -0,0 +1,27 @@
+const ScheduledJob = require('./scheduledJob');
+const pushService = require('../services/pushService');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Push notification upkeep: prunes expired and failing push subscriptions,
+ * then pushes subscription expiry reminders (at most one per expiry date
+ * however often it runs). Runs hourly.
+ */
+class PushJob extends ScheduledJob {
+    constructor() {
+        super({ name: 'push', label: 'Push job', intervalMs: 60 * MINUTE_MS });
+    }
+
+    /**
+     * Prune subscriptions and send due reminders
+     * @returns {Promise<Object>} { pruned, reminders }
+     */
+    async execute() {
+        const pruned = await pushService.pruneSubscriptions();
+        const reminders = await pushService.sendExpiryReminders();
+        return { pruned, reminders };
+    }
+}
+
+module.exports = new PushJob();
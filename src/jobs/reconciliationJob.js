@@ -0,0 +1,43 @@
+const ScheduledJob = require('./scheduledJob');
+const reconciliationService = require('../services/reconciliationService');
+const invoiceService = require('../services/invoiceService');
+const couponService = require('../services/couponService');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Periodically reconciles unpaid orders against Razorpay (see
+ * reconciliationService) so payments whose verify call and webhook were
+ * both lost still activate, then issues any invoices that failed to
+ * generate and records coupon redemptions that failed after fulfilment.
+ * The first run is after one interval, so a restart loop doesn't hammer
+ * the Razorpay API.
+ */
+class ReconciliationJob extends ScheduledJob {
+    constructor() {
+        super({
+            name: 'payment_reconciliation',
+            label: 'Payment reconciliation job',
+            intervalMs: 30 * MINUTE_MS,
+            runOnStart: false
+        });
+    }
+
+    /**
+     * Reconcile recent unpaid orders, then sweep for missing invoices and
+     * coupon redemptions
+     * @returns {Promise<Object>} Report, with the sweeps' summaries
+     */
+    async execute() {
+        const report = await reconciliationService.reconcileOrders();
+        if (report.discrepancies.length > 0) {
+            logger.warn(`Payment reconciliation found ${report.discrepancies.length} discrepancies:`, report.discrepancies);
+        }
+        report.invoices = await invoiceService.issueMissingInvoices();
+        report.coupons = await couponService.recordPendingRedemptions();
+        return report;
+    }
+}
+
+module.exports = new ReconciliationJob();
@@ -0,0 +1,97 @@
+const os = require('os');
+const JobLeaseModel = require('../models/JobLease');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// The lease ends this much before the next tick so the instance whose timer
+// fires first can take it
+const LEASE_SLACK_MS = 30 * 1000;
+
+/** Identifies this instance in job leases */
+const HOLDER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Base for the background jobs: an interval timer, a guard against
+ * overlapping runs in this process, and a lease (see JobLease) so that only
+ * one instance runs each interval. Subclasses implement execute().
+ */
+class ScheduledJob {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Lease name, unique per job
+     * @param {string} options.label - For logs, e.g. "Digest job"
+     * @param {number} options.intervalMs - Default interval between runs
+     * @param {boolean} [options.runOnStart] - Run as soon as the job starts
+     */
+    constructor({ name, label, intervalMs, runOnStart = true }) {
+        this.name = name;
+        this.label = label;
+        this.intervalMs = intervalMs;
+        this.runOnStart = runOnStart;
+        this.currentIntervalMs = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * The job's work
+     * @returns {Promise<*>} Summary of the run
+     */
+    async execute() {
+        throw new Error(`${this.label} does not implement execute()`);
+    }
+
+    /**
+     * Run once if no other run is in progress here and no other instance
+     * holds this interval's lease
+     * @returns {Promise<*>} execute()'s summary, or null if skipped or failed
+     */
+    async run() {
+        if (this.running) return null;
+        this.running = true;
+
+        const startedAt = new Date();
+        let leased = false;
+        let error = null;
+        try {
+            const intervalMs = this.currentIntervalMs || this.intervalMs;
+            leased = await JobLeaseModel.acquire(this.name, HOLDER, Math.max(intervalMs - LEASE_SLACK_MS, intervalMs / 2));
+            if (!leased) return null;
+            return await this.execute();
+        } catch (err) {
+            error = err;
+            logger.error(`${this.label} failed:`, err);
+            return null;
+        } finally {
+            this.running = false;
+            if (leased) {
+                await JobLeaseModel.recordRun(this.name, HOLDER, { startedAt, error: error ? error.message : null })
+                    .catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Start the timer
+     * @param {number} [intervalMs] - Interval between runs
+     */
+    start(intervalMs = this.intervalMs) {
+        if (this.timer) return;
+        this.currentIntervalMs = intervalMs;
+        if (this.runOnStart) this.run();
+        this.timer = setInterval(() => this.run(), intervalMs);
+        // Don't keep the process alive just for background jobs
+        this.timer.unref();
+        logger.info(`${this.label} scheduled every ${Math.round(intervalMs / MINUTE_MS * 10) / 10} minutes`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = ScheduledJob;
@@ -0,0 +1,57 @@
+const ScheduledJob = require('./scheduledJob');
+const UserModel = require('../models/User');
+const subscriptionEventService = require('../services/subscriptionEventService');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Auto-renewing subscriptions get this long for the renewal charge to land
+const RENEWAL_GRACE_MS = 24 * HOUR_MS;
+
+const BATCH_SIZE = 500;
+
+/**
+ * Records an `expired` ledger event for every subscription whose access has
+ * lapsed. Access itself is already time-based (expiresAt); this only makes
+ * the lapse visible in the subscription history.
+ */
+class SubscriptionExpiryJob extends ScheduledJob {
+    constructor() {
+        super({ name: 'subscription_expiry', label: 'Subscription expiry job', intervalMs: HOUR_MS });
+    }
+
+    /**
+     * Record expiries for lapsed subscriptions, one batch at a time
+     * @returns {Promise<number>} Number of expiries recorded
+     */
+    async execute() {
+        let recorded = 0;
+        for (;;) {
+            const users = await UserModel.findLapsedSubscriptions(new Date(), RENEWAL_GRACE_MS, BATCH_SIZE);
+            for (const user of users) {
+                const { subscription } = user;
+                const expiresAt = new Date(subscription.expiresAt);
+
+                await subscriptionEventService.record(subscriptionEventService.TYPES.EXPIRED, user.uid, {
+                    plan: subscription.plan,
+                    billingCycle: subscription.billingCycle,
+                    source: subscription.source,
+                    periodEnd: expiresAt,
+                    occurredAt: expiresAt,
+                    razorpaySubscriptionId: subscription.razorpaySubscriptionId || null,
+                    dedupeKey: `expired:${user.uid}:${expiresAt.toISOString()}`
+                });
+                await UserModel.markExpiryRecorded(user.uid, subscription.expiresAt);
+                recorded++;
+            }
+            if (users.length < BATCH_SIZE) break;
+        }
+
+        if (recorded > 0) {
+            logger.info(`Subscription expiry job recorded ${recorded} expiries`);
+        }
+        return recorded;
+    }
+}
+
+module.exports = new SubscriptionExpiryJob();
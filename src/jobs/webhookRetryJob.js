@@ -0,0 +1,30 @@
+const ScheduledJob = require('./scheduledJob');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Retries failed Razorpay webhook events with exponential backoff (see
+ * webhookService). Events that keep failing end up dead-lettered for an
+ * admin to replay.
+ */
+class WebhookRetryJob extends ScheduledJob {
+    constructor() {
+        super({ name: 'webhook_retry', label: 'Webhook retry job', intervalMs: MINUTE_MS });
+    }
+
+    /**
+     * Retry the failed events that are due
+     * @returns {Promise<number>} Number of events retried
+     */
+    async execute() {
+        const retried = await webhookService.retryDue();
+        if (retried > 0) {
+            logger.info(`Webhook retry job retried ${retried} events`);
+        }
+        return retried;
+    }
+}
+
+module.exports = new WebhookRetryJob();
@@ -1,5 +1,6 @@
 const authService = require('../services/authService');
 const ApiResponse = require('../utils/responses');
+const userService = require('../services/userService');
 const logger = require('../utils/logger');
 
 /**
@@ -26,7 +27,9 @@ const authenticateToken = async (req, res, next) => {
             email: userData.email || '',
             name: userData.name || userData.displayName || '',
             displayName: userData.displayName || userData.name || '',
-            emailVerified: userData.emailVerified || false
+            emailVerified: userData.emailVerified || false,
+            role: userData.role,
+            authTime: userData.authTime
         };
 
         // Validate required user data
@@ -101,7 +104,8 @@ const optionalAuth = async (req, res, next) => {
             email: userData.email || '',
             name: userData.name || userData.displayName || '',
             displayName: userData.displayName || userData.name || '',
-            emailVerified: userData.emailVerified || false
+            emailVerified: userData.emailVerified || false,
+            role: userData.role
         };
 
         logger.info(`User optionally authenticated: ${userData.uid}`);
@@ -113,7 +117,35 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+/**
+ * Restrict a route to users with one of the given roles. The token's role
+ * claim rejects most requests without a database read; the role stored on
+ * the user is then checked, so a revoked role can't ride on an old token.
+ * Must run after authenticateToken.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const requireRole = (...roles) => async (req, res, next) => {
+    try {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return ApiResponse.forbidden(res, 'Insufficient permissions');
+        }
+
+        const user = await userService.getUserByUid(req.user.uid);
+        if (!user || !roles.includes(user.role) || user.isActive === false) {
+            logger.warn(`Role check failed for user ${req.user.uid}: token role ${req.user.role}, stored role ${user?.role}`);
+            return ApiResponse.forbidden(res, 'Insufficient permissions');
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Role check failed:', error);
+        return ApiResponse.error(res, 'Failed to verify permissions', 500);
+    }
+};
+
 module.exports = {
     authenticateToken,
-    optionalAuth
+    optionalAuth,
+    requireRole
 };
\ No newline at end of file
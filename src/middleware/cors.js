@@ -44,12 +44,13 @@ const corsOptions = {
         'Content-Type',
         'Authorization',
         'X-Requested-With',
+        'X-Request-Id',
         'Accept',
         'Origin',
         'Access-Control-Request-Method',
         'Access-Control-Request-Headers'
     ],
-    exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+    exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'X-Request-Id'],
     preflightContinue: false
 };
 
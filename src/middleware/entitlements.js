@@ -0,0 +1,41 @@
+const entitlementService = require('../services/entitlementService');
+const ApiResponse = require('../utils/responses');
+
+/**
+ * Load the caller's entitlements into req.entitlements (array of names).
+ * Anonymous requests get an empty list. Must run after optionalAuth or
+ * authenticateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const loadEntitlements = async (req, res, next) => {
+    req.entitlements = req.user && req.user.uid
+        ? await entitlementService.getEntitlements(req.user.uid)
+        : [];
+    next();
+};
+
+/**
+ * Require a named entitlement, loading req.entitlements if an earlier
+ * middleware hasn't. Responds 403 with code ENTITLEMENT_REQUIRED otherwise.
+ * @param {string} entitlement - Entitlement name (e.g. 'insights')
+ * @param {string} [message] - Message for the 403 response
+ * @returns {Function} Express middleware
+ */
+const requireEntitlement = (entitlement, message = 'Premium subscription required') => {
+    return async (req, res, next) => {
+        if (!req.entitlements) {
+            await loadEntitlements(req, res, () => {});
+        }
+        if (!req.entitlements.includes(entitlement)) {
+            return ApiResponse.entitlementRequired(res, message, entitlement);
+        }
+        next();
+    };
+};
+
+module.exports = {
+    loadEntitlements,
+    requireEntitlement
+};
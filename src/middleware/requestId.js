@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Accept a caller's ID only if it looks like one (no log or header injection)
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give every request an ID: the incoming X-Request-Id if valid, else a new
+ * UUID. Available as req.id and echoed in the X-Request-Id response header,
+ * so a client report can be matched to logs and audit entries.
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,98 @@
+const companyService = require('../services/companyService');
+const usageService = require('../services/usageService');
+const logger = require('../utils/logger');
+
+/**
+ * Build a locked section descriptor. Same shape as the USAGE_LIMIT_REACHED
+ * error body, so the frontend renders one upgrade prompt for both.
+ */
+const locked = (code, message, usage = null) => ({ allowed: false, code, message, usage });
+
+/**
+ * Metering middleware for GET /api/company/:id
+ *
+ * Decides which sections of the company response the caller may see and
+ * consumes plan quota server-side, so limits can't be bypassed by skipping
+ * the POST /api/user/usage/* tracking calls. Sets req.usageGate, which the
+ * controller applies with companyService.applyUsageGate():
+ *   - guidance: viewing a company with guidance tables consumes one guidance view
+ *   - concalls: free users get previews; full summaries come from
+ *     GET /api/company/:id/concalls/:concallId (metered per concall), except
+ *     concalls already viewed this month
+ * Must run after optionalAuth or authenticateToken, and after loadEntitlements
+ * when req.entitlements should be reused.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const meterCompanyDetail = async (req, res, next) => {
+    const { id } = req.params;
+
+    try {
+        if (!req.user || !req.user.uid) {
+            const message = 'Sign in to view management guidance and concall summaries.';
+            req.usageGate = {
+                guidance: locked('LOGIN_REQUIRED', message),
+                concalls: locked('LOGIN_REQUIRED', message)
+            };
+            return next();
+        }
+
+        const userId = req.user.uid;
+        const limits = await usageService.getLimits(userId, req.entitlements);
+        if (limits.guidance === null && limits.concalls === null) {
+            req.usageGate = { guidance: { allowed: true }, concalls: { allowed: true } };
+            return next();
+        }
+
+        // Unknown company — let the controller return 404 without consuming quota
+        const company = await companyService.getCompanyById(id);
+        if (!company) {
+            return next();
+        }
+
+        let guidance = { allowed: true };
+        if (limits.guidance !== null && companyService.hasGuidance(company)) {
+            try {
+                await usageService.trackGuidanceView(userId, id, req.entitlements);
+            } catch (error) {
+                if (error.code !== 'USAGE_LIMIT_REACHED') throw error;
+                guidance = locked(error.code, error.message, error.usage);
+            }
+        }
+
+        if (limits.concalls === null) {
+            req.usageGate = { guidance, concalls: { allowed: true } };
+            return next();
+        }
+
+        const usage = await usageService.getUsage(userId);
+        const concallLimitReached = usage.concalls.length >= limits.concalls;
+        const concalls = {
+            ...locked(
+                concallLimitReached ? 'USAGE_LIMIT_REACHED' : 'METERED',
+                concallLimitReached
+                    ? 'Free plan limit reached. Upgrade to Premium for unlimited conference call summaries.'
+                    : 'Open a concall to view its summary. Free plan includes a limited number per month.',
+                { type: 'concalls', used: usage.concalls.length, limit: limits.concalls }
+            ),
+            unlocked: usage.concalls
+        };
+
+        req.usageGate = { guidance, concalls };
+        next();
+    } catch (error) {
+        // Fail closed — a metering error must not hand out gated content
+        logger.error(`Usage metering failed for company ${id}:`, error);
+        const message = 'Guidance and concall summaries are temporarily unavailable.';
+        req.usageGate = {
+            guidance: locked('METERING_UNAVAILABLE', message),
+            concalls: locked('METERING_UNAVAILABLE', message)
+        };
+        next();
+    }
+};
+
+module.exports = {
+    meterCompanyDetail
+};
@@ -0,0 +1,137 @@
+const mongodb = require('../config/mongodb');
+const { auditConfig } = require('../config/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Record of sensitive actions: who did what to which target, with the
+ * state before and after. Entries are never updated; they expire after
+ * auditConfig.retentionDays.
+ */
+class AuditLog {
+  constructor() {
+    this.collectionName = 'audit_log';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async create(entry) {
+    const collection = this.getCollection();
+    const doc = {
+      actor: entry.actor || null,          // { uid, email, role } or { system } for automated changes
+      action: entry.action,                // e.g. 'user.subscription_granted'
+      target: entry.target || null,        // { type, id }
+      before: entry.before ?? null,
+      after: entry.after ?? null,
+      diff: entry.diff || [],              // [{ path, from, to }]
+      details: entry.details || {},
+      ip: entry.ip || null,
+      userAgent: entry.userAgent || null,
+      requestId: entry.requestId || null,
+      createdAt: new Date()
+    };
+    const result = await collection.insertOne(doc);
+    return { _id: result.insertedId, ...doc };
+  }
+
+  async findByTarget(type, id, limit = 20) {
+    const collection = this.getCollection();
+    return collection
+      .find({ 'target.type': type, 'target.id': id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Query entries, newest first
+   * @param {Object} filters - { actorUid, action, targetType, targetId, requestId, from, to };
+   *   an action ending in '.*' matches the prefix (e.g. 'refund.*')
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async find(filters = {}, limit = 50, skip = 0) {
+    const collection = this.getCollection();
+    const filter = {};
+
+    if (filters.actorUid) filter['actor.uid'] = filters.actorUid;
+    if (filters.action) {
+      filter.action = filters.action.endsWith('.*')
+        ? { $regex: `^${filters.action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : filters.action;
+    }
+    if (filters.targetType) filter['target.type'] = filters.targetType;
+    if (filters.targetId) filter['target.id'] = filters.targetId;
+    if (filters.requestId) filter.requestId = filters.requestId;
+    if (filters.from || filters.to) {
+      filter.createdAt = {};
+      if (filters.from) filter.createdAt.$gte = filters.from;
+      if (filters.to) filter.createdAt.$lt = filters.to;
+    }
+
+    const [entries, total] = await Promise.all([
+      collection.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(filter)
+    ]);
+    return { entries, total };
+  }
+
+  /**
+   * Entries about a user or made by them, newest first
+   */
+  async findForUser(uid, limit = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({ $or: [{ 'target.type': 'user', 'target.id': uid }, { 'actor.uid': uid }] })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Detach a deleted account's entries: the actor and target are replaced
+   * with the pseudonym and the recorded states (which may hold profile
+   * data) are dropped. What was done, and when, is kept.
+   */
+  async pseudonymizeUser(uid, pseudonym) {
+    const collection = this.getCollection();
+    const targeted = await collection.updateMany(
+      { 'target.type': 'user', 'target.id': uid },
+      { $set: { 'target.id': pseudonym, before: null, after: null, diff: [] } }
+    );
+    const acted = await collection.updateMany(
+      { 'actor.uid': uid },
+      { $set: { 'actor.uid': pseudonym, 'actor.email': null, ip: null, userAgent: null } }
+    );
+    const mentioned = await collection.updateMany(
+      { 'details.userId': uid },
+      { $set: { 'details.userId': pseudonym } }
+    );
+    return targeted.modifiedCount + acted.modifiedCount + mentioned.modifiedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+    await collection.createIndex({ 'actor.uid': 1, createdAt: -1 });
+    await collection.createIndex({ action: 1, createdAt: -1 });
+    await collection.createIndex({ requestId: 1 });
+
+    // Retention: entries expire retentionDays after they're written
+    const expireAfterSeconds = auditConfig.retentionDays * 24 * 60 * 60;
+    try {
+      await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds });
+    } catch (error) {
+      // Retention changed since the index was created
+      if (error.code !== 85) throw error;
+      await mongodb.getDb().command({
+        collMod: this.collectionName,
+        index: { keyPattern: { createdAt: 1 }, expireAfterSeconds }
+      });
+    }
+    logger.info('AuditLog collection indexes created');
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,49 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * Last-seen state of each followed company's Firestore document, used by
+ * the feed scanner to detect what changed between runs. Only the parts the
+ * feed reports on are kept, not the document itself.
+ */
+class CompanySnapshot {
+  constructor() {
+    this.collectionName = 'company_snapshots';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async findByCompanyCodes(companyCodes) {
+    const collection = this.getCollection();
+    return collection.find({ companyCode: { $in: companyCodes } }).toArray();
+  }
+
+  /**
+   * Store the current state of a company
+   * @param {string} companyCode - Company code
+   * @param {Object} state - { concalls: [{ concallId, quarter, hasGuidance }], insightsPeriods: { [tab]: label } }
+   */
+  async save(companyCode, state) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.updateOne(
+      { companyCode },
+      {
+        $set: { concalls: state.concalls, insightsPeriods: state.insightsPeriods, updatedAt: now },
+        $setOnInsert: { companyCode, createdAt: now }
+      },
+      { upsert: true }
+    );
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ companyCode: 1 }, { unique: true });
+    logger.info('CompanySnapshot collection indexes created');
+  }
+}
+
+module.exports = new CompanySnapshot();
@@ -0,0 +1,76 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+class Coupon {
+  constructor() {
+    this.collectionName = 'coupons';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async create(couponData) {
+    try {
+      const collection = this.getCollection();
+      const doc = {
+        code: couponData.code,                       // stored upper-case
+        description: couponData.description || null,
+        type: couponData.type,                       // percent | flat
+        value: couponData.value,                     // percent off, or rupees off
+        maxDiscount: couponData.maxDiscount ?? null, // cap for percent coupons, in rupees
+        plans: couponData.plans || [],               // [] = any plan
+        billingCycles: couponData.billingCycles || [], // [] = any billing cycle
+        validFrom: couponData.validFrom || null,
+        expiresAt: couponData.expiresAt || null,
+        maxRedemptions: couponData.maxRedemptions ?? null, // null = unlimited
+        perUserLimit: couponData.perUserLimit ?? 1,        // null = unlimited
+        redemptionCount: 0,
+        isActive: couponData.isActive !== false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      const result = await collection.insertOne(doc);
+      logger.info(`Coupon saved to DB: ${doc.code}`);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      logger.error('Error saving coupon to DB:', error);
+      throw error;
+    }
+  }
+
+  async findByCode(code) {
+    const collection = this.getCollection();
+    return collection.findOne({ code });
+  }
+
+  /**
+   * Count a paid redemption if the coupon isn't fully redeemed. The cap is
+   * part of the update filter, so concurrent fulfilments can't overshoot it.
+   * @returns {Promise<boolean>} false if maxRedemptions has been reached
+   */
+  async claimRedemption(code) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      {
+        code,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ code: 1 }, { unique: true });
+    await collection.createIndex({ isActive: 1, expiresAt: 1 });
+    logger.info('Coupon collection indexes created');
+  }
+}
+
+module.exports = new Coupon();
@@ -0,0 +1,91 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * How many times each user has redeemed each coupon, and for which orders.
+ * One row per (code, userId); the unique index lets claim() enforce
+ * perUserLimit atomically across concurrent fulfilments.
+ */
+class CouponRedemption {
+  constructor() {
+    this.collectionName = 'coupon_redemptions';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Take one of a user's uses of a coupon for an order. Idempotent per
+   * order: a retried redemption finds its use already taken.
+   * @param {string} code - Coupon code
+   * @param {string} userId - User ID
+   * @param {number} limit - The coupon's perUserLimit
+   * @param {string} orderId - Razorpay order ID the use is for
+   * @returns {Promise<boolean>} false if the user has reached the limit
+   */
+  async claim(code, userId, limit, orderId) {
+    // The upsert below would insert a first use regardless of the limit
+    if (limit <= 0) return false;
+
+    const collection = this.getCollection();
+    const now = new Date();
+
+    // A duplicate key means the row exists with count >= limit or already
+    // holds this order — or that a concurrent first claim inserted it, so
+    // try once more against that row
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await collection.updateOne(
+          { code, userId, count: { $lt: limit }, orderIds: { $ne: orderId } },
+          {
+            $inc: { count: 1 },
+            $push: { orderIds: orderId },
+            $set: { updatedAt: now },
+            $setOnInsert: { createdAt: now }
+          },
+          { upsert: true }
+        );
+        return true;
+      } catch (error) {
+        if (error.code !== 11000) {
+          logger.error('Error claiming coupon redemption:', error);
+          throw error;
+        }
+      }
+    }
+    const held = await collection.countDocuments({ code, userId, orderIds: orderId }, { limit: 1 });
+    return held > 0;
+  }
+
+  /** Give back the use claim() took for an order */
+  async release(code, userId, orderId) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { code, userId, orderIds: orderId },
+      { $inc: { count: -1 }, $pull: { orderIds: orderId }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Detach redemptions from a deleted account
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ code: 1, userId: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1 });
+    logger.info('CouponRedemption collection indexes created');
+  }
+}
+
+module.exports = new CouponRedemption();
@@ -0,0 +1,121 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * One activity feed entry for one user (fanned out when a company event is
+ * detected). `eventKey` identifies the company event, so a re-run of the
+ * scanner can't deliver it twice.
+ */
+class FeedItem {
+  constructor() {
+    this.collectionName = 'feed_items';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Deliver one company event to several users. Users who already have it
+   * are skipped.
+   * @param {string[]} userIds - Recipients
+   * @param {Object} event - { eventKey, companyCode, companyName, type, title, details, occurredAt }
+   * @returns {Promise<number>} Items inserted
+   */
+  async fanOut(userIds, event) {
+    if (userIds.length === 0) return 0;
+    const collection = this.getCollection();
+    const now = new Date();
+    const docs = userIds.map(userId => ({
+      userId,
+      eventKey: event.eventKey,
+      companyCode: event.companyCode,
+      companyName: event.companyName || null,
+      type: event.type,
+      title: event.title,
+      details: event.details || {},
+      occurredAt: event.occurredAt || now,
+      readAt: null,
+      createdAt: now
+    }));
+
+    try {
+      const result = await collection.insertMany(docs, { ordered: false });
+      return result.insertedCount;
+    } catch (error) {
+      // Duplicate deliveries are expected on re-runs; anything else is not
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === 11000)) {
+        return error.result?.insertedCount ?? 0;
+      }
+      logger.error('Error fanning out feed items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A page of a user's feed, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {string} [options.before] - Cursor: return items older than this item ID
+   * @param {number} [options.limit]
+   * @param {boolean} [options.unreadOnly]
+   */
+  async findByUserId(userId, { before = null, limit = 20, unreadOnly = false } = {}) {
+    const collection = this.getCollection();
+    const filter = { userId };
+    if (before) filter._id = { $lt: new ObjectId(before) };
+    if (unreadOnly) filter.readAt = null;
+    return collection.find(filter).sort({ _id: -1 }).limit(limit).toArray();
+  }
+
+  /** Items delivered after `since`, newest first */
+  async findSince(userId, since, limit = 20) {
+    const collection = this.getCollection();
+    return collection
+      .find({ userId, createdAt: { $gt: since } })
+      .sort({ _id: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  async countSince(userId, since) {
+    const collection = this.getCollection();
+    return collection.countDocuments({ userId, createdAt: { $gt: since } });
+  }
+
+  async countUnread(userId) {
+    const collection = this.getCollection();
+    return collection.countDocuments({ userId, readAt: null });
+  }
+
+  /**
+   * Mark items read. Without ids, marks the whole feed read.
+   * @returns {Promise<number>} Items newly marked read
+   */
+  async markRead(userId, ids = null) {
+    const collection = this.getCollection();
+    const filter = { userId, readAt: null };
+    if (ids) filter._id = { $in: ids.map(id => new ObjectId(id)) };
+    const result = await collection.updateMany(filter, { $set: { readAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  async deleteByUserId(userId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ userId: 1, eventKey: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1, _id: -1 });
+    await collection.createIndex({ userId: 1, readAt: 1 });
+    logger.info('FeedItem collection indexes created');
+  }
+}
+
+module.exports = new FeedItem();
@@ -0,0 +1,179 @@
+const mongodb = require('../config/mongodb');
+const { ObjectId } = require('mongodb');
+const logger = require('../utils/logger');
+
+class Invoice {
+  constructor() {
+    this.collectionName = 'invoices';
+    this.counterCollectionName = 'counters';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Next sequence number for a financial year ("2026-27"). Atomic, so
+   * concurrent payments never share a number.
+   */
+  async nextSequence(financialYear) {
+    const counters = mongodb.getDb().collection(this.counterCollectionName);
+    const result = await counters.findOneAndUpdate(
+      { _id: `invoice:${financialYear}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value.seq;
+  }
+
+  /**
+   * Claim the invoice slot for a payment, without a number yet. Numbers are
+   * only drawn for a slot that exists (see assignNumber), so losing a race
+   * or failing to save can't burn one and leave a gap in the series.
+   * @param {Object} invoiceData - Invoice without invoiceNumber
+   * @returns {Promise<{ invoice: Object, created: boolean }>} created is
+   *   false if the payment already had a slot (which is returned instead)
+   */
+  async claim(invoiceData) {
+    const collection = this.getCollection();
+    const now = new Date();
+    try {
+      const result = await collection.findOneAndUpdate(
+        { razorpayPaymentId: invoiceData.razorpayPaymentId },
+        {
+          $setOnInsert: {
+            ...invoiceData,
+            invoiceNumber: null,
+            // The creator numbers the slot; see claimNumbering()
+            numberingAt: now,
+            createdAt: now,
+            updatedAt: now
+          }
+        },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      );
+      return { invoice: result.value, created: !result.lastErrorObject?.updatedExisting };
+    } catch (error) {
+      // Concurrent first claims: the other one inserted it
+      if (error.code === 11000) {
+        return { invoice: await this.findByRazorpayPaymentId(invoiceData.razorpayPaymentId), created: false };
+      }
+      logger.error('Error claiming invoice slot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take over numbering a slot whose numbering never finished (the process
+   * died between claim and assignNumber)
+   * @param {Date} staleBefore - Numbering started before this is abandoned
+   * @returns {Promise<boolean>}
+   */
+  async claimNumbering(id, staleBefore) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: id, invoiceNumber: null, numberingAt: { $lte: staleBefore } },
+      { $set: { numberingAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Give a claimed slot its number
+   * @returns {Promise<Object|null>} The numbered invoice, or null if it already had a number
+   */
+  async assignNumber(id, invoiceNumber) {
+    const collection = this.getCollection();
+    const result = await collection.findOneAndUpdate(
+      { _id: id, invoiceNumber: null },
+      { $set: { invoiceNumber, updatedAt: new Date() }, $unset: { numberingAt: '' } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    if (result.value) {
+      logger.info(`Invoice saved to DB: ${invoiceNumber}`);
+    }
+    return result.value;
+  }
+
+  /** Slots whose numbering started before `staleBefore` and never finished */
+  async findUnnumbered(staleBefore, limit = 100) {
+    const collection = this.getCollection();
+    return collection
+      .find({ invoiceNumber: null, numberingAt: { $lte: staleBefore } })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  async findByRazorpayPaymentId(razorpayPaymentId) {
+    const collection = this.getCollection();
+    return collection.findOne({ razorpayPaymentId });
+  }
+
+  async findByIdForUser(id, userId) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    return collection.findOne({ _id: new ObjectId(id), userId, invoiceNumber: { $ne: null } });
+  }
+
+  async findByUserId(userId, limit = 20, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({ userId, invoiceNumber: { $ne: null } })
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Detach invoices from a deleted account. Invoices must be retained under
+   * GST rules: B2B invoices keep the buyer's legal name, GSTIN and address;
+   * B2C invoices keep only the buyer's state (place of supply). The buyer's
+   * email is removed from both.
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const b2b = await collection.updateMany(
+      { userId, invoiceType: 'B2B' },
+      { $set: { userId: pseudonym, 'buyer.email': null, pseudonymizedAt: now } }
+    );
+    const b2c = await collection.updateMany(
+      { userId },
+      {
+        $set: {
+          userId: pseudonym,
+          'buyer.name': null,
+          'buyer.email': null,
+          'buyer.address': null,
+          pseudonymizedAt: now
+        }
+      }
+    );
+    return b2b.modifiedCount + b2c.modifiedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    // Unnumbered slots (invoiceNumber null) don't count towards uniqueness
+    const numberIndex = { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } };
+    try {
+      await collection.createIndex({ invoiceNumber: 1 }, numberIndex);
+    } catch (error) {
+      // IndexOptionsConflict: the older index without the partial filter
+      if (error.code !== 85) throw error;
+      await collection.dropIndex('invoiceNumber_1');
+      await collection.createIndex({ invoiceNumber: 1 }, numberIndex);
+    }
+    // One invoice per payment — makes generation idempotent across verify/webhook
+    await collection.createIndex({ razorpayPaymentId: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1, issuedAt: -1 });
+    // Only unnumbered slots have numberingAt
+    await collection.createIndex({ numberingAt: 1 }, { sparse: true });
+    logger.info('Invoice collection indexes created');
+  }
+}
+
+module.exports = new Invoice();
@@ -0,0 +1,55 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * One row per background job (_id = job name). Every app instance runs the
+ * job timers; only the instance holding the unexpired lease runs the job,
+ * so a job runs about once per interval however many instances are up.
+ */
+class JobLease {
+  constructor() {
+    this.collectionName = 'job_leases';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Take the lease if nobody holds it
+   * @param {string} name - Job name
+   * @param {string} holder - Identifies this instance
+   * @param {number} durationMs - How long the lease is held
+   * @returns {Promise<boolean>}
+   */
+  async acquire(name, holder, durationMs) {
+    const collection = this.getCollection();
+    const now = new Date();
+    try {
+      const result = await collection.updateOne(
+        { _id: name, expiresAt: { $lte: now } },
+        { $set: { holder, acquiredAt: now, expiresAt: new Date(now.getTime() + durationMs) } },
+        { upsert: true }
+      );
+      return result.modifiedCount > 0 || result.upsertedCount > 0;
+    } catch (error) {
+      // The row exists and its lease hasn't expired
+      if (error.code === 11000) return false;
+      logger.error(`Error acquiring lease for job ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /** Record how the holder's run went (the lease is kept until it expires) */
+  async recordRun(name, holder, { startedAt, error = null }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.updateOne(
+      { _id: name, holder },
+      { $set: { lastStartedAt: startedAt, lastFinishedAt: now, lastDurationMs: now - startedAt, lastError: error } }
+    );
+  }
+}
+
+module.exports = new JobLease();
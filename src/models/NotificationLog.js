@@ -0,0 +1,114 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * One row per notification per user per period (e.g. the weekly digest for
+ * 2026-W42). Claiming the row before sending makes delivery at-most-once
+ * across overlapping job runs and app instances; a failed send can be
+ * claimed again up to MAX_ATTEMPTS times.
+ */
+class NotificationLog {
+  constructor() {
+    this.collectionName = 'notification_log';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Claim a notification for sending
+   * @returns {Promise<Object|null>} The claimed row, or null if it was
+   *   already sent, is being sent, or has failed too often
+   */
+  async claim({ userId, kind, periodKey, channel = 'email' }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const doc = {
+      userId,
+      kind,
+      periodKey,
+      channel,
+      status: 'sending',
+      attempts: 1,
+      itemCount: 0,
+      messageId: null,
+      error: null,
+      sentAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      const result = await collection.insertOne(doc);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error('Error claiming notification:', error);
+        throw error;
+      }
+    }
+
+    const result = await collection.findOneAndUpdate(
+      { userId, kind, periodKey, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+      { $set: { status: 'sending', updatedAt: now }, $inc: { attempts: 1 } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  async markSent(id, { messageId, itemCount }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.updateOne(
+      { _id: id },
+      { $set: { status: 'sent', messageId, itemCount, error: null, sentAt: now, updatedAt: now } }
+    );
+  }
+
+  /** Nothing to send this period (no updates, no reminder) */
+  async markSkipped(id) {
+    const collection = this.getCollection();
+    await collection.updateOne({ _id: id }, { $set: { status: 'skipped', updatedAt: new Date() } });
+  }
+
+  async markFailed(id, errorMessage) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { _id: id },
+      { $set: { status: 'failed', error: errorMessage, updatedAt: new Date() } }
+    );
+  }
+
+  /** When the user was last sent this kind of notification */
+  async findLastSent(userId, kind) {
+    const collection = this.getCollection();
+    return collection.findOne(
+      { userId, kind, status: 'sent' },
+      { sort: { sentAt: -1 } }
+    );
+  }
+
+  async findByUserId(userId, limit = 50) {
+    const collection = this.getCollection();
+    return collection.find({ userId }).sort({ createdAt: -1 }).limit(limit).toArray();
+  }
+
+  async deleteByUserId(userId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ userId: 1, kind: 1, periodKey: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1, kind: 1, sentAt: -1 });
+    logger.info('NotificationLog collection indexes created');
+  }
+}
+
+module.exports = new NotificationLog();
@@ -23,6 +23,11 @@ class Order {
         receipt: orderData.receipt,
         status: orderData.status || 'created', // created | attempted | paid
         notes: orderData.notes || {},
+        // { code, originalAmount, discount, countedAt, redeemedAt } when a coupon was applied
+        coupon: orderData.coupon || null,
+        // Quote from planChangeService when the order pays for a plan switch
+        planChange: orderData.planChange || null,
+        fulfilledAt: null,
         attempts: orderData.attempts || 0,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -51,6 +56,130 @@ class Order {
     return result.value;
   }
 
+  /**
+   * Claim an order for fulfilment (subscription activation, coupon
+   * redemption). Only the first caller gets true — the verify endpoint and
+   * the payment.captured webhook both try, and exactly one must win.
+   */
+  async claimFulfilment(razorpayOrderId) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const result = await collection.updateOne(
+      { razorpayOrderId, fulfilledAt: null },
+      { $set: { fulfilledAt: now, updatedAt: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Undo a claim whose fulfilment failed, so a retry can pick it up
+   */
+  async releaseFulfilment(razorpayOrderId) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { razorpayOrderId },
+      { $set: { fulfilledAt: null, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Take the order's one count against its coupon's maxRedemptions. Only the
+   * first caller gets true, so a retried redemption never counts twice.
+   */
+  async claimCouponCount(razorpayOrderId) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { razorpayOrderId, 'coupon.code': { $exists: true }, 'coupon.countedAt': null },
+      { $set: { 'coupon.countedAt': new Date(), updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /** Undo a claimCouponCount() whose counter update failed */
+  async releaseCouponCount(razorpayOrderId) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { razorpayOrderId },
+      { $set: { 'coupon.countedAt': null, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Mark the order's coupon redeemed once its claims are recorded. Only the
+   * first caller gets true.
+   */
+  async markCouponRedeemed(razorpayOrderId) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { razorpayOrderId, 'coupon.code': { $exists: true }, 'coupon.redeemedAt': null },
+      { $set: { 'coupon.redeemedAt': new Date(), updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Fulfilled orders since `since` whose coupon redemption never completed
+   * (it failed after activation) — retried by couponService
+   */
+  async findUnredeemedCoupons(since, limit = 200) {
+    const collection = this.getCollection();
+    return collection
+      .find({
+        'coupon.code': { $exists: true },
+        'coupon.redeemedAt': null,
+        'coupon.overLimit': null,
+        fulfilledAt: { $gte: since }
+      })
+      .sort({ fulfilledAt: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Flag an order that was paid with a coupon over its redemption limits
+   * (the checks at order creation raced with other checkouts)
+   * @param {string} reason - max_redemptions | per_user_limit
+   */
+  async flagCouponOverLimit(razorpayOrderId, reason) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { razorpayOrderId },
+      { $set: { 'coupon.overLimit': reason, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Count a user's uses of a coupon: fulfilled orders, plus unpaid orders
+   * created since `pendingSince` (checkout may still complete)
+   */
+  async countCouponUses(userId, code, pendingSince) {
+    const collection = this.getCollection();
+    return collection.countDocuments({
+      userId,
+      'coupon.code': code,
+      $or: [
+        { fulfilledAt: { $ne: null } },
+        { createdAt: { $gte: pendingSince } }
+      ]
+    });
+  }
+
+  /**
+   * Orders never marked paid, created within [createdAfter, createdBefore],
+   * oldest first — candidates for payment reconciliation
+   */
+  async findUnpaid({ createdAfter, createdBefore, limit = 200 }) {
+    const collection = this.getCollection();
+    return collection
+      .find({
+        status: { $in: ['created', 'attempted'] },
+        createdAt: { $gte: createdAfter, $lte: createdBefore }
+      })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
   async findByUserId(userId, limit = 20, skip = 0) {
     const collection = this.getCollection();
     return collection
@@ -61,11 +190,24 @@ class Order {
       .toArray();
   }
 
+  /**
+   * Detach orders from a deleted account (kept for accounting)
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
   async createIndexes() {
     const collection = this.getCollection();
     await collection.createIndex({ razorpayOrderId: 1 }, { unique: true });
     await collection.createIndex({ userId: 1 });
-    await collection.createIndex({ status: 1 });
+    await collection.createIndex({ userId: 1, 'coupon.code': 1 }, { sparse: true });
+    await collection.createIndex({ status: 1, createdAt: 1 });
     await collection.createIndex({ createdAt: -1 });
     logger.info('Order collection indexes created');
   }
@@ -16,11 +16,13 @@ class Payment {
       const collection = this.getCollection();
       const doc = {
         razorpayPaymentId: paymentData.razorpayPaymentId,
-        razorpayOrderId: paymentData.razorpayOrderId,
+        razorpayOrderId: paymentData.razorpayOrderId || null,
+        razorpaySubscriptionId: paymentData.razorpaySubscriptionId || null, // recurring charges only
+        razorpayInvoiceId: paymentData.razorpayInvoiceId || null,
         userId: paymentData.userId,
         amount: paymentData.amount,       // in paise (as Razorpay returns)
         currency: paymentData.currency || 'INR',
-        status: paymentData.status || 'authorized', // authorized | captured | failed | refunded
+        status: paymentData.status || 'authorized', // authorized | captured | failed | partially_refunded | refunded
         method: paymentData.method || null,          // card | upi | netbanking | wallet
         email: paymentData.email || null,
         contact: paymentData.contact || null,
@@ -65,10 +67,49 @@ class Payment {
       .toArray();
   }
 
+  /**
+   * Successful payments created since `since` that have no invoice (slot
+   * or issued), oldest first
+   */
+  async findWithoutInvoice(since, limit = 100) {
+    const collection = this.getCollection();
+    return collection
+      .aggregate([
+        { $match: { createdAt: { $gte: since }, status: { $nin: ['created', 'failed'] } } },
+        { $sort: { createdAt: 1 } },
+        {
+          $lookup: {
+            from: 'invoices',
+            localField: 'razorpayPaymentId',
+            foreignField: 'razorpayPaymentId',
+            as: 'invoice'
+          }
+        },
+        { $match: { invoice: { $size: 0 } } },
+        { $project: { invoice: 0 } },
+        { $limit: limit }
+      ])
+      .toArray();
+  }
+
+  /**
+   * Detach payments from a deleted account. Payment records are kept for
+   * accounting; the payer's contact details are removed.
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, email: null, contact: null, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
   async createIndexes() {
     const collection = this.getCollection();
     await collection.createIndex({ razorpayPaymentId: 1 }, { unique: true });
     await collection.createIndex({ razorpayOrderId: 1 });
+    await collection.createIndex({ razorpaySubscriptionId: 1 }, { sparse: true });
     await collection.createIndex({ userId: 1 });
     await collection.createIndex({ status: 1 });
     await collection.createIndex({ createdAt: -1 });
@@ -0,0 +1,75 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+class Plan {
+  constructor() {
+    this.collectionName = 'plans';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async findAll({ includeInactive = false } = {}) {
+    const collection = this.getCollection();
+    const filter = includeInactive ? {} : { isActive: true };
+    return collection.find(filter).sort({ sortOrder: 1 }).toArray();
+  }
+
+  async findByCode(code) {
+    const collection = this.getCollection();
+    return collection.findOne({ code });
+  }
+
+  /**
+   * Insert a plan if no plan with the same code exists. Never overwrites —
+   * prices edited in the database win over the defaults in config/plans.js.
+   */
+  async insertIfMissing(planData) {
+    try {
+      const collection = this.getCollection();
+      const now = new Date();
+      const result = await collection.updateOne(
+        { code: planData.code },
+        { $setOnInsert: { ...planData, createdAt: now, updatedAt: now } },
+        { upsert: true }
+      );
+      if (result.upsertedCount > 0) {
+        logger.info(`Plan seeded: ${planData.code}`);
+      }
+      return result.upsertedCount > 0;
+    } catch (error) {
+      logger.error('Error seeding plan:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember the Razorpay plan backing a billing cycle, with the price it was
+   * created at so a price change in the catalog gets a fresh Razorpay plan.
+   */
+  async setRazorpayPlan(code, billingCycle, razorpayPlanId, price) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { code },
+      {
+        $set: {
+          [`billingCycles.${billingCycle}.razorpayPlanId`]: razorpayPlanId,
+          [`billingCycles.${billingCycle}.razorpayPlanPrice`]: price,
+          updatedAt: new Date()
+        }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ code: 1 }, { unique: true });
+    await collection.createIndex({ isActive: 1, sortOrder: 1 });
+    logger.info('Plan collection indexes created');
+  }
+}
+
+module.exports = new Plan();
@@ -0,0 +1,138 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * A browser's Web Push subscription — one per device/browser profile. The
+ * endpoint identifies the browser, so registering it again (even after
+ * signing in as someone else) updates the existing row.
+ */
+class PushSubscription {
+  constructor() {
+    this.collectionName = 'push_subscriptions';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Register or refresh a subscription
+   * @param {string} userId - User ID
+   * @param {Object} subscription - { endpoint, expirationTime, keys: { p256dh, auth } }
+   * @param {Object} [device] - { deviceName, userAgent }
+   * @returns {Promise<Object>} The stored subscription
+   */
+  async upsert(userId, subscription, { deviceName = null, userAgent = null } = {}) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        $set: {
+          userId,
+          keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+          expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+          deviceName,
+          userAgent,
+          failureCount: 0,
+          lastError: null,
+          updatedAt: now
+        },
+        $setOnInsert: { endpoint: subscription.endpoint, lastSuccessAt: null, createdAt: now }
+      },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  async findByEndpoint(endpoint) {
+    const collection = this.getCollection();
+    return collection.findOne({ endpoint });
+  }
+
+  async findByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.find({ userId }).sort({ createdAt: 1 }).toArray();
+  }
+
+  async findByUserIds(userIds) {
+    if (userIds.length === 0) return [];
+    const collection = this.getCollection();
+    return collection.find({ userId: { $in: userIds } }).toArray();
+  }
+
+  async countByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.countDocuments({ userId });
+  }
+
+  /**
+   * Remove one of a user's subscriptions by ID or endpoint
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async deleteForUser(userId, { id = null, endpoint = null }) {
+    const collection = this.getCollection();
+    const filter = { userId };
+    if (id) filter._id = new ObjectId(id);
+    if (endpoint) filter.endpoint = endpoint;
+    const result = await collection.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  /** Drop an endpoint the push service reported as gone */
+  async deleteById(id) {
+    const collection = this.getCollection();
+    await collection.deleteOne({ _id: id });
+  }
+
+  async markSuccess(id) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { _id: id },
+      { $set: { lastSuccessAt: new Date(), failureCount: 0, lastError: null } }
+    );
+  }
+
+  async markFailure(id, errorMessage) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { _id: id },
+      { $set: { lastError: errorMessage, updatedAt: new Date() }, $inc: { failureCount: 1 } }
+    );
+  }
+
+  /**
+   * Delete subscriptions past their expirationTime or that failed too often
+   * @param {Date} now
+   * @param {number} maxFailures
+   * @returns {Promise<number>} Subscriptions deleted
+   */
+  async deleteStale(now, maxFailures) {
+    const collection = this.getCollection();
+    const result = await collection.deleteMany({
+      $or: [
+        { expirationTime: { $lte: now } },
+        { failureCount: { $gte: maxFailures } }
+      ]
+    });
+    return result.deletedCount;
+  }
+
+  async deleteByUserId(userId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ endpoint: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1, createdAt: 1 });
+    await collection.createIndex({ expirationTime: 1 });
+    logger.info('PushSubscription collection indexes created');
+  }
+}
+
+module.exports = new PushSubscription();
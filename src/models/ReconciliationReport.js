@@ -0,0 +1,45 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+class ReconciliationReport {
+  constructor() {
+    this.collectionName = 'reconciliation_reports';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async create(report) {
+    try {
+      const collection = this.getCollection();
+      const doc = { ...report, createdAt: new Date() };
+      const result = await collection.insertOne(doc);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      logger.error('Error saving reconciliation report to DB:', error);
+      throw error;
+    }
+  }
+
+  async findRecent(limit = 20, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({})
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ createdAt: -1 });
+    // Reports are only useful for a few months
+    await collection.createIndex({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+    logger.info('ReconciliationReport collection indexes created');
+  }
+}
+
+module.exports = new ReconciliationReport();
@@ -1,6 +1,12 @@
+const { ObjectId } = require('mongodb');
 const mongodb = require('../config/mongodb');
 const logger = require('../utils/logger');
 
+// Statuses of a refund request still awaiting an outcome. Kept in the
+// `open` flag so the one-open-request index can use a plain partial filter.
+const OPEN_STATUSES = ['requested', 'approved'];
+const isOpen = (status) => OPEN_STATUSES.includes(status);
+
 class Refund {
   constructor() {
     this.collectionName = 'refunds';
@@ -14,22 +20,36 @@ class Refund {
   async create(refundData) {
     try {
       const collection = this.getCollection();
+      const status = refundData.status || 'pending';
       const doc = {
-        razorpayRefundId: refundData.razorpayRefundId,
+        razorpayRefundId: refundData.razorpayRefundId || null, // set once executed
         razorpayPaymentId: refundData.razorpayPaymentId,
         userId: refundData.userId,
         amount: refundData.amount || null, // in paise, null = full refund
         currency: refundData.currency || 'INR',
-        status: refundData.status || 'pending', // pending | processed | failed
+        // requested | rejected | approved (executing) | pending | processed | failed
+        status,
+        open: isOpen(status),
+        // Refund request (null for refunds made outside the request workflow)
+        reasonCode: refundData.reasonCode || null,
+        comment: refundData.comment || null,
+        requestedAt: refundData.requestedAt || null,
+        reviewedBy: refundData.reviewedBy || null,
+        reviewedAt: refundData.reviewedAt || null,
+        reviewNote: refundData.reviewNote || null,
+        // Set once the subscription downgrade for a processed refund is applied
+        downgradeClaimedAt: null,
+        downgrade: null,
         notes: refundData.notes || {},
         createdAt: new Date(),
         updatedAt: new Date()
       };
       const result = await collection.insertOne(doc);
-      logger.info(`Refund saved to DB: ${doc.razorpayRefundId}`);
+      logger.info(`Refund saved to DB: ${doc.razorpayRefundId || `request for ${doc.razorpayPaymentId}`}`);
       return { _id: result.insertedId, ...doc };
     } catch (error) {
-      logger.error('Error saving refund to DB:', error);
+      // A second open request for the payment; the caller reports it
+      if (error.code !== 11000) logger.error('Error saving refund to DB:', error);
       throw error;
     }
   }
@@ -39,16 +59,121 @@ class Refund {
     return collection.findOne({ razorpayRefundId });
   }
 
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    return collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Move a refund from one status to another. Returns the updated document,
+   * or null if it wasn't in `fromStatus` (someone else got there first).
+   */
+  async transition(id, fromStatus, toStatus, extra = {}) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    const result = await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: fromStatus },
+      { $set: { status: toStatus, open: isOpen(toStatus), ...extra, updatedAt: new Date() } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  /**
+   * Link an executed request to its Razorpay refund. Only moves forward from
+   * `approved`, so a webhook that already advanced the status isn't undone.
+   */
+  async attachRazorpayRefund(id, razorpayRefundId, status) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    const _id = new ObjectId(id);
+    await collection.updateOne(
+      { _id, razorpayRefundId: null },
+      { $set: { razorpayRefundId, updatedAt: new Date() } }
+    );
+    await collection.updateOne(
+      { _id, status: 'approved' },
+      { $set: { status, open: isOpen(status), updatedAt: new Date() } }
+    );
+    return collection.findOne({ _id });
+  }
+
+  async findOpenRequest(razorpayPaymentId) {
+    const collection = this.getCollection();
+    return collection.findOne({ razorpayPaymentId, open: true });
+  }
+
+  async findByStatus(status, limit = 20, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
   async updateStatus(razorpayRefundId, status) {
     const collection = this.getCollection();
     const result = await collection.findOneAndUpdate(
       { razorpayRefundId },
-      { $set: { status, updatedAt: new Date() } },
-      { returnDocument: 'after' }
+      { $set: { status, open: isOpen(status), updatedAt: new Date() } },
+      { returnDocument: 'after', includeResultMetadata: true }
     );
     return result.value;
   }
 
+  /**
+   * Claim a processed refund for applying its subscription downgrade. Only
+   * the first caller gets true — approving a request and the refund.processed
+   * webhook can both see the refund as processed.
+   */
+  async claimDowngrade(razorpayRefundId) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const result = await collection.updateOne(
+      { razorpayRefundId, downgradeClaimedAt: null },
+      { $set: { downgradeClaimedAt: now, updatedAt: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Undo a claim whose downgrade failed, so a webhook retry can pick it up
+   */
+  async releaseDowngrade(razorpayRefundId) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { razorpayRefundId },
+      { $set: { downgradeClaimedAt: null, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Store the outcome of the downgrade (and the user, for refunds first
+   * seen through a webhook)
+   */
+  async recordDowngrade(razorpayRefundId, userId, downgrade) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { razorpayRefundId },
+      { $set: { userId, downgrade, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Total refunds against a payment in the given statuses, in paise
+   */
+  async sumAmount(razorpayPaymentId, statuses = ['processed']) {
+    const collection = this.getCollection();
+    const [row] = await collection.aggregate([
+      { $match: { razorpayPaymentId, status: { $in: statuses } } },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).toArray();
+    return row ? row.total : 0;
+  }
+
   async findByUserId(userId, limit = 20, skip = 0) {
     const collection = this.getCollection();
     return collection
@@ -59,11 +184,54 @@ class Refund {
       .toArray();
   }
 
+  /**
+   * Detach refunds from a deleted account (kept for accounting)
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
   async createIndexes() {
     const collection = this.getCollection();
-    await collection.createIndex({ razorpayRefundId: 1 }, { unique: true });
-    await collection.createIndex({ razorpayPaymentId: 1 });
+    // Refund requests have no Razorpay refund until they're approved
+    const refundIdIndex = [
+      { razorpayRefundId: 1 },
+      { unique: true, partialFilterExpression: { razorpayRefundId: { $type: 'string' } } }
+    ];
+    try {
+      await collection.createIndex(...refundIdIndex);
+    } catch (error) {
+      // Older deployments have a plain unique index, which rejects many nulls
+      if (error.code !== 85 && error.code !== 86) throw error;
+      await collection.dropIndex('razorpayRefundId_1');
+      await collection.createIndex(...refundIdIndex);
+    }
+    await collection.createIndex({ razorpayPaymentId: 1, status: 1 });
+    // At most one open request per payment (see refundService.requestRefund).
+    // Requests saved before the `open` flag existed get it first.
+    await collection.updateMany(
+      { status: { $in: OPEN_STATUSES }, open: { $ne: true } },
+      { $set: { open: true } }
+    );
+    const openRequestIndex = [
+      { razorpayPaymentId: 1 },
+      { name: 'open_request_per_payment', unique: true, partialFilterExpression: { open: true } }
+    ];
+    try {
+      await collection.createIndex(...openRequestIndex);
+    } catch (error) {
+      // Older deployments filter on status, which needs MongoDB 7.0+
+      if (error.code !== 85 && error.code !== 86) throw error;
+      await collection.dropIndex('open_request_per_payment');
+      await collection.createIndex(...openRequestIndex);
+    }
     await collection.createIndex({ userId: 1 });
+    await collection.createIndex({ status: 1, createdAt: -1 });
     await collection.createIndex({ createdAt: -1 });
     logger.info('Refund collection indexes created');
   }
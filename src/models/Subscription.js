@@ -0,0 +1,110 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/** Razorpay subscription states that still bill or can resume billing */
+const LIVE_STATUSES = ['created', 'authenticated', 'active', 'pending', 'halted', 'paused'];
+
+class Subscription {
+  constructor() {
+    this.collectionName = 'subscriptions';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  async create(subscriptionData) {
+    try {
+      const collection = this.getCollection();
+      const doc = {
+        razorpaySubscriptionId: subscriptionData.razorpaySubscriptionId,
+        razorpayPlanId: subscriptionData.razorpayPlanId,
+        userId: subscriptionData.userId,
+        plan: subscriptionData.plan,
+        billingCycle: subscriptionData.billingCycle,
+        // created | authenticated | active | pending | halted | paused | cancelled | completed | expired
+        status: subscriptionData.status || 'created',
+        totalCount: subscriptionData.totalCount || null,
+        paidCount: subscriptionData.paidCount || 0,
+        currentStart: subscriptionData.currentStart || null,
+        currentEnd: subscriptionData.currentEnd || null,
+        chargeAt: subscriptionData.chargeAt || null,
+        shortUrl: subscriptionData.shortUrl || null,
+        cancelAtCycleEnd: false,
+        notes: subscriptionData.notes || {},
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      const result = await collection.insertOne(doc);
+      logger.info(`Subscription saved to DB: ${doc.razorpaySubscriptionId}`);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      logger.error('Error saving subscription to DB:', error);
+      throw error;
+    }
+  }
+
+  async findByRazorpaySubscriptionId(razorpaySubscriptionId) {
+    const collection = this.getCollection();
+    return collection.findOne({ razorpaySubscriptionId });
+  }
+
+  /**
+   * The user's most recent subscription that hasn't ended
+   */
+  async findLiveByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.findOne(
+      { userId, status: { $in: LIVE_STATUSES } },
+      { sort: { createdAt: -1 } }
+    );
+  }
+
+  async findLatestByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.findOne({ userId }, { sort: { createdAt: -1 } });
+  }
+
+  async updateStatus(razorpaySubscriptionId, status, extra = {}) {
+    const collection = this.getCollection();
+    const result = await collection.findOneAndUpdate(
+      { razorpaySubscriptionId },
+      { $set: { status, ...extra, updatedAt: new Date() } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  async findByUserId(userId, limit = 20, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Detach recurring subscriptions from a deleted account (kept for accounting)
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, 'notes.userId': pseudonym, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ razorpaySubscriptionId: 1 }, { unique: true });
+    await collection.createIndex({ userId: 1, createdAt: -1 });
+    await collection.createIndex({ status: 1 });
+    logger.info('Subscription collection indexes created');
+  }
+}
+
+module.exports = new Subscription();
@@ -0,0 +1,90 @@
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * Append-only ledger of subscription changes. There are deliberately no
+ * update or delete methods — corrections are recorded as new events.
+ */
+class SubscriptionEvent {
+  constructor() {
+    this.collectionName = 'subscription_events';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /**
+   * Append an event. With a dedupeKey, a second event with the same key is
+   * ignored (returns null) — used where two paths can report the same change.
+   */
+  async append(eventData) {
+    try {
+      const collection = this.getCollection();
+      const doc = {
+        userId: eventData.userId,
+        type: eventData.type,
+        occurredAt: eventData.occurredAt || new Date(),
+        plan: eventData.plan || null,
+        billingCycle: eventData.billingCycle || null,
+        source: eventData.source || null,            // trial | paid | recurring
+        periodStart: eventData.periodStart || null,
+        periodEnd: eventData.periodEnd || null,      // expiresAt after the change
+        previous: eventData.previous || null,        // { plan, billingCycle, source, expiresAt }
+        // Links to the documents that caused the event
+        razorpayOrderId: eventData.razorpayOrderId || null,
+        razorpayPaymentId: eventData.razorpayPaymentId || null,
+        razorpayRefundId: eventData.razorpayRefundId || null,
+        razorpaySubscriptionId: eventData.razorpaySubscriptionId || null,
+        amount: eventData.amount ?? null,            // in rupees
+        currency: eventData.currency || null,
+        details: eventData.details || {},
+        createdAt: new Date()
+      };
+      if (eventData.dedupeKey) doc.dedupeKey = eventData.dedupeKey;
+
+      const result = await collection.insertOne(doc);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      if (error.code === 11000 && eventData.dedupeKey) {
+        return null;
+      }
+      logger.error('Error appending subscription event:', error);
+      throw error;
+    }
+  }
+
+  async findByUserId(userId, limit = 50, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({ userId }, { projection: { dedupeKey: 0 } })
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Detach a deleted account's events. The one exception to append-only:
+   * the ledger is kept for accounting, but must not identify the person.
+   */
+  async pseudonymizeUser(userId, pseudonym) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId },
+      { $set: { userId: pseudonym, pseudonymizedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ userId: 1, occurredAt: -1 });
+    await collection.createIndex({ type: 1, occurredAt: -1 });
+    await collection.createIndex({ dedupeKey: 1 }, { unique: true, sparse: true });
+    logger.info('SubscriptionEvent collection indexes created');
+  }
+}
+
+module.exports = new SubscriptionEvent();
@@ -1,4 +1,5 @@
 const mongodb = require('../config/mongodb');
+const { DEFAULT_ROLE } = require('../config/roles');
 const logger = require('../utils/logger');
 
 class User {
@@ -18,9 +19,11 @@ class User {
     /**
      * Create a new user
      * @param {Object} userData - User data
+     * @param {Object} [options]
+     * @param {Object|null} [options.trial] - { plan, days } trial to start, from the plan catalog
      * @returns {Promise<Object>} Created user
      */
-    async create(userData) {
+    async create(userData, { trial = null } = {}) {
         try {
             const collection = this.getCollection();
 
@@ -35,9 +38,17 @@ class User {
                 throw new Error('User already exists');
             }
 
-            // 30-day free trial for all new users
+            // Free trial for new users, as configured in the plan catalog
             const trialStartedAt = new Date();
-            const trialExpiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+            const subscription = trial && trial.days > 0
+                ? {
+                    plan: trial.plan,
+                    billingCycle: 'trial',
+                    startedAt: trialStartedAt,
+                    expiresAt: new Date(trialStartedAt.getTime() + trial.days * 24 * 60 * 60 * 1000),
+                    source: 'trial',
+                }
+                : null;
 
             const user = {
                 uid: userData.uid,
@@ -46,17 +57,12 @@ class User {
                 picture: userData.picture || null,
                 emailVerified: userData.emailVerified || false,
                 provider: userData.provider || 'google.com',
+                role: DEFAULT_ROLE,
                 isActive: true,
                 createdAt: new Date(),
                 updatedAt: new Date(),
                 lastLoginAt: new Date(),
-                subscription: {
-                    plan: 'premium',
-                    billingCycle: 'trial',
-                    startedAt: trialStartedAt,
-                    expiresAt: trialExpiresAt,
-                    source: 'trial',
-                },
+                subscription,
                 profile: {
                     firstName: userData.firstName || null,
                     lastName: userData.lastName || null,
@@ -73,8 +79,7 @@ class User {
                     privacy: {
                         profileVisibility: 'public'
                     }
-                },
-                watchlist: []
+                }
             };
 
             const result = await collection.insertOne(user);
@@ -137,8 +142,9 @@ class User {
         try {
             const collection = this.getCollection();
 
-            // Remove fields that shouldn't be updated directly
-            const { _id, uid: userUid, createdAt, ...allowedUpdates } = updateData;
+            // Remove fields that shouldn't be updated directly. Role and
+            // subscription have dedicated methods.
+            const { _id, uid: userUid, createdAt, role, subscription, subscriptionHistory, ...allowedUpdates } = updateData;
 
             const update = {
                 ...allowedUpdates,
@@ -148,7 +154,7 @@ class User {
             const result = await collection.findOneAndUpdate(
                 { uid },
                 { $set: update },
-                { returnDocument: 'after' }
+                { returnDocument: 'after', includeResultMetadata: true }
             );
 
             if (!result.value) {
@@ -190,116 +196,180 @@ class User {
     }
 
     /**
-     * Add company to user's watchlist
+     * Delete user by UID
      * @param {string} uid - Firebase UID
-     * @param {string} companyCode - Company code to add
      * @returns {Promise<boolean>} Success status
      */
-    async addToWatchlist(uid, companyCode) {
+    async deleteByUid(uid) {
         try {
             const collection = this.getCollection();
+            const result = await collection.deleteOne({ uid });
 
-            const result = await collection.updateOne(
-                { uid },
-                {
-                    $addToSet: { watchlist: companyCode },
-                    $set: { updatedAt: new Date() }
-                }
-            );
-
-            return result.modifiedCount > 0;
+            logger.info(`User deleted: ${uid}`);
+            return result.deletedCount > 0;
         } catch (error) {
-            logger.error('Error adding to watchlist:', error);
+            logger.error('Error deleting user:', error);
             throw error;
         }
     }
 
     /**
-     * Remove company from user's watchlist
+     * Activate or renew a premium subscription for a user
      * @param {string} uid - Firebase UID
-     * @param {string} companyCode - Company code to remove
-     * @returns {Promise<boolean>} Success status
+     * @param {string} plan - Subscription plan name (e.g. 'premium')
+     * @param {number} durationDays - How many days the subscription lasts
+     * @param {string} [billingCycle] - 'monthly' | 'annual'; derived from durationDays if omitted
+     * @returns {Promise<Object>} Subscription details, with the `previous` subscription subdocument
      */
-    async removeFromWatchlist(uid, companyCode) {
+    async activateSubscription(uid, plan = 'premium', durationDays = 365, billingCycle = null) {
         try {
             const collection = this.getCollection();
+            const now = new Date();
+            const durationMs = durationDays * 24 * 60 * 60 * 1000;
 
-            const result = await collection.updateOne(
+            // If the user already has an active subscription, extend from the current
+            // expiry date rather than from now, so existing days are never lost.
+            const existing = await this.findByUid(uid);
+            const existingExpiry = existing?.subscription?.expiresAt
+                ? new Date(existing.subscription.expiresAt)
+                : null;
+            const baseDate = existingExpiry && existingExpiry > now ? existingExpiry : now;
+
+            const activatedAt = now;
+            const expiresAt = new Date(baseDate.getTime() + durationMs);
+
+            await collection.updateOne(
                 { uid },
                 {
-                    $pull: { watchlist: companyCode },
-                    $set: { updatedAt: new Date() }
+                    $set: {
+                        subscription: {
+                            plan,
+                            billingCycle: billingCycle || (durationDays >= 365 ? 'annual' : 'monthly'),
+                            source: 'paid',
+                            startedAt: activatedAt,
+                            activatedAt,
+                            expiresAt,
+                        },
+                        updatedAt: now,
+                    }
                 }
             );
 
-            return result.modifiedCount > 0;
+            logger.info(`Subscription activated for user ${uid}: plan=${plan}, baseDate=${baseDate.toISOString()}, expiresAt=${expiresAt.toISOString()}`);
+            return { plan, activatedAt, expiresAt, previous: existing?.subscription || null };
         } catch (error) {
-            logger.error('Error removing from watchlist:', error);
+            logger.error('Error activating subscription:', error);
             throw error;
         }
     }
 
     /**
-     * Get user's watchlist
+     * Switch a user's paid plan and record it in subscriptionHistory in a
+     * single update. With `from`, only applies if the subscription still has
+     * that plan, billing cycle and expiry.
      * @param {string} uid - Firebase UID
-     * @returns {Promise<Array>} User's watchlist
+     * @param {Object|null} from - { plan, billingCycle, expiresAt } the switch was priced from
+     * @param {Object} to - { plan, billingCycle, expiresAt }
+     * @param {Object} historyEntry - Entry appended to subscriptionHistory
+     * @returns {Promise<boolean>} true if the switch was applied
      */
-    async getWatchlist(uid) {
+    async applyPlanChange(uid, from, to, historyEntry) {
         try {
             const collection = this.getCollection();
-            const user = await collection.findOne(
-                { uid },
-                { projection: { watchlist: 1 } }
-            );
+            const now = new Date();
+
+            const filter = { uid };
+            if (from) {
+                filter['subscription.plan'] = from.plan;
+                filter['subscription.billingCycle'] = from.billingCycle;
+                filter['subscription.expiresAt'] = from.expiresAt;
+            }
+
+            const result = await collection.updateOne(filter, {
+                $set: {
+                    subscription: {
+                        plan: to.plan,
+                        billingCycle: to.billingCycle,
+                        source: 'paid',
+                        startedAt: now,
+                        activatedAt: now,
+                        expiresAt: to.expiresAt,
+                    },
+                    updatedAt: now,
+                },
+                $push: { subscriptionHistory: historyEntry }
+            });
 
-            return user ? user.watchlist || [] : [];
+            return result.matchedCount > 0;
         } catch (error) {
-            logger.error('Error getting watchlist:', error);
+            logger.error('Error applying plan change:', error);
             throw error;
         }
     }
 
     /**
-     * Delete user by UID
+     * Cut a subscription short after a refund. Conditional on the expiry the
+     * downgrade was computed from, so a concurrent renewal isn't clobbered.
+     * An ended subscription stops auto-renewing and is marked as recorded
+     * for the expiry job, since the downgrade event already covers it.
      * @param {string} uid - Firebase UID
-     * @returns {Promise<boolean>} Success status
+     * @param {Date} fromExpiresAt - Current subscription.expiresAt
+     * @param {Date} expiresAt - New expiry (now to end access immediately)
+     * @param {Object} historyEntry - Entry appended to subscriptionHistory
+     * @returns {Promise<boolean>} true if the subscription was updated
      */
-    async deleteByUid(uid) {
+    async shortenSubscription(uid, fromExpiresAt, expiresAt, historyEntry) {
         try {
             const collection = this.getCollection();
-            const result = await collection.deleteOne({ uid });
+            const now = new Date();
 
-            logger.info(`User deleted: ${uid}`);
-            return result.deletedCount > 0;
+            const update = {
+                'subscription.expiresAt': expiresAt,
+                updatedAt: now,
+            };
+            if (expiresAt <= now) {
+                update['subscription.autoRenew'] = false;
+                update['subscription.expiryRecordedAt'] = now;
+            }
+
+            const result = await collection.updateOne(
+                { uid, 'subscription.expiresAt': fromExpiresAt },
+                { $set: update, $push: { subscriptionHistory: historyEntry } }
+            );
+
+            return result.matchedCount > 0;
         } catch (error) {
-            logger.error('Error deleting user:', error);
+            logger.error('Error shortening subscription:', error);
             throw error;
         }
     }
 
     /**
-     * Activate or renew a premium subscription for a user
+     * Mirror a charged Razorpay recurring subscription onto the user. Access
+     * runs to the end of the paid billing period; an existing later expiry
+     * (e.g. time left on a one-off purchase) is never shortened. Idempotent,
+     * so replayed `subscription.charged` webhooks are harmless.
      * @param {string} uid - Firebase UID
-     * @param {string} plan - Subscription plan name (e.g. 'premium')
-     * @param {number} durationDays - How many days the subscription lasts
-     * @returns {Promise<Object>} Subscription details
+     * @param {Object} recurring
+     * @param {string} recurring.plan - Plan code
+     * @param {string} recurring.billingCycle - 'monthly' | 'annual'
+     * @param {string} recurring.razorpaySubscriptionId - Razorpay subscription ID
+     * @param {string} recurring.status - Razorpay subscription status
+     * @param {Date} recurring.currentEnd - End of the paid billing period
+     * @returns {Promise<Object>} Subscription details, with the `previous` subscription subdocument
      */
-    async activateSubscription(uid, plan = 'premium', durationDays = 365) {
+    async syncRecurringSubscription(uid, { plan, billingCycle, razorpaySubscriptionId, status, currentEnd }) {
         try {
             const collection = this.getCollection();
             const now = new Date();
-            const durationMs = durationDays * 24 * 60 * 60 * 1000;
-
-            // If the user already has an active subscription, extend from the current
-            // expiry date rather than from now, so existing days are never lost.
-            const existing = await this.findByUid(uid);
-            const existingExpiry = existing?.subscription?.expiresAt
-                ? new Date(existing.subscription.expiresAt)
-                : null;
-            const baseDate = existingExpiry && existingExpiry > now ? existingExpiry : now;
 
-            const activatedAt = now;
-            const expiresAt = new Date(baseDate.getTime() + durationMs);
+            const existing = (await this.findByUid(uid))?.subscription;
+            const sameSubscription = existing?.razorpaySubscriptionId === razorpaySubscriptionId;
+            const existingExpiry = existing?.expiresAt ? new Date(existing.expiresAt) : null;
+            const expiresAt = existingExpiry && existingExpiry > currentEnd && existing.source !== 'trial'
+                ? existingExpiry
+                : currentEnd;
+            const startedAt = sameSubscription && existing.startedAt ? existing.startedAt : now;
 
             await collection.updateOne(
                 { uid },
@@ -307,10 +377,13 @@ class User {
                     $set: {
                         subscription: {
                             plan,
-                            billingCycle: durationDays >= 365 ? 'annual' : 'monthly',
-                            source: 'paid',
-                            startedAt: activatedAt,
-                            activatedAt,
+                            billingCycle,
+                            source: 'recurring',
+                            razorpaySubscriptionId,
+                            status,
+                            autoRenew: true,
+                            startedAt,
+                            activatedAt: sameSubscription && existing.activatedAt ? existing.activatedAt : now,
                             expiresAt,
                         },
                         updatedAt: now,
@@ -318,14 +391,342 @@ class User {
                 }
             );
 
-            logger.info(`Subscription activated for user ${uid}: plan=${plan}, baseDate=${baseDate.toISOString()}, expiresAt=${expiresAt.toISOString()}`);
-            return { plan, activatedAt, expiresAt };
+            logger.info(`Recurring subscription synced for user ${uid}: ${razorpaySubscriptionId}, expiresAt=${expiresAt.toISOString()}`);
+            return { plan, startedAt, expiresAt, previous: existing || null };
         } catch (error) {
-            logger.error('Error activating subscription:', error);
+            logger.error('Error syncing recurring subscription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a status change of the user's recurring subscription (halted,
+     * paused, cancelled...). Access already paid for is kept until expiresAt.
+     * No-op if the user's subscription is no longer this Razorpay subscription.
+     * @param {string} uid - Firebase UID
+     * @param {string} razorpaySubscriptionId - Razorpay subscription ID
+     * @param {string} status - Razorpay subscription status
+     * @param {boolean} autoRenew - Whether Razorpay will charge again
+     * @returns {Promise<boolean>} true if the user's subscription was updated
+     */
+    async updateRecurringStatus(uid, razorpaySubscriptionId, status, autoRenew) {
+        try {
+            const collection = this.getCollection();
+            const result = await collection.updateOne(
+                { uid, 'subscription.razorpaySubscriptionId': razorpaySubscriptionId },
+                {
+                    $set: {
+                        'subscription.status': status,
+                        'subscription.autoRenew': autoRenew,
+                        updatedAt: new Date(),
+                    }
+                }
+            );
+            return result.matchedCount > 0;
+        } catch (error) {
+            logger.error('Error updating recurring subscription status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Users whose subscription has lapsed and whose expiry hasn't been recorded
+     * in the ledger yet. Auto-renewing subscriptions get a grace period for the
+     * renewal charge to arrive before they count as expired.
+     * @param {Date} now - Current time
+     * @param {number} renewalGraceMs - Grace period for auto-renewing subscriptions
+     * @param {number} limit - Batch size
+     * @returns {Promise<Array>} User documents (uid and subscription only)
+     */
+    async findLapsedSubscriptions(now, renewalGraceMs, limit = 500) {
+        const collection = this.getCollection();
+        return collection
+            .find({
+                'subscription.expiresAt': { $lte: now },
+                'subscription.expiryRecordedAt': { $exists: false },
+                $or: [
+                    { 'subscription.autoRenew': { $ne: true } },
+                    { 'subscription.expiresAt': { $lte: new Date(now.getTime() - renewalGraceMs) } }
+                ]
+            }, { projection: { uid: 1, subscription: 1 } })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Flag a lapsed subscription as recorded. Matches on expiresAt so a
+     * renewal that landed in the meantime isn't flagged.
+     * @param {string} uid - Firebase UID
+     * @param {Date} expiresAt - Expiry that was recorded
+     * @returns {Promise<boolean>}
+     */
+    async markExpiryRecorded(uid, expiresAt) {
+        const collection = this.getCollection();
+        const result = await collection.updateOne(
+            { uid, 'subscription.expiresAt': expiresAt },
+            { $set: { 'subscription.expiryRecordedAt': new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Set a user's role
+     * @param {string} uid - Firebase UID
+     * @param {string} role - Role (see config/roles.js)
+     * @returns {Promise<boolean>} true if the user exists
+     */
+    async setRole(uid, role) {
+        try {
+            const collection = this.getCollection();
+            const result = await collection.updateOne(
+                { uid },
+                { $set: { role, updatedAt: new Date() } }
+            );
+            return result.matchedCount > 0;
+        } catch (error) {
+            logger.error('Error setting user role:', error);
             throw error;
         }
     }
 
+    /**
+     * Search users for support staff, newest first
+     * @param {Object} filters
+     * @param {string} [filters.query] - Exact UID, or part of the email (case-insensitive)
+     * @param {string} [filters.plan] - subscription.plan
+     * @param {Date} [filters.expiresAfter] - subscription.expiresAt after this date
+     * @param {Date} [filters.expiresBefore] - subscription.expiresAt before this date
+     * @param {boolean} [filters.isActive] - Account active / deactivated
+     * @param {string} [filters.role] - User role
+     * @param {number} limit - Page size
+     * @param {number} skip - Documents to skip
+     * @returns {Promise<Object>} { users, total }
+     */
+    async search(filters = {}, limit = 20, skip = 0) {
+        try {
+            const collection = this.getCollection();
+            const filter = {};
+
+            if (filters.query) {
+                const escaped = filters.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                filter.$or = [
+                    { uid: filters.query },
+                    { email: { $regex: escaped, $options: 'i' } }
+                ];
+            }
+            if (filters.plan) filter['subscription.plan'] = filters.plan;
+            if (filters.expiresAfter || filters.expiresBefore) {
+                filter['subscription.expiresAt'] = {};
+                if (filters.expiresAfter) filter['subscription.expiresAt'].$gt = filters.expiresAfter;
+                if (filters.expiresBefore) filter['subscription.expiresAt'].$lt = filters.expiresBefore;
+            }
+            if (filters.isActive === true) filter.isActive = { $ne: false };
+            if (filters.isActive === false) filter.isActive = false;
+            if (filters.role) filter.role = filters.role;
+
+            const [users, total] = await Promise.all([
+                collection
+                    .find(filter, {
+                        projection: {
+                            uid: 1, email: 1, name: 1, role: 1, isActive: 1,
+                            subscription: 1, createdAt: 1, lastLoginAt: 1
+                        }
+                    })
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .toArray(),
+                collection.countDocuments(filter)
+            ]);
+
+            return { users, total };
+        } catch (error) {
+            logger.error('Error searching users:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a user's subscription on behalf of support staff (manual
+     * grant or extension). Conditional on the expiry it was computed from,
+     * so a concurrent payment isn't clobbered.
+     * @param {string} uid - Firebase UID
+     * @param {Date|null} fromExpiresAt - Current subscription.expiresAt (null if none)
+     * @param {Object} subscription - New subscription subdocument
+     * @param {Object} historyEntry - Entry appended to subscriptionHistory
+     * @returns {Promise<boolean>} true if the subscription was updated
+     */
+    async grantSubscription(uid, fromExpiresAt, subscription, historyEntry) {
+        try {
+            const collection = this.getCollection();
+            const filter = fromExpiresAt
+                ? { uid, 'subscription.expiresAt': fromExpiresAt }
+                : { uid, 'subscription.expiresAt': { $exists: false } };
+
+            const result = await collection.updateOne(filter, {
+                $set: { subscription, updatedAt: new Date() },
+                $push: { subscriptionHistory: historyEntry }
+            });
+
+            return result.matchedCount > 0;
+        } catch (error) {
+            logger.error('Error granting subscription:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Activate or deactivate a user's account
+     * @param {string} uid - Firebase UID
+     * @param {boolean} isActive - New state
+     * @returns {Promise<boolean>} true if the user exists
+     */
+    async setActive(uid, isActive) {
+        try {
+            const collection = this.getCollection();
+            const now = new Date();
+            const result = await collection.updateOne(
+                { uid },
+                { $set: { isActive, deactivatedAt: isActive ? null : now, updatedAt: now } }
+            );
+            return result.matchedCount > 0;
+        } catch (error) {
+            logger.error('Error setting user active state:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Grant an entitlement add-on on top of the user's plan. Re-granting the
+     * same entitlement replaces its expiry.
+     * @param {string} uid - Firebase UID
+     * @param {string} entitlement - Entitlement name (e.g. 'rag_chat')
+     * @param {Object} [options]
+     * @param {Date|null} [options.expiresAt] - null for no expiry
+     * @param {string} [options.source] - Where the add-on came from
+     * @returns {Promise<boolean>} true if the user exists
+     */
+    async grantAddOn(uid, entitlement, { expiresAt = null, source = 'manual' } = {}) {
+        try {
+            const collection = this.getCollection();
+            const now = new Date();
+
+            await collection.updateOne({ uid }, { $pull: { addOns: { entitlement } } });
+            const result = await collection.updateOne(
+                { uid },
+                {
+                    $push: { addOns: { entitlement, expiresAt, source, grantedAt: now } },
+                    $set: { updatedAt: now }
+                }
+            );
+
+            logger.info(`Add-on ${entitlement} granted to user ${uid}`);
+            return result.matchedCount > 0;
+        } catch (error) {
+            logger.error('Error granting add-on:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update notification preferences (preferences.notifications.*). Only the
+     * given keys change.
+     * @param {string} uid - Firebase UID
+     * @param {Object} changes - Any of { email, push, sms, digest }
+     * @returns {Promise<Object|null>} The user's notification preferences, or null if not found
+     */
+    async updateNotificationPreferences(uid, changes) {
+        try {
+            const collection = this.getCollection();
+            const $set = { updatedAt: new Date() };
+            for (const [key, value] of Object.entries(changes)) {
+                $set[`preferences.notifications.${key}`] = value;
+            }
+
+            const result = await collection.findOneAndUpdate(
+                { uid },
+                { $set },
+                { returnDocument: 'after', projection: { preferences: 1 }, includeResultMetadata: true }
+            );
+            return result.value ? result.value.preferences?.notifications || {} : null;
+        } catch (error) {
+            logger.error('Error updating notification preferences:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Active users who want an email digest at this frequency, in _id order
+     * for batching
+     * @param {string} frequency - daily | weekly
+     * @param {boolean} includeUnset - Also users who never chose a frequency
+     * @param {ObjectId|null} afterId - Last _id of the previous batch
+     * @param {number} limit - Batch size
+     * @returns {Promise<Array>} Users (uid, email, name, subscription, preferences)
+     */
+    async findDigestRecipients(frequency, includeUnset, afterId = null, limit = 200) {
+        const collection = this.getCollection();
+        const frequencyFilter = includeUnset
+            ? { $in: [frequency, null] }
+            : frequency;
+        const filter = {
+            isActive: { $ne: false },
+            'preferences.notifications.email': { $ne: false },
+            'preferences.notifications.digest': frequencyFilter
+        };
+        if (afterId) filter._id = { $gt: afterId };
+
+        return collection
+            .find(filter, { projection: { uid: 1, email: 1, name: 1, subscription: 1, preferences: 1 } })
+            .sort({ _id: 1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Of the given users, those who can be sent push notifications (active,
+     * push not turned off)
+     * @param {string[]} uids - Firebase UIDs
+     * @returns {Promise<string[]>}
+     */
+    async findPushEnabledUids(uids) {
+        if (uids.length === 0) return [];
+        const collection = this.getCollection();
+        const users = await collection
+            .find({
+                uid: { $in: uids },
+                isActive: { $ne: false },
+                'preferences.notifications.push': { $ne: false }
+            }, { projection: { uid: 1 } })
+            .toArray();
+        return users.map(user => user.uid);
+    }
+
+    /**
+     * Active users whose access ends within a window and won't renew, in _id
+     * order for batching
+     * @param {Date} from - Start of the window
+     * @param {Date} until - End of the window
+     * @param {ObjectId|null} afterId - Last _id of the previous batch
+     * @param {number} limit - Batch size
+     * @returns {Promise<Array>} Users (uid, subscription, preferences)
+     */
+    async findExpiringSubscriptions(from, until, afterId = null, limit = 200) {
+        const collection = this.getCollection();
+        const filter = {
+            isActive: { $ne: false },
+            'subscription.expiresAt': { $gt: from, $lte: until },
+            'subscription.autoRenew': { $ne: true }
+        };
+        if (afterId) filter._id = { $gt: afterId };
+
+        return collection
+            .find(filter, { projection: { uid: 1, subscription: 1, preferences: 1 } })
+            .sort({ _id: 1 })
+            .limit(limit)
+            .toArray();
+    }
+
     /**
      * Create indexes for the users collection
      * @returns {Promise<void>}
@@ -339,6 +740,9 @@ class User {
             await collection.createIndex({ email: 1 }, { unique: true });
             await collection.createIndex({ createdAt: 1 });
             await collection.createIndex({ lastLoginAt: 1 });
+            await collection.createIndex({ 'subscription.expiresAt': 1 });
+            await collection.createIndex({ role: 1 });
+            await collection.createIndex({ 'subscription.plan': 1, 'subscription.expiresAt': 1 });
 
             logger.info('User collection indexes created successfully');
         } catch (error) {
@@ -0,0 +1,212 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../config/mongodb');
+const logger = require('../utils/logger');
+
+/**
+ * Named watchlists, one document per list. Entries are kept in the user's
+ * chosen order; lists are ordered by `position`. Each user has one default
+ * list, which the follow/unfollow endpoints use.
+ */
+class Watchlist {
+  constructor() {
+    this.collectionName = 'user_watchlists';
+  }
+
+  getCollection() {
+    const db = mongodb.getDb();
+    return db.collection(this.collectionName);
+  }
+
+  /** Case-insensitive uniqueness key for list names */
+  nameKey(name) {
+    return name.trim().toLowerCase();
+  }
+
+  /**
+   * Create a list. Returns null if the user already has a list with this
+   * name (or a default list, when creating one).
+   */
+  async create({ userId, name, isDefault = false, position = 0, entries = [] }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const doc = {
+      userId,
+      name: name.trim(),
+      nameKey: this.nameKey(name),
+      isDefault,
+      position,
+      // [{ companyCode, note, tags, addedAt, priceRef: { price, currency, recordedAt } | null }]
+      entries,
+      createdAt: now,
+      updatedAt: now
+    };
+    try {
+      const result = await collection.insertOne(doc);
+      return { _id: result.insertedId, ...doc };
+    } catch (error) {
+      if (error.code === 11000) return null;
+      logger.error('Error creating watchlist:', error);
+      throw error;
+    }
+  }
+
+  async findByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.find({ userId }).sort({ position: 1, createdAt: 1 }).toArray();
+  }
+
+  async findForUser(id, userId) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    return collection.findOne({ _id: new ObjectId(id), userId });
+  }
+
+  async findDefault(userId) {
+    const collection = this.getCollection();
+    return collection.findOne({ userId, isDefault: true });
+  }
+
+  async countByUserId(userId) {
+    const collection = this.getCollection();
+    return collection.countDocuments({ userId });
+  }
+
+  /**
+   * Distinct company codes across all of a user's lists, default list first
+   */
+  async findCompanyCodes(userId) {
+    const lists = await this.findByUserId(userId);
+    lists.sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    const codes = new Set();
+    for (const list of lists) {
+      for (const entry of list.entries || []) codes.add(entry.companyCode);
+    }
+    return [...codes];
+  }
+
+  /** Every company on at least one user's list */
+  async findFollowedCompanyCodes() {
+    const collection = this.getCollection();
+    return collection.distinct('entries.companyCode');
+  }
+
+  /** Users with the company on at least one of their lists */
+  async findFollowerIds(companyCode) {
+    const collection = this.getCollection();
+    return collection.distinct('userId', { 'entries.companyCode': companyCode });
+  }
+
+  /** Returns false if the name is taken by another of the user's lists */
+  async rename(id, userId, name) {
+    const collection = this.getCollection();
+    try {
+      const result = await collection.updateOne(
+        { _id: new ObjectId(id), userId },
+        { $set: { name: name.trim(), nameKey: this.nameKey(name), updatedAt: new Date() } }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({ _id: new ObjectId(id), userId, isDefault: false });
+    return result.deletedCount > 0;
+  }
+
+  async deleteByUserId(userId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  /** Set list positions to the order of `ids` */
+  async setPositions(userId, ids) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.bulkWrite(ids.map((id, position) => ({
+      updateOne: {
+        filter: { _id: new ObjectId(id), userId },
+        update: { $set: { position, updatedAt: now } }
+      }
+    })));
+  }
+
+  /**
+   * Append an entry. Returns false if the company is already on the list
+   * (or the list doesn't exist).
+   */
+  async addEntry(id, userId, entry) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), userId, 'entries.companyCode': { $ne: entry.companyCode } },
+      { $push: { entries: entry }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /** Update an entry's note and/or tags. Returns false if it isn't on the list. */
+  async updateEntry(id, userId, companyCode, changes) {
+    const collection = this.getCollection();
+    const $set = { updatedAt: new Date() };
+    if (changes.note !== undefined) $set['entries.$.note'] = changes.note;
+    if (changes.tags !== undefined) $set['entries.$.tags'] = changes.tags;
+
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), userId, 'entries.companyCode': companyCode },
+      { $set }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /** Returns false if the company isn't on the list */
+  async removeEntry(id, userId, companyCode) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), userId, 'entries.companyCode': companyCode },
+      { $pull: { entries: { companyCode } }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /** Remove a company from every list of the user */
+  async removeCompany(userId, companyCode) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { userId, 'entries.companyCode': companyCode },
+      { $pull: { entries: { companyCode } }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Replace the entries with a reordered copy. Conditional on the list not
+   * having changed since it was read (updatedAt), so a concurrent edit isn't
+   * lost; returns false in that case.
+   */
+  async replaceEntries(id, userId, readAt, entries) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), userId, updatedAt: readAt },
+      { $set: { entries, updatedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async createIndexes() {
+    const collection = this.getCollection();
+    await collection.createIndex({ userId: 1, nameKey: 1 }, { unique: true });
+    await collection.createIndex(
+      { userId: 1 },
+      { unique: true, partialFilterExpression: { isDefault: true }, name: 'userId_default_unique' }
+    );
+    await collection.createIndex({ userId: 1, position: 1 });
+    await collection.createIndex({ 'entries.companyCode': 1 });
+    logger.info('Watchlist collection indexes created');
+  }
+}
+
+module.exports = new Watchlist();
@@ -1,3 +1,4 @@
+const { ObjectId } = require('mongodb');
 const mongodb = require('../config/mongodb');
 const logger = require('../utils/logger');
 
@@ -11,31 +12,154 @@ class WebhookEvent {
     return db.collection(this.collectionName);
   }
 
-  async create(eventData) {
+  /**
+   * Record a delivery and claim it for processing. Returns null if an event
+   * with the same eventId was already received — Razorpay redelivers until
+   * it gets a 2xx, and the same event must only be processed once.
+   */
+  async claimDelivery(eventData) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const doc = {
+      eventId: eventData.eventId,      // x-razorpay-event-id (idempotency key)
+      event: eventData.event,
+      entityId: eventData.entityId,
+      payload: eventData.payload,
+      status: 'processing',            // processing | processed | failed (retrying) | dead
+      attempts: 1,
+      lastError: null,
+      nextAttemptAt: null,
+      receivedAt: now,
+      lockedAt: now,
+      processedAt: null,
+      updatedAt: now
+    };
     try {
-      const collection = this.getCollection();
-      const doc = {
-        event: eventData.event,
-        entityId: eventData.entityId,
-        payload: eventData.payload,
-        status: eventData.status || 'processed', // processed | failed
-        processedAt: new Date()
-      };
       const result = await collection.insertOne(doc);
       return { _id: result.insertedId, ...doc };
     } catch (error) {
+      if (error.code === 11000) return null;
       logger.error('Error saving webhook event to DB:', error);
-      // Don't throw — webhook audit logging should never break the response
+      throw error;
     }
   }
 
+  async findByEventId(eventId) {
+    const collection = this.getCollection();
+    return collection.findOne({ eventId });
+  }
+
+  async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    return collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  async markProcessed(id) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.updateOne(
+      { _id: id },
+      { $set: { status: 'processed', processedAt: now, lockedAt: null, nextAttemptAt: null, updatedAt: now } }
+    );
+  }
+
+  /**
+   * Record a failed attempt: `failed` with a retry time, or `dead` once
+   * retries are exhausted (nextAttemptAt null)
+   */
+  async markFailed(id, errorMessage, nextAttemptAt) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { _id: id },
+      {
+        $set: {
+          status: nextAttemptAt ? 'failed' : 'dead',
+          lastError: errorMessage,
+          nextAttemptAt,
+          lockedAt: null,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  /**
+   * Claim the next failed event due for a retry. Events stuck in
+   * `processing` since before `staleBefore` (a crash mid-processing) are
+   * picked up too.
+   */
+  async claimDueRetry(now, staleBefore) {
+    const collection = this.getCollection();
+    const result = await collection.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'failed', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: staleBefore } }
+        ],
+        // Nothing left to process once the payload is gone
+        payloadRedactedAt: { $exists: false }
+      },
+      { $set: { status: 'processing', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  /**
+   * Claim a dead (or failed) event for a manual replay. Redacted events
+   * can't be replayed.
+   */
+  async claimForReplay(id) {
+    if (!ObjectId.isValid(id)) return null;
+    const collection = this.getCollection();
+    const now = new Date();
+    const result = await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: { $in: ['dead', 'failed'] }, payloadRedactedAt: { $exists: false } },
+      { $set: { status: 'processing', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value;
+  }
+
+  async findByStatus(status, limit = 20, skip = 0) {
+    const collection = this.getCollection();
+    return collection
+      .find({ status })
+      .sort({ receivedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Drop the stored payloads of events about the given Razorpay entities
+   * (they carry the payer's email and phone number)
+   */
+  async redactEntities(entityIds) {
+    if (!entityIds.length) return 0;
+    const collection = this.getCollection();
+    const now = new Date();
+    const result = await collection.updateMany(
+      { entityId: { $in: entityIds }, payloadRedactedAt: { $exists: false } },
+      { $set: { payload: null, payloadRedactedAt: now, updatedAt: now } }
+    );
+    return result.modifiedCount;
+  }
+
   async createIndexes() {
     const collection = this.getCollection();
+    // Events logged before delivery IDs were recorded have no eventId
+    await collection.createIndex(
+      { eventId: 1 },
+      { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+    );
+    await collection.createIndex({ status: 1, nextAttemptAt: 1 });
     await collection.createIndex({ event: 1 });
     await collection.createIndex({ entityId: 1 });
-    await collection.createIndex({ processedAt: -1 });
+    await collection.createIndex({ receivedAt: -1 });
     logger.info('WebhookEvent collection indexes created');
   }
 }
 
-module.exports = new WebhookEvent();
\ No newline at end of file
+module.exports = new WebhookEvent();
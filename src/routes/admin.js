@@ -0,0 +1,143 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const companyController = require('../controllers/companyController');
+const paymentController = require('../controllers/paymentController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validate, schemas } = require('../utils/validators');
+
+const router = express.Router();
+
+// Every route here is admin-only
+router.use(authenticateToken, requireRole('admin'));
+
+// ── Users ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @route GET /api/admin/users
+ * @desc Search users by email or uid, filter by plan, expiry, status or role
+ * @access Admin
+ * @query {string} q - Exact uid or part of the email
+ * @query {string} plan - Subscription plan code
+ * @query {string} expiresAfter - ISO date
+ * @query {string} expiresBefore - ISO date
+ * @query {string} status - active | inactive
+ * @query {string} role - user | admin
+ */
+router.get('/users', adminController.searchUsers);
+
+/**
+ * @route GET /api/admin/users/:uid
+ * @desc User detail: account, subscription, watchlist, usage and recent admin actions
+ * @access Admin
+ */
+router.get('/users/:uid', adminController.getUser);
+
+/**
+ * @route POST /api/admin/users/:uid/subscription/grant
+ * @desc Grant premium for a number of days, or extend it if already active
+ * @access Admin
+ * @body {string} plan - Paid plan code
+ * @body {number} days - Days to grant
+ * @body {string} reason - Why (kept in the audit log)
+ */
+router.post('/users/:uid/subscription/grant', validate(schemas.adminGrant), adminController.grantSubscription);
+
+/**
+ * @route PUT /api/admin/users/:uid/status
+ * @desc Deactivate (also disables Firebase sign-in and revokes sessions) or reactivate
+ * @access Admin
+ * @body {boolean} isActive
+ * @body {string} reason - Optional
+ */
+router.put('/users/:uid/status', validate(schemas.userStatus), adminController.setUserStatus);
+
+/**
+ * @route POST /api/admin/users/:uid/revoke-sessions
+ * @desc Sign the user out on every device
+ * @access Admin
+ * @body {string} reason - Optional
+ */
+router.post('/users/:uid/revoke-sessions', validate(schemas.revokeSessions), adminController.revokeSessions);
+
+/**
+ * @route PUT /api/admin/users/:uid/role
+ * @desc Set a user's role (also mirrored into their Firebase custom claims)
+ * @access Admin
+ * @body {string} role - user | admin
+ */
+router.put('/users/:uid/role', validate(schemas.userRole), adminController.setUserRole);
+
+/**
+ * @route DELETE /api/admin/users/:uid/usage
+ * @desc Reset a user's usage for the current month to zero
+ * @access Admin
+ */
+router.delete('/users/:uid/usage', adminController.resetUserUsage);
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+
+/**
+ * @route GET /api/admin/audit-log
+ * @desc Query the audit log of sensitive actions, newest first
+ * @access Admin
+ * @query {string} actor - Actor uid
+ * @query {string} action - Exact action, or a prefix such as refund.*
+ * @query {string} targetType - e.g. user | refund | company
+ * @query {string} targetId - Target ID
+ * @query {string} requestId - X-Request-Id of the request that made the change
+ * @query {string} from - ISO date (inclusive)
+ * @query {string} to - ISO date (exclusive)
+ */
+router.get('/audit-log', adminController.getAuditLog);
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @route DELETE /api/admin/cache/company/:companyId?
+ * @desc Clear cache for specific company or all companies
+ * @access Admin
+ */
+router.delete('/cache/company/:companyId?', companyController.clearCache);
+
+// ── Refunds ───────────────────────────────────────────────────────────────────
+
+/**
+ * @route GET /api/admin/refund-requests
+ * @desc List refund requests for review
+ * @access Admin
+ * @query {string} status - requested (default) | approved | rejected | pending | processed | failed | all
+ */
+router.get('/refund-requests', paymentController.listRefundRequests);
+
+/**
+ * @route POST /api/admin/refund-requests/:id/approve
+ * @desc Approve a refund request and refund it through Razorpay
+ * @access Admin
+ */
+router.post('/refund-requests/:id/approve', validate(schemas.refundReview), paymentController.approveRefundRequest);
+
+/**
+ * @route POST /api/admin/refund-requests/:id/reject
+ * @desc Reject a refund request
+ * @access Admin
+ * @body {string} reason - Shown to the user
+ */
+router.post('/refund-requests/:id/reject', validate(schemas.refundRejection), paymentController.rejectRefundRequest);
+
+// ── Webhooks ──────────────────────────────────────────────────────────────────
+
+/**
+ * @route GET /api/admin/webhooks/dead-letter
+ * @desc List dead-lettered Razorpay webhook events
+ * @access Admin
+ */
+router.get('/webhooks/dead-letter', paymentController.listDeadLetterWebhooks);
+
+/**
+ * @route POST /api/admin/webhooks/:id/replay
+ * @desc Replay a dead-lettered or failed webhook event
+ * @access Admin
+ */
+router.post('/webhooks/:id/replay', paymentController.replayWebhook);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const companyController = require('../controllers/companyController');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { meterCompanyDetail } = require('../middleware/usageMeter');
+const { loadEntitlements, requireEntitlement } = require('../middleware/entitlements');
 const { validate, schemas } = require('../utils/validators');
 
 const router = express.Router();
@@ -52,6 +54,15 @@ router.get('/stats', authLimiter, companyController.getCompanyStats);
  */
 router.get('/by-name', authLimiter, companyController.getCompanyByName);
 
+/**
+ * @route POST /api/company/compare
+ * @desc Compare insights metrics across companies as an aligned period × company matrix
+ * @access Premium
+ * @body {string[]} companyCodes - 2–10 company codes
+ * @body {Array<{tab: string, metric: string}>} metrics - Metrics to compare
+ */
+router.post('/compare', authLimiter, authenticateToken, requireEntitlement('insights', 'Premium subscription required to view insights'), validate(schemas.compareCompanies), companyController.compareCompanies);
+
 /**
  * @route POST /api/company/follow
  * @desc Follow a company (add to watchlist)
@@ -66,20 +77,35 @@ router.post('/follow', authLimiter, authenticateToken, validate(schemas.followCo
  */
 router.post('/unfollow', authLimiter, authenticateToken, validate(schemas.unfollowCompany), companyController.unfollowCompany);
 
+// ── Dynamic route last — must come after all static routes ────────────────────
+
 /**
- * @route DELETE /api/company/cache/:companyId?
- * @desc Clear cache for specific company or all companies
- * @access Public
+ * @route GET /api/company/:id/insights/:tab/series
+ * @desc Get numeric time series for insights metrics, oldest period first
+ * @access Premium (optional authentication — non-premium callers get 403)
+ * @query {string|string[]} metric - Metric name(s), repeated or comma-separated
  */
-router.delete('/cache/:companyId?', authLimiter, companyController.clearCache);
+router.get('/:id/insights/:tab/series', optionalAuth, requireEntitlement('insights', 'Premium subscription required to view insights'), companyController.getInsightSeries);
 
-// ── Dynamic route last — must come after all static routes ────────────────────
+/**
+ * @route GET /api/company/:id/guidance-tracker
+ * @desc Get management guidance per metric and quarter, reconciled against reported actuals
+ * @access Private (counts against the monthly free-plan guidance limit)
+ */
+router.get('/:id/guidance-tracker', authenticateToken, companyController.getGuidanceTracker);
+
+/**
+ * @route GET /api/company/:id/concalls/:concallId
+ * @desc Get a single concall summary by its stable ID (e.g. TCS-202601)
+ * @access Private (counts against the monthly free-plan concall limit)
+ */
+router.get('/:id/concalls/:concallId', authenticateToken, companyController.getConcallById);
 
 /**
  * @route GET /api/company/:id
  * @desc Get company details by ID (includes inWatchlist for authenticated users)
- * @access Public (optional authentication)
+ * @access Public (optional authentication — guidance and concall sections are metered)
  */
-router.get('/:id', optionalAuth, companyController.getCompanyById);
+router.get('/:id', optionalAuth, loadEntitlements, meterCompanyDetail, companyController.getCompanyById);
 
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,9 @@ const companyRoutes = require('./company');
 const industryRoutes = require('./industry');
 // const chatRoutes = require('./chat');
 const paymentRoutes = require('./payment');
+const planRoutes = require('./plan');
+const adminRoutes = require('./admin');
+const notificationRoutes = require('./notifications');
 const { generalLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -26,20 +29,75 @@ router.get('/', (req, res) => {
             user: {
                 profile: 'GET /api/user/profile',
                 updateProfile: 'PUT /api/user/profile',
+                billingDetails: 'PUT /api/user/billing-details',
+                subscription: 'GET /api/user/subscription',
+                subscriptionHistory: 'GET /api/user/subscription/history',
                 watchlist: 'GET /api/user/watchlist',
+                watchlistDashboard: 'GET /api/user/watchlist/dashboard',
                 addToWatchlist: 'POST /api/user/watchlist',
-                removeFromWatchlist: 'DELETE /api/user/watchlist'
+                removeFromWatchlist: 'DELETE /api/user/watchlist',
+                watchlists: 'GET /api/user/watchlists',
+                createWatchlist: 'POST /api/user/watchlists',
+                reorderWatchlists: 'PUT /api/user/watchlists/order',
+                getNamedWatchlist: 'GET /api/user/watchlists/:id',
+                renameWatchlist: 'PUT /api/user/watchlists/:id',
+                deleteWatchlist: 'DELETE /api/user/watchlists/:id',
+                addWatchlistEntry: 'POST /api/user/watchlists/:id/entries',
+                reorderWatchlistEntries: 'PUT /api/user/watchlists/:id/entries/order',
+                updateWatchlistEntry: 'PUT /api/user/watchlists/:id/entries/:companyCode',
+                removeWatchlistEntry: 'DELETE /api/user/watchlists/:id/entries/:companyCode',
+                feed: 'GET /api/user/feed',
+                markFeedRead: 'POST /api/user/feed/read',
+                notificationPreferences: 'GET /api/user/notifications',
+                updateNotificationPreferences: 'PUT /api/user/notifications',
+                pushConfig: 'GET /api/user/push/config',
+                pushSubscriptions: 'GET /api/user/push/subscriptions',
+                registerPushSubscription: 'POST /api/user/push/subscriptions',
+                removePushSubscription: 'DELETE /api/user/push/subscriptions(/:id)',
+                exportData: 'GET /api/user/export',
+                deleteAccount: 'DELETE /api/user/account'
             },
             company: '/api/company',
             industry: '/api/industry',
+            plans: 'GET /api/plans',
             payment: {
                 createOrder: 'POST /api/payment/create-order',
+                validateCoupon: 'POST /api/payment/coupon/validate',
                 verifyPayment: 'POST /api/payment/verify',
                 getPayment: 'GET /api/payment/payment/:paymentId',
                 getOrder: 'GET /api/payment/order/:orderId',
-                createRefund: 'POST /api/payment/refund/:paymentId',
+                requestRefund: 'POST /api/payment/refund/:paymentId',
+                refunds: 'GET /api/payment/refunds',
+                subscription: 'GET /api/payment/subscription',
+                createSubscription: 'POST /api/payment/subscription',
+                verifySubscription: 'POST /api/payment/subscription/verify',
+                cancelSubscription: 'POST /api/payment/subscription/cancel',
+                pauseSubscription: 'POST /api/payment/subscription/pause',
+                resumeSubscription: 'POST /api/payment/subscription/resume',
+                changePlan: 'POST /api/payment/change-plan',
+                invoices: 'GET /api/payment/invoices',
+                invoice: 'GET /api/payment/invoices/:id?format=json|pdf',
                 webhook: 'POST /api/payment/webhook'
             },
+            notifications: {
+                unsubscribe: 'GET|POST /api/notifications/unsubscribe?token='
+            },
+            admin: {
+                users: 'GET /api/admin/users?q=&plan=&expiresAfter=&expiresBefore=&status=&role=',
+                user: 'GET /api/admin/users/:uid',
+                grantSubscription: 'POST /api/admin/users/:uid/subscription/grant',
+                setUserStatus: 'PUT /api/admin/users/:uid/status',
+                revokeSessions: 'POST /api/admin/users/:uid/revoke-sessions',
+                setUserRole: 'PUT /api/admin/users/:uid/role',
+                auditLog: 'GET /api/admin/audit-log?actor=&action=&targetType=&targetId=&requestId=&from=&to=',
+                resetUserUsage: 'DELETE /api/admin/users/:uid/usage',
+                clearCompanyCache: 'DELETE /api/admin/cache/company/:companyId?',
+                refundRequests: 'GET /api/admin/refund-requests',
+                approveRefundRequest: 'POST /api/admin/refund-requests/:id/approve',
+                rejectRefundRequest: 'POST /api/admin/refund-requests/:id/reject',
+                deadLetterWebhooks: 'GET /api/admin/webhooks/dead-letter',
+                replayWebhook: 'POST /api/admin/webhooks/:id/replay'
+            },
             health: '/health'
         },
         documentation: '/docs'
@@ -53,5 +111,8 @@ router.use('/company', companyRoutes);
 router.use('/industry', industryRoutes);
 // router.use('/chat', chatRoutes);
 router.use('/payment', paymentRoutes);
+router.use('/plans', planRoutes);
+router.use('/admin', adminRoutes);
+router.use('/notifications', notificationRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notifications/unsubscribe
+ * @desc Unsubscribe link from emails; responds with an HTML page
+ * @access Public (signed token)
+ * @query {string} token - Unsubscribe token
+ */
+router.get('/unsubscribe', authLimiter, notificationController.unsubscribe);
+
+/**
+ * @route POST /api/notifications/unsubscribe
+ * @desc One-click unsubscribe used by mail clients (List-Unsubscribe-Post)
+ * @access Public (signed token)
+ * @query {string} token - Unsubscribe token
+ */
+router.post('/unsubscribe', authLimiter, notificationController.unsubscribe);
+
+module.exports = router;
@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
 const { authenticateToken } = require('../middleware/auth');
+const { validate, schemas } = require('../utils/validators');
 const rawBodyMiddleware = require('../middleware/rawBody');
 
 // Create order (protected route)
 router.post('/create-order', authenticateToken, paymentController.createOrder);
 
+// Preview a coupon's discount on a plan (protected route)
+router.post('/coupon/validate', authenticateToken, paymentController.validateCoupon);
+
 // Verify payment (protected route)
 router.post('/verify', authenticateToken, paymentController.verifyPayment);
 
@@ -16,12 +20,42 @@ router.get('/payment/:paymentId', authenticateToken, paymentController.getPaymen
 // Get order details (protected route)
 router.get('/order/:orderId', authenticateToken, paymentController.getOrderDetails);
 
-// Create refund (protected route)
-router.post('/refund/:paymentId', authenticateToken, paymentController.createRefund);
+// Request a refund; staff review it before anything is refunded (protected route)
+router.post('/refund/:paymentId', authenticateToken, validate(schemas.refundRequest), paymentController.requestRefund);
+
+// List refunds and refund requests for logged-in user (protected route)
+router.get('/refunds', authenticateToken, paymentController.getRefunds);
 
 // Get payment history for logged-in user (protected route)
 router.get('/history', authenticateToken, paymentController.getPaymentHistory);
 
+// Switch plan / billing cycle with prorated credit; { dryRun: true } previews (protected route)
+router.post('/change-plan', authenticateToken, paymentController.changePlan);
+
+// List GST invoices for logged-in user (protected route)
+router.get('/invoices', authenticateToken, paymentController.getInvoices);
+
+// Get invoice as JSON, or PDF with ?format=pdf (protected route)
+router.get('/invoices/:id', authenticateToken, paymentController.getInvoice);
+
+// Get current recurring subscription (protected route)
+router.get('/subscription', authenticateToken, paymentController.getSubscription);
+
+// Create recurring subscription (protected route)
+router.post('/subscription', authenticateToken, paymentController.createSubscription);
+
+// Verify subscription checkout (protected route)
+router.post('/subscription/verify', authenticateToken, paymentController.verifySubscription);
+
+// Cancel recurring subscription (protected route)
+router.post('/subscription/cancel', authenticateToken, paymentController.cancelSubscription);
+
+// Pause recurring subscription (protected route)
+router.post('/subscription/pause', authenticateToken, paymentController.pauseSubscription);
+
+// Resume paused subscription (protected route)
+router.post('/subscription/resume', authenticateToken, paymentController.resumeSubscription);
+
 // Webhook endpoint (public - no auth required, with raw body middleware)
 router.post('/webhook', rawBodyMiddleware, paymentController.handleWebhook);
 
@@ -0,0 +1,13 @@
+const express = require('express');
+const planController = require('../controllers/planController');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/plans
+ * @desc Get available plans with pricing, trial length and usage quotas
+ * @access Public
+ */
+router.get('/', planController.getPlans);
+
+module.exports = router;
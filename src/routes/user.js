@@ -1,8 +1,13 @@
 const express = require('express');
 const userController = require('../controllers/userController');
 const usageController = require('../controllers/usageController');
+const watchlistController = require('../controllers/watchlistController');
+const feedController = require('../controllers/feedController');
+const notificationController = require('../controllers/notificationController');
+const pushController = require('../controllers/pushController');
 const { authLimiter } = require('../middleware/rateLimiter');
 const { authenticateToken } = require('../middleware/auth');
+const { loadEntitlements } = require('../middleware/entitlements');
 const { validate, schemas } = require('../utils/validators');
 
 const router = express.Router();
@@ -24,12 +29,78 @@ router.get('/profile', authenticateToken, userController.getUserProfile);
  */
 router.put('/profile', authenticateToken, userController.updateUserProfile);
 
+/**
+ * @route PUT /api/user/billing-details
+ * @desc Set legal name, GSTIN and address printed on GST invoices
+ * @access Private (requires JWT token)
+ */
+router.put('/billing-details', authenticateToken, validate(schemas.billingDetails), userController.updateBillingDetails);
+
+/**
+ * @route GET /api/user/notifications
+ * @desc Get notification preferences (email, push, sms, digest frequency)
+ * @access Private (requires JWT token)
+ */
+router.get('/notifications', authenticateToken, notificationController.getPreferences);
+
+/**
+ * @route PUT /api/user/notifications
+ * @desc Update notification preferences
+ * @access Private (requires JWT token)
+ * @body { email?: boolean, push?: boolean, sms?: boolean, digest?: 'daily'|'weekly'|'off' }
+ */
+router.put('/notifications', authenticateToken, validate(schemas.notificationPreferences), notificationController.updatePreferences);
+
+/**
+ * @route GET /api/user/push/config
+ * @desc Whether web push is available and the VAPID public key for pushManager.subscribe()
+ * @access Private (requires JWT token)
+ */
+router.get('/push/config', authenticateToken, pushController.getConfig);
+
+/**
+ * @route GET /api/user/push/subscriptions
+ * @desc List devices registered for push notifications
+ * @access Private (requires JWT token)
+ */
+router.get('/push/subscriptions', authenticateToken, pushController.getSubscriptions);
+
+/**
+ * @route POST /api/user/push/subscriptions
+ * @desc Register this browser's push subscription (re-registering refreshes it)
+ * @access Private (requires JWT token)
+ * @body { subscription: { endpoint, expirationTime, keys: { p256dh, auth } }, deviceName?: string }
+ */
+router.post('/push/subscriptions', authenticateToken, validate(schemas.pushSubscription), pushController.subscribe);
+
+/**
+ * @route DELETE /api/user/push/subscriptions
+ * @desc Unregister this browser by its push endpoint
+ * @access Private (requires JWT token)
+ * @body { endpoint: string }
+ */
+router.delete('/push/subscriptions', authenticateToken, validate(schemas.pushUnsubscribe), pushController.unsubscribe);
+
+/**
+ * @route DELETE /api/user/push/subscriptions/:id
+ * @desc Unregister one of the user's devices
+ * @access Private (requires JWT token)
+ */
+router.delete('/push/subscriptions/:id', authenticateToken, pushController.unsubscribe);
+
 /**
  * @route GET /api/user/subscription
- * @desc Get user's subscription status and details
+ * @desc Get user's subscription status, quotas and entitlements
  * @access Private (requires JWT token)
  */
-router.get('/subscription', authenticateToken, userController.getSubscription);
+router.get('/subscription', authenticateToken, loadEntitlements, userController.getSubscription);
+
+/**
+ * @route GET /api/user/subscription/history
+ * @desc Get user's subscription ledger (trial, payments, renewals, plan changes, expiries)
+ * @access Private (requires JWT token)
+ */
+router.get('/subscription/history', authenticateToken, userController.getSubscriptionHistory);
 
 /**
  * @route GET /api/user/watchlist
@@ -38,6 +109,15 @@ router.get('/subscription', authenticateToken, userController.getSubscription);
  */
 router.get('/watchlist', authenticateToken, userController.getWatchlist);
 
+/**
+ * @route GET /api/user/watchlist/dashboard
+ * @desc Snapshot of every followed company (name, codes, industry, latest concall,
+ *       headline metrics for premium users) in one call
+ * @access Private (requires JWT token)
+ * @query {string} [watchlistId] - Limit to one named watchlist
+ */
+router.get('/watchlist/dashboard', authenticateToken, loadEntitlements, watchlistController.getDashboard);
+
 /**
  * @route POST /api/user/watchlist
  * @desc Add company to watchlist
@@ -60,6 +140,115 @@ router.delete('/watchlist',
     userController.removeFromWatchlist
 );
 
+/**
+ * @route GET /api/user/watchlists
+ * @desc Get user's named watchlists in their chosen order
+ * @access Private (requires JWT token)
+ */
+router.get('/watchlists', authenticateToken, watchlistController.getWatchlists);
+
+/**
+ * @route POST /api/user/watchlists
+ * @desc Create a named watchlist
+ * @access Private (requires JWT token)
+ * @body { name: string }
+ */
+router.post('/watchlists', authenticateToken, validate(schemas.watchlistName), watchlistController.createWatchlist);
+
+/**
+ * @route PUT /api/user/watchlists/order
+ * @desc Reorder watchlists
+ * @access Private (requires JWT token)
+ * @body { ids: string[] }
+ */
+router.put('/watchlists/order', authenticateToken, validate(schemas.watchlistOrder), watchlistController.reorderWatchlists);
+
+/**
+ * @route GET /api/user/watchlists/:id
+ * @desc Get one watchlist with its entries
+ * @access Private (requires JWT token)
+ */
+router.get('/watchlists/:id', authenticateToken, watchlistController.getWatchlist);
+
+/**
+ * @route PUT /api/user/watchlists/:id
+ * @desc Rename a watchlist
+ * @access Private (requires JWT token)
+ * @body { name: string }
+ */
+router.put('/watchlists/:id', authenticateToken, validate(schemas.watchlistName), watchlistController.renameWatchlist);
+
+/**
+ * @route DELETE /api/user/watchlists/:id
+ * @desc Delete a watchlist (not the default one)
+ * @access Private (requires JWT token)
+ */
+router.delete('/watchlists/:id', authenticateToken, watchlistController.deleteWatchlist);
+
+/**
+ * @route POST /api/user/watchlists/:id/entries
+ * @desc Add a company to a watchlist, with optional note, tags and reference price
+ * @access Private (requires JWT token)
+ * @body { companyCode: string, note?: string, tags?: string[], price?: number, currency?: string }
+ */
+router.post(
+    '/watchlists/:id/entries',
+    authenticateToken,
+    validate(schemas.watchlistEntry),
+    watchlistController.addEntry
+);
+
+/**
+ * @route PUT /api/user/watchlists/:id/entries/order
+ * @desc Reorder a watchlist's entries
+ * @access Private (requires JWT token)
+ * @body { companyCodes: string[] }
+ */
+router.put(
+    '/watchlists/:id/entries/order',
+    authenticateToken,
+    validate(schemas.watchlistEntryOrder),
+    watchlistController.reorderEntries
+);
+
+/**
+ * @route PUT /api/user/watchlists/:id/entries/:companyCode
+ * @desc Update an entry's note and tags
+ * @access Private (requires JWT token)
+ * @body { note?: string, tags?: string[] }
+ */
+router.put(
+    '/watchlists/:id/entries/:companyCode',
+    authenticateToken,
+    validate(schemas.watchlistEntryUpdate),
+    watchlistController.updateEntry
+);
+
+/**
+ * @route DELETE /api/user/watchlists/:id/entries/:companyCode
+ * @desc Remove a company from a watchlist
+ * @access Private (requires JWT token)
+ */
+router.delete('/watchlists/:id/entries/:companyCode', authenticateToken, watchlistController.removeEntry);
+
+/**
+ * @route GET /api/user/feed
+ * @desc Activity feed for followed companies (new concalls, guidance, results), newest first
+ * @access Private (requires JWT token)
+ * @query {string} [cursor] - nextCursor from the previous page
+ * @query {number} [limit] - Page size (max 100)
+ * @query {boolean} [unread] - Only unread items
+ */
+router.get('/feed', authenticateToken, feedController.getFeed);
+
+/**
+ * @route POST /api/user/feed/read
+ * @desc Mark feed items read
+ * @access Private (requires JWT token)
+ * @body { ids: string[] } or { all: true }
+ */
+router.post('/feed/read', authenticateToken, validate(schemas.feedRead), feedController.markRead);
+
 /**
  * @route GET /api/user/usage
  * @desc Get current month's usage (guidance + concall views)
@@ -94,10 +283,18 @@ router.post(
 );
 
 /**
- * @route DELETE /api/user/usage
- * @desc Reset current month's usage to zero (dev/testing)
+ * @route GET /api/user/export
+ * @desc Download all data stored about the user (JSON)
+ * @access Private
+ */
+router.get('/export', authenticateToken, userController.exportData);
+
+/**
+ * @route DELETE /api/user/account
+ * @desc Delete the account; payment records are kept pseudonymized. Needs a recent sign-in.
  * @access Private
+ * @body {string} confirm - Must be "DELETE"
  */
-router.delete('/usage', authenticateToken, usageController.resetUsage);
+router.delete('/account', authenticateToken, validate(schemas.accountDeletion), userController.deleteAccount);
 
 module.exports = router;
\ No newline at end of file
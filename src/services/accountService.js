@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { admin } = require('../config/firebase');
+const { privacyConfig } = require('../config/privacy');
+const User = require('../models/User');
+const OrderModel = require('../models/Order');
+const CouponRedemptionModel = require('../models/CouponRedemption');
+const PaymentModel = require('../models/Payment');
+const RefundModel = require('../models/Refund');
+const InvoiceModel = require('../models/Invoice');
+const SubscriptionModel = require('../models/Subscription');
+const SubscriptionEventModel = require('../models/SubscriptionEvent');
+const WebhookEventModel = require('../models/WebhookEvent');
+const AuditLogModel = require('../models/AuditLog');
+const paymentService = require('./paymentService');
+const watchlistService = require('./watchlistService');
+const feedService = require('./feedService');
+const notificationService = require('./notificationService');
+const pushService = require('./pushService');
+const usageService = require('./usageService');
+const entitlementService = require('./entitlementService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+// findByUserId limit meaning "no limit" (MongoDB treats limit 0 as none)
+const ALL = 0;
+
+/**
+ * Data export and account deletion. Payment records (orders, payments,
+ * refunds, invoices, recurring subscriptions, the subscription ledger) must
+ * be retained, so on deletion they are pseudonymized rather than deleted;
+ * everything else tied to the uid is removed. Reconciliation reports, which
+ * mention uids, expire on their own after 90 days.
+ */
+class AccountService {
+    /**
+     * Stable stand-in for a deleted user's uid on retained records. Records of
+     * the same deleted account stay linked to each other but not to a person.
+     * Keyed with PSEUDONYM_SECRET, so it can't be recomputed from a known uid.
+     * @param {string} uid - Firebase UID
+     * @returns {string}
+     */
+    pseudonymFor(uid) {
+        if (!privacyConfig.pseudonymSecret) {
+            throw new Error('PSEUDONYM_SECRET is not configured');
+        }
+        const digest = crypto.createHmac('sha256', privacyConfig.pseudonymSecret).update(uid).digest('hex');
+        return `deleted_${digest.slice(0, 24)}`;
+    }
+
+    /**
+     * Everything stored about a user, as one JSON-serializable archive
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<Object|null>} Archive, or null if the user doesn't exist
+     */
+    async exportData(uid) {
+        const user = await User.findByUid(uid);
+        if (!user) return null;
+
+        const [
+            watchlists, feed, notifications, pushSubscriptions, usage, orders, payments, refunds, invoices,
+            subscriptions, subscriptionEvents, auditLog
+        ] = await Promise.all([
+            watchlistService.getWatchlistDocuments(uid),
+            feedService.getAllItems(uid),
+            notificationService.getHistory(uid),
+            pushService.getSubscriptions(uid),
+            usageService.getUsageHistory(uid),
+            OrderModel.findByUserId(uid, ALL),
+            PaymentModel.findByUserId(uid, ALL),
+            RefundModel.findByUserId(uid, ALL),
+            InvoiceModel.findByUserId(uid, ALL),
+            SubscriptionModel.findByUserId(uid, ALL),
+            SubscriptionEventModel.findByUserId(uid, ALL),
+            AuditLogModel.findForUser(uid)
+        ]);
+
+        const { _id, ...profile } = user;
+        return {
+            exportedAt: new Date(),
+            uid,
+            profile,
+            watchlists,
+            feed,
+            notifications,
+            pushSubscriptions,
+            usage,
+            subscriptions,
+            subscriptionEvents,
+            orders,
+            payments,
+            refunds,
+            invoices,
+            auditLog
+        };
+    }
+
+    /**
+     * Delete a user's account. A live recurring subscription is cancelled
+     * first (deletion stops if that fails, so nobody is billed after
+     * deleting). Safe to run again if a step fails part-way.
+     * @param {string} uid - Firebase UID
+     * @param {Object} actor - Who asked (auditService.actorFromRequest)
+     * @returns {Promise<Object>} Counts of deleted and pseudonymized records
+     */
+    async deleteAccount(uid, actor) {
+        const pseudonym = this.pseudonymFor(uid);
+
+        const live = await SubscriptionModel.findLiveByUserId(uid);
+        if (live) {
+            await paymentService.cancelSubscription(uid, false);
+        }
+
+        // Webhook payloads carry the payer's contact details
+        const [orders, payments, refunds, subscriptions] = await Promise.all([
+            OrderModel.findByUserId(uid, ALL),
+            PaymentModel.findByUserId(uid, ALL),
+            RefundModel.findByUserId(uid, ALL),
+            SubscriptionModel.findByUserId(uid, ALL)
+        ]);
+        const entityIds = [
+            ...orders.map(order => order.razorpayOrderId),
+            ...payments.map(payment => payment.razorpayPaymentId),
+            ...refunds.map(refund => refund.razorpayRefundId),
+            ...subscriptions.map(subscription => subscription.razorpaySubscriptionId)
+        ].filter(Boolean);
+
+        const summary = {
+            webhookPayloadsRedacted: await WebhookEventModel.redactEntities(entityIds),
+            pseudonymized: {
+                orders: await OrderModel.pseudonymizeUser(uid, pseudonym),
+                couponRedemptions: await CouponRedemptionModel.pseudonymizeUser(uid, pseudonym),
+                payments: await PaymentModel.pseudonymizeUser(uid, pseudonym),
+                refunds: await RefundModel.pseudonymizeUser(uid, pseudonym),
+                invoices: await InvoiceModel.pseudonymizeUser(uid, pseudonym),
+                subscriptions: await SubscriptionModel.pseudonymizeUser(uid, pseudonym),
+                subscriptionEvents: await SubscriptionEventModel.pseudonymizeUser(uid, pseudonym),
+                auditLog: await AuditLogModel.pseudonymizeUser(uid, pseudonym)
+            },
+            deleted: {
+                watchlists: await watchlistService.deleteAllWatchlists(uid),
+                feedItems: await feedService.deleteFeed(uid),
+                notifications: await notificationService.deleteHistory(uid),
+                pushSubscriptions: await pushService.deleteAllSubscriptions(uid),
+                usageMonths: await usageService.deleteUsage(uid),
+                user: await User.deleteByUid(uid)
+            }
+        };
+
+        await entitlementService.invalidate(uid);
+
+        try {
+            await admin.auth().deleteUser(uid);
+        } catch (error) {
+            if (error.code !== 'auth/user-not-found') throw error;
+        }
+        summary.deleted.firebaseUser = true;
+
+        await auditService.record(
+            { uid: pseudonym, requestId: actor?.requestId },
+            'user.account_deleted',
+            { type: 'user', id: pseudonym },
+            { details: summary }
+        );
+        logger.info(`Account deleted: ${uid} (now ${pseudonym})`);
+        return summary;
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,263 @@
+const { admin } = require('../config/firebase');
+const User = require('../models/User');
+const authService = require('./authService');
+const planService = require('./planService');
+const usageService = require('./usageService');
+const watchlistService = require('./watchlistService');
+const entitlementService = require('./entitlementService');
+const subscriptionEventService = require('./subscriptionEventService');
+const auditService = require('./auditService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userTarget = (uid) => ({ type: 'user', id: uid });
+
+const notFound = (uid) => {
+    const error = new Error(`User not found: ${uid}`);
+    error.code = 'USER_NOT_FOUND';
+    return error;
+};
+
+/**
+ * Support operations on user accounts. Every change is written to the
+ * audit log with the acting staff member.
+ */
+class AdminService {
+    /**
+     * Search users
+     * @param {Object} filters - See User.search
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Page size
+     * @returns {Promise<Object>} { users, total, page, limit }
+     */
+    async searchUsers(filters, page = 1, limit = 20) {
+        const { users, total } = await User.search(filters, limit, (page - 1) * limit);
+        return { users, total, page, limit };
+    }
+
+    /**
+     * Everything support needs about one user: account, Firebase auth state,
+     * subscription, entitlements, watchlists, usage, recent subscription
+     * events and recent admin actions
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<Object>}
+     */
+    async getUserDetail(uid) {
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        const [auth, entitlements, watchlists, usage, subscriptionEvents, auditLog] = await Promise.all([
+            this._getAuthRecord(uid),
+            entitlementService.resolve(user),
+            watchlistService.getWatchlistDocuments(uid)
+                .then(lists => lists.map(list => watchlistService.toPublic(list)))
+                .catch(() => null),
+            usageService.getUsage(uid),
+            subscriptionEventService.getHistory(uid, 1, 20),
+            auditService.getForTarget('user', uid, 20)
+        ]);
+
+        const { subscriptionHistory = [], ...account } = user;
+        const activePlan = await planService.getActivePlan(user.subscription);
+
+        return {
+            user: account,
+            auth,
+            subscription: {
+                plan: activePlan.code,
+                current: user.subscription || null,
+                history: subscriptionHistory,
+                events: subscriptionEvents
+            },
+            entitlements,
+            watchlists,
+            usage,
+            auditLog
+        };
+    }
+
+    /**
+     * Grant premium access, or extend it if the user already has the same
+     * plan active. Extending keeps the subscription's source and any
+     * recurring subscription link; a fresh grant starts now with source
+     * 'manual'.
+     * @param {Object} actor - Staff member (auditService.actorFromRequest)
+     * @param {string} uid - Firebase UID
+     * @param {Object} grant - { plan, days, reason }
+     * @returns {Promise<Object>} New subscription
+     */
+    async grantSubscription(actor, uid, { plan, days, reason }) {
+        if (!(await planService.isPaidPlan(plan))) {
+            const error = new Error(`Unknown or free plan: ${plan}`);
+            error.code = 'INVALID_PLAN';
+            throw error;
+        }
+
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        const now = new Date();
+        const sub = user.subscription || null;
+        const isActive = sub?.expiresAt && new Date(sub.expiresAt) > now;
+
+        if (isActive && sub.plan !== plan) {
+            const error = new Error(`User has an active ${sub.plan} subscription; grant ${sub.plan} to extend it`);
+            error.code = 'SUBSCRIPTION_CONFLICT';
+            throw error;
+        }
+
+        let subscription;
+        if (isActive) {
+            const { expiryRecordedAt, ...current } = sub;
+            subscription = {
+                ...current,
+                expiresAt: new Date(new Date(sub.expiresAt).getTime() + days * DAY_MS)
+            };
+        } else {
+            subscription = {
+                plan,
+                billingCycle: 'complimentary',
+                source: 'manual',
+                startedAt: now,
+                activatedAt: now,
+                expiresAt: new Date(now.getTime() + days * DAY_MS)
+            };
+        }
+
+        const granted = await User.grantSubscription(uid, sub?.expiresAt || null, subscription, {
+            type: 'admin_grant',
+            grantedBy: actor.uid,
+            days,
+            reason,
+            from: sub ? { plan: sub.plan, expiresAt: sub.expiresAt } : null,
+            to: { plan, expiresAt: subscription.expiresAt },
+            at: now
+        });
+        if (!granted) {
+            const error = new Error('Subscription changed while granting; reload and try again');
+            error.code = 'SUBSCRIPTION_CONFLICT';
+            throw error;
+        }
+
+        await entitlementService.invalidate(uid);
+        await subscriptionEventService.record(subscriptionEventService.TYPES.GRANTED, uid, {
+            plan,
+            billingCycle: subscription.billingCycle,
+            source: subscription.source,
+            periodStart: isActive ? null : now,
+            periodEnd: subscription.expiresAt,
+            previous: sub,
+            details: { days, reason, grantedBy: actor.uid, extended: !!isActive }
+        });
+        await auditService.record(actor, 'user.subscription_granted', userTarget(uid), {
+            before: { subscription: sub },
+            after: { subscription },
+            details: { plan, days, reason, extended: !!isActive }
+        });
+
+        logger.info(`Admin ${actor.uid} granted ${days} days of ${plan} to ${uid} (expires ${subscription.expiresAt.toISOString()})`);
+        return subscription;
+    }
+
+    /**
+     * Reset a user's usage for the current month
+     * @param {Object} actor - Staff member (auditService.actorFromRequest)
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<Object>} Reset usage
+     */
+    async resetUsage(actor, uid) {
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        const previous = await usageService.getUsage(uid);
+        const result = await usageService.resetUsage(uid);
+
+        await auditService.record(actor, 'user.usage_reset', userTarget(uid), {
+            before: { guidance: previous.guidance, concalls: previous.concalls },
+            after: { guidance: result.guidance, concalls: result.concalls },
+            details: { month: result.month }
+        });
+        return result;
+    }
+
+    /**
+     * Deactivate or reactivate an account. Deactivation also disables the
+     * Firebase user and revokes their sessions, so existing tokens stop
+     * working at once.
+     * @param {Object} actor - Staff member (auditService.actorFromRequest)
+     * @param {string} uid - Firebase UID
+     * @param {boolean} isActive - New state
+     * @param {string} [reason] - Why
+     * @returns {Promise<void>}
+     */
+    async setActive(actor, uid, isActive, reason = null) {
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        await admin.auth().updateUser(uid, { disabled: !isActive });
+        if (!isActive) {
+            await admin.auth().revokeRefreshTokens(uid);
+        }
+        await User.setActive(uid, isActive);
+
+        await auditService.record(actor, isActive ? 'user.reactivated' : 'user.deactivated', userTarget(uid), {
+            before: { isActive: user.isActive !== false },
+            after: { isActive },
+            details: { reason }
+        });
+        logger.info(`Admin ${actor.uid} ${isActive ? 'reactivated' : 'deactivated'} user ${uid}`);
+    }
+
+    /**
+     * Sign a user out everywhere: revokes their Firebase refresh tokens and
+     * invalidates ID tokens issued before now
+     * @param {Object} actor - Staff member (auditService.actorFromRequest)
+     * @param {string} uid - Firebase UID
+     * @param {string} [reason] - Why
+     * @returns {Promise<void>}
+     */
+    async revokeSessions(actor, uid, reason = null) {
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        await admin.auth().revokeRefreshTokens(uid);
+        await auditService.record(actor, 'user.sessions_revoked', userTarget(uid), { details: { reason } });
+        logger.info(`Admin ${actor.uid} revoked sessions for user ${uid}`);
+    }
+
+    /**
+     * Change a user's role
+     * @param {Object} actor - Staff member (auditService.actorFromRequest)
+     * @param {string} uid - Firebase UID
+     * @param {string} role - New role
+     * @returns {Promise<void>}
+     */
+    async setRole(actor, uid, role) {
+        const user = await User.findByUid(uid);
+        if (!user) throw notFound(uid);
+
+        await authService.setUserRole(uid, role);
+        await auditService.record(actor, 'user.role_changed', userTarget(uid), {
+            before: { role: user.role || null },
+            after: { role }
+        });
+    }
+
+    async _getAuthRecord(uid) {
+        try {
+            const record = await admin.auth().getUser(uid);
+            return {
+                disabled: record.disabled,
+                tokensValidAfterTime: record.tokensValidAfterTime || null,
+                lastSignInTime: record.metadata?.lastSignInTime || null,
+                customClaims: record.customClaims || {}
+            };
+        } catch (error) {
+            logger.warn(`Could not load Firebase record for ${uid}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,138 @@
+const AuditLogModel = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Nested objects deeper than this are compared as a whole
+const MAX_DIFF_DEPTH = 4;
+
+const isPlainObject = (value) => value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && !(value instanceof Date)
+    && value.constructor === Object;
+
+// Flatten to { 'a.b': leaf }; dates, arrays and ObjectIds are leaves
+const flatten = (value, prefix = '', depth = 0, out = {}) => {
+    if (isPlainObject(value) && depth < MAX_DIFF_DEPTH) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, depth + 1, out);
+        }
+        if (Object.keys(value).length === 0 && prefix) out[prefix] = {};
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const comparable = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+class AuditService {
+    /**
+     * Build the actor for audit entries from an authenticated request
+     * @param {Object} req - Express request object (after authenticateToken)
+     * @returns {Object} { uid, email, role, ip, userAgent, requestId }
+     */
+    actorFromRequest(req) {
+        return {
+            uid: req.user?.uid || null,
+            email: req.user?.email || null,
+            role: req.user?.role || null,
+            ip: req.ip || null,
+            userAgent: req.get?.('User-Agent') || null,
+            requestId: req.id || null
+        };
+    }
+
+    /**
+     * Actor for changes made by the system itself (webhooks, jobs)
+     * @param {string} name - What made the change, e.g. 'razorpay_webhook'
+     * @returns {Object}
+     */
+    systemActor(name) {
+        return { system: name };
+    }
+
+    /**
+     * Changed fields between two states, as dotted paths
+     * @param {Object|null} before
+     * @param {Object|null} after
+     * @returns {Array} [{ path, from, to }]
+     */
+    diff(before, after) {
+        const from = flatten(before || {});
+        const to = flatten(after || {});
+        const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+        return paths
+            .filter(path => comparable(from[path]) !== comparable(to[path]))
+            .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+    }
+
+    /**
+     * Write an audit entry. Never throws — the action has already happened
+     * and must not be reported as failed because the log write did.
+     * @param {Object|null} actor - From actorFromRequest or systemActor
+     * @param {string} action - What was done, e.g. 'user.deactivated'
+     * @param {Object} target - { type, id }
+     * @param {Object} [change] - { before, after, details }; the diff is computed
+     * @returns {Promise<Object|null>} Saved entry, or null on failure
+     */
+    async record(actor, action, target, { before = null, after = null, details = {} } = {}) {
+        try {
+            return await AuditLogModel.create({
+                actor: actor?.system
+                    ? { system: actor.system }
+                    : { uid: actor?.uid || null, email: actor?.email || null, role: actor?.role || null },
+                action,
+                target,
+                before,
+                after,
+                diff: this.diff(before, after),
+                details,
+                ip: actor?.ip,
+                userAgent: actor?.userAgent,
+                requestId: actor?.requestId
+            });
+        } catch (error) {
+            logger.error(`Failed to write audit entry ${action} for ${target?.type}:${target?.id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Latest entries about one target, newest first
+     * @param {string} type - Target type, e.g. 'user'
+     * @param {string} id - Target ID
+     * @param {number} limit - Max entries
+     * @returns {Promise<Array>}
+     */
+    async getForTarget(type, id, limit = 20) {
+        return AuditLogModel.findByTarget(type, id, limit);
+    }
+
+    /**
+     * Search the audit log
+     * @param {Object} filters - See AuditLog.find
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Page size
+     * @returns {Promise<Object>} { entries, total, page, limit }
+     */
+    async query(filters, page = 1, limit = 50) {
+        const { entries, total } = await AuditLogModel.find(filters, limit, (page - 1) * limit);
+        return { entries, total, page, limit };
+    }
+
+    /**
+     * Create indexes for the audit_log collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await AuditLogModel.createIndexes();
+    }
+}
+
+module.exports = new AuditService();
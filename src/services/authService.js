@@ -1,5 +1,8 @@
 const { admin } = require('../config/firebase');
 const userService = require('./userService');
+const User = require('../models/User');
+const watchlistService = require('./watchlistService');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
 const logger = require('../utils/logger');
 
 class AuthService {
@@ -48,7 +51,8 @@ class AuthService {
             // Set custom claims for new user
             await admin.auth().setCustomUserClaims(decodedToken.uid, {
                 signupMethod: 'google',
-                signupDate: new Date().toISOString()
+                signupDate: new Date().toISOString(),
+                role: DEFAULT_ROLE
             });
 
             // Create user in MongoDB
@@ -122,6 +126,12 @@ class AuthService {
                 throw error;
             }
 
+            if (mongoUser.isActive === false || userRecord.disabled) {
+                const error = new Error('User account has been disabled');
+                error.code = 'auth/user-disabled';
+                throw error;
+            }
+
             // Update last login time
             await userService.updateLastLogin(decodedToken.uid);
 
@@ -138,7 +148,7 @@ class AuthService {
                 mongoUser: {
                     _id: mongoUser._id,
                     lastLoginAt: new Date(),
-                    watchlist: mongoUser.watchlist || []
+                    watchlist: await watchlistService.getUserWatchlist(decodedToken.uid)
                 }
             };
         } catch (error) {
@@ -221,6 +231,32 @@ class AuthService {
         }
     }
 
+    /**
+     * Set a user's role in MongoDB and mirror it into their Firebase custom
+     * claims (other claims are kept). The claim reaches the client on its
+     * next token refresh; requireRole also checks MongoDB, so a demotion
+     * takes effect immediately.
+     * @param {string} uid - Firebase UID
+     * @param {string} role - Role (see config/roles.js)
+     * @returns {Promise<boolean>} false if the user doesn't exist
+     */
+    async setUserRole(uid, role) {
+        if (!ROLES[role]) {
+            const error = new Error(`Unknown role: ${role}`);
+            error.code = 'INVALID_ROLE';
+            throw error;
+        }
+
+        const updated = await User.setRole(uid, role);
+        if (!updated) return false;
+
+        const userRecord = await admin.auth().getUser(uid);
+        await admin.auth().setCustomUserClaims(uid, { ...(userRecord.customClaims || {}), role });
+
+        logger.info(`Role for user ${uid} set to ${role}`);
+        return true;
+    }
+
     /**
      * Verify Firebase ID token (used by auth middleware)
      * @param {string} idToken - Firebase ID token
@@ -228,7 +264,8 @@ class AuthService {
      */
     async verifyIdToken(idToken) {
         try {
-            const decodedToken = await admin.auth().verifyIdToken(idToken);
+            // checkRevoked: revoked sessions and disabled accounts fail at once
+            const decodedToken = await admin.auth().verifyIdToken(idToken, true);
 
             logger.info(`Token verified successfully for user: ${decodedToken.uid}`);
 
@@ -239,6 +276,7 @@ class AuthService {
                 displayName: decodedToken.name,
                 picture: decodedToken.picture,
                 emailVerified: decodedToken.email_verified,
+                role: decodedToken.role || DEFAULT_ROLE,
                 authTime: decodedToken.auth_time,
                 exp: decodedToken.exp,
                 iat: decodedToken.iat,
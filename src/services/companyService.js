@@ -3,6 +3,13 @@ const mongodb = require("../config/mongodb");
 const redis = require("../config/redis");
 const memoryCache = require("../config/memoryCache");
 const logger = require("../utils/logger");
+const {
+  parseQuarterForSort,
+  parsePeriodLabel,
+  comparePeriods,
+  findInsightsTab,
+  buildMetricSeries,
+} = require("../utils/insights");
 
 // ─── Internal-field stripping ─────────────────────────────────────────────────
 
@@ -24,6 +31,26 @@ const CONCALL_STRIP = new Set([
   'textLength',
 ]);
 
+/** Concall fields carrying management guidance — metered as guidance views */
+const GUIDANCE_FIELDS = ['guidanceTable', 'guidance'];
+
+/**
+ * Headline metrics shown on watchlist snapshots, read from the latest
+ * quarterly period. `rows` are insights row names, first match wins.
+ */
+const HEADLINE_METRICS = [
+  { key: 'revenue', label: 'Revenue', rows: ['Sales', 'Revenue', 'Revenue from Operations'] },
+  { key: 'net_profit', label: 'Net profit', rows: ['Net Profit', 'PAT'] },
+  { key: 'opm', label: 'OPM', rows: ['OPM %', 'OPM', 'EBITDA Margin %'] },
+  { key: 'eps', label: 'EPS', rows: ['EPS in Rs', 'EPS'] },
+];
+
+/** Firestore caps the values of an "in" filter */
+const FIRESTORE_IN_LIMIT = 30;
+
+/** Concall fields still returned when the summary itself is locked */
+const CONCALL_PREVIEW_FIELDS = new Set(['concallId', 'quarter', 'date', 'title']);
+
 /**
  * Extract a plain display value from an insights cell.
  * The scraper stores values as either a plain string/number OR an object
@@ -63,42 +90,31 @@ function transformInsights(insights) {
   return result;
 }
 
-const MONTH_ABBR = {
-  jan:1,feb:2,mar:3,apr:4,may:5,jun:6,
-  jul:7,aug:8,sep:9,oct:10,nov:11,dec:12
-};
-
 /**
- * Parse any quarter/period string into a comparable { year, month } object.
- * Handles:
- *   "Q4FY26" / "Q4 FY26"  → fiscal-year format (Q4 FY26 = Jan 2026)
- *   "May2026" / "Jan2025"  → MonthYear format
- * Returns { year: 0, month: 0 } for unrecognised formats (sorted to end).
+ * Build a stable concall ID from the company code and the call's quarter,
+ * e.g. "TCS-202601" for Q4FY26. Quarters the parser doesn't recognise fall
+ * back to a slug of the raw string so the ID is still deterministic.
  */
-function parseQuarterForSort(quarter) {
-  if (!quarter) return { year: 0, month: 0 };
-
-  // "Q4FY26" / "Q4 FY26"
-  const qMatch = quarter.match(/Q(\d+)\s*FY(\d+)/i);
-  if (qMatch) {
-    const qNum = parseInt(qMatch[1], 10);
-    const fy   = parseInt(qMatch[2], 10);
-    // Indian FY: Q1=Apr-Jun, Q2=Jul-Sep, Q3=Oct-Dec, Q4=Jan-Mar
-    // FY26 starts April 2025 → base calendar year = 2000+fy-1
-    const base = 2000 + fy - 1;
-    const monthStarts = { 1: 4, 2: 7, 3: 10, 4: 1 };
-    const yearAdd     = qNum === 4 ? 1 : 0;
-    return { year: base + yearAdd, month: monthStarts[qNum] ?? 1 };
-  }
-
-  // "May2026" / "Nov2025"
-  const mMatch = quarter.match(/^([A-Za-z]+)(\d{4})$/);
-  if (mMatch) {
-    const m = MONTH_ABBR[mMatch[1].toLowerCase().slice(0, 3)];
-    if (m) return { year: parseInt(mMatch[2], 10), month: m };
-  }
+function buildConcallId(companyCode, quarter) {
+  const { year, month } = parseQuarterForSort(quarter);
+  const suffix = year
+    ? `${year}${String(month).padStart(2, '0')}`
+    : String(quarter || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  return `${companyCode}-${suffix}`;
+}
 
-  return { year: 0, month: 0 };
+/**
+ * Attach a concallId to each concall. Calls sharing a quarter (re-uploads,
+ * analyst meets) get a numeric suffix in list order.
+ */
+function assignConcallIds(companyCode, concalls) {
+  const seen = new Map();
+  return concalls.map(concall => {
+    const base = buildConcallId(companyCode, concall.quarter);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { ...concall, concallId: count === 1 ? base : `${base}-${count}` };
+  });
 }
 
 /**
@@ -116,11 +132,11 @@ function transformCompanyData(raw) {
     Object.entries(raw).filter(([k]) => !TOP_LEVEL_STRIP.has(k))
   );
 
-  // 2. Strip internal fields from each Concall and sort newest-first
+  // 2. Strip internal fields from each Concall, sort newest-first, assign IDs
   if (cleaned.documents?.Concalls) {
     cleaned.documents = {
       ...cleaned.documents,
-      Concalls: cleaned.documents.Concalls
+      Concalls: assignConcallIds(cleaned.companyCode, cleaned.documents.Concalls
         .map(concall =>
           Object.fromEntries(
             Object.entries(concall).filter(([k]) => !CONCALL_STRIP.has(k))
@@ -131,7 +147,7 @@ function transformCompanyData(raw) {
           const pb = parseQuarterForSort(b.quarter);
           if (pb.year !== pa.year) return pb.year - pa.year;
           return pb.month - pa.month;
-        }),
+        })),
     };
   }
 
@@ -143,6 +159,78 @@ function transformCompanyData(raw) {
   return cleaned;
 }
 
+/**
+ * Headline metrics from the quarterly insights tab: the latest reported value
+ * of each HEADLINE_METRICS entry and its change on the same quarter a year
+ * earlier (growth % for amounts, percentage points for % metrics).
+ * @returns {{ period: string|null, metrics: Array }|null} null without quarterly data
+ */
+function buildHeadline(insights) {
+  const tabKey = Object.keys(insights || {}).find(k => /quarter/i.test(k));
+  if (!tabKey) return null;
+  const tabData = insights[tabKey];
+
+  let period = null;
+  const metrics = [];
+  for (const headline of HEADLINE_METRICS) {
+    const series = headline.rows
+      .map(row => buildMetricSeries(tabData, [row]).series[0])
+      .find(Boolean);
+    const points = (series?.points || []).filter(p => p.value !== null);
+    const current = points[points.length - 1];
+    if (!current) continue;
+
+    const { year, month } = parsePeriodLabel(current.period);
+    const prior = points.find(p => {
+      const pp = parsePeriodLabel(p.period);
+      return pp.year === year - 1 && pp.month === month;
+    });
+
+    let yoyChange = null;
+    if (prior) {
+      yoyChange = series.unit === '%'
+        ? current.value - prior.value
+        : prior.value !== 0 ? ((current.value - prior.value) / Math.abs(prior.value)) * 100 : null;
+    }
+
+    period = period || current.period;
+    metrics.push({
+      key: headline.key,
+      label: headline.label,
+      period: current.period,
+      value: current.value,
+      display: current.display,
+      unit: series.unit,
+      yoyChange: yoyChange === null ? null : Math.round(yoyChange * 100) / 100,
+      yoyChangeUnit: series.unit === '%' ? 'pp' : '%',
+    });
+  }
+
+  return { period, metrics };
+}
+
+/**
+ * Build the cached company shape from a Firestore document snapshot:
+ * timestamps converted, pipeline-internal fields stripped, insights cleaned.
+ */
+function companyFromDoc(doc) {
+  const data = doc.data();
+  return transformCompanyData({
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate?.() || data.createdAt,
+    updatedAt: data.updatedAt?.toDate?.() || data.updatedAt,
+  });
+}
+
+/** Cache company data in both layers (don't await Redis - fire and forget) */
+function cacheCompany(companyId, companyData) {
+  memoryCache.cacheData('company', companyId, companyData, 300); // 5 minutes in memory
+  redis.cacheData('company', companyId, companyData, 3600).catch(err =>
+    logger.error('Failed to cache company data in Redis:', err)
+  );
+}
+
 class CompanyService {
   /**
    * Get company details by ID from documents collection
@@ -180,22 +268,8 @@ class CompanyService {
         return null;
       }
 
-      const doc = querySnapshot.docs[0];
-      const raw = {
-        id: doc.id,
-        ...doc.data(),
-        createdAt: doc.data().createdAt?.toDate?.() || doc.data().createdAt,
-        updatedAt: doc.data().updatedAt?.toDate?.() || doc.data().updatedAt,
-      };
-
-      // Strip pipeline-internal fields and clean insights value format
-      const companyData = transformCompanyData(raw);
-
-      // Cache in both layers (don't await Redis - fire and forget)
-      memoryCache.cacheData('company', companyId, companyData, 300); // 5 minutes in memory
-      redis.cacheData('company', companyId, companyData, 3600).catch(err =>
-        logger.error('Failed to cache company data in Redis:', err)
-      );
+      const companyData = companyFromDoc(querySnapshot.docs[0]);
+      cacheCompany(companyId, companyData);
 
       logger.info(
         `Company details retrieved successfully for ID: ${companyId}`
@@ -210,6 +284,313 @@ class CompanyService {
     }
   }
 
+  /**
+   * Get several companies at once. Each code is looked up in the memory
+   * cache, then Redis; the remaining codes are fetched from Firestore with
+   * "in" queries (one per FIRESTORE_IN_LIMIT codes) and cached like
+   * getCompanyById() does.
+   * @param {string[]} companyIds - Company codes
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCache] - Read every company from Firestore (the caches are still refreshed)
+   * @returns {Promise<Map<string, Object|null>>} Company data by code; null if not found
+   */
+  async getCompaniesByIds(companyIds, { skipCache = false } = {}) {
+    try {
+      const codes = [...new Set(companyIds)];
+      const companies = new Map();
+
+      // L1: memory
+      let misses = [];
+      for (const code of codes) {
+        const cached = skipCache ? null : memoryCache.getCachedData('company', code);
+        if (cached) companies.set(code, cached);
+        else misses.push(code);
+      }
+
+      // L2: Redis
+      const fromRedis = skipCache
+        ? []
+        : await Promise.all(misses.map(code => redis.getCachedData('company', code)));
+      misses = misses.filter((code, i) => {
+        if (!fromRedis[i]) return true;
+        memoryCache.cacheData('company', code, fromRedis[i], 300);
+        companies.set(code, fromRedis[i]);
+        return false;
+      });
+
+      // L3: Firestore, batched
+      for (let i = 0; i < misses.length; i += FIRESTORE_IN_LIMIT) {
+        const chunk = misses.slice(i, i + FIRESTORE_IN_LIMIT);
+        const snapshot = await collections.documents
+          .where("companyCode", "in", chunk)
+          .get();
+
+        for (const doc of snapshot.docs) {
+          const code = doc.data().companyCode;
+          // Duplicate documents for one code: keep the first, as getCompanyById does
+          if (companies.has(code)) continue;
+          const companyData = companyFromDoc(doc);
+          cacheCompany(code, companyData);
+          companies.set(code, companyData);
+        }
+      }
+
+      for (const code of codes) {
+        if (!companies.has(code)) companies.set(code, null);
+      }
+
+      logger.info(
+        `Loaded ${codes.length} companies (${codes.length - misses.length} cached, ${misses.length} from Firestore)`
+      );
+      return companies;
+    } catch (error) {
+      logger.error("Failed to get companies:", {
+        error: error.message,
+        companyIds,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compact summary of a company for list views (watchlist dashboard):
+   * identity, industry, latest concall and headline quarterly metrics with
+   * year-on-year change. Metrics are only included with includeInsights —
+   * they come from the premium insights data.
+   * @param {Object} company - Company data as returned by getCompanyById()
+   * @param {Object} [options]
+   * @param {boolean} [options.includeInsights] - Caller has the insights entitlement
+   * @returns {Object} Snapshot
+   */
+  buildSnapshot(company, { includeInsights = false } = {}) {
+    const [latest] = company.documents?.Concalls || [];
+    return {
+      companyCode: company.companyCode,
+      name: company.name || null,
+      nseCode: company.nseCode || null,
+      bseCode: company.bseCode || null,
+      industry: company.industry || null,
+      industryLink: company.industryLink || null,
+      latestConcall: latest
+        ? { concallId: latest.concallId, quarter: latest.quarter || null, date: latest.date || null }
+        : null,
+      headline: includeInsights ? buildHeadline(company.insights) : undefined,
+    };
+  }
+
+  /**
+   * Get numeric time series for one or more metrics of an insights tab.
+   * Reads through getCompanyById() so the L1/L2 caches are reused.
+   * @param {string} companyId - Company code
+   * @param {string} tab - Insights tab key (e.g. "quarterly")
+   * @param {string[]} metrics - Metric names as they appear in rows[].metric
+   * @returns {Promise<Object|null>} Series payload, or null if the company doesn't exist
+   */
+  async getInsightSeries(companyId, tab, metrics) {
+    try {
+      const company = await this.getCompanyById(companyId);
+      if (!company) return null;
+
+      const found = findInsightsTab(company.insights, tab);
+      if (!found) {
+        const err = new Error(`Insights tab not found: ${tab}`);
+        err.code = 'INSIGHTS_TAB_NOT_FOUND';
+        throw err;
+      }
+
+      const { periods, series, missingMetrics } = buildMetricSeries(found.data, metrics);
+
+      return {
+        companyCode: company.companyCode || companyId,
+        tab: found.key,
+        periods,
+        series,
+        missingMetrics,
+      };
+    } catch (error) {
+      if (error.code !== 'INSIGHTS_TAB_NOT_FOUND') {
+        logger.error("Failed to get insight series:", {
+          error: error.message,
+          companyId,
+          tab,
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether any concall on the company carries a guidance table.
+   * @param {Object} company - Company data as returned by getCompanyById()
+   * @returns {boolean}
+   */
+  hasGuidance(company) {
+    return (company?.documents?.Concalls || []).some(concall => this.concallHasGuidance(concall));
+  }
+
+  /**
+   * Whether a single concall carries a guidance table.
+   * @param {Object} concall - One entry of company.documents.Concalls
+   * @returns {boolean}
+   */
+  concallHasGuidance(concall) {
+    return GUIDANCE_FIELDS.some(field => {
+      const value = concall?.[field];
+      return Array.isArray(value) ? value.length > 0 : !!value;
+    });
+  }
+
+  /**
+   * Apply a usage gate (see middleware/usageMeter) to a company response.
+   *   - guidance locked → guidance tables removed from every concall
+   *   - concalls locked → concalls reduced to a preview, except those in
+   *     gate.concalls.unlocked (already viewed this month)
+   * @param {Object} company - Company data as returned by getCompanyById()
+   * @param {Object} gate - { guidance: { allowed }, concalls: { allowed, unlocked } }
+   * @returns {Object} A gated copy of the company data
+   */
+  applyUsageGate(company, gate) {
+    const concalls = company?.documents?.Concalls;
+    if (!concalls || !gate || (gate.guidance.allowed && gate.concalls.allowed)) {
+      return company;
+    }
+
+    const unlocked = new Set(gate.concalls.unlocked || []);
+    return {
+      ...company,
+      documents: {
+        ...company.documents,
+        Concalls: concalls.map(concall => {
+          let gated = concall;
+          if (!gate.concalls.allowed && !unlocked.has(concall.concallId)) {
+            gated = Object.fromEntries(
+              Object.entries(concall).filter(([k]) => CONCALL_PREVIEW_FIELDS.has(k))
+            );
+            gated.locked = true;
+          }
+          if (!gate.guidance.allowed) {
+            gated = Object.fromEntries(
+              Object.entries(gated).filter(([k]) => !GUIDANCE_FIELDS.includes(k))
+            );
+          }
+          return gated;
+        }),
+      },
+    };
+  }
+
+  /**
+   * Get a single concall by its stable ID.
+   * IDs are recomputed from the cached company document, so entries cached
+   * before concallId existed still resolve.
+   * @param {string} companyId - Company code
+   * @param {string} concallId - Concall ID as built by buildConcallId()
+   * @returns {Promise<Object|null>} { companyCode, name, concall } or null if not found
+   */
+  async getConcallById(companyId, concallId) {
+    try {
+      const company = await this.getCompanyById(companyId);
+      if (!company) return null;
+
+      const concalls = assignConcallIds(
+        company.companyCode || companyId,
+        company.documents?.Concalls || []
+      );
+      const concall = concalls.find(c => c.concallId === concallId);
+      if (!concall) return null;
+
+      return {
+        companyCode: company.companyCode || companyId,
+        name: company.name || null,
+        concall,
+      };
+    } catch (error) {
+      logger.error("Failed to get concall:", {
+        error: error.message,
+        companyId,
+        concallId,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare insights metrics across several companies.
+   * Every company is loaded through getCompanyById() (L1 memory → L2 Redis →
+   * Firestore). Periods are the union across companies, oldest first; a cell
+   * for a period a company didn't report is kept and marked status "missing".
+   * @param {string[]} companyCodes - Company codes to compare
+   * @param {Array<{tab: string, metric: string}>} metricRefs - Metrics to align
+   * @returns {Promise<Object>} { companies, notFound, comparisons }
+   */
+  async compareCompanies(companyCodes, metricRefs) {
+    try {
+      const codes = [...new Set(companyCodes)];
+      const loaded = await Promise.all(codes.map(code => this.getCompanyById(code)));
+
+      const companies = [];
+      const notFound = [];
+      codes.forEach((code, i) => {
+        if (loaded[i]) {
+          companies.push({ companyCode: code, name: loaded[i].name || null, company: loaded[i] });
+        } else {
+          notFound.push(code);
+        }
+      });
+
+      const comparisons = metricRefs.map(({ tab, metric }) => {
+        const perCompany = {};
+        const unavailable = [];
+        const allPeriods = new Set();
+        let unit = null;
+
+        for (const { companyCode, company } of companies) {
+          const found = findInsightsTab(company.insights, tab);
+          const result = found ? buildMetricSeries(found.data, [metric]) : null;
+          const series = result?.series[0];
+          if (!series) {
+            unavailable.push(companyCode);
+            continue;
+          }
+          unit = unit || series.unit;
+          perCompany[companyCode] = new Map(series.points.map(p => [p.period, p]));
+          series.points.forEach(p => allPeriods.add(p.period));
+        }
+
+        const periods = [...allPeriods].sort(comparePeriods);
+        const rows = periods.map(period => ({
+          period,
+          values: Object.fromEntries(companies.map(({ companyCode }) => {
+            const point = perCompany[companyCode]?.get(period);
+            if (!point) {
+              return [companyCode, { value: null, display: null, status: 'missing' }];
+            }
+            return [companyCode, {
+              value: point.value,
+              display: point.display,
+              status: point.value === null ? 'empty' : 'reported',
+            }];
+          })),
+        }));
+
+        return { tab, metric, unit, periods, rows, unavailable };
+      });
+
+      logger.info(`Compared ${companies.length} companies across ${metricRefs.length} metrics`);
+      return {
+        companies: companies.map(({ companyCode, name }) => ({ companyCode, name })),
+        notFound,
+        comparisons,
+      };
+    } catch (error) {
+      logger.error("Failed to compare companies:", {
+        error: error.message,
+        companyCodes,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get company details by multiple criteria
    * @param {Object} criteria - Search criteria
@@ -0,0 +1,203 @@
+const CouponModel = require('../models/Coupon');
+const CouponRedemptionModel = require('../models/CouponRedemption');
+const OrderModel = require('../models/Order');
+const planService = require('./planService');
+const logger = require('../utils/logger');
+
+// At checkout, unpaid orders hold a per-user coupon use for this long. The
+// limits are enforced atomically when the order is paid (recordRedemption).
+const PENDING_ORDER_WINDOW_MS = 30 * 60 * 1000;
+
+// Fulfilled orders whose redemption failed are retried for this long
+const REDEMPTION_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Razorpay can't take a zero-amount order, so a coupon never discounts below this
+const MIN_PAYABLE = 1;
+
+function couponError(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_COUPON';
+    return err;
+}
+
+const roundRupees = (amount) => Math.round(amount * 100) / 100;
+
+class CouponService {
+    /**
+     * Normalize a user-entered code for lookup
+     * @param {string} code - Coupon code
+     * @returns {string}
+     */
+    normalizeCode(code) {
+        return String(code || '').trim().toUpperCase();
+    }
+
+    /**
+     * Discount a coupon gives on a price, in rupees
+     * @param {Object} coupon - Coupon document
+     * @param {number} price - Catalog price in rupees
+     * @returns {number}
+     */
+    computeDiscount(coupon, price) {
+        let discount = coupon.type === 'percent'
+            ? price * (coupon.value / 100)
+            : coupon.value;
+
+        if (coupon.type === 'percent' && coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+            discount = Math.min(discount, coupon.maxDiscount);
+        }
+        return roundRupees(Math.max(0, Math.min(discount, price - MIN_PAYABLE)));
+    }
+
+    /**
+     * Check a coupon against a plan purchase and price it.
+     * Throws with code INVALID_COUPON (message says why) if it can't be used.
+     * @param {string} code - Coupon code as entered
+     * @param {Object} context
+     * @param {string} context.userId - Firebase UID of the buyer
+     * @param {string} context.plan - Plan code
+     * @param {string} context.billingCycle - 'monthly' | 'annual'
+     * @returns {Promise<Object>} { code, description, plan, billingCycle, currency, originalAmount, discount, finalAmount }
+     */
+    async applyCoupon(code, { userId, plan, billingCycle }) {
+        const normalized = this.normalizeCode(code);
+        if (!normalized) throw couponError('Coupon code is required');
+
+        const pricing = await planService.getBillingCycle(plan, billingCycle);
+        if (!pricing) throw couponError(`Unknown plan or billing cycle: ${plan}:${billingCycle}`);
+
+        const coupon = await CouponModel.findByCode(normalized);
+        const now = new Date();
+
+        if (!coupon || !coupon.isActive) {
+            throw couponError('Invalid coupon code');
+        }
+        if (coupon.validFrom && new Date(coupon.validFrom) > now) {
+            throw couponError('This coupon is not active yet');
+        }
+        if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+            throw couponError('This coupon has expired');
+        }
+        if (coupon.plans?.length && !coupon.plans.includes(pricing.plan)) {
+            throw couponError('This coupon does not apply to the selected plan');
+        }
+        if (coupon.billingCycles?.length && !coupon.billingCycles.includes(billingCycle)) {
+            throw couponError(`This coupon does not apply to ${billingCycle} billing`);
+        }
+        if (coupon.maxRedemptions !== null && coupon.redemptionCount >= coupon.maxRedemptions) {
+            throw couponError('This coupon has been fully redeemed');
+        }
+        if (coupon.perUserLimit !== null) {
+            const pendingSince = new Date(now.getTime() - PENDING_ORDER_WINDOW_MS);
+            const uses = await OrderModel.countCouponUses(userId, coupon.code, pendingSince);
+            if (uses >= coupon.perUserLimit) {
+                throw couponError('You have already used this coupon');
+            }
+        }
+
+        const discount = this.computeDiscount(coupon, pricing.price);
+        return {
+            code: coupon.code,
+            description: coupon.description || null,
+            plan: pricing.plan,
+            billingCycle,
+            currency: pricing.currency,
+            originalAmount: pricing.price,
+            discount,
+            finalAmount: roundRupees(pricing.price - discount)
+        };
+    }
+
+    /**
+     * Record the redemption of a paid order's coupon, claiming the user's
+     * use and one of the coupon's redemptions atomically. Checkouts that
+     * passed applyCoupon() concurrently can still exceed a limit here; the
+     * payment has been taken by then, so the order is flagged
+     * (coupon.overLimit) for follow-up instead of being refused.
+     *
+     * Both claims are keyed by the order, so a redemption that failed
+     * part-way can be retried (recordPendingRedemptions) without counting
+     * twice.
+     * @param {Object} orderDoc - Order document
+     * @returns {Promise<boolean>} false if there was no coupon, it was already recorded, or it was over a limit
+     */
+    async recordRedemption(orderDoc) {
+        const code = orderDoc?.coupon?.code;
+        if (!code || orderDoc.coupon.redeemedAt || orderDoc.coupon.overLimit) return false;
+
+        const orderId = orderDoc.razorpayOrderId;
+        const coupon = await CouponModel.findByCode(code);
+        const perUserLimit = coupon ? coupon.perUserLimit : null;
+
+        let overLimit = null;
+        if (perUserLimit !== null && !(await CouponRedemptionModel.claim(code, orderDoc.userId, perUserLimit, orderId))) {
+            overLimit = 'per_user_limit';
+        } else if (!(await this._countRedemption(code, orderId))) {
+            if (perUserLimit !== null) await CouponRedemptionModel.release(code, orderDoc.userId, orderId);
+            overLimit = 'max_redemptions';
+        }
+
+        if (overLimit) {
+            await OrderModel.flagCouponOverLimit(orderId, overLimit);
+            logger.warn(`Coupon ${code} on paid order ${orderId} exceeded its ${overLimit}; order flagged`);
+            return false;
+        }
+
+        if (!(await OrderModel.markCouponRedeemed(orderId))) return false;
+        logger.info(`Coupon ${code} redeemed on order ${orderId}`);
+        return true;
+    }
+
+    /**
+     * Take one of the coupon's redemptions for an order, at most once
+     * @returns {Promise<boolean>} false if the coupon is fully redeemed
+     */
+    async _countRedemption(code, orderId) {
+        // Already counted by an earlier attempt
+        if (!(await OrderModel.claimCouponCount(orderId))) return true;
+        try {
+            return await CouponModel.claimRedemption(code);
+        } catch (error) {
+            await OrderModel.releaseCouponCount(orderId);
+            throw error;
+        }
+    }
+
+    /**
+     * Retry coupon redemptions that failed after their order was fulfilled.
+     * Run periodically (see reconciliationJob).
+     * @param {Object} [options]
+     * @param {number} [options.lookbackMs] - How far back to look for fulfilled orders
+     * @returns {Promise<Object>} { redeemed, skipped, failed }
+     */
+    async recordPendingRedemptions({ lookbackMs = REDEMPTION_LOOKBACK_MS } = {}) {
+        const summary = { redeemed: 0, skipped: 0, failed: 0 };
+
+        const orders = await OrderModel.findUnredeemedCoupons(new Date(Date.now() - lookbackMs));
+        for (const order of orders) {
+            try {
+                if (await this.recordRedemption(order)) summary.redeemed++;
+                else summary.skipped++;
+            } catch (error) {
+                logger.error(`Coupon redemption failed for order ${order.razorpayOrderId}:`, error);
+                summary.failed++;
+            }
+        }
+
+        if (orders.length > 0) {
+            logger.info(`Coupon redemption sweep: ${summary.redeemed} redeemed, ${summary.skipped} skipped, ${summary.failed} failed`);
+        }
+        return summary;
+    }
+
+    /**
+     * Create indexes for the coupons and coupon_redemptions collections
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await CouponModel.createIndexes();
+        await CouponRedemptionModel.createIndexes();
+    }
+}
+
+module.exports = new CouponService();
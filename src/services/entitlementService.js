@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const redis = require('../config/redis');
+const planService = require('./planService');
+const { ENTITLEMENTS } = require('../config/plans');
+const logger = require('../utils/logger');
+
+class EntitlementService {
+    /**
+     * Resolve the named entitlements a user holds: the features of their
+     * active plan plus any unexpired add-ons on the user document.
+     * Cached in Redis for 5 minutes.
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<string[]>} Sorted entitlement names; empty on failure
+     */
+    async getEntitlements(uid) {
+        if (!uid) return [];
+        try {
+            const cacheKey = `user-entitlements:${uid}`;
+            const cached = await redis.get(cacheKey);
+            if (Array.isArray(cached)) {
+                return cached;
+            }
+
+            const user = await User.findByUid(uid);
+            const entitlements = await this.resolve(user);
+
+            await redis.set(cacheKey, entitlements, 300).catch(() => {});
+            return entitlements;
+        } catch (error) {
+            // Fail closed — a lookup error must not grant paid features
+            logger.warn(`Entitlement lookup failed for uid ${uid}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Compute entitlements from a user document (no caching)
+     * @param {Object|null} user - User document
+     * @returns {Promise<string[]>}
+     */
+    async resolve(user) {
+        const plan = await planService.getActivePlan(user?.subscription);
+        const granted = new Set(plan.features || []);
+
+        const now = new Date();
+        for (const addOn of user?.addOns || []) {
+            if (!addOn?.entitlement) continue;
+            if (addOn.expiresAt && new Date(addOn.expiresAt) <= now) continue;
+            granted.add(addOn.entitlement);
+        }
+
+        return [...granted].filter(name => ENTITLEMENTS[name]).sort();
+    }
+
+    /**
+     * Whether a user holds a specific entitlement
+     * @param {string} uid - Firebase UID
+     * @param {string} entitlement - Entitlement name (e.g. 'insights')
+     * @returns {Promise<boolean>}
+     */
+    async hasEntitlement(uid, entitlement) {
+        const entitlements = await this.getEntitlements(uid);
+        return entitlements.includes(entitlement);
+    }
+
+    /**
+     * Drop the cached entitlements after a subscription or add-on change
+     * @param {string} uid - Firebase UID
+     */
+    async invalidate(uid) {
+        await redis.del(`user-entitlements:${uid}`);
+    }
+}
+
+module.exports = new EntitlementService();
@@ -0,0 +1,251 @@
+const { ObjectId } = require('mongodb');
+const mongodb = require('../config/mongodb');
+const WatchlistModel = require('../models/Watchlist');
+const CompanySnapshotModel = require('../models/CompanySnapshot');
+const FeedItemModel = require('../models/FeedItem');
+const companyService = require('./companyService');
+const pushService = require('./pushService');
+const logger = require('../utils/logger');
+const { parsePeriodLabel, comparePeriods } = require('../utils/insights');
+
+/** Feed event types */
+const FEED_TYPES = {
+    CONCALL_NEW: 'concall.new',             // a new concall was added
+    GUIDANCE_NEW: 'guidance.new',           // an existing concall gained a guidance table
+    INSIGHTS_UPDATED: 'insights.updated'    // an insights tab gained a newer period
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function feedError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+class FeedService {
+    constructor() {
+        this.TYPES = FEED_TYPES;
+    }
+
+    /**
+     * The parts of a company document the feed reports on
+     * @param {Object} company - Company data as returned by getCompanyById()
+     * @returns {Object} { concalls: [{ concallId, quarter, hasGuidance }], insightsPeriods: { [tab]: label } }
+     */
+    buildState(company) {
+        const concalls = (company.documents?.Concalls || []).map(concall => ({
+            concallId: concall.concallId,
+            quarter: concall.quarter || null,
+            hasGuidance: companyService.concallHasGuidance(concall)
+        }));
+
+        const insightsPeriods = {};
+        for (const [tab, tabData] of Object.entries(company.insights || {})) {
+            // Only labels that parse as dates can be ordered ("TTM" can't)
+            const labels = (tabData?.periods || [])
+                .map(period => period.label)
+                .filter(label => parsePeriodLabel(label).year);
+            if (labels.length > 0) {
+                insightsPeriods[tab] = labels.sort(comparePeriods)[labels.length - 1];
+            }
+        }
+
+        return { concalls, insightsPeriods };
+    }
+
+    /**
+     * Events between two states of the same company
+     * @param {Object} company - Current company data (for names in titles)
+     * @param {Object} previous - Last saved state
+     * @param {Object} current - State from buildState()
+     * @returns {Array} Events: { eventKey, companyCode, companyName, type, title, details }
+     */
+    diffStates(company, previous, current) {
+        const code = company.companyCode;
+        const name = company.name || code;
+        const events = [];
+        const event = (type, key, title, details) => events.push({
+            eventKey: `${code}:${type}:${key}`,
+            companyCode: code,
+            companyName: company.name || null,
+            type,
+            title,
+            details
+        });
+
+        const before = new Map((previous.concalls || []).map(concall => [concall.concallId, concall]));
+        for (const concall of current.concalls) {
+            const seen = before.get(concall.concallId);
+            if (!seen) {
+                event(FEED_TYPES.CONCALL_NEW, concall.concallId, `${name}: ${concall.quarter || 'new'} concall summary available`, {
+                    concallId: concall.concallId,
+                    quarter: concall.quarter,
+                    hasGuidance: concall.hasGuidance
+                });
+            } else if (concall.hasGuidance && !seen.hasGuidance) {
+                event(FEED_TYPES.GUIDANCE_NEW, concall.concallId, `${name}: management guidance added for ${concall.quarter || 'a concall'}`, {
+                    concallId: concall.concallId,
+                    quarter: concall.quarter
+                });
+            }
+        }
+
+        for (const [tab, label] of Object.entries(current.insightsPeriods)) {
+            const previousLabel = previous.insightsPeriods?.[tab];
+            if (previousLabel && comparePeriods(label, previousLabel) > 0) {
+                event(FEED_TYPES.INSIGHTS_UPDATED, `${tab}:${label}`, `${name}: ${tab} figures updated to ${label}`, {
+                    tab,
+                    period: label,
+                    previousPeriod: previousLabel
+                });
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Check every followed company for changes since the last scan and
+     * deliver events to the users following it. A company seen for the
+     * first time only has its state recorded — following a company doesn't
+     * replay its history. New concall summaries are also pushed to
+     * followers' devices.
+     * @returns {Promise<Object>} { companies, events, delivered, pushed }
+     */
+    async scan() {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+
+        const codes = await WatchlistModel.findFollowedCompanyCodes();
+        const summary = { companies: codes.length, events: 0, delivered: 0, pushed: 0 };
+        if (codes.length === 0) return summary;
+
+        // Fresh from Firestore: the cached copy can be an hour old
+        const companies = await companyService.getCompaniesByIds(codes, { skipCache: true });
+        const snapshots = new Map(
+            (await CompanySnapshotModel.findByCompanyCodes(codes)).map(snapshot => [snapshot.companyCode, snapshot])
+        );
+
+        for (const code of codes) {
+            const company = companies.get(code);
+            if (!company) continue;
+
+            try {
+                const state = this.buildState(company);
+                const previous = snapshots.get(code);
+                const events = previous ? this.diffStates({ ...company, companyCode: code }, previous, state) : [];
+
+                if (events.length > 0) {
+                    const followers = await WatchlistModel.findFollowerIds(code);
+                    for (const event of events) {
+                        summary.delivered += await FeedItemModel.fanOut(followers, event);
+                        if (event.type === FEED_TYPES.CONCALL_NEW) {
+                            summary.pushed += await pushService.notifyFeedEvent(followers, event);
+                        }
+                    }
+                    summary.events += events.length;
+                }
+
+                // Saved after delivery: a failed fan-out is retried next scan
+                await CompanySnapshotModel.save(code, state);
+            } catch (error) {
+                logger.error(`Feed scan failed for company ${code}:`, error);
+            }
+        }
+
+        logger.info(`Feed scan: ${summary.companies} companies, ${summary.events} events, ${summary.delivered} feed items delivered, ${summary.pushed} pushes sent`);
+        return summary;
+    }
+
+    /**
+     * A page of the user's feed, newest first
+     * @param {string} userId - User ID
+     * @param {Object} [options]
+     * @param {string} [options.cursor] - nextCursor from the previous page
+     * @param {number} [options.limit] - Page size
+     * @param {boolean} [options.unreadOnly] - Only unread items
+     * @returns {Promise<Object>} { items, nextCursor, unreadCount }
+     */
+    async getFeed(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+        if (cursor && !ObjectId.isValid(cursor)) {
+            throw feedError('Invalid cursor', 'INVALID_CURSOR');
+        }
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+        // One extra item tells us whether there is a next page
+        const items = await FeedItemModel.findByUserId(userId, { before: cursor, limit: pageSize + 1, unreadOnly });
+        const hasMore = items.length > pageSize;
+        const page = items.slice(0, pageSize);
+
+        return {
+            items: page.map(item => this.toPublic(item)),
+            nextCursor: hasMore ? String(page[page.length - 1]._id) : null,
+            unreadCount: await FeedItemModel.countUnread(userId)
+        };
+    }
+
+    /**
+     * Mark feed items read
+     * @param {string} userId - User ID
+     * @param {string[]|null} ids - Item IDs, or null for the whole feed
+     * @returns {Promise<Object>} { marked, unreadCount }
+     */
+    async markRead(userId, ids = null) {
+        const marked = await FeedItemModel.markRead(userId, ids);
+        return { marked, unreadCount: await FeedItemModel.countUnread(userId) };
+    }
+
+    /**
+     * API shape of a feed item
+     * @param {Object} item - Feed item document
+     * @returns {Object}
+     */
+    toPublic(item) {
+        return {
+            id: String(item._id),
+            type: item.type,
+            companyCode: item.companyCode,
+            companyName: item.companyName,
+            title: item.title,
+            details: item.details,
+            occurredAt: item.occurredAt,
+            read: !!item.readAt,
+            readAt: item.readAt
+        };
+    }
+
+    /**
+     * All of a user's feed items, for data exports
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>}
+     */
+    async getAllItems(userId) {
+        return FeedItemModel.findByUserId(userId, { limit: 0 });
+    }
+
+    /**
+     * Delete a user's feed (account deletion)
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Items deleted
+     */
+    async deleteFeed(userId) {
+        return FeedItemModel.deleteByUserId(userId);
+    }
+
+    /**
+     * Create indexes for the feed_items and company_snapshots collections
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await FeedItemModel.createIndexes();
+        await CompanySnapshotModel.createIndexes();
+    }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,345 @@
+const companyService = require("./companyService");
+const logger = require("../utils/logger");
+const {
+  parseQuarterForSort,
+  parsePeriodEnd,
+  parseInsightNumber,
+  normalizeMetricName,
+} = require("../utils/insights");
+
+// ─── Guided metric catalogue ─────────────────────────────────────────────────
+
+/**
+ * Guided metrics we know how to reconcile against insights.
+ *   aliases   — normalised names management/pipeline use for the metric
+ *   rows      — insights row names holding the actual (first match wins)
+ *   measure   — "value" compares the reported number, "yoy" its YoY growth %
+ *   absolute  — compare |actual| (cash-flow outflows are reported negative)
+ */
+const GUIDED_METRICS = [
+  {
+    key: 'revenue_growth',
+    label: 'Revenue growth',
+    aliases: ['revenue growth', 'sales growth', 'topline growth', 'top line growth', 'revenue growth yoy'],
+    rows: ['Sales', 'Revenue', 'Revenue from Operations'],
+    measure: 'yoy',
+    unit: '%',
+  },
+  {
+    key: 'profit_growth',
+    label: 'Profit growth',
+    aliases: ['profit growth', 'pat growth', 'net profit growth', 'earnings growth'],
+    rows: ['Net Profit', 'PAT'],
+    measure: 'yoy',
+    unit: '%',
+  },
+  {
+    key: 'ebitda_margin',
+    label: 'EBITDA margin',
+    aliases: ['ebitda margin', 'operating margin', 'opm', 'ebitda margins', 'operating profit margin'],
+    rows: ['OPM %', 'OPM', 'EBITDA Margin %'],
+    measure: 'value',
+    unit: '%',
+  },
+  {
+    key: 'revenue',
+    label: 'Revenue',
+    aliases: ['revenue', 'sales', 'topline', 'revenue from operations'],
+    rows: ['Sales', 'Revenue', 'Revenue from Operations'],
+    measure: 'value',
+    unit: null,
+  },
+  {
+    key: 'net_profit',
+    label: 'Net profit',
+    aliases: ['net profit', 'pat', 'profit after tax'],
+    rows: ['Net Profit', 'PAT'],
+    measure: 'value',
+    unit: null,
+  },
+  {
+    key: 'capex',
+    label: 'Capex',
+    aliases: ['capex', 'capital expenditure', 'capex spend'],
+    rows: ['Fixed assets purchased', 'Capex', 'Capital Expenditure'],
+    measure: 'value',
+    unit: null,
+    absolute: true,
+  },
+  {
+    key: 'tax_rate',
+    label: 'Tax rate',
+    aliases: ['tax rate', 'effective tax rate', 'etr'],
+    rows: ['Tax %'],
+    measure: 'value',
+    unit: '%',
+    lowerIsBetter: true,
+  },
+];
+
+/** Percentage-point tolerance for "met" on % metrics, relative tolerance otherwise */
+const MET_TOLERANCE_PP = 0.5;
+const MET_TOLERANCE_REL = 0.02;
+
+function resolveGuidedMetric(name) {
+  const normalized = normalizeMetricName(name);
+  return GUIDED_METRICS.find(m => m.aliases.includes(normalized)) || null;
+}
+
+// ─── Guidance table parsing ──────────────────────────────────────────────────
+
+/**
+ * Normalise a concall's guidance table into [{ metric, text, period }].
+ * The standardised table is stored as an array of rows (or { rows: [...] });
+ * older documents use `guidance` instead of `guidanceTable`, and rows name
+ * their columns inconsistently, so a few aliases are accepted.
+ */
+function extractGuidanceRows(concall) {
+  const table = concall.guidanceTable ?? concall.guidance;
+  const rows = Array.isArray(table) ? table : Array.isArray(table?.rows) ? table.rows : [];
+
+  return rows
+    .filter(row => row && typeof row === 'object')
+    .map(row => ({
+      metric: row.metric ?? row.parameter ?? row.kpi ?? row.item ?? null,
+      text: row.guidance ?? row.guidedValue ?? row.target ?? row.value ?? null,
+      period: row.period ?? row.targetPeriod ?? row.timeline ?? null,
+    }))
+    .filter(row => row.metric && row.text !== null && row.text !== undefined);
+}
+
+/**
+ * Parse a guided value into a numeric band.
+ *   "15-18%" / "15% to 18%"   → { low: 15, high: 18 }
+ *   "at least 12%" / ">12%"    → { low: 12, high: null }
+ *   "up to ₹500 cr"            → { low: null, high: 500 }
+ *   "~20%"                     → { low: 20, high: 20 }
+ *   "double digit"             → { low: 10, high: null }
+ * Returns null for qualitative guidance ("improve", "stable").
+ */
+function parseGuidanceValue(raw) {
+  if (typeof raw === 'number') return { low: raw, high: raw, unit: null };
+  const text = String(raw).toLowerCase().replace(/[−–—]/g, '-').replace(/,/g, '');
+  const unit = text.includes('%') ? '%' : null;
+
+  if (/double[\s-]digit/.test(text)) return { low: 10, high: null, unit: '%' };
+
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const range = text.match(new RegExp(`${num}\\s*%?\\s*(?:-|to)\\s*${num}`));
+  if (range) {
+    const [a, b] = [parseFloat(range[1]), parseFloat(range[2])];
+    return { low: Math.min(a, b), high: Math.max(a, b), unit };
+  }
+
+  const single = text.match(new RegExp(num));
+  if (!single) return null;
+  const value = parseFloat(single[1]);
+
+  if (/(at least|minimum|min\.?|above|over|more than|>|upwards of|\+)/.test(text)) {
+    return { low: value, high: null, unit };
+  }
+  if (/(up to|upto|maximum|max\.?|below|under|less than|<|within)/.test(text)) {
+    return { low: null, high: value, unit };
+  }
+  return { low: value, high: value, unit };
+}
+
+// ─── Target periods ──────────────────────────────────────────────────────────
+
+/**
+ * Parse a guidance target period into the insights period it resolves to,
+ * as the month the period ends (see parsePeriodEnd).
+ *   "FY26"   → annual, Mar 2026
+ *   "Q3FY26" → quarterly, Dec 2025
+ * @returns {{ granularity: string, year: number, month: number, label: string }|null}
+ */
+function parseTargetPeriod(period) {
+  if (!period) return null;
+  const text = String(period).replace(/\s+/g, '').toUpperCase();
+
+  if (/^Q\dFY\d{2}$/.test(text)) {
+    const { year, month } = parsePeriodEnd(text);
+    return { granularity: 'quarterly', year, month, label: text };
+  }
+
+  const fy = text.match(/FY(\d{2}|\d{4})/);
+  if (fy) {
+    const year = fy[1].length === 2 ? 2000 + parseInt(fy[1], 10) : parseInt(fy[1], 10);
+    return { granularity: 'annual', year, month: 3, label: `FY${String(year).slice(-2)}` };
+  }
+
+  return null;
+}
+
+/**
+ * Default target for guidance that doesn't name a period: the fiscal year the
+ * call looks ahead to. A Q4 (Apr–Jun) call reports the year just closed, so
+ * its guidance is for the next FY; other calls guide the current FY.
+ */
+function defaultTargetPeriod(concallQuarter) {
+  const text = String(concallQuarter || '').replace(/\s+/g, '');
+  const q = text.match(/^Q(\d)FY(\d{2})$/i);
+  if (q) {
+    const fy = parseInt(q[2], 10) + (q[1] === '4' ? 1 : 0);
+    return parseTargetPeriod(`FY${fy}`);
+  }
+  const { year, month } = parseQuarterForSort(text);
+  if (!year) return null;
+  return parseTargetPeriod(`FY${(month >= 4 ? year + 1 : year) % 100}`);
+}
+
+// ─── Actuals ─────────────────────────────────────────────────────────────────
+
+function tabGranularity(tabKey) {
+  return /quarter/i.test(tabKey) ? 'quarterly' : 'annual';
+}
+
+/**
+ * Find the reported actual for a guided metric in the insights tabs of the
+ * matching granularity. YoY measures compare against the same month a year
+ * earlier in the same tab.
+ * @returns {{ value: number, period: string, tab: string, metric: string }|null}
+ */
+function findActual(insights, guided, target) {
+  if (!insights || !target) return null;
+  const wantedRows = guided.rows.map(normalizeMetricName);
+
+  for (const [tabKey, tabData] of Object.entries(insights)) {
+    if (!tabData || tabGranularity(tabKey) !== target.granularity) continue;
+    const row = (tabData.rows || []).find(r => wantedRows.includes(normalizeMetricName(r.metric)));
+    if (!row) continue;
+
+    const valueAt = (year, month) => {
+      const label = Object.keys(row.values || {}).find(l => {
+        const p = parsePeriodEnd(l);
+        return p.year === year && p.month === month;
+      });
+      if (!label) return null;
+      const { value } = parseInsightNumber(row.values[label]);
+      return value === null ? null : { label, value: guided.absolute ? Math.abs(value) : value };
+    };
+
+    const current = valueAt(target.year, target.month);
+    if (!current) continue;
+
+    if (guided.measure === 'yoy') {
+      const prior = valueAt(target.year - 1, target.month);
+      if (!prior || prior.value === 0) continue;
+      const growth = ((current.value - prior.value) / Math.abs(prior.value)) * 100;
+      return { value: Math.round(growth * 100) / 100, period: current.label, tab: tabKey, metric: row.metric };
+    }
+
+    return { value: current.value, period: current.label, tab: tabKey, metric: row.metric };
+  }
+
+  return null;
+}
+
+/**
+ * Label a guided band against the actual: beat | met | missed.
+ * A value within tolerance of the band counts as met.
+ */
+function classify(band, actual, guided) {
+  const unit = band.unit || guided.unit;
+  const ref = band.high ?? band.low;
+  const tol = unit === '%' ? MET_TOLERANCE_PP : Math.abs(ref) * MET_TOLERANCE_REL;
+
+  let status;
+  if (band.low !== null && actual < band.low - tol) {
+    status = 'missed';
+  } else if (band.high !== null && actual > band.high + tol) {
+    // Exceeding a ceiling ("capex up to ₹500 cr") isn't a beat
+    status = band.low === null ? 'missed' : 'beat';
+  } else if (band.high === null && band.low !== null && actual > band.low + tol) {
+    status = 'beat';
+  } else {
+    status = 'met';
+  }
+
+  if (guided.lowerIsBetter && status !== 'met') {
+    status = status === 'beat' ? 'missed' : 'beat';
+  }
+  return status;
+}
+
+class GuidanceService {
+  /**
+   * Build the guidance tracker for a company: every guided metric from each
+   * concall's guidance table, paired with the actual reported in insights.
+   * @param {string} companyId - Company code
+   * @returns {Promise<Object|null>} Tracker payload, or null if the company doesn't exist
+   */
+  async getGuidanceTracker(companyId) {
+    try {
+      const company = await companyService.getCompanyById(companyId);
+      if (!company) return null;
+
+      const concalls = company.documents?.Concalls || [];
+      const byMetric = new Map();
+      const summary = { beat: 0, met: 0, missed: 0, pending: 0 };
+
+      for (const concall of concalls) {
+        for (const row of extractGuidanceRows(concall)) {
+          const guided = resolveGuidedMetric(row.metric);
+          const target = parseTargetPeriod(row.period) || defaultTargetPeriod(concall.quarter);
+          const band = parseGuidanceValue(row.text);
+
+          const entry = {
+            concallQuarter: concall.quarter || null,
+            targetPeriod: target?.label || row.period || null,
+            guidance: {
+              text: String(row.text),
+              low: band?.low ?? null,
+              high: band?.high ?? null,
+            },
+            actual: null,
+            status: 'pending',
+          };
+
+          if (!guided) {
+            entry.reason = 'unmapped_metric';
+          } else if (!band) {
+            entry.reason = 'qualitative_guidance';
+          } else {
+            const actual = findActual(company.insights, guided, target);
+            if (actual) {
+              entry.actual = actual;
+              entry.status = classify(band, actual.value, guided);
+            } else {
+              entry.reason = 'awaiting_actuals';
+            }
+          }
+
+          summary[entry.status]++;
+
+          const key = guided ? guided.key : normalizeMetricName(row.metric);
+          if (!byMetric.has(key)) {
+            byMetric.set(key, {
+              key,
+              metric: guided ? guided.label : row.metric,
+              unit: guided ? (band?.unit || guided.unit) : (band?.unit || null),
+              entries: [],
+            });
+          }
+          byMetric.get(key).entries.push(entry);
+        }
+      }
+
+      logger.info(`Guidance tracker built for ${companyId}: ${byMetric.size} metrics`);
+      return {
+        companyCode: company.companyCode || companyId,
+        name: company.name || null,
+        metrics: [...byMetric.values()],
+        summary,
+      };
+    } catch (error) {
+      logger.error("Failed to build guidance tracker:", {
+        error: error.message,
+        companyId,
+      });
+      throw error;
+    }
+  }
+}
+
+module.exports = new GuidanceService();
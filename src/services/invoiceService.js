@@ -0,0 +1,289 @@
+const InvoiceModel = require('../models/Invoice');
+const OrderModel = require('../models/Order');
+const PaymentModel = require('../models/Payment');
+const SubscriptionModel = require('../models/Subscription');
+const UserModel = require('../models/User');
+const planService = require('./planService');
+const invoiceConfig = require('../config/invoice');
+const { STATE_CODES, computeTaxBreakup } = require('../utils/gst');
+const logger = require('../utils/logger');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A slot still unnumbered this long after numbering started was abandoned
+const NUMBERING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How far back the sweep looks for payments without an invoice
+const SWEEP_LOOKBACK_MS = 30 * DAY_MS;
+
+/**
+ * Indian financial year (April–March) a date falls in, e.g. "2026-27"
+ */
+function financialYear(date) {
+    const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * GST invoice numbers must be unique per financial year and at most 16
+ * characters: INV/2627/000123
+ */
+function formatInvoiceNumber(fy, seq) {
+    const fyShort = fy.slice(2, 4) + fy.slice(5, 7);
+    return `${invoiceConfig.numberPrefix}/${fyShort}/${String(seq).padStart(6, '0')}`;
+}
+
+class InvoiceService {
+    /**
+     * Generate the invoice for a captured payment. Idempotent — returns the
+     * existing invoice if the payment already has one. The payment's slot is
+     * claimed before a number is drawn, so the GST series has no gaps from
+     * lost races or failed saves.
+     * @param {Object} payment
+     * @param {string} payment.userId - Firebase UID of the buyer
+     * @param {string} payment.razorpayPaymentId - Razorpay payment ID
+     * @param {string|null} [payment.razorpayOrderId] - One-off purchases
+     * @param {string|null} [payment.razorpaySubscriptionId] - Recurring charges
+     * @param {number} payment.amount - Amount paid in rupees, GST inclusive
+     * @param {string} [payment.currency] - Currency code
+     * @param {string} payment.plan - Plan code
+     * @param {string} payment.billingCycle - 'monthly' | 'annual'
+     * @param {Object|null} [payment.coupon] - { code, originalAmount, discount } in rupees
+     * @param {Object|null} [payment.planChange] - { credit, to: { price } } for prorated plan switches
+     * @param {Date} [payment.paidAt] - Capture time, defaults to now
+     * @returns {Promise<Object>} Invoice document
+     */
+    async generateForPayment(payment) {
+        const existing = await InvoiceModel.findByRazorpayPaymentId(payment.razorpayPaymentId);
+        if (existing) return existing.invoiceNumber ? existing : this._numberAbandoned(existing);
+
+        const [user, planDoc] = await Promise.all([
+            UserModel.findByUid(payment.userId),
+            planService.getPlan(payment.plan)
+        ]);
+
+        const billing = user?.billingDetails || {};
+        const buyerStateCode = billing.gstin ? billing.gstin.slice(0, 2) : (billing.stateCode || null);
+        const rate = invoiceConfig.gstRate;
+        const tax = computeTaxBreakup(payment.amount, {
+            rate,
+            sellerStateCode: invoiceConfig.seller.stateCode,
+            buyerStateCode
+        });
+
+        // Line item in tax-exclusive terms; a coupon or prorated credit shows up as a discount
+        const listPrice = payment.planChange?.to.price ?? payment.coupon?.originalAmount ?? payment.amount;
+        const unitPrice = round2(listPrice / (1 + rate / 100));
+        const lineItems = [{
+            description: `${planDoc?.name || payment.plan} plan — ${payment.billingCycle} subscription`,
+            sac: invoiceConfig.sacCode,
+            quantity: 1,
+            unitPrice,
+            discount: round2(unitPrice - tax.taxableValue),
+            taxableValue: tax.taxableValue
+        }];
+
+        const issuedAt = payment.paidAt || new Date();
+        const invoice = {
+            financialYear: financialYear(issuedAt),
+            userId: payment.userId,
+            razorpayPaymentId: payment.razorpayPaymentId,
+            razorpayOrderId: payment.razorpayOrderId || null,
+            razorpaySubscriptionId: payment.razorpaySubscriptionId || null,
+            issuedAt,
+            currency: payment.currency || 'INR',
+            invoiceType: billing.gstin ? 'B2B' : 'B2C',
+            seller: invoiceConfig.seller,
+            buyer: {
+                name: billing.legalName || user?.name || null,
+                email: user?.email || null,
+                gstin: billing.gstin || null,
+                address: billing.address || null,
+                stateCode: buyerStateCode,
+                state: STATE_CODES[buyerStateCode] || null
+            },
+            placeOfSupply: { code: tax.placeOfSupply, state: STATE_CODES[tax.placeOfSupply] || null },
+            supplyType: tax.supplyType,
+            reverseCharge: false,
+            lineItems,
+            tax: {
+                rate,
+                cgst: tax.cgst,
+                sgst: tax.sgst,
+                igst: tax.igst
+            },
+            totals: {
+                taxableValue: tax.taxableValue,
+                tax: tax.totalTax,
+                total: tax.total
+            },
+            coupon: payment.coupon ? { code: payment.coupon.code, discount: payment.coupon.discount } : null,
+            prorationCredit: payment.planChange ? payment.planChange.credit : null
+        };
+
+        const { invoice: slot, created } = await InvoiceModel.claim(invoice);
+        // Lost a race with the other payment path — it numbers the slot
+        if (!created) return slot;
+        return this._assignNumber(slot);
+    }
+
+    /**
+     * Draw the next number in the slot's financial year and assign it
+     * @param {Object} slot - Claimed invoice slot
+     * @returns {Promise<Object>} Numbered invoice
+     */
+    async _assignNumber(slot) {
+        const seq = await InvoiceModel.nextSequence(slot.financialYear);
+        const numbered = await InvoiceModel.assignNumber(slot._id, formatInvoiceNumber(slot.financialYear, seq));
+        if (!numbered) {
+            // Only possible if numbering was taken over as abandoned while this one was still running
+            logger.error(`Invoice number ${formatInvoiceNumber(slot.financialYear, seq)} unused: payment ${slot.razorpayPaymentId} was numbered concurrently`);
+            return InvoiceModel.findByRazorpayPaymentId(slot.razorpayPaymentId);
+        }
+        return numbered;
+    }
+
+    /**
+     * Number a slot whose numbering was abandoned, unless it's still in
+     * progress elsewhere
+     * @returns {Promise<Object>} The invoice, numbered or not
+     */
+    async _numberAbandoned(slot) {
+        const taken = await InvoiceModel.claimNumbering(slot._id, new Date(Date.now() - NUMBERING_TIMEOUT_MS));
+        return taken ? this._assignNumber(slot) : slot;
+    }
+
+    /**
+     * Issue invoices that are missing: slots left unnumbered, and recent
+     * payments whose invoice generation failed after fulfilment. Run
+     * periodically (see reconciliationJob).
+     * @param {Object} [options]
+     * @param {number} [options.lookbackMs] - How far back to look for payments
+     * @returns {Promise<Object>} { numbered, issued, failed }
+     */
+    async issueMissingInvoices({ lookbackMs = SWEEP_LOOKBACK_MS } = {}) {
+        const summary = { numbered: 0, issued: 0, failed: 0 };
+
+        const abandoned = await InvoiceModel.findUnnumbered(new Date(Date.now() - NUMBERING_TIMEOUT_MS));
+        for (const slot of abandoned) {
+            try {
+                const invoice = await this._numberAbandoned(slot);
+                if (invoice?.invoiceNumber) summary.numbered++;
+            } catch (error) {
+                logger.error(`Numbering invoice for payment ${slot.razorpayPaymentId} failed:`, error);
+                summary.failed++;
+            }
+        }
+
+        const payments = await PaymentModel.findWithoutInvoice(new Date(Date.now() - lookbackMs));
+        for (const payment of payments) {
+            try {
+                const invoice = await this._invoiceSavedPayment(payment);
+                if (invoice) summary.issued++;
+            } catch (error) {
+                logger.error(`Invoice generation failed for payment ${payment.razorpayPaymentId}:`, error);
+                summary.failed++;
+            }
+        }
+
+        if (summary.numbered + summary.issued + summary.failed > 0) {
+            logger.info(`Invoice sweep: ${summary.numbered} numbered, ${summary.issued} issued, ${summary.failed} failed`);
+        }
+        return summary;
+    }
+
+    /**
+     * Invoice a payment from the payments collection
+     * @returns {Promise<Object|null>} Invoice, or null if the payment isn't invoiceable yet
+     */
+    async _invoiceSavedPayment(payment) {
+        if (payment.razorpaySubscriptionId) {
+            const subscription = await SubscriptionModel.findByRazorpaySubscriptionId(payment.razorpaySubscriptionId);
+            if (!subscription) return null;
+            return this.generateForSubscriptionCharge(subscription, {
+                id: payment.razorpayPaymentId,
+                amount: payment.amount,
+                currency: payment.currency,
+                captured_at: payment.capturedAt ? Math.floor(new Date(payment.capturedAt).getTime() / 1000) : null
+            });
+        }
+
+        // Orders are invoiced once fulfilled; unfulfilled ones are reconciliation's job
+        const orderDoc = await OrderModel.findByRazorpayOrderId(payment.razorpayOrderId);
+        if (!orderDoc?.fulfilledAt) return null;
+        return this.generateForOrder(orderDoc, payment.razorpayPaymentId);
+    }
+
+    /**
+     * Invoice a fulfilled one-off order
+     * @param {Object} orderDoc - Order document
+     * @param {string} razorpayPaymentId - Payment that paid the order
+     * @returns {Promise<Object>} Invoice document
+     */
+    async generateForOrder(orderDoc, razorpayPaymentId) {
+        const notes = orderDoc.notes || {};
+        return this.generateForPayment({
+            userId: orderDoc.userId,
+            razorpayPaymentId,
+            razorpayOrderId: orderDoc.razorpayOrderId,
+            amount: orderDoc.amount,
+            currency: orderDoc.currency,
+            plan: notes.plan || 'premium',
+            billingCycle: notes.billingCycle || (notes.durationDays === '365' ? 'annual' : 'monthly'),
+            coupon: orderDoc.coupon,
+            planChange: orderDoc.planChange
+        });
+    }
+
+    /**
+     * Invoice a recurring subscription charge
+     * @param {Object} subscription - Subscription document
+     * @param {Object} rzpPayment - Razorpay payment entity
+     * @returns {Promise<Object>} Invoice document
+     */
+    async generateForSubscriptionCharge(subscription, rzpPayment) {
+        return this.generateForPayment({
+            userId: subscription.userId,
+            razorpayPaymentId: rzpPayment.id,
+            razorpaySubscriptionId: subscription.razorpaySubscriptionId,
+            amount: rzpPayment.amount / 100,
+            currency: rzpPayment.currency,
+            plan: subscription.plan,
+            billingCycle: subscription.billingCycle,
+            paidAt: rzpPayment.captured_at ? new Date(rzpPayment.captured_at * 1000) : null
+        });
+    }
+
+    /**
+     * List a user's invoices, newest first
+     * @param {string} userId - Firebase UID
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>}
+     */
+    async getInvoices(userId, page = 1, limit = 20) {
+        return InvoiceModel.findByUserId(userId, limit, (page - 1) * limit);
+    }
+
+    /**
+     * Get one of a user's invoices
+     * @param {string} userId - Firebase UID
+     * @param {string} id - Invoice ID
+     * @returns {Promise<Object|null>}
+     */
+    async getInvoice(userId, id) {
+        return InvoiceModel.findByIdForUser(id, userId);
+    }
+
+    /**
+     * Create indexes for the invoices collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await InvoiceModel.createIndexes();
+    }
+}
+
+module.exports = new InvoiceService();
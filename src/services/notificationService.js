@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const mongodb = require('../config/mongodb');
+const notificationConfig = require('../config/notifications');
+const { emailTransport } = require('../config/emailTransport');
+const User = require('../models/User');
+const FeedItemModel = require('../models/FeedItem');
+const NotificationLogModel = require('../models/NotificationLog');
+const planService = require('./planService');
+const auditService = require('./auditService');
+const { renderDigest } = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Digest frequencies a user can choose; 'off' sends none */
+const DIGEST_FREQUENCIES = ['daily', 'weekly', 'off'];
+
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+/** What an unsubscribe token turns off */
+const UNSUBSCRIBE_SCOPES = {
+    digest: { digest: 'off' },
+    email: { email: false }
+};
+
+function notificationError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+const sign = (payload) => crypto
+    .createHmac('sha256', notificationConfig.unsubscribe.secret)
+    .update(payload)
+    .digest('base64url');
+
+class NotificationService {
+    constructor() {
+        this.transport = emailTransport;
+    }
+
+    /**
+     * Swap the delivery transport (see config/emailTransport.createTransport)
+     * @param {Object} transport - { send(message) }
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * A user's notification preferences with defaults filled in
+     * @param {Object} user - User document
+     * @returns {Object} { email, push, sms, digest }
+     */
+    getPreferences(user) {
+        const notifications = user?.preferences?.notifications || {};
+        return {
+            email: notifications.email !== false,
+            push: notifications.push !== false,
+            sms: notifications.sms === true,
+            digest: DIGEST_FREQUENCIES.includes(notifications.digest)
+                ? notifications.digest
+                : notificationConfig.digest.defaultFrequency
+        };
+    }
+
+    /**
+     * Update notification preferences
+     * @param {string} uid - Firebase UID
+     * @param {Object} changes - Any of { email, push, sms, digest }
+     * @param {Object} [actor] - Who made the change, for the audit log
+     * @returns {Promise<Object|null>} Preferences after the change, or null if the user doesn't exist
+     */
+    async updatePreferences(uid, changes, actor = null) {
+        const user = await User.findByUid(uid);
+        if (!user) return null;
+
+        const updates = Object.fromEntries(
+            Object.entries(changes).filter(([key, value]) => ['email', 'push', 'sms', 'digest'].includes(key) && value !== undefined)
+        );
+        const after = await User.updateNotificationPreferences(uid, updates);
+
+        await auditService.record(actor, 'user.notification_preferences_updated', { type: 'user', id: uid }, {
+            before: this.getPreferences(user),
+            after: this.getPreferences({ preferences: { notifications: after } })
+        });
+        return this.getPreferences({ preferences: { notifications: after } });
+    }
+
+    // ── Unsubscribe tokens ───────────────────────────────────────────────────
+
+    /**
+     * Signed token for an unsubscribe link. Tokens don't expire — links in
+     * old emails keep working.
+     * @param {string} uid - Firebase UID
+     * @param {string} scope - Key of UNSUBSCRIBE_SCOPES
+     * @returns {string}
+     */
+    createUnsubscribeToken(uid, scope = 'digest') {
+        const payload = `${Buffer.from(uid).toString('base64url')}.${scope}`;
+        return `${payload}.${sign(payload)}`;
+    }
+
+    /**
+     * @param {string} token - Token from createUnsubscribeToken()
+     * @returns {{ uid: string, scope: string }|null} null if malformed or forged
+     */
+    verifyUnsubscribeToken(token) {
+        if (!notificationConfig.unsubscribe.secret) return null;
+        const [encodedUid, scope, signature] = String(token || '').split('.');
+        if (!encodedUid || !UNSUBSCRIBE_SCOPES[scope] || !signature) return null;
+
+        const expected = Buffer.from(sign(`${encodedUid}.${scope}`));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        return { uid: Buffer.from(encodedUid, 'base64url').toString('utf8'), scope };
+    }
+
+    unsubscribeUrl(uid, scope = 'digest') {
+        const token = this.createUnsubscribeToken(uid, scope);
+        return `${notificationConfig.unsubscribe.baseUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+    }
+
+    /**
+     * Apply an unsubscribe link
+     * @param {string} token - Token from the link
+     * @returns {Promise<Object>} { uid, scope, preferences }
+     */
+    async unsubscribe(token) {
+        const verified = this.verifyUnsubscribeToken(token);
+        if (!verified) {
+            throw notificationError('This unsubscribe link is invalid.', 'INVALID_UNSUBSCRIBE_TOKEN');
+        }
+
+        const preferences = await this.updatePreferences(
+            verified.uid,
+            UNSUBSCRIBE_SCOPES[verified.scope],
+            auditService.systemActor('unsubscribe_link')
+        );
+        if (!preferences) {
+            throw notificationError('This account no longer exists.', 'USER_NOT_FOUND');
+        }
+
+        logger.info(`User ${verified.uid} unsubscribed (${verified.scope}) via email link`);
+        return { ...verified, preferences };
+    }
+
+    // ── Digests ──────────────────────────────────────────────────────────────
+
+    /**
+     * Send the digests due at `now`: daily digests every day and weekly ones
+     * on the configured weekday, from the configured hour on. Safe to run
+     * repeatedly — each user gets at most one digest per period.
+     * @param {Date} [now]
+     * @returns {Promise<Object>} { [frequency]: { sent, skipped, failed } }
+     */
+    async sendDueDigests(now = new Date()) {
+        const summary = {};
+        if (!notificationConfig.unsubscribe.secret) return summary;
+        if (now.getUTCHours() < notificationConfig.digest.sendHourUtc) return summary;
+
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+
+        const frequencies = ['daily'];
+        if (now.getUTCDay() === notificationConfig.digest.weeklyDay) frequencies.push('weekly');
+
+        for (const frequency of frequencies) {
+            const counts = { sent: 0, skipped: 0, failed: 0 };
+            const periodKey = `${frequency}:${now.toISOString().slice(0, 10)}`;
+            const includeUnset = frequency === notificationConfig.digest.defaultFrequency;
+
+            let afterId = null;
+            for (;;) {
+                const users = await User.findDigestRecipients(frequency, includeUnset, afterId);
+                if (users.length === 0) break;
+                afterId = users[users.length - 1]._id;
+
+                for (const user of users) {
+                    const status = await this.sendDigest(user, frequency, periodKey, now);
+                    if (status in counts) counts[status]++;
+                }
+            }
+
+            summary[frequency] = counts;
+            logger.info(`${frequency} digests: ${counts.sent} sent, ${counts.skipped} with nothing new, ${counts.failed} failed`);
+        }
+        return summary;
+    }
+
+    /**
+     * Build and send one user's digest for a period
+     * @param {Object} user - User document (uid, email, name, subscription, preferences)
+     * @param {string} frequency - daily | weekly
+     * @param {string} periodKey - Identifies the period, e.g. "weekly:2026-10-19"
+     * @param {Date} [now]
+     * @returns {Promise<string>} sent | skipped | failed | duplicate
+     */
+    async sendDigest(user, frequency, periodKey, now = new Date()) {
+        const claim = await NotificationLogModel.claim({ userId: user.uid, kind: 'digest', periodKey });
+        if (!claim) return 'duplicate';
+
+        try {
+            const content = await this.buildDigest(user, frequency, now);
+            if (!content) {
+                await NotificationLogModel.markSkipped(claim._id);
+                return 'skipped';
+            }
+
+            const unsubscribeUrl = this.unsubscribeUrl(user.uid, 'digest');
+            const message = renderDigest({
+                user,
+                frequency,
+                ...content,
+                unsubscribeUrl,
+                preferencesUrl: notificationConfig.preferencesUrl
+            });
+
+            const { messageId } = await this.transport.send({
+                to: user.email,
+                ...message,
+                headers: {
+                    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                }
+            });
+
+            await NotificationLogModel.markSent(claim._id, { messageId, itemCount: content.items.length + content.moreCount });
+            return 'sent';
+        } catch (error) {
+            logger.error(`Failed to send ${frequency} digest to ${user.uid}:`, error);
+            await NotificationLogModel.markFailed(claim._id, error.message || String(error)).catch(() => {});
+            return 'failed';
+        }
+    }
+
+    /**
+     * Digest content: feed items since the last digest (or one period) and
+     * an expiry reminder for a subscription that won't renew
+     * @returns {Promise<Object|null>} { items, moreCount, reminder }, or null if there's nothing to say
+     */
+    async buildDigest(user, frequency, now = new Date()) {
+        const lastSent = await NotificationLogModel.findLastSent(user.uid, 'digest');
+        const periodStart = new Date(now.getTime() - PERIOD_MS[frequency]);
+        const since = lastSent?.sentAt && lastSent.sentAt > periodStart ? lastSent.sentAt : periodStart;
+
+        const { maxItems } = notificationConfig.digest;
+        const items = await FeedItemModel.findSince(user.uid, since, maxItems);
+        const moreCount = items.length === maxItems
+            ? (await FeedItemModel.countSince(user.uid, since)) - maxItems
+            : 0;
+        const reminder = await this.getExpiryReminder(user.subscription, now);
+
+        if (items.length === 0 && !reminder) return null;
+        return { items, moreCount, reminder };
+    }
+
+    /**
+     * Reminder for paid or trial access that ends soon and won't renew
+     * @param {Object|null} subscription - user.subscription
+     * @param {Date} [now]
+     * @param {number} [withinDays] - How close to expiry counts as soon
+     * @returns {Promise<Object|null>} { planName, expiresAt, daysLeft }
+     */
+    async getExpiryReminder(subscription, now = new Date(), withinDays = notificationConfig.digest.expiryReminderDays) {
+        if (!subscription?.expiresAt || subscription.autoRenew === true) return null;
+
+        const expiresAt = new Date(subscription.expiresAt);
+        const msLeft = expiresAt.getTime() - now.getTime();
+        if (msLeft <= 0 || msLeft > withinDays * DAY_MS) return null;
+
+        const plan = await planService.getPlan(subscription.plan);
+        return {
+            planName: plan?.name || subscription.plan,
+            expiresAt,
+            daysLeft: Math.max(1, Math.ceil(msLeft / DAY_MS))
+        };
+    }
+
+    /**
+     * A user's notification history, for data exports
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<Array>}
+     */
+    async getHistory(uid) {
+        return NotificationLogModel.findByUserId(uid, 0);
+    }
+
+    /**
+     * Delete a user's notification history (account deletion)
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<number>} Rows deleted
+     */
+    async deleteHistory(uid) {
+        return NotificationLogModel.deleteByUserId(uid);
+    }
+
+    /**
+     * Create indexes for the notification_log collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await NotificationLogModel.createIndexes();
+    }
+}
+
+module.exports = new NotificationService();
@@ -3,9 +3,49 @@ const crypto = require('crypto');
 const logger = require('../utils/logger');
 const OrderModel = require('../models/Order');
 const PaymentModel = require('../models/Payment');
-const RefundModel = require('../models/Refund');
-const WebhookEventModel = require('../models/WebhookEvent');
+const SubscriptionModel = require('../models/Subscription');
 const UserModel = require('../models/User');
+const planService = require('./planService');
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+const planChangeService = require('./planChangeService');
+const refundService = require('./refundService');
+const entitlementService = require('./entitlementService');
+const subscriptionEventService = require('./subscriptionEventService');
+
+// Catalog billing cycle → Razorpay plan period
+const RAZORPAY_PERIODS = {
+  monthly: 'monthly',
+  annual: 'yearly'
+};
+
+// Razorpay requires a finite number of charges — 10 years either way
+const TOTAL_COUNTS = {
+  monthly: 120,
+  annual: 10
+};
+
+// Statuses in which Razorpay will keep charging the customer
+const RENEWING_STATUSES = ['created', 'authenticated', 'active', 'pending'];
+
+// Subscription webhooks that are recorded in the subscription ledger
+const LEDGER_WEBHOOK_EVENTS = {
+  'subscription.halted': subscriptionEventService.TYPES.HALTED,
+  'subscription.paused': subscriptionEventService.TYPES.PAUSED,
+  'subscription.resumed': subscriptionEventService.TYPES.RESUMED,
+  'subscription.cancelled': subscriptionEventService.TYPES.CANCELLED
+};
+
+// How far a one-off payment has got; a saved payment only ever moves forward
+const PAYMENT_PROGRESS = ['created', 'authorized', 'captured'];
+
+const toDate = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000) : null);
+
+function subscriptionError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
 
 class PaymentService {
   /**
@@ -35,12 +75,34 @@ class PaymentService {
       receipt: razorpayOrder.receipt,
       status: razorpayOrder.status,
       notes: razorpayOrder.notes,
+      coupon: orderData.coupon || null,
+      planChange: orderData.planChange || null,
       attempts: razorpayOrder.attempts
     });
 
     return { razorpayOrder, savedOrder };
   }
 
+  /**
+   * Create the order that pays for a quoted plan switch (see planChangeService)
+   */
+  async createPlanChangeOrder(userId, quote) {
+    return this.createOrder({
+      amount: quote.amountDue,
+      currency: quote.to.currency,
+      receipt: `plan_change_${Date.now()}`,
+      notes: {
+        type: 'plan_change',
+        plan: quote.to.plan,
+        billingCycle: quote.to.billingCycle,
+        fromPlan: quote.from.plan,
+        fromBillingCycle: quote.from.billingCycle,
+        credit: String(quote.credit)
+      },
+      planChange: quote
+    }, userId);
+  }
+
   /**
    * Verify payment signature and persist payment to DB
    */
@@ -63,85 +125,468 @@ class PaymentService {
     if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
 
     const rzpPayment = await razorpay.payments.fetch(razorpay_payment_id);
-
-    const existing = await PaymentModel.findByRazorpayPaymentId(razorpay_payment_id);
-    if (!existing) {
-      await PaymentModel.create({
-        razorpayPaymentId: razorpay_payment_id,
-        razorpayOrderId: razorpay_order_id,
-        userId,
-        amount: rzpPayment.amount,
-        currency: rzpPayment.currency,
-        status: rzpPayment.status,
-        method: rzpPayment.method,
-        email: rzpPayment.email,
-        contact: rzpPayment.contact,
-        signature: razorpay_signature,
-        capturedAt: rzpPayment.captured_at ? new Date(rzpPayment.captured_at * 1000) : null
-      });
-    }
+    await this._saveOrderPayment(rzpPayment, razorpay_order_id, userId, razorpay_signature);
 
     // Update the order status to attempted/paid
     await OrderModel.updateStatus(razorpay_order_id, 'attempted');
 
     // Activate subscription for the user based on order notes
     const orderDoc = await OrderModel.findByRazorpayOrderId(razorpay_order_id);
-    const plan = orderDoc?.notes?.plan || 'premium';
-    const durationDays = parseInt(orderDoc?.notes?.durationDays) || 365;
-    await UserModel.activateSubscription(userId, plan, durationDays);
+    await this._fulfilOrder(orderDoc, userId, razorpay_payment_id);
 
     return rzpPayment;
   }
 
   /**
-   * Get payment details from Razorpay
+   * Fulfil a paid order exactly once: activate the subscription, redeem its
+   * coupon and issue the invoice. The verify endpoint and the payment.captured
+   * webhook both call this; the atomic claim on the order makes the second
+   * call a no-op.
    */
-  async getPaymentDetails(paymentId) {
+  async _fulfilOrder(orderDoc, userId, razorpayPaymentId) {
+    if (!orderDoc) throw new Error('Order not found for payment');
+
+    const claimed = await OrderModel.claimFulfilment(orderDoc.razorpayOrderId);
+    if (!claimed) {
+      logger.info(`Order ${orderDoc.razorpayOrderId} already fulfilled`);
+      return null;
+    }
+
+    let result;
+    try {
+      result = orderDoc.planChange
+        ? await planChangeService.applySwitch(userId, orderDoc.planChange, {
+          razorpayOrderId: orderDoc.razorpayOrderId,
+          razorpayPaymentId,
+          amount: orderDoc.amount
+        })
+        : await this._activateFromOrder(orderDoc, userId, razorpayPaymentId);
+    } catch (error) {
+      await OrderModel.releaseFulfilment(orderDoc.razorpayOrderId);
+      throw error;
+    }
+
+    // Access is granted, so the claim stands — a failed redemption is
+    // retried on its own by the reconciliation job
+    await couponService.recordRedemption(orderDoc).catch(error => {
+      logger.error(`Coupon redemption failed for order ${orderDoc.razorpayOrderId}:`, error);
+    });
+
+    // The payment is already good — an invoice failure is logged, not surfaced
+    await invoiceService.generateForOrder(orderDoc, razorpayPaymentId).catch(error => {
+      logger.error(`Invoice generation failed for order ${orderDoc.razorpayOrderId}:`, error);
+    });
+    return result;
+  }
+
+  /**
+   * Recover a captured payment whose verify call and webhook never arrived
+   * (used by payment reconciliation): save it, mark the order paid and
+   * fulfil it. Safe to repeat — fulfilment is claimed once per order.
+   * @returns {Promise<Object|null>} Fulfilment result, or null if the order was already fulfilled
+   */
+  async recoverOrderPayment(orderDoc, rzpPayment) {
+    await this._saveOrderPayment(rzpPayment, orderDoc.razorpayOrderId, orderDoc.userId, null);
+    await OrderModel.updateStatus(orderDoc.razorpayOrderId, 'paid');
+    return this._fulfilOrder(orderDoc, orderDoc.userId, rzpPayment.id);
+  }
+
+  /**
+   * Save a one-off order payment to the payments collection. A payment
+   * already saved (e.g. as authorized by /verify) is brought up to the
+   * status Razorpay now reports.
+   */
+  async _saveOrderPayment(rzpPayment, razorpayOrderId, userId, signature) {
+    const existing = await PaymentModel.findByRazorpayPaymentId(rzpPayment.id);
+    if (existing) {
+      const saved = PAYMENT_PROGRESS.indexOf(existing.status);
+      if (saved !== -1 && saved < PAYMENT_PROGRESS.indexOf(rzpPayment.status)) {
+        const capturedAt = toDate(rzpPayment.captured_at) || existing.capturedAt || null;
+        await PaymentModel.updateStatus(rzpPayment.id, rzpPayment.status, { capturedAt });
+        return { ...existing, status: rzpPayment.status, capturedAt };
+      }
+      return existing;
+    }
+
+    return PaymentModel.create({
+      razorpayPaymentId: rzpPayment.id,
+      razorpayOrderId,
+      userId,
+      amount: rzpPayment.amount,
+      currency: rzpPayment.currency,
+      status: rzpPayment.status,
+      method: rzpPayment.method,
+      email: rzpPayment.email,
+      contact: rzpPayment.contact,
+      signature,
+      capturedAt: toDate(rzpPayment.captured_at)
+    });
+  }
+
+  /**
+   * Activate the subscription an order paid for. Plan and billing cycle come
+   * from the order notes; the duration always comes from the plan catalog so a
+   * tampered notes.durationDays on older orders can't extend access.
+   */
+  async _activateFromOrder(orderDoc, userId, razorpayPaymentId) {
+    const notes = orderDoc?.notes || {};
+    const plan = notes.plan || 'premium';
+    const billingCycle = notes.billingCycle || (notes.durationDays === '365' ? 'annual' : 'monthly');
+
+    const pricing = await planService.getBillingCycle(plan, billingCycle);
+    if (!pricing) {
+      throw new Error(`Unknown plan or billing cycle on order ${orderDoc?.razorpayOrderId}: ${plan}:${billingCycle}`);
+    }
+
+    const result = await UserModel.activateSubscription(userId, plan, pricing.durationDays, billingCycle);
+    await entitlementService.invalidate(userId);
+    await subscriptionEventService.record(subscriptionEventService.activationType(result.previous), userId, {
+      plan,
+      billingCycle,
+      source: 'paid',
+      periodStart: result.activatedAt,
+      periodEnd: result.expiresAt,
+      previous: result.previous,
+      razorpayOrderId: orderDoc.razorpayOrderId,
+      razorpayPaymentId,
+      amount: orderDoc.amount,
+      currency: orderDoc.currency,
+      details: orderDoc.coupon ? { couponCode: orderDoc.coupon.code } : undefined
+    });
+    return result;
+  }
+
+  /**
+   * Get the Razorpay plan backing a catalog billing cycle, creating it on
+   * first use (or after a price change)
+   */
+  async _ensureRazorpayPlan(pricing) {
+    if (pricing.razorpayPlanId) return pricing.razorpayPlanId;
+
+    const period = RAZORPAY_PERIODS[pricing.billingCycle];
+    if (!period) {
+      throw subscriptionError(`Billing cycle ${pricing.billingCycle} cannot renew automatically`, 'INVALID_PLAN');
+    }
+
+    const rzpPlan = await razorpay.plans.create({
+      period,
+      interval: 1,
+      item: {
+        name: `${pricing.name} (${pricing.billingCycle})`,
+        amount: Math.round(pricing.price * 100),
+        currency: pricing.currency
+      },
+      notes: { plan: pricing.plan, billingCycle: pricing.billingCycle }
+    });
+
+    logger.info(`Razorpay plan created: ${rzpPlan.id} for ${pricing.plan}:${pricing.billingCycle}`);
+    await planService.setRazorpayPlan(pricing.plan, pricing.billingCycle, rzpPlan.id, pricing.price);
+    return rzpPlan.id;
+  }
+
+  /**
+   * Create a Razorpay recurring subscription for a catalog plan and persist it.
+   * If the user still has paid one-off time left, billing starts when it runs out.
+   */
+  async createSubscription(userId, plan, billingCycle) {
     if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
-    const payment = await razorpay.payments.fetch(paymentId);
-    logger.info(`Payment details fetched: ${paymentId}`);
+
+    const pricing = await planService.getBillingCycle(plan, billingCycle);
+    if (!pricing) {
+      throw subscriptionError(`Unknown plan or billing cycle: ${plan}:${billingCycle}`, 'INVALID_PLAN');
+    }
+
+    const live = await SubscriptionModel.findLiveByUserId(userId);
+    if (live) {
+      throw subscriptionError('You already have a recurring subscription', 'SUBSCRIPTION_EXISTS');
+    }
+
+    const razorpayPlanId = await this._ensureRazorpayPlan(pricing);
+
+    const user = await UserModel.findByUid(userId);
+    const current = user?.subscription;
+    const paidUntil = current?.source === 'paid' && current.expiresAt && new Date(current.expiresAt) > new Date()
+      ? new Date(current.expiresAt)
+      : null;
+
+    const options = {
+      plan_id: razorpayPlanId,
+      total_count: TOTAL_COUNTS[billingCycle],
+      customer_notify: 1,
+      notes: { userId, plan, billingCycle }
+    };
+    if (paidUntil) options.start_at = Math.floor(paidUntil.getTime() / 1000);
+
+    const razorpaySubscription = await razorpay.subscriptions.create(options);
+    logger.info(`Razorpay subscription created: ${razorpaySubscription.id} for user ${userId}`);
+
+    const savedSubscription = await SubscriptionModel.create({
+      razorpaySubscriptionId: razorpaySubscription.id,
+      razorpayPlanId,
+      userId,
+      plan,
+      billingCycle,
+      status: razorpaySubscription.status,
+      totalCount: razorpaySubscription.total_count,
+      chargeAt: toDate(razorpaySubscription.charge_at),
+      shortUrl: razorpaySubscription.short_url,
+      notes: razorpaySubscription.notes
+    });
+
+    return { razorpaySubscription, savedSubscription };
+  }
+
+  /**
+   * Verify the checkout signature of a subscription's authorisation payment
+   */
+  verifySubscriptionSignature(paymentData) {
+    const { razorpay_subscription_id, razorpay_payment_id, razorpay_signature } = paymentData;
+    const body = razorpay_payment_id + '|' + razorpay_subscription_id;
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(body)
+      .digest('hex');
+    const isValid = expectedSignature === razorpay_signature;
+    logger.info(`Subscription signature verification: ${isValid ? 'SUCCESS' : 'FAILED'}`);
+    return isValid;
+  }
+
+  /**
+   * After checkout: record the first payment and activate access without
+   * waiting for the subscription.charged webhook (both paths are idempotent)
+   */
+  async confirmSubscription(razorpay_subscription_id, razorpay_payment_id, userId) {
+    if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
+
+    const saved = await SubscriptionModel.findByRazorpaySubscriptionId(razorpay_subscription_id);
+    if (!saved || saved.userId !== userId) {
+      throw subscriptionError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    const [rzpSubscription, rzpPayment] = await Promise.all([
+      razorpay.subscriptions.fetch(razorpay_subscription_id),
+      razorpay.payments.fetch(razorpay_payment_id)
+    ]);
+
+    await this._recordSubscriptionPayment(rzpPayment, saved);
+    await this._applySubscriptionCharge(saved, rzpSubscription, rzpPayment);
+    return rzpSubscription;
+  }
+
+  /**
+   * Save a recurring charge to the payments collection and invoice it
+   * (skipped if already saved)
+   */
+  async _recordSubscriptionPayment(rzpPayment, saved) {
+    const existing = await PaymentModel.findByRazorpayPaymentId(rzpPayment.id);
+    if (existing) return existing;
+
+    const payment = await PaymentModel.create({
+      razorpayPaymentId: rzpPayment.id,
+      razorpayOrderId: rzpPayment.order_id,
+      razorpaySubscriptionId: saved.razorpaySubscriptionId,
+      razorpayInvoiceId: rzpPayment.invoice_id,
+      userId: saved.userId,
+      amount: rzpPayment.amount,
+      currency: rzpPayment.currency,
+      status: rzpPayment.status,
+      method: rzpPayment.method,
+      email: rzpPayment.email,
+      contact: rzpPayment.contact,
+      capturedAt: toDate(rzpPayment.captured_at)
+    });
+
+    await invoiceService.generateForSubscriptionCharge(saved, rzpPayment).catch(error => {
+      logger.error(`Invoice generation failed for payment ${rzpPayment.id}:`, error);
+    });
     return payment;
   }
 
   /**
-   * Get order details from Razorpay
+   * Sync a charged Razorpay subscription entity: billing period on the
+   * subscription doc, and access until current_end on the user. The ledger
+   * event is keyed on the charge count, so the verify call and the
+   * subscription.charged webhook record it once.
    */
-  async getOrderDetails(orderId) {
+  async _applySubscriptionCharge(saved, entity, rzpPayment = null) {
+    const currentEnd = toDate(entity.current_end);
+
+    await SubscriptionModel.updateStatus(entity.id, entity.status, {
+      paidCount: entity.paid_count,
+      currentStart: toDate(entity.current_start),
+      currentEnd,
+      chargeAt: toDate(entity.charge_at)
+    });
+
+    // Not charged yet (e.g. billing deferred until one-off time runs out)
+    if (!currentEnd) return null;
+
+    const result = await UserModel.syncRecurringSubscription(saved.userId, {
+      plan: saved.plan,
+      billingCycle: saved.billingCycle,
+      razorpaySubscriptionId: entity.id,
+      status: entity.status,
+      currentEnd
+    });
+    await entitlementService.invalidate(saved.userId);
+    await subscriptionEventService.record(subscriptionEventService.activationType(result.previous), saved.userId, {
+      plan: saved.plan,
+      billingCycle: saved.billingCycle,
+      source: 'recurring',
+      periodStart: toDate(entity.current_start),
+      periodEnd: result.expiresAt,
+      previous: result.previous,
+      razorpaySubscriptionId: entity.id,
+      razorpayPaymentId: rzpPayment?.id || null,
+      amount: rzpPayment ? rzpPayment.amount / 100 : null,
+      currency: rzpPayment?.currency || null,
+      details: { paidCount: entity.paid_count },
+      dedupeKey: `charge:${entity.id}:${entity.paid_count}`
+    });
+    return result;
+  }
+
+  /**
+   * Sync a non-charge status change (halted, paused, cancelled, ...).
+   * Access already paid for runs until expiresAt; a halted subscription has
+   * failed its renewal charge, so its paid period has already ended.
+   */
+  async _syncSubscriptionStatus(event, entity) {
+    const saved = await SubscriptionModel.updateStatus(entity.id, entity.status, {
+      endedAt: toDate(entity.ended_at)
+    });
+    if (!saved) {
+      logger.warn(`Webhook for unknown subscription: ${entity.id}`);
+      return;
+    }
+    await UserModel.updateRecurringStatus(
+      saved.userId,
+      entity.id,
+      entity.status,
+      RENEWING_STATUSES.includes(entity.status)
+    );
+    if (LEDGER_WEBHOOK_EVENTS[event]) {
+      await this._recordStatusEvent(LEDGER_WEBHOOK_EVENTS[event], saved, entity);
+    }
+  }
+
+  /**
+   * Record a recurring status change in the subscription ledger. Keyed so the
+   * user-initiated call and the webhook that follows it record it once;
+   * pause/halt/resume can recur, so their keys include the charge count.
+   */
+  async _recordStatusEvent(type, saved, entity) {
+    const { TYPES } = subscriptionEventService;
+    const dedupeKey = type === TYPES.CANCELLED
+      ? `${type}:${entity.id}`
+      : `${type}:${entity.id}:${entity.paid_count || 0}`;
+
+    await subscriptionEventService.record(type, saved.userId, {
+      plan: saved.plan,
+      billingCycle: saved.billingCycle,
+      source: 'recurring',
+      razorpaySubscriptionId: entity.id,
+      details: { status: entity.status },
+      dedupeKey
+    });
+  }
+
+  /**
+   * Get the user's latest recurring subscription
+   */
+  async getSubscription(userId) {
+    return SubscriptionModel.findLatestByUserId(userId);
+  }
+
+  /**
+   * Cancel the user's recurring subscription, by default at the end of the
+   * current billing period so paid time isn't lost
+   */
+  async cancelSubscription(userId, cancelAtCycleEnd = true) {
     if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
-    const order = await razorpay.orders.fetch(orderId);
-    logger.info(`Order details fetched: ${orderId}`);
-    return order;
+
+    const live = await SubscriptionModel.findLiveByUserId(userId);
+    if (!live) throw subscriptionError('No active recurring subscription', 'SUBSCRIPTION_NOT_FOUND');
+
+    // Razorpay only supports cancelling at cycle end for active subscriptions
+    const atCycleEnd = cancelAtCycleEnd && live.status === 'active';
+    const rzpSubscription = await razorpay.subscriptions.cancel(live.razorpaySubscriptionId, atCycleEnd);
+
+    const updated = await SubscriptionModel.updateStatus(live.razorpaySubscriptionId, rzpSubscription.status, {
+      cancelAtCycleEnd: atCycleEnd,
+      cancelRequestedAt: new Date()
+    });
+    await UserModel.updateRecurringStatus(userId, live.razorpaySubscriptionId, rzpSubscription.status, false);
+    await this._recordStatusEvent(subscriptionEventService.TYPES.CANCELLED, live, rzpSubscription);
+
+    logger.info(`Subscription ${live.razorpaySubscriptionId} cancelled by user ${userId} (atCycleEnd=${atCycleEnd})`);
+    return updated;
   }
 
   /**
-   * Create refund and persist to DB
+   * Pause the user's active recurring subscription immediately
    */
-  async createRefund(paymentId, refundData, userId) {
+  async pauseSubscription(userId) {
     if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
 
-    const options = {
-      notes: refundData.notes || {}
-    };
-    if (refundData.amount) options.amount = refundData.amount; // in paise
+    const live = await SubscriptionModel.findLiveByUserId(userId);
+    if (!live) throw subscriptionError('No active recurring subscription', 'SUBSCRIPTION_NOT_FOUND');
+    if (live.status !== 'active') {
+      throw subscriptionError(`Cannot pause a subscription that is ${live.status}`, 'INVALID_SUBSCRIPTION_STATE');
+    }
+
+    const rzpSubscription = await razorpay.subscriptions.pause(live.razorpaySubscriptionId, { pause_at: 'now' });
+    const updated = await SubscriptionModel.updateStatus(live.razorpaySubscriptionId, rzpSubscription.status, {
+      pausedAt: new Date()
+    });
+    await UserModel.updateRecurringStatus(userId, live.razorpaySubscriptionId, rzpSubscription.status, false);
+    await this._recordStatusEvent(subscriptionEventService.TYPES.PAUSED, live, rzpSubscription);
 
-    const refund = await razorpay.payments.refund(paymentId, options);
+    logger.info(`Subscription ${live.razorpaySubscriptionId} paused by user ${userId}`);
+    return updated;
+  }
 
-    logger.info(`Razorpay refund created: ${refund.id}`);
+  /**
+   * Resume the user's paused recurring subscription immediately
+   */
+  async resumeSubscription(userId) {
+    if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
 
-    await RefundModel.create({
-      razorpayRefundId: refund.id,
-      razorpayPaymentId: paymentId,
-      userId,
-      amount: refund.amount,
-      currency: refund.currency,
-      status: 'pending',
-      notes: refund.notes || {}
+    const live = await SubscriptionModel.findLiveByUserId(userId);
+    if (!live) throw subscriptionError('No active recurring subscription', 'SUBSCRIPTION_NOT_FOUND');
+    if (live.status !== 'paused') {
+      throw subscriptionError(`Cannot resume a subscription that is ${live.status}`, 'INVALID_SUBSCRIPTION_STATE');
+    }
+
+    const rzpSubscription = await razorpay.subscriptions.resume(live.razorpaySubscriptionId, { resume_at: 'now' });
+    const updated = await SubscriptionModel.updateStatus(live.razorpaySubscriptionId, rzpSubscription.status, {
+      pausedAt: null
     });
+    await UserModel.updateRecurringStatus(userId, live.razorpaySubscriptionId, rzpSubscription.status, true);
+    await this._recordStatusEvent(subscriptionEventService.TYPES.RESUMED, live, rzpSubscription);
 
-    // Update payment status
-    await PaymentModel.updateStatus(paymentId, 'refunded');
+    logger.info(`Subscription ${live.razorpaySubscriptionId} resumed by user ${userId}`);
+    return updated;
+  }
 
-    return refund;
+  /**
+   * Get payment details from Razorpay
+   */
+  async getPaymentDetails(paymentId) {
+    if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
+    const payment = await razorpay.payments.fetch(paymentId);
+    logger.info(`Payment details fetched: ${paymentId}`);
+    return payment;
+  }
+
+  /**
+   * Get order details from Razorpay
+   */
+  async getOrderDetails(orderId) {
+    if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
+    const order = await razorpay.orders.fetch(orderId);
+    logger.info(`Order details fetched: ${orderId}`);
+    return order;
   }
 
   /**
@@ -174,10 +619,11 @@ class PaymentService {
   }
 
   /**
-   * Process a verified webhook event and update DB state
+   * Process a verified webhook event and update DB state. Called by
+   * webhookService, which deduplicates deliveries and retries failures —
+   * throw to have the event retried.
    */
   async processWebhookEvent(event, payload) {
-    const entityId = this._extractEntityId(event, payload);
 
     switch (event) {
       case 'payment.captured': {
@@ -187,9 +633,7 @@ class PaymentService {
         // Activate subscription (webhook path — idempotent with captureVerifiedPayment)
         const orderDoc = await OrderModel.findByRazorpayOrderId(p.order_id);
         if (orderDoc?.userId) {
-          const plan = orderDoc?.notes?.plan || 'premium';
-          const durationDays = parseInt(orderDoc?.notes?.durationDays) || 365;
-          await UserModel.activateSubscription(orderDoc.userId, plan, durationDays);
+          await this._fulfilOrder(orderDoc, orderDoc.userId, p.id);
         }
         break;
       }
@@ -212,47 +656,60 @@ class PaymentService {
         break;
       }
       case 'refund.created': {
-        const r = payload.refund.entity;
-        const existing = await RefundModel.findByRazorpayRefundId(r.id);
-        if (!existing) {
-          await RefundModel.create({
-            razorpayRefundId: r.id,
-            razorpayPaymentId: r.payment_id,
-            userId: null, // unknown from webhook — can be enriched later
-            amount: r.amount,
-            currency: r.currency,
-            status: 'pending',
-            notes: r.notes || {}
-          });
-        }
+        await refundService.syncWebhookRefund(payload.refund.entity, 'pending');
         break;
       }
       case 'refund.processed': {
-        const r = payload.refund.entity;
-        await RefundModel.updateStatus(r.id, 'processed');
+        // Revokes or shortens the subscription the payment bought
+        await refundService.syncWebhookRefund(payload.refund.entity, 'processed');
         break;
       }
       case 'refund.failed': {
+        // Access is only revoked once a refund is processed, so nothing to restore
         const r = payload.refund.entity;
-        await RefundModel.updateStatus(r.id, 'failed');
+        await refundService.syncWebhookRefund(r, 'failed');
+        logger.warn(`Refund failed: ${r.id} for payment ${r.payment_id}`);
+        break;
+      }
+      case 'subscription.charged': {
+        const s = payload.subscription.entity;
+        const saved = await SubscriptionModel.findByRazorpaySubscriptionId(s.id);
+        if (!saved) {
+          logger.warn(`subscription.charged for unknown subscription: ${s.id}`);
+          break;
+        }
+        if (payload.payment?.entity) {
+          await this._recordSubscriptionPayment(payload.payment.entity, saved);
+        }
+        await this._applySubscriptionCharge(saved, s, payload.payment?.entity);
+        break;
+      }
+      case 'subscription.activated':
+      case 'subscription.pending':
+      case 'subscription.halted':
+      case 'subscription.paused':
+      case 'subscription.resumed':
+      case 'subscription.cancelled':
+      case 'subscription.completed': {
+        await this._syncSubscriptionStatus(event, payload.subscription.entity);
         break;
       }
       default:
         logger.info(`Unhandled webhook event: ${event}`);
     }
-
-    // Audit log every event
-    await WebhookEventModel.create({ event, entityId, payload, status: 'processed' });
   }
 
-  _extractEntityId(event, payload) {
-    const [resource] = event.split('.');
-    const entityMap = {
-      payment: payload.payment?.entity?.id,
-      order: payload.order?.entity?.id,
-      refund: payload.refund?.entity?.id
-    };
-    return entityMap[resource] || null;
+  /**
+   * Create indexes for payment collections
+   */
+  async initializeIndexes() {
+    await OrderModel.createIndexes();
+    await PaymentModel.createIndexes();
+    await SubscriptionModel.createIndexes();
+    await subscriptionEventService.initializeIndexes();
+    await couponService.initializeIndexes();
+    await invoiceService.initializeIndexes();
+    await refundService.initializeIndexes();
   }
 }
 
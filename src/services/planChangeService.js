@@ -0,0 +1,216 @@
+const UserModel = require('../models/User');
+const planService = require('./planService');
+const entitlementService = require('./entitlementService');
+const subscriptionEventService = require('./subscriptionEventService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Razorpay's minimum order amount; smaller differences are rounded up
+const MIN_PAYABLE = 1;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+function planChangeError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Value of the unused part of a paid period, at the catalog price of its
+ * billing cycle
+ * @param {Object} pricing - Billing cycle of the current plan (price, durationDays)
+ * @param {Date} expiresAt - End of the current period
+ * @param {Date} now
+ * @returns {number} Credit in rupees
+ */
+function creditFor(pricing, expiresAt, now) {
+    const remainingMs = Math.max(0, new Date(expiresAt) - now);
+    return round2(Math.min(pricing.price, pricing.price * remainingMs / (pricing.durationDays * DAY_MS)));
+}
+
+class PlanChangeService {
+    /**
+     * Price a switch from the user's current paid plan to another plan or
+     * billing cycle. The unused part of the current period becomes credit
+     * (valued at the current cycle's catalog price); the new period starts
+     * when the switch is applied. If the credit covers the new price, the
+     * switch is free and the surplus credit buys extra days on the new plan.
+     * @param {string} userId - Firebase UID
+     * @param {string} plan - Target plan code
+     * @param {string} billingCycle - Target billing cycle
+     * @returns {Promise<Object>} Quote: { from, to, remainingDays, credit, amountDue, requiresPayment, expiresAt }
+     */
+    async quote(userId, plan, billingCycle) {
+        const user = await UserModel.findByUid(userId);
+        const current = user?.subscription;
+        const now = new Date();
+
+        if (!current || current.source !== 'paid' || !current.expiresAt || new Date(current.expiresAt) <= now) {
+            const message = current?.source === 'recurring'
+                ? 'Recurring subscriptions cannot be switched here. Cancel and subscribe to the new plan instead.'
+                : 'No active paid plan to switch from. Purchase a plan instead.';
+            throw planChangeError(message, 'NO_SWITCHABLE_PLAN');
+        }
+        if (current.plan === plan && current.billingCycle === billingCycle) {
+            throw planChangeError('You are already on this plan', 'SAME_PLAN');
+        }
+
+        const [from, to] = await Promise.all([
+            planService.getBillingCycle(current.plan, current.billingCycle),
+            planService.getBillingCycle(plan, billingCycle)
+        ]);
+        if (!to) {
+            throw planChangeError(`Unknown plan or billing cycle: ${plan}:${billingCycle}`, 'INVALID_PLAN');
+        }
+        if (!from) {
+            throw planChangeError('Your current plan is no longer sold and cannot be switched', 'NO_SWITCHABLE_PLAN');
+        }
+
+        const remainingMs = new Date(current.expiresAt) - now;
+        const credit = creditFor(from, current.expiresAt, now);
+
+        let amountDue = round2(Math.max(0, to.price - credit));
+        if (amountDue > 0 && amountDue < MIN_PAYABLE) amountDue = MIN_PAYABLE;
+
+        // Free switches turn all of the credit into time on the new plan
+        const newPeriodDays = amountDue > 0
+            ? to.durationDays
+            : Math.max(to.durationDays, Math.floor(credit / (to.price / to.durationDays)));
+
+        return {
+            from: {
+                plan: current.plan,
+                billingCycle: current.billingCycle,
+                price: from.price,
+                expiresAt: new Date(current.expiresAt)
+            },
+            to: {
+                plan: to.plan,
+                billingCycle,
+                price: to.price,
+                currency: to.currency,
+                durationDays: newPeriodDays
+            },
+            remainingDays: Math.ceil(remainingMs / DAY_MS),
+            credit,
+            amountDue,
+            requiresPayment: amountDue > 0,
+            // If applied now; paid switches start their period at capture
+            expiresAt: new Date(now.getTime() + newPeriodDays * DAY_MS)
+        };
+    }
+
+    /**
+     * Apply a quoted switch: replace the subscription and append a history
+     * entry in one update. The update is conditional on the subscription the
+     * quote was priced from, so credit can't be granted twice or against a
+     * period that has since changed. A stale quote fails with QUOTE_STALE
+     * unless the switch was paid for; a paid one is re-priced from the
+     * current subscription (see _applyStalePaidSwitch).
+     * @param {string} userId - Firebase UID
+     * @param {Object} quote - Quote from quote() (or stored on the order)
+     * @param {Object} [payment] - { razorpayOrderId, razorpayPaymentId, amount }
+     * @returns {Promise<Object>} { plan, billingCycle, expiresAt, creditApplied }
+     */
+    async applySwitch(userId, quote, payment = {}) {
+        const now = new Date();
+        const to = quote.to;
+        let expiresAt = new Date(now.getTime() + to.durationDays * DAY_MS);
+
+        const entry = {
+            type: 'plan_change',
+            from: { plan: quote.from.plan, billingCycle: quote.from.billingCycle, expiresAt: new Date(quote.from.expiresAt) },
+            to: { plan: to.plan, billingCycle: to.billingCycle, expiresAt },
+            credit: quote.credit,
+            amountPaid: payment.amount ?? 0,
+            razorpayOrderId: payment.razorpayOrderId || null,
+            razorpayPaymentId: payment.razorpayPaymentId || null,
+            at: now
+        };
+
+        let creditApplied = entry.credit;
+        let quoteStale = false;
+        let switched = await UserModel.applyPlanChange(userId, entry.from, {
+            plan: to.plan,
+            billingCycle: to.billingCycle,
+            expiresAt
+        }, entry);
+
+        if (!switched && !payment.razorpayPaymentId) {
+            // The subscription changed after the quote (e.g. a concurrent
+            // switch). Nothing was paid, so the client re-quotes.
+            throw planChangeError('Your subscription changed since this quote. Request a new quote.', 'QUOTE_STALE');
+        }
+
+        if (!switched) {
+            ({ switched, expiresAt, creditApplied } = await this._applyStalePaidSwitch(userId, quote, entry, now));
+            quoteStale = true;
+        }
+
+        if (!switched) throw new Error(`User ${userId} not found for plan change`);
+
+        await entitlementService.invalidate(userId);
+        await subscriptionEventService.record(subscriptionEventService.TYPES.PLAN_CHANGED, userId, {
+            plan: to.plan,
+            billingCycle: to.billingCycle,
+            source: 'paid',
+            periodStart: now,
+            periodEnd: expiresAt,
+            previous: { ...entry.from, source: 'paid' },
+            razorpayOrderId: entry.razorpayOrderId,
+            razorpayPaymentId: entry.razorpayPaymentId,
+            amount: entry.amountPaid,
+            currency: to.currency,
+            details: { credit: creditApplied, quoteStale }
+        });
+        logger.info(`Plan changed for ${userId}: ${entry.from.plan}:${entry.from.billingCycle} → ${to.plan}:${to.billingCycle}`);
+        return { plan: to.plan, billingCycle: to.billingCycle, expiresAt, creditApplied };
+    }
+
+    /**
+     * Apply a paid switch whose quote no longer matches the subscription
+     * (e.g. another purchase or switch landed first). The payment only
+     * covered the quoted difference, so the new period is bought by what
+     * was paid plus the value of the subscription as it is now — not a full
+     * period on top of the current expiry, and not the old plan's days
+     * carried over one-for-one.
+     * @returns {Promise<Object>} { switched, expiresAt, creditApplied }
+     */
+    async _applyStalePaidSwitch(userId, quote, entry, now) {
+        const to = quote.to;
+        const user = await UserModel.findByUid(userId);
+        const current = user?.subscription;
+
+        let credit = 0;
+        const hasPaidTime = current?.source === 'paid' && current.expiresAt && new Date(current.expiresAt) > now;
+        if (hasPaidTime) {
+            const pricing = await planService.getBillingCycle(current.plan, current.billingCycle);
+            if (pricing) credit = creditFor(pricing, current.expiresAt, now);
+        }
+
+        const dailyRate = to.price / to.durationDays;
+        const days = Math.floor((credit + entry.amountPaid) / dailyRate);
+        const expiresAt = new Date(now.getTime() + days * DAY_MS);
+
+        logger.warn(`Plan change for ${userId} no longer matches its quote; re-priced to ${days} days (credit ${credit}, paid ${entry.amountPaid})`);
+        const from = current?.expiresAt
+            ? { plan: current.plan, billingCycle: current.billingCycle, expiresAt: current.expiresAt }
+            : null;
+        const switched = await UserModel.applyPlanChange(userId, from, {
+            plan: to.plan,
+            billingCycle: to.billingCycle,
+            expiresAt
+        }, {
+            ...entry,
+            from: from ? { ...from, expiresAt: new Date(from.expiresAt) } : null,
+            to: { ...entry.to, expiresAt },
+            credit,
+            quoteStale: true
+        });
+        return { switched, expiresAt, creditApplied: credit };
+    }
+}
+
+module.exports = new PlanChangeService();
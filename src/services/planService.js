@@ -0,0 +1,170 @@
+const PlanModel = require('../models/Plan');
+const mongodb = require('../config/mongodb');
+const memoryCache = require('../config/memoryCache');
+const { DEFAULT_PLANS, FREE_PLAN_CODE } = require('../config/plans');
+const logger = require('../utils/logger');
+
+class PlanService {
+    /**
+     * Get all active plans, ordered for display.
+     * Cached in memory for 5 minutes; falls back to the built-in defaults if
+     * MongoDB is unavailable so pricing and quotas never disappear.
+     * @returns {Promise<Array>} Plan documents
+     */
+    async getPlans() {
+        const cached = memoryCache.getCachedData('plans', 'catalog');
+        if (cached) return cached;
+
+        try {
+            if (!mongodb.isConnected) await mongodb.connect();
+            const plans = await PlanModel.findAll();
+            if (plans.length === 0) {
+                logger.warn('Plan catalog is empty, using default plans');
+                return DEFAULT_PLANS;
+            }
+
+            memoryCache.cacheData('plans', 'catalog', plans, 300);
+            return plans;
+        } catch (error) {
+            logger.error('Failed to load plan catalog, using default plans:', error.message);
+            return DEFAULT_PLANS;
+        }
+    }
+
+    /**
+     * Get a single active plan by code
+     * @param {string} code - Plan code (e.g. 'premium')
+     * @returns {Promise<Object|null>}
+     */
+    async getPlan(code) {
+        const plans = await this.getPlans();
+        return plans.find(plan => plan.code === code) || null;
+    }
+
+    /**
+     * Get the plan users without an active paid subscription are on
+     * @returns {Promise<Object>}
+     */
+    async getFreePlan() {
+        const plan = await this.getPlan(FREE_PLAN_CODE);
+        return plan || DEFAULT_PLANS.find(p => p.code === FREE_PLAN_CODE);
+    }
+
+    /**
+     * Resolve price and duration for a plan's billing cycle
+     * @param {string} code - Plan code
+     * @param {string} billingCycle - 'monthly' | 'annual'
+     * @returns {Promise<Object|null>} { plan, name, billingCycle, price, currency, durationDays, razorpayPlanId }
+     */
+    async getBillingCycle(code, billingCycle) {
+        const plan = await this.getPlan(code);
+        const cycle = plan?.billingCycles?.[billingCycle];
+        if (!cycle) return null;
+
+        return {
+            plan: plan.code,
+            name: plan.name,
+            billingCycle,
+            price: cycle.price,
+            currency: plan.currency || 'INR',
+            durationDays: cycle.durationDays,
+            // Only valid while the price it was created at is still current
+            razorpayPlanId: cycle.razorpayPlanPrice === cycle.price ? cycle.razorpayPlanId || null : null
+        };
+    }
+
+    /**
+     * Store the Razorpay plan created for a billing cycle
+     * @param {string} code - Plan code
+     * @param {string} billingCycle - 'monthly' | 'annual'
+     * @param {string} razorpayPlanId - Razorpay plan ID
+     * @param {number} price - Price the Razorpay plan charges
+     * @returns {Promise<void>}
+     */
+    async setRazorpayPlan(code, billingCycle, razorpayPlanId, price) {
+        await PlanModel.setRazorpayPlan(code, billingCycle, razorpayPlanId, price);
+        memoryCache.invalidateCache('plans', '*');
+    }
+
+    /**
+     * Whether a plan code grants paid access
+     * @param {string} code - Plan code
+     * @returns {Promise<boolean>}
+     */
+    async isPaidPlan(code) {
+        if (!code || code === FREE_PLAN_CODE) return false;
+        const plan = await this.getPlan(code);
+        return !!plan && plan.tier !== 'free';
+    }
+
+    /**
+     * Resolve the plan a subscription currently entitles the user to.
+     * Expired, unknown or missing subscriptions resolve to the free plan.
+     * @param {Object|null} subscription - User's subscription subdocument
+     * @returns {Promise<Object>} Plan document
+     */
+    async getActivePlan(subscription) {
+        const active = subscription?.expiresAt && new Date(subscription.expiresAt) > new Date();
+        if (active) {
+            const plan = await this.getPlan(subscription.plan);
+            if (plan) return plan;
+        }
+        return this.getFreePlan();
+    }
+
+    /**
+     * Trial granted to new users: the first plan with trialDays > 0
+     * @returns {Promise<Object|null>} { plan, days } or null if trials are off
+     */
+    async getTrialConfig() {
+        const plans = await this.getPlans();
+        const trialPlan = plans.find(plan => plan.trialDays > 0);
+        return trialPlan ? { plan: trialPlan.code, days: trialPlan.trialDays } : null;
+    }
+
+    /**
+     * Shape a plan for the public pricing page
+     * @param {Object} plan - Plan document
+     * @returns {Object}
+     */
+    toPublic(plan) {
+        return {
+            code: plan.code,
+            name: plan.name,
+            description: plan.description || null,
+            tier: plan.tier,
+            currency: plan.currency || 'INR',
+            billingCycles: Object.fromEntries(
+                Object.entries(plan.billingCycles || {}).map(([cycle, { price, durationDays }]) =>
+                    [cycle, { price, durationDays }]
+                )
+            ),
+            trialDays: plan.trialDays || 0,
+            features: plan.features || [],
+            quotas: plan.quotas || {}
+        };
+    }
+
+    /**
+     * Seed the default plans into MongoDB (insert-only) and create indexes
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            // Seeding doesn't need the indexes, so a failed build doesn't stop it
+            await PlanModel.createIndexes().catch(error => {
+                logger.error('Error creating plan indexes:', error);
+            });
+            for (const plan of DEFAULT_PLANS) {
+                await PlanModel.insertIfMissing(plan);
+            }
+            memoryCache.invalidateCache('plans', '*');
+            logger.info('Plan catalog initialized');
+        } catch (error) {
+            logger.error('Error initializing plan catalog:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new PlanService();
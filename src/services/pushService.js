@@ -0,0 +1,342 @@
+const webpush = require('web-push');
+const { ObjectId } = require('mongodb');
+const mongodb = require('../config/mongodb');
+const notificationConfig = require('../config/notifications');
+const User = require('../models/User');
+const PushSubscriptionModel = require('../models/PushSubscription');
+const NotificationLogModel = require('../models/NotificationLog');
+const notificationService = require('./notificationService');
+const { isPushServiceEndpoint } = require('../utils/pushEndpoints');
+const logger = require('../utils/logger');
+
+const pushConfig = notificationConfig.push;
+
+/** Push service responses meaning the subscription no longer exists */
+const GONE_STATUS_CODES = [404, 410];
+
+function pushError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Sends through the browsers' push services with web-push, signed with our
+ * VAPID keys. Endpoints outside push.allowedHosts are refused, including
+ * ones stored before the allowlist existed.
+ */
+function createWebPushSender(config) {
+    return {
+        async send(subscription, payload, { urgency = 'normal' } = {}) {
+            if (!isPushServiceEndpoint(subscription.endpoint)) {
+                throw pushError('Push endpoint is not a supported push service', 'INVALID_PUSH_SUBSCRIPTION');
+            }
+            return webpush.sendNotification(subscription, JSON.stringify(payload), {
+                TTL: config.ttlSeconds,
+                urgency,
+                vapidDetails: {
+                    subject: config.subject,
+                    publicKey: config.publicKey,
+                    privateKey: config.privateKey
+                }
+            });
+        }
+    };
+}
+
+class PushService {
+    constructor() {
+        this.sender = createWebPushSender(pushConfig);
+    }
+
+    /**
+     * Swap the delivery sender
+     * @param {Object} sender - { send(subscription, payload, options) }
+     */
+    setSender(sender) {
+        this.sender = sender;
+    }
+
+    /** Push is only available with a VAPID key pair configured */
+    isEnabled() {
+        return !!(pushConfig.publicKey && pushConfig.privateKey);
+    }
+
+    /**
+     * What the frontend needs to call pushManager.subscribe()
+     * @returns {Object} { enabled, publicKey }
+     */
+    getConfig() {
+        return { enabled: this.isEnabled(), publicKey: this.isEnabled() ? pushConfig.publicKey : null };
+    }
+
+    // ── Subscriptions ────────────────────────────────────────────────────────
+
+    /**
+     * Register this browser's push subscription for a user
+     * @param {string} uid - Firebase UID
+     * @param {Object} subscription - PushSubscription.toJSON() from the browser
+     * @param {Object} [device] - { deviceName, userAgent }
+     * @returns {Promise<Object>} The registered device
+     */
+    async subscribe(uid, subscription, device = {}) {
+        if (!this.isEnabled()) {
+            throw pushError('Push notifications are not available.', 'PUSH_DISABLED');
+        }
+        if (!isPushServiceEndpoint(subscription.endpoint)) {
+            throw pushError('This push endpoint is not a supported push service.', 'INVALID_PUSH_SUBSCRIPTION');
+        }
+        if (subscription.expirationTime && subscription.expirationTime <= Date.now()) {
+            throw pushError('This push subscription has already expired.', 'INVALID_PUSH_SUBSCRIPTION');
+        }
+
+        const existing = await PushSubscriptionModel.findByEndpoint(subscription.endpoint);
+        if (!existing || existing.userId !== uid) {
+            const count = await PushSubscriptionModel.countByUserId(uid);
+            if (count >= pushConfig.maxSubscriptionsPerUser) {
+                throw pushError(
+                    `You can receive push notifications on up to ${pushConfig.maxSubscriptionsPerUser} devices. Remove one to add another.`,
+                    'PUSH_SUBSCRIPTION_LIMIT'
+                );
+            }
+        }
+
+        const stored = await PushSubscriptionModel.upsert(uid, subscription, device);
+        logger.info(`Push subscription ${existing ? 'refreshed' : 'registered'} for user ${uid}`);
+        return this.toPublic(stored);
+    }
+
+    /**
+     * Remove one of a user's devices
+     * @param {string} uid - Firebase UID
+     * @param {Object} target - { id } or { endpoint }
+     * @returns {Promise<void>}
+     */
+    async unsubscribe(uid, { id = null, endpoint = null }) {
+        const removed = (id === null || ObjectId.isValid(id))
+            && await PushSubscriptionModel.deleteForUser(uid, { id, endpoint });
+        if (!removed) {
+            throw pushError('Push subscription not found', 'PUSH_SUBSCRIPTION_NOT_FOUND');
+        }
+    }
+
+    /**
+     * A user's registered devices
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<Array>}
+     */
+    async getSubscriptions(uid) {
+        const subscriptions = await PushSubscriptionModel.findByUserId(uid);
+        return subscriptions.map(subscription => this.toPublic(subscription));
+    }
+
+    /**
+     * API shape of a subscription; the encryption keys stay on the server
+     * @param {Object} subscription - Push subscription document
+     * @returns {Object}
+     */
+    toPublic(subscription) {
+        return {
+            id: String(subscription._id),
+            endpoint: subscription.endpoint,
+            deviceName: subscription.deviceName,
+            userAgent: subscription.userAgent,
+            expirationTime: subscription.expirationTime,
+            lastSuccessAt: subscription.lastSuccessAt,
+            createdAt: subscription.createdAt
+        };
+    }
+
+    // ── Delivery ─────────────────────────────────────────────────────────────
+
+    /**
+     * Send one payload to a set of devices. Endpoints the push service
+     * reports as gone, and endpoints that aren't a push service, are
+     * deleted; other failures are counted against the endpoint (see
+     * pruneSubscriptions).
+     * @param {Array} subscriptions - Push subscription documents
+     * @param {Object} payload - { title, body, url, tag, data } for the service worker
+     * @param {Object} [options] - { urgency }
+     * @returns {Promise<Object>} { delivered, failed, pruned }
+     */
+    async sendToSubscriptions(subscriptions, payload, options = {}) {
+        const result = { delivered: 0, failed: 0, pruned: 0 };
+
+        for (const subscription of subscriptions) {
+            try {
+                await this.sender.send({ endpoint: subscription.endpoint, keys: subscription.keys }, payload, options);
+                await PushSubscriptionModel.markSuccess(subscription._id);
+                result.delivered++;
+            } catch (error) {
+                if (GONE_STATUS_CODES.includes(error.statusCode) || error.code === 'INVALID_PUSH_SUBSCRIPTION') {
+                    await PushSubscriptionModel.deleteById(subscription._id);
+                    result.pruned++;
+                } else {
+                    logger.warn(`Push to subscription ${subscription._id} failed: ${error.statusCode || ''} ${error.message}`);
+                    await PushSubscriptionModel.markFailure(subscription._id, error.body || error.message || String(error));
+                    result.failed++;
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Send one notification to one user's devices, at most once per
+     * (kind, periodKey) — see NotificationLog
+     * @returns {Promise<string>} sent | skipped | failed | duplicate
+     */
+    async deliver(uid, kind, periodKey, payload, subscriptions, options = {}) {
+        const claim = await NotificationLogModel.claim({ userId: uid, kind, periodKey, channel: 'push' });
+        if (!claim) return 'duplicate';
+
+        try {
+            const result = await this.sendToSubscriptions(subscriptions, payload, options);
+            if (result.delivered > 0) {
+                await NotificationLogModel.markSent(claim._id, { messageId: null, itemCount: result.delivered });
+                return 'sent';
+            }
+            if (result.failed > 0) {
+                await NotificationLogModel.markFailed(claim._id, `No device accepted the notification (${result.failed} failed)`);
+                return 'failed';
+            }
+            // Every endpoint was gone
+            await NotificationLogModel.markSkipped(claim._id);
+            return 'skipped';
+        } catch (error) {
+            logger.error(`Failed to send ${kind} push to ${uid}:`, error);
+            await NotificationLogModel.markFailed(claim._id, error.message || String(error)).catch(() => {});
+            return 'failed';
+        }
+    }
+
+    /**
+     * Push a feed event (see feedService) to the followers who have push
+     * turned on and a registered device
+     * @param {string[]} userIds - Followers of the company
+     * @param {Object} event - { eventKey, companyCode, companyName, type, title, details }
+     * @returns {Promise<number>} Users notified
+     */
+    async notifyFeedEvent(userIds, event) {
+        if (!this.isEnabled() || userIds.length === 0) return 0;
+
+        const byUser = this._groupByUser(await PushSubscriptionModel.findByUserIds(userIds));
+        const recipients = await User.findPushEnabledUids([...byUser.keys()]);
+
+        const payload = {
+            title: event.companyName || event.companyCode,
+            body: event.title,
+            tag: event.eventKey,
+            url: pushConfig.appUrl ? `${pushConfig.appUrl}/company/${encodeURIComponent(event.companyCode)}` : null,
+            data: { type: event.type, companyCode: event.companyCode, ...event.details }
+        };
+
+        let notified = 0;
+        for (const uid of recipients) {
+            const status = await this.deliver(uid, `push.${event.type}`, event.eventKey, payload, byUser.get(uid));
+            if (status === 'sent') notified++;
+        }
+        return notified;
+    }
+
+    /**
+     * Remind users whose paid or trial access ends within
+     * push.expiryReminderDays and won't renew. One reminder per expiry date.
+     * @param {Date} [now]
+     * @returns {Promise<Object>} { sent, skipped, failed }
+     */
+    async sendExpiryReminders(now = new Date()) {
+        const counts = { sent: 0, skipped: 0, failed: 0 };
+        if (!this.isEnabled()) return counts;
+
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+
+        const days = pushConfig.expiryReminderDays;
+        const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+        let afterId = null;
+        for (;;) {
+            const users = await User.findExpiringSubscriptions(now, until, afterId);
+            if (users.length === 0) break;
+            afterId = users[users.length - 1]._id;
+
+            const wantPush = users.filter(user => notificationService.getPreferences(user).push);
+            const byUser = this._groupByUser(await PushSubscriptionModel.findByUserIds(wantPush.map(user => user.uid)));
+
+            for (const user of wantPush) {
+                const subscriptions = byUser.get(user.uid);
+                if (!subscriptions) continue;
+
+                const reminder = await notificationService.getExpiryReminder(user.subscription, now, days);
+                if (!reminder) continue;
+
+                const payload = {
+                    title: `Your ${reminder.planName} access ends soon`,
+                    body: `It ends in ${reminder.daysLeft} day${reminder.daysLeft === 1 ? '' : 's'} and won't renew automatically.`,
+                    tag: 'subscription-expiry',
+                    url: pushConfig.appUrl,
+                    data: { type: 'subscription.expiring', expiresAt: reminder.expiresAt }
+                };
+                const status = await this.deliver(
+                    user.uid,
+                    'push.subscription.expiring',
+                    reminder.expiresAt.toISOString(),
+                    payload,
+                    subscriptions,
+                    { urgency: 'high' }
+                );
+                if (status in counts) counts[status]++;
+            }
+        }
+
+        logger.info(`Expiry reminder pushes: ${counts.sent} sent, ${counts.skipped} skipped, ${counts.failed} failed`);
+        return counts;
+    }
+
+    /**
+     * Delete subscriptions past their expirationTime and endpoints that
+     * have failed push.maxFailures times in a row
+     * @param {Date} [now]
+     * @returns {Promise<number>} Subscriptions deleted
+     */
+    async pruneSubscriptions(now = new Date()) {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+        const deleted = await PushSubscriptionModel.deleteStale(now, pushConfig.maxFailures);
+        if (deleted > 0) {
+            logger.info(`Pruned ${deleted} expired or failing push subscriptions`);
+        }
+        return deleted;
+    }
+
+    _groupByUser(subscriptions) {
+        const byUser = new Map();
+        for (const subscription of subscriptions) {
+            if (!byUser.has(subscription.userId)) byUser.set(subscription.userId, []);
+            byUser.get(subscription.userId).push(subscription);
+        }
+        return byUser;
+    }
+
+    /**
+     * Delete all of a user's push subscriptions (account deletion)
+     * @param {string} uid - Firebase UID
+     * @returns {Promise<number>} Subscriptions deleted
+     */
+    async deleteAllSubscriptions(uid) {
+        return PushSubscriptionModel.deleteByUserId(uid);
+    }
+
+    /**
+     * Create indexes for the push_subscriptions collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await PushSubscriptionModel.createIndexes();
+    }
+}
+
+module.exports = new PushService();
@@ -0,0 +1,178 @@
+const { razorpay } = require('../config/razorpay');
+const OrderModel = require('../models/Order');
+const ReconciliationReportModel = require('../models/ReconciliationReport');
+const paymentService = require('./paymentService');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DEFAULTS = {
+    // Only orders created in this window are checked
+    lookbackMs: 72 * HOUR_MS,
+    // Leave recent orders alone — the customer may still be in checkout
+    minAgeMs: 15 * MINUTE_MS,
+    limit: 200
+};
+
+class ReconciliationService {
+    /**
+     * Find orders that were paid in Razorpay but never marked paid here
+     * (tab closed before /verify and the webhook lost) and recover them:
+     * authorized payments are captured, captured payments are saved and the
+     * order fulfilled with the same logic as /verify.
+     *
+     * Every order ends up in the report under one of:
+     *   recovered         - payment found and subscription activated now
+     *   markedPaid        - payment found, already fulfilled; order status fixed
+     *   unpaid            - no successful payment (abandoned or failed checkout)
+     *   discrepancies     - needs a human: amount mismatch, several captured
+     *                       payments on one order, capture failures...
+     *   errors            - Razorpay or database errors; retried next run
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.client] - Razorpay client (defaults to the configured one; pass a stub in tests)
+     * @param {boolean} [options.dryRun] - Report only: no captures, no DB changes, no saved report
+     * @param {number} [options.lookbackMs] - How far back to scan orders
+     * @param {number} [options.minAgeMs] - Skip orders younger than this
+     * @param {number} [options.limit] - Max orders per run
+     * @returns {Promise<Object>} Reconciliation report
+     */
+    async reconcileOrders(options = {}) {
+        const client = options.client || razorpay;
+        if (!client) throw new Error('Razorpay not initialized. Please check your credentials.');
+
+        const { dryRun = false } = options;
+        const lookbackMs = options.lookbackMs ?? DEFAULTS.lookbackMs;
+        const minAgeMs = options.minAgeMs ?? DEFAULTS.minAgeMs;
+        const limit = options.limit ?? DEFAULTS.limit;
+
+        const startedAt = new Date();
+        const orders = await OrderModel.findUnpaid({
+            createdAfter: new Date(startedAt.getTime() - lookbackMs),
+            createdBefore: new Date(startedAt.getTime() - minAgeMs),
+            limit
+        });
+
+        const report = {
+            startedAt,
+            finishedAt: null,
+            dryRun,
+            scanned: orders.length,
+            recovered: [],
+            markedPaid: [],
+            unpaid: [],
+            discrepancies: [],
+            errors: []
+        };
+
+        for (const order of orders) {
+            try {
+                await this._reconcileOrder(client, order, report, dryRun);
+            } catch (error) {
+                logger.error(`Reconciliation failed for order ${order.razorpayOrderId}:`, error);
+                report.errors.push({ razorpayOrderId: order.razorpayOrderId, error: error.message || String(error) });
+            }
+        }
+
+        report.finishedAt = new Date();
+        logger.info(
+            `Payment reconciliation${dryRun ? ' (dry run)' : ''}: scanned ${report.scanned}, ` +
+            `recovered ${report.recovered.length}, marked paid ${report.markedPaid.length}, ` +
+            `unpaid ${report.unpaid.length}, discrepancies ${report.discrepancies.length}, errors ${report.errors.length}`
+        );
+
+        if (!dryRun) {
+            await ReconciliationReportModel.create(report).catch(() => {});
+        }
+        return report;
+    }
+
+    async _reconcileOrder(client, order, report, dryRun) {
+        const orderId = order.razorpayOrderId;
+        const { items = [] } = await client.orders.fetchPayments(orderId);
+
+        let captured = items.filter(payment => payment.status === 'captured');
+        const authorized = items.filter(payment => payment.status === 'authorized');
+
+        // Payment authorized but never captured (auto-capture off or timed out)
+        if (captured.length === 0 && authorized.length > 0) {
+            const payment = authorized[0];
+            if (payment.amount !== order.amountInPaise) {
+                report.discrepancies.push(this._discrepancy('amount_mismatch', order, payment));
+                return;
+            }
+            if (dryRun) {
+                report.recovered.push({ razorpayOrderId: orderId, razorpayPaymentId: payment.id, userId: order.userId, action: 'capture' });
+                return;
+            }
+            try {
+                captured = [await client.payments.capture(payment.id, payment.amount, payment.currency)];
+            } catch (error) {
+                report.discrepancies.push({
+                    ...this._discrepancy('capture_failed', order, payment),
+                    error: error.error?.description || error.message
+                });
+                return;
+            }
+        }
+
+        if (captured.length === 0) {
+            report.unpaid.push({
+                razorpayOrderId: orderId,
+                userId: order.userId,
+                failedAttempts: items.filter(payment => payment.status === 'failed').length
+            });
+            return;
+        }
+
+        if (captured.length > 1) {
+            // Paid twice for one order — fulfil once, flag the rest for a refund
+            report.discrepancies.push({
+                ...this._discrepancy('multiple_captured', order, captured[0]),
+                razorpayPaymentIds: captured.map(payment => payment.id)
+            });
+        }
+
+        const payment = captured[0];
+        if (payment.amount !== order.amountInPaise) {
+            report.discrepancies.push(this._discrepancy('amount_mismatch', order, payment));
+            return;
+        }
+
+        const entry = { razorpayOrderId: orderId, razorpayPaymentId: payment.id, userId: order.userId };
+        if (dryRun) {
+            report.recovered.push({ ...entry, action: 'fulfil' });
+            return;
+        }
+
+        const result = await paymentService.recoverOrderPayment(order, payment);
+        if (result) {
+            logger.warn(`Recovered unverified payment ${payment.id} for order ${orderId} (user ${order.userId})`);
+            report.recovered.push({ ...entry, action: 'fulfil' });
+        } else {
+            report.markedPaid.push(entry);
+        }
+    }
+
+    _discrepancy(type, order, payment) {
+        return {
+            type,
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            userId: order.userId,
+            orderAmount: order.amountInPaise,
+            paymentAmount: payment.amount
+        };
+    }
+
+    /**
+     * Create indexes for the reconciliation_reports collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await ReconciliationReportModel.createIndexes();
+    }
+}
+
+module.exports = new ReconciliationService();
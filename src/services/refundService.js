@@ -0,0 +1,410 @@
+const { razorpay } = require('../config/razorpay');
+const RefundModel = require('../models/Refund');
+const PaymentModel = require('../models/Payment');
+const OrderModel = require('../models/Order');
+const SubscriptionModel = require('../models/Subscription');
+const UserModel = require('../models/User');
+const planService = require('./planService');
+const entitlementService = require('./entitlementService');
+const subscriptionEventService = require('./subscriptionEventService');
+const auditService = require('./auditService');
+const { refundConfig } = require('../config/refunds');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Payment statuses that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+
+// Refund statuses that count against a payment's refundable amount
+const COMMITTED_STATUSES = ['approved', 'pending', 'processed'];
+
+const refundTarget = (refund) => ({ type: 'refund', id: String(refund._id) });
+
+function refundError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+class RefundService {
+    /**
+     * Ask for a refund of one of the user's payments. Nothing is refunded
+     * until staff approve the request.
+     * @param {string} userId - Firebase UID
+     * @param {string} razorpayPaymentId - Payment to refund
+     * @param {Object} request - { reasonCode, comment, amount } (amount in paise; omit for the full refundable amount)
+     * @param {Object} [actor] - Who asked, for the audit log
+     * @returns {Promise<Object>} Refund document with status 'requested'
+     */
+    async requestRefund(userId, razorpayPaymentId, { reasonCode, comment, amount } = {}, actor = null) {
+        const payment = await PaymentModel.findByRazorpayPaymentId(razorpayPaymentId);
+        if (!payment || payment.userId !== userId) {
+            throw refundError('Payment not found', 'PAYMENT_NOT_FOUND');
+        }
+
+        const open = await RefundModel.findOpenRequest(razorpayPaymentId);
+        if (open) {
+            throw refundError('A refund request for this payment is already open', 'REFUND_REQUEST_EXISTS');
+        }
+
+        const refundable = await this._checkEligibility(payment, amount);
+        let refund;
+        try {
+            refund = await RefundModel.create({
+                razorpayPaymentId,
+                userId,
+                amount: amount || refundable,
+                currency: payment.currency,
+                status: 'requested',
+                reasonCode,
+                comment,
+                requestedAt: new Date()
+            });
+        } catch (error) {
+            // A concurrent request got past the check above first
+            if (error.code === 11000) throw refundError('A refund request for this payment is already open', 'REFUND_REQUEST_EXISTS');
+            throw error;
+        }
+
+        logger.info(`Refund requested by ${userId} for payment ${razorpayPaymentId} (${reasonCode})`);
+        await auditService.record(actor, 'refund.requested', refundTarget(refund), {
+            after: { status: refund.status, amount: refund.amount },
+            details: { razorpayPaymentId, reasonCode, userId }
+        });
+        return refund;
+    }
+
+    /**
+     * Approve a refund request and execute it through Razorpay. Eligibility is
+     * checked again, since time has passed since the request.
+     * @param {string} id - Refund request ID
+     * @param {Object} reviewer - Staff member approving (auditService.actorFromRequest)
+     * @param {string} [note] - Review note
+     * @returns {Promise<Object>} Updated refund document
+     */
+    async approveRequest(id, reviewer, note = null) {
+        if (!razorpay) throw new Error('Razorpay not initialized. Please check your credentials.');
+
+        const request = await this._getRequest(id);
+        const payment = await PaymentModel.findByRazorpayPaymentId(request.razorpayPaymentId);
+        if (!payment) throw refundError('Payment not found', 'PAYMENT_NOT_FOUND');
+        await this._checkEligibility(payment, request.amount);
+
+        const approved = await RefundModel.transition(id, 'requested', 'approved', {
+            reviewedBy: reviewer.uid,
+            reviewedAt: new Date(),
+            reviewNote: note
+        });
+        if (!approved) throw refundError('Refund request has already been reviewed', 'INVALID_REFUND_STATE');
+
+        let rzpRefund;
+        try {
+            rzpRefund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+                amount: request.amount,
+                // Lets the refund webhooks find this request before it's linked
+                notes: { refundRequestId: String(request._id), reasonCode: request.reasonCode }
+            });
+        } catch (error) {
+            // Back to the queue so it can be approved again
+            await RefundModel.transition(id, 'approved', 'requested', {
+                reviewedBy: null,
+                reviewedAt: null,
+                lastError: error.message || String(error)
+            });
+            await auditService.record(reviewer, 'refund.approval_failed', refundTarget(request), {
+                details: { note, error: error.error?.description || error.message }
+            });
+            throw error;
+        }
+
+        const saved = await RefundModel.attachRazorpayRefund(
+            id,
+            rzpRefund.id,
+            rzpRefund.status === 'processed' ? 'processed' : 'pending'
+        );
+        logger.info(`Refund request ${id} approved by ${reviewer.uid}: ${rzpRefund.id}`);
+        await auditService.record(reviewer, 'refund.approved', refundTarget(saved), {
+            before: { status: request.status },
+            after: { status: saved.status, razorpayRefundId: saved.razorpayRefundId },
+            details: { note, amount: request.amount, userId: request.userId }
+        });
+
+        // Instant refunds come back processed; otherwise refund.processed applies it
+        if (saved.status === 'processed') {
+            await this.applyProcessedRefund(saved);
+        }
+        return saved;
+    }
+
+    /**
+     * Reject a refund request
+     * @param {string} id - Refund request ID
+     * @param {Object} reviewer - Staff member rejecting (auditService.actorFromRequest)
+     * @param {string} reason - Shown to the user
+     * @returns {Promise<Object>} Updated refund document
+     */
+    async rejectRequest(id, reviewer, reason) {
+        const request = await this._getRequest(id);
+        const rejected = await RefundModel.transition(id, 'requested', 'rejected', {
+            reviewedBy: reviewer.uid,
+            reviewedAt: new Date(),
+            reviewNote: reason
+        });
+        if (!rejected) throw refundError('Refund request has already been reviewed', 'INVALID_REFUND_STATE');
+
+        logger.info(`Refund request ${id} rejected by ${reviewer.uid}`);
+        await auditService.record(reviewer, 'refund.rejected', refundTarget(rejected), {
+            before: { status: request.status },
+            after: { status: rejected.status },
+            details: { reason, amount: request.amount, userId: request.userId }
+        });
+        return rejected;
+    }
+
+    /**
+     * Refund requests for review, newest first
+     * @param {string|null} status - Filter by status (default: awaiting review)
+     */
+    async listRequests(status = 'requested', page = 1, limit = 20) {
+        return RefundModel.findByStatus(status, limit, (page - 1) * limit);
+    }
+
+    /**
+     * A user's refunds and refund requests, newest first
+     */
+    async getUserRefunds(userId, page = 1, limit = 20) {
+        return RefundModel.findByUserId(userId, limit, (page - 1) * limit);
+    }
+
+    /**
+     * Mirror a refund webhook onto the Refund document, creating it for
+     * refunds made outside the request workflow (e.g. the dashboard), and
+     * apply the downgrade once it's processed
+     * @param {Object} entity - Razorpay refund entity
+     * @param {string} status - pending | processed | failed
+     * @returns {Promise<Object>} Refund document
+     */
+    async syncWebhookRefund(entity, status) {
+        let saved = await RefundModel.findByRazorpayRefundId(entity.id);
+        const requestId = entity.notes?.refundRequestId;
+        if (!saved && requestId) {
+            // Webhook beat approveRequest to linking the refund
+            saved = await RefundModel.attachRazorpayRefund(requestId, entity.id, 'pending');
+        }
+
+        if (!saved) {
+            saved = await RefundModel.create({
+                razorpayRefundId: entity.id,
+                razorpayPaymentId: entity.payment_id,
+                userId: null, // filled in from the payment when the downgrade is applied
+                amount: entity.amount,
+                currency: entity.currency,
+                status,
+                notes: entity.notes || {}
+            });
+            // Made outside the request workflow, e.g. in the Razorpay dashboard
+            await auditService.record(auditService.systemActor('razorpay_webhook'), 'refund.external', refundTarget(saved), {
+                after: { status, amount: entity.amount },
+                details: { razorpayRefundId: entity.id, razorpayPaymentId: entity.payment_id }
+            });
+        } else if (status !== 'pending' && saved.status !== status) {
+            saved = await RefundModel.updateStatus(entity.id, status);
+        }
+
+        if (saved.status === 'processed') {
+            await this.applyProcessedRefund(saved);
+        }
+        return saved;
+    }
+
+    async _getRequest(id) {
+        const request = await RefundModel.findById(id);
+        if (!request || !request.requestedAt) {
+            throw refundError('Refund request not found', 'REFUND_REQUEST_NOT_FOUND');
+        }
+        if (request.status !== 'requested') {
+            throw refundError(`Refund request is already ${request.status}`, 'INVALID_REFUND_STATE');
+        }
+        return request;
+    }
+
+    /**
+     * Check a payment can be refunded by `amount` (paise)
+     * @returns {Promise<number>} Amount still refundable, in paise
+     */
+    async _checkEligibility(payment, amount) {
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+            const message = payment.status === 'refunded'
+                ? 'Payment has already been refunded'
+                : 'Only captured payments can be refunded';
+            throw refundError(message, 'REFUND_NOT_ELIGIBLE');
+        }
+
+        const paidAt = new Date(payment.capturedAt || payment.createdAt);
+        if (Date.now() - paidAt.getTime() > refundConfig.windowDays * DAY_MS) {
+            throw refundError(`Refunds are only available within ${refundConfig.windowDays} days of payment`, 'REFUND_NOT_ELIGIBLE');
+        }
+
+        const committed = await RefundModel.sumAmount(payment.razorpayPaymentId, COMMITTED_STATUSES);
+        const refundable = payment.amount - committed;
+        if (refundable <= 0) {
+            throw refundError('Payment has already been refunded', 'REFUND_NOT_ELIGIBLE');
+        }
+        if (amount && amount > refundable) {
+            throw refundError(`Refund amount exceeds the refundable ${refundable / 100} ${payment.currency}`, 'REFUND_NOT_ELIGIBLE');
+        }
+        return refundable;
+    }
+
+    /**
+     * Apply the refund policy to the refunded user's subscription once a
+     * refund is processed:
+     *   - full refund (all refunds on the payment cover its amount): access ends now
+     *   - partial refund: expiry moves back by the refunded share of the
+     *     period the payment bought, never earlier than now
+     * A fully refunded recurring charge also cancels the Razorpay subscription
+     * so it isn't charged again. Runs at most once per refund.
+     * @param {Object} refund - Refund document (status processed)
+     * @returns {Promise<Object|null>} Downgrade outcome, or null if already applied
+     */
+    async applyProcessedRefund(refund) {
+        const claimed = await RefundModel.claimDowngrade(refund.razorpayRefundId);
+        if (!claimed) return null;
+
+        try {
+            const payment = await PaymentModel.findByRazorpayPaymentId(refund.razorpayPaymentId);
+            if (!payment) {
+                logger.warn(`Refund ${refund.razorpayRefundId} is for unknown payment ${refund.razorpayPaymentId}`);
+                const outcome = { applied: false, reason: 'payment_not_found' };
+                await RefundModel.recordDowngrade(refund.razorpayRefundId, refund.userId || null, outcome);
+                return outcome;
+            }
+
+            const refundedTotal = await RefundModel.sumAmount(payment.razorpayPaymentId);
+            const isFull = refund.amount == null || refundedTotal >= payment.amount;
+            await PaymentModel.updateStatus(payment.razorpayPaymentId, isFull ? 'refunded' : 'partially_refunded', {
+                refundedAmount: refundedTotal
+            });
+
+            const outcome = await this._downgrade(refund, payment, isFull);
+            await RefundModel.recordDowngrade(refund.razorpayRefundId, payment.userId, outcome);
+            return outcome;
+        } catch (error) {
+            await RefundModel.releaseDowngrade(refund.razorpayRefundId);
+            throw error;
+        }
+    }
+
+    async _downgrade(refund, payment, isFull) {
+        const userId = payment.userId;
+        const user = await UserModel.findByUid(userId);
+        const sub = user?.subscription;
+        const now = new Date();
+
+        if (!sub?.expiresAt || new Date(sub.expiresAt) <= now || sub.source === 'trial') {
+            logger.info(`Refund ${refund.razorpayRefundId}: no active paid subscription for ${userId}, nothing to revoke`);
+            return { applied: false, reason: 'no_active_subscription', full: isFull };
+        }
+
+        const previousExpiresAt = new Date(sub.expiresAt);
+        let expiresAt = now;
+        if (!isFull) {
+            const grantedDays = await this._grantedDays(payment);
+            const removedMs = grantedDays * DAY_MS * Math.min(refund.amount / payment.amount, 1);
+            expiresAt = new Date(Math.max(now.getTime(), previousExpiresAt.getTime() - removedMs));
+        }
+
+        const shortened = await UserModel.shortenSubscription(userId, sub.expiresAt, expiresAt, {
+            type: 'refund',
+            razorpayRefundId: refund.razorpayRefundId,
+            razorpayPaymentId: payment.razorpayPaymentId,
+            full: isFull,
+            from: { expiresAt: previousExpiresAt },
+            to: { expiresAt },
+            at: now
+        });
+        if (!shortened) {
+            // Renewed or changed since it was read — let the webhook retry
+            throw new Error(`Subscription for ${userId} changed while applying refund ${refund.razorpayRefundId}`);
+        }
+
+        if (isFull && payment.razorpaySubscriptionId) {
+            await this._cancelRecurring(payment.razorpaySubscriptionId);
+        }
+
+        await entitlementService.invalidate(userId);
+        await subscriptionEventService.record(subscriptionEventService.TYPES.DOWNGRADED, userId, {
+            plan: sub.plan,
+            billingCycle: sub.billingCycle,
+            source: sub.source,
+            periodEnd: expiresAt,
+            previous: sub,
+            razorpayOrderId: payment.razorpayOrderId,
+            razorpayPaymentId: payment.razorpayPaymentId,
+            razorpayRefundId: refund.razorpayRefundId,
+            razorpaySubscriptionId: payment.razorpaySubscriptionId || null,
+            amount: (refund.amount ?? payment.amount) / 100,
+            currency: refund.currency,
+            details: { full: isFull }
+        });
+
+        logger.info(`Refund ${refund.razorpayRefundId}: subscription for ${userId} ${isFull ? 'ended' : `shortened to ${expiresAt.toISOString()}`}`);
+        return {
+            applied: true,
+            full: isFull,
+            previousExpiresAt,
+            expiresAt,
+            appliedAt: now
+        };
+    }
+
+    /**
+     * Days of access the refunded payment bought. Durations come from the
+     * plan catalog, as when the payment was fulfilled.
+     */
+    async _grantedDays(payment) {
+        if (payment.razorpaySubscriptionId) {
+            const saved = await SubscriptionModel.findByRazorpaySubscriptionId(payment.razorpaySubscriptionId);
+            const cycle = saved && await planService.getBillingCycle(saved.plan, saved.billingCycle);
+            return cycle?.durationDays || 0;
+        }
+
+        const order = await OrderModel.findByRazorpayOrderId(payment.razorpayOrderId);
+        if (order?.planChange) return order.planChange.to.durationDays;
+
+        const notes = order?.notes || {};
+        const billingCycle = notes.billingCycle || (notes.durationDays === '365' ? 'annual' : 'monthly');
+        const cycle = await planService.getBillingCycle(notes.plan || 'premium', billingCycle);
+        return cycle?.durationDays || 0;
+    }
+
+    /**
+     * Cancel a recurring subscription whose charge was fully refunded.
+     * Failure is logged, not thrown — access is already revoked.
+     */
+    async _cancelRecurring(razorpaySubscriptionId) {
+        try {
+            const saved = await SubscriptionModel.findByRazorpaySubscriptionId(razorpaySubscriptionId);
+            if (!saved || ['cancelled', 'completed', 'expired'].includes(saved.status)) return;
+
+            const rzpSubscription = await razorpay.subscriptions.cancel(razorpaySubscriptionId, false);
+            await SubscriptionModel.updateStatus(razorpaySubscriptionId, rzpSubscription.status, {
+                cancelRequestedAt: new Date()
+            });
+            await UserModel.updateRecurringStatus(saved.userId, razorpaySubscriptionId, rzpSubscription.status, false);
+        } catch (error) {
+            logger.error(`Failed to cancel refunded subscription ${razorpaySubscriptionId}:`, error);
+        }
+    }
+
+    /**
+     * Create indexes for the refunds collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await RefundModel.createIndexes();
+    }
+}
+
+module.exports = new RefundService();
@@ -0,0 +1,89 @@
+const SubscriptionEventModel = require('../models/SubscriptionEvent');
+const logger = require('../utils/logger');
+
+/** Ledger event types */
+const EVENT_TYPES = {
+    TRIAL_STARTED: 'trial_started',
+    ACTIVATED: 'activated',         // paid access starting from none (first purchase or win-back)
+    RENEWED: 'renewed',             // paid access extended while still active
+    PLAN_CHANGED: 'plan_changed',
+    GRANTED: 'granted',             // access granted or extended by support staff
+    DOWNGRADED: 'downgraded',       // access revoked or cut short by a refund
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled',         // recurring subscription won't renew
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    HALTED: 'halted'                // recurring renewal charge failed
+};
+
+const snapshot = (subscription) => (subscription
+    ? {
+        plan: subscription.plan || null,
+        billingCycle: subscription.billingCycle || null,
+        source: subscription.source || null,
+        expiresAt: subscription.expiresAt || null
+    }
+    : null);
+
+class SubscriptionEventService {
+    constructor() {
+        this.TYPES = EVENT_TYPES;
+    }
+
+    /**
+     * Append an event to the user's subscription ledger. Never throws — a
+     * ledger write must not fail the payment or activation that caused it.
+     * @param {string} type - One of EVENT_TYPES
+     * @param {string} userId - Firebase UID
+     * @param {Object} [details] - Event fields (see SubscriptionEvent model);
+     *   `previous` may be a raw subscription subdocument
+     * @returns {Promise<Object|null>} Saved event, or null if deduplicated or failed
+     */
+    async record(type, userId, details = {}) {
+        try {
+            return await SubscriptionEventModel.append({
+                ...details,
+                type,
+                userId,
+                previous: snapshot(details.previous)
+            });
+        } catch (error) {
+            logger.error(`Failed to record ${type} subscription event for ${userId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 'renewed' if the user still had active paid access, else 'activated'
+     * @param {Object|null} previous - Subscription subdocument before the change
+     * @returns {string}
+     */
+    activationType(previous) {
+        const hadPaidAccess = previous
+            && previous.source !== 'trial'
+            && previous.expiresAt
+            && new Date(previous.expiresAt) > new Date();
+        return hadPaidAccess ? EVENT_TYPES.RENEWED : EVENT_TYPES.ACTIVATED;
+    }
+
+    /**
+     * A user's ledger, newest first
+     * @param {string} userId - Firebase UID
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Page size
+     * @returns {Promise<Array>}
+     */
+    async getHistory(userId, page = 1, limit = 50) {
+        return SubscriptionEventModel.findByUserId(userId, limit, (page - 1) * limit);
+    }
+
+    /**
+     * Create indexes for the subscription_events collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await SubscriptionEventModel.createIndexes();
+    }
+}
+
+module.exports = new SubscriptionEventService();
@@ -1,15 +1,35 @@
 const mongodb = require('../config/mongodb');
 const redis = require('../config/redis');
+const User = require('../models/User');
+const planService = require('./planService');
+const entitlementService = require('./entitlementService');
 const logger = require('../utils/logger');
 
-const LIMIT = 10;
-
 function currentMonth() {
     const now = new Date();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 }
 
 class UsageService {
+    /**
+     * Monthly usage limits for a user, from the quotas of their active plan.
+     * The guidance_tracker and unlimited_concalls entitlements (from the plan
+     * or an add-on) lift the matching quota. null means unlimited.
+     * @param {string} userId - Firebase UID
+     * @param {string[]|null} [entitlements] - Already-loaded req.entitlements
+     * @returns {Promise<{ guidance: number|null, concalls: number|null }>}
+     */
+    async getLimits(userId, entitlements = null) {
+        if (!mongodb.isConnected) await mongodb.connect();
+        const user = await User.findByUid(userId);
+        const plan = await planService.getActivePlan(user?.subscription);
+        const granted = entitlements || await entitlementService.resolve(user);
+        return {
+            guidance: granted.includes('guidance_tracker') ? null : (plan.quotas?.guidance ?? null),
+            concalls: granted.includes('unlimited_concalls') ? null : (plan.quotas?.concalls ?? null),
+        };
+    }
+
     /**
      * Get the current month's usage for a user.
      * Returns { guidance: [...], concalls: [...], month } — always an object, never null.
@@ -44,100 +64,109 @@ class UsageService {
     }
 
     /**
-     * Track a guidance view. Idempotent — adding the same companyCode twice is a no-op.
-     * Throws with code USAGE_LIMIT_REACHED for free users who are over the limit.
+     * Atomically record `value` in this month's `field` array, enforcing `limit`.
+     * The limit check and the write happen in a single conditional update, so
+     * concurrent requests can't push a free user past the limit.
+     * @param {string} userId - Firebase UID
+     * @param {'guidance'|'concalls'} field - Usage array to append to
+     * @param {string} value - Company code or concall ID
+     * @param {number|null} limit - Max distinct values this month, null for unlimited
+     * @returns {Promise<boolean>} true if the value was already tracked
      */
-    async trackGuidanceView(userId, companyCode, isPremium) {
-        try {
-            const current = await this.getUsage(userId);
+    async _consume(userId, field, value, limit) {
+        if (!mongodb.isConnected) await mongodb.connect();
+        const collection = mongodb.getCollection('usage');
+        const month = currentMonth();
+
+        // Make sure this month's doc exists before the conditional update
+        await collection.updateOne(
+            { userId, month },
+            { $setOnInsert: { userId, month, guidance: [], concalls: [], createdAt: new Date() } },
+            { upsert: true }
+        );
+
+        const filter = { userId, month };
+        if (limit !== null) {
+            // Either already tracked, or there's room for one more
+            filter.$or = limit > 0
+                ? [{ [field]: value }, { [`${field}.${limit - 1}`]: { $exists: false } }]
+                : [{ [field]: value }];
+        }
 
-            // Already tracked — no-op, return current state
-            if (current.guidance.includes(companyCode)) {
-                return { ...current, alreadyTracked: true };
-            }
+        const result = await collection.updateOne(filter, {
+            $addToSet: { [field]: value },
+            $set: { updatedAt: new Date() },
+        });
 
-            // Enforce limit for free users
-            if (!isPremium && current.guidance.length >= LIMIT) {
-                const err = new Error(
-                    `Free plan limit reached. Upgrade to Premium to track more than ${LIMIT} companies per month.`
-                );
-                err.code = 'USAGE_LIMIT_REACHED';
-                throw err;
-            }
+        if (result.matchedCount === 0) {
+            const err = new Error(
+                field === 'guidance'
+                    ? `Free plan limit reached. Upgrade to Premium to track more than ${limit} companies per month.`
+                    : `Free plan limit reached. Upgrade to Premium for unlimited conference call summaries.`
+            );
+            err.code = 'USAGE_LIMIT_REACHED';
+            err.usage = { type: field, used: limit, limit };
+            throw err;
+        }
 
-            if (!mongodb.isConnected) await mongodb.connect();
-            const collection = mongodb.getCollection('usage');
-            const month = currentMonth();
+        // Bust cache so next getUsage is fresh
+        await redis.invalidateCache('usage', `${userId}:${month}`);
 
-            await collection.updateOne(
-                { userId, month },
-                {
-                    $addToSet: { guidance: companyCode },
-                    $setOnInsert: { userId, month, concalls: [], createdAt: new Date() },
-                    $set: { updatedAt: new Date() },
-                },
-                { upsert: true }
-            );
+        return result.modifiedCount === 0;
+    }
 
-            // Bust cache so next getUsage is fresh
-            await redis.invalidateCache('usage', `${userId}:${month}`);
+    /**
+     * Track a guidance view. Idempotent — adding the same companyCode twice is a no-op.
+     * Throws with code USAGE_LIMIT_REACHED when the user's plan quota is used up.
+     */
+    async trackGuidanceView(userId, companyCode, entitlements = null) {
+        try {
+            const limits = await this.getLimits(userId, entitlements);
+            const alreadyTracked = await this._consume(
+                userId, 'guidance', companyCode, limits.guidance
+            );
 
-            logger.info(`Guidance view tracked for user ${userId}: company ${companyCode}`);
-            return await this.getUsage(userId);
+            if (!alreadyTracked) {
+                logger.info(`Guidance view tracked for user ${userId}: company ${companyCode}`);
+            }
+            const usage = await this.getUsage(userId);
+            return alreadyTracked ? { ...usage, alreadyTracked } : usage;
         } catch (error) {
-            logger.error('UsageService.trackGuidanceView failed:', {
-                error: error.message,
-                userId,
-                companyCode,
-            });
+            if (error.code !== 'USAGE_LIMIT_REACHED') {
+                logger.error('UsageService.trackGuidanceView failed:', {
+                    error: error.message,
+                    userId,
+                    companyCode,
+                });
+            }
             throw error;
         }
     }
 
     /**
      * Track a concall summary view. Idempotent.
-     * Throws with code USAGE_LIMIT_REACHED for free users who are over the limit.
+     * Throws with code USAGE_LIMIT_REACHED when the user's plan quota is used up.
      */
-    async trackConcallView(userId, concallId, isPremium) {
+    async trackConcallView(userId, concallId, entitlements = null) {
         try {
-            const current = await this.getUsage(userId);
-
-            if (current.concalls.includes(concallId)) {
-                return { ...current, alreadyTracked: true };
-            }
-
-            if (!isPremium && current.concalls.length >= LIMIT) {
-                const err = new Error(
-                    `Free plan limit reached. Upgrade to Premium for unlimited conference call summaries.`
-                );
-                err.code = 'USAGE_LIMIT_REACHED';
-                throw err;
-            }
-
-            if (!mongodb.isConnected) await mongodb.connect();
-            const collection = mongodb.getCollection('usage');
-            const month = currentMonth();
-
-            await collection.updateOne(
-                { userId, month },
-                {
-                    $addToSet: { concalls: concallId },
-                    $setOnInsert: { userId, month, guidance: [], createdAt: new Date() },
-                    $set: { updatedAt: new Date() },
-                },
-                { upsert: true }
+            const limits = await this.getLimits(userId, entitlements);
+            const alreadyTracked = await this._consume(
+                userId, 'concalls', concallId, limits.concalls
             );
 
-            await redis.invalidateCache('usage', `${userId}:${month}`);
-
-            logger.info(`Concall view tracked for user ${userId}: concall ${concallId}`);
-            return await this.getUsage(userId);
+            if (!alreadyTracked) {
+                logger.info(`Concall view tracked for user ${userId}: concall ${concallId}`);
+            }
+            const usage = await this.getUsage(userId);
+            return alreadyTracked ? { ...usage, alreadyTracked } : usage;
         } catch (error) {
-            logger.error('UsageService.trackConcallView failed:', {
-                error: error.message,
-                userId,
-                concallId,
-            });
+            if (error.code !== 'USAGE_LIMIT_REACHED') {
+                logger.error('UsageService.trackConcallView failed:', {
+                    error: error.message,
+                    userId,
+                    concallId,
+                });
+            }
             throw error;
         }
     }
@@ -169,6 +198,55 @@ class UsageService {
             throw error;
         }
     }
+
+    /**
+     * Every month's usage for a user, newest first (data exports)
+     */
+    async getUsageHistory(userId) {
+        if (!mongodb.isConnected) await mongodb.connect();
+        const collection = mongodb.getCollection('usage');
+        return collection
+            .find({ userId }, { projection: { _id: 0 } })
+            .sort({ month: -1 })
+            .toArray();
+    }
+
+    /**
+     * Delete all of a user's usage docs (account deletion)
+     * @returns {Promise<number>} Docs deleted
+     */
+    async deleteUsage(userId) {
+        try {
+            if (!mongodb.isConnected) await mongodb.connect();
+            const collection = mongodb.getCollection('usage');
+            const result = await collection.deleteMany({ userId });
+
+            await redis.invalidateCache('usage', `${userId}:${currentMonth()}`);
+
+            logger.info(`Usage deleted for user ${userId}`);
+            return result.deletedCount;
+        } catch (error) {
+            logger.error('UsageService.deleteUsage failed:', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Create indexes for the usage collection.
+     * The unique { userId, month } index keeps concurrent upserts from
+     * creating duplicate monthly docs.
+     */
+    async initializeIndexes() {
+        try {
+            if (!mongodb.isConnected) await mongodb.connect();
+            const collection = mongodb.getCollection('usage');
+            await collection.createIndex({ userId: 1, month: 1 }, { unique: true });
+            logger.info('Usage collection indexes created');
+        } catch (error) {
+            logger.error('Error creating usage indexes:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = new UsageService();
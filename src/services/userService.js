@@ -1,7 +1,12 @@
 const User = require('../models/User');
-const redis = require('../config/redis');
+const planService = require('./planService');
+const subscriptionEventService = require('./subscriptionEventService');
+const auditService = require('./auditService');
 const logger = require('../utils/logger');
 
+// Fields users may change through PUT /api/user/profile
+const PROFILE_FIELDS = ['name', 'picture', 'profile', 'preferences'];
+
 class UserService {
     /**
      * Create a new user in MongoDB
@@ -26,8 +31,22 @@ class UserService {
                 lastName
             };
 
-            const createdUser = await User.create(userToCreate);
-            
+            // Trial plan and length come from the plan catalog
+            const trial = await planService.getTrialConfig();
+            const createdUser = await User.create(userToCreate, { trial });
+
+            const sub = createdUser.subscription;
+            if (sub?.source === 'trial') {
+                await subscriptionEventService.record(subscriptionEventService.TYPES.TRIAL_STARTED, userData.uid, {
+                    plan: sub.plan,
+                    billingCycle: sub.billingCycle,
+                    source: sub.source,
+                    periodStart: sub.startedAt,
+                    periodEnd: sub.expiresAt,
+                    details: { trialDays: trial.days }
+                });
+            }
+
             logger.info(`User created in MongoDB: ${userData.uid}`);
             return createdUser;
         } catch (error) {
@@ -85,16 +104,29 @@ class UserService {
     }
 
     /**
-     * Update user profile
+     * Update user profile. Only user-editable fields are applied — role,
+     * subscription, email and account state can't be set through the profile.
      * @param {string} uid - Firebase UID
      * @param {Object} profileData - Profile data to update
+     * @param {Object} [actor] - Who made the change, for the audit log
      * @returns {Promise<Object|null>} Updated user
      */
-    async updateUserProfile(uid, profileData) {
+    async updateUserProfile(uid, profileData, actor = null) {
         try {
-            const updatedUser = await User.updateByUid(uid, profileData);
+            const updates = Object.fromEntries(
+                Object.entries(profileData).filter(([field]) => PROFILE_FIELDS.includes(field))
+            );
+            const existing = await User.findByUid(uid);
+            if (!existing) return null;
+
+            const updatedUser = await User.updateByUid(uid, updates);
             if (updatedUser) {
                 logger.info(`User profile updated: ${uid}`);
+                const pick = (user) => Object.fromEntries(Object.keys(updates).map(field => [field, user[field] ?? null]));
+                await auditService.record(actor, 'user.profile_updated', { type: 'user', id: uid }, {
+                    before: pick(existing),
+                    after: pick(updatedUser)
+                });
             }
             return updatedUser;
         } catch (error) {
@@ -104,54 +136,37 @@ class UserService {
     }
 
     /**
-     * Get user's watchlist
+     * Set the billing details printed on GST invoices. With a GSTIN, the
+     * state code is taken from it so place of supply can't disagree.
      * @param {string} uid - Firebase UID
-     * @returns {Promise<Array>} User's watchlist
+     * @param {Object} details - { legalName, gstin, address, stateCode }
+     * @param {Object} [actor] - Who made the change, for the audit log
+     * @returns {Promise<Object|null>} Saved billing details, or null if the user doesn't exist
      */
-    async getUserWatchlist(uid) {
+    async updateBillingDetails(uid, details, actor = null) {
         try {
-            const watchlist = await User.getWatchlist(uid);
-            return watchlist;
-        } catch (error) {
-            logger.error('Error getting user watchlist:', error);
-            throw error;
-        }
-    }
+            const gstin = details.gstin ? details.gstin.toUpperCase() : null;
+            const billingDetails = {
+                legalName: details.legalName,
+                gstin,
+                address: details.address || null,
+                stateCode: gstin ? gstin.slice(0, 2) : (details.stateCode || null)
+            };
 
-    /**
-     * Add company to user's watchlist
-     * @param {string} uid - Firebase UID
-     * @param {string} companyCode - Company code to add
-     * @returns {Promise<boolean>} Success status
-     */
-    async addToWatchlist(uid, companyCode) {
-        try {
-            const success = await User.addToWatchlist(uid, companyCode);
-            if (success) {
-                logger.info(`Added ${companyCode} to watchlist for user: ${uid}`);
-            }
-            return success;
-        } catch (error) {
-            logger.error('Error adding to watchlist:', error);
-            throw error;
-        }
-    }
+            const existing = await User.findByUid(uid);
+            if (!existing) return null;
 
-    /**
-     * Remove company from user's watchlist
-     * @param {string} uid - Firebase UID
-     * @param {string} companyCode - Company code to remove
-     * @returns {Promise<boolean>} Success status
-     */
-    async removeFromWatchlist(uid, companyCode) {
-        try {
-            const success = await User.removeFromWatchlist(uid, companyCode);
-            if (success) {
-                logger.info(`Removed ${companyCode} from watchlist for user: ${uid}`);
-            }
-            return success;
+            const updatedUser = await User.updateByUid(uid, { billingDetails });
+            if (!updatedUser) return null;
+
+            logger.info(`Billing details updated: ${uid}`);
+            await auditService.record(actor, 'user.billing_details_updated', { type: 'user', id: uid }, {
+                before: { billingDetails: existing.billingDetails || null },
+                after: { billingDetails }
+            });
+            return updatedUser.billingDetails;
         } catch (error) {
-            logger.error('Error removing from watchlist:', error);
+            logger.error('Error updating billing details:', error);
             throw error;
         }
     }
@@ -171,37 +186,6 @@ class UserService {
         }
     }
 
-    /**
-     * Check if a user has an active premium subscription.
-     * Result is cached in Redis for 5 minutes to avoid hitting MongoDB on every request.
-     * @param {string} uid - Firebase UID
-     * @returns {Promise<boolean>}
-     */
-    async isPremium(uid) {
-        if (!uid) return false;
-        try {
-            const cacheKey = `user-premium:${uid}`;
-            const cached = await redis.get(cacheKey);
-            if (cached !== null && cached !== undefined) {
-                return cached === true;
-            }
-
-            const user = await User.findByUid(uid);
-            const sub = user?.subscription;
-            const premium =
-                sub?.plan === 'premium' &&
-                sub?.expiresAt &&
-                new Date(sub.expiresAt) > new Date();
-
-            // Cache boolean for 5 minutes — JSON.stringify(true/false) round-trips correctly
-            await redis.set(cacheKey, !!premium, 300).catch(() => {});
-            return !!premium;
-        } catch (error) {
-            logger.warn(`isPremium check failed for uid ${uid}:`, error.message);
-            return false;
-        }
-    }
-
     /**
      * Initialize user collection indexes
      * @returns {Promise<void>}
@@ -1,10 +1,27 @@
 const mongodb = require('../config/mongodb');
 const redis = require('../config/redis');
+const WatchlistModel = require('../models/Watchlist');
+const planService = require('./planService');
+const companyService = require('./companyService');
+const auditService = require('./auditService');
 const logger = require('../utils/logger');
 
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
+const MAX_WATCHLISTS = 20;
+const MAX_ENTRIES_PER_WATCHLIST = 500;
+
+function watchlistError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+const userTarget = (userId) => ({ type: 'user', id: userId });
+
 class WatchlistService {
     /**
-     * Get user's watchlist
+     * Get user's watchlist: every company on any of their lists, default
+     * list first
      * @param {string} userId - User ID
      * @returns {Promise<Array>} Array of company codes
      */
@@ -23,12 +40,9 @@ class WatchlistService {
             if (!mongodb.isConnected) {
                 await mongodb.connect();
             }
-            const collection = mongodb.getCollection('watchlists');
-
-            // Find user's watchlist
-            const watchlistDoc = await collection.findOne({ userId });
 
-            const companyCodes = watchlistDoc ? watchlistDoc.companyCodes || [] : [];
+            await this._migrateLegacy(userId);
+            const companyCodes = await WatchlistModel.findCompanyCodes(userId);
 
             // Cache the watchlist for 30 minutes
             await redis.cacheData('watchlist', userId, companyCodes, 1800);
@@ -45,65 +59,37 @@ class WatchlistService {
     }
 
     /**
-     * Add company to user's watchlist
+     * Add company to user's default watchlist
      * @param {string} userId - User ID
      * @param {string} companyCode - Company code to add
+     * @param {Object} [actor] - Who made the change, for the audit log
      * @returns {Promise<Object>} Updated watchlist
      */
-    async followCompany(userId, companyCode) {
+    async followCompany(userId, companyCode, actor = null) {
         try {
             logger.info(`Adding company ${companyCode} to watchlist for user: ${userId}`);
 
-            // Connect to MongoDB if not already connected
-            if (!mongodb.isConnected) {
-                await mongodb.connect();
-            }
-            const collection = mongodb.getCollection('watchlists');
-
-            // Enforce watchlist limit for non-premium users
-            const existingDoc = await collection.findOne({ userId });
-            const currentCodes = existingDoc ? (existingDoc.companyCodes || []) : [];
-            const alreadyFollowing = currentCodes.includes(companyCode);
-
-            if (!alreadyFollowing) {
-                const usersCollection = mongodb.getCollection('users');
-                const userDoc = await usersCollection.findOne(
-                    { uid: userId },
-                    { projection: { subscription: 1 } }
-                );
-                const sub = userDoc?.subscription;
-                const isPremium = sub?.plan === 'premium' && sub?.expiresAt > new Date();
-
-                if (!isPremium && currentCodes.length >= 10) {
-                    const err = new Error('Free plan limit reached. Upgrade to premium to follow more than 10 companies.');
-                    err.code = 'WATCHLIST_LIMIT_REACHED';
-                    throw err;
-                }
-            }
-
-            // Use upsert to create document if it doesn't exist
-            const result = await collection.updateOne(
-                { userId },
-                {
-                    $addToSet: { companyCodes: companyCode }, // $addToSet prevents duplicates
-                    $setOnInsert: {
-                        userId,
-                        createdAt: new Date()
-                    },
-                    $set: { updatedAt: new Date() }
-                },
-                { upsert: true }
-            );
+            const list = await this._getOrCreateDefault(userId);
+            const previousCodes = await WatchlistModel.findCompanyCodes(userId);
 
-            // Get updated watchlist
-            const updatedDoc = await collection.findOne({ userId });
-            const companyCodes = updatedDoc.companyCodes || [];
+            if (!list.entries.some(entry => entry.companyCode === companyCode)) {
+                await this._checkQuota(userId, companyCode, previousCodes);
+                await this._addEntry(list, userId, { companyCode });
+            }
 
-            // Clear cache to ensure fresh data
             await redis.invalidateCache('watchlist', userId);
+            const companyCodes = await WatchlistModel.findCompanyCodes(userId);
 
             logger.info(`Company ${companyCode} added to watchlist for user: ${userId}. Total companies: ${companyCodes.length}`);
 
+            if (!previousCodes.includes(companyCode)) {
+                await auditService.record(actor, 'watchlist.company_added', userTarget(userId), {
+                    before: { companyCodes: previousCodes },
+                    after: { companyCodes },
+                    details: { companyCode, watchlistId: String(list._id) }
+                });
+            }
+
             return {
                 userId,
                 companyCodes,
@@ -122,12 +108,13 @@ class WatchlistService {
     }
 
     /**
-     * Remove company from user's watchlist
+     * Remove company from all of the user's watchlists
      * @param {string} userId - User ID
      * @param {string} companyCode - Company code to remove
+     * @param {Object} [actor] - Who made the change, for the audit log
      * @returns {Promise<Object>} Updated watchlist
      */
-    async unfollowCompany(userId, companyCode) {
+    async unfollowCompany(userId, companyCode, actor = null) {
         try {
             logger.info(`Removing company ${companyCode} from watchlist for user: ${userId}`);
 
@@ -135,38 +122,23 @@ class WatchlistService {
             if (!mongodb.isConnected) {
                 await mongodb.connect();
             }
-            const collection = mongodb.getCollection('watchlists');
-
-            // Remove company from array
-            const result = await collection.updateOne(
-                { userId },
-                {
-                    $pull: { companyCodes: companyCode },
-                    $set: { updatedAt: new Date() }
-                }
-            );
-
-            if (result.matchedCount === 0) {
-                logger.warn(`No watchlist found for user: ${userId}`);
-                return {
-                    userId,
-                    companyCodes: [],
-                    totalCompanies: 0,
-                    action: 'unfollowed',
-                    companyCode,
-                    message: 'Watchlist not found'
-                };
-            }
 
-            // Get updated watchlist
-            const updatedDoc = await collection.findOne({ userId });
-            const companyCodes = updatedDoc ? updatedDoc.companyCodes || [] : [];
+            const previousCodes = await WatchlistModel.findCompanyCodes(userId);
+            await WatchlistModel.removeCompany(userId, companyCode);
 
-            // Clear cache to ensure fresh data
             await redis.invalidateCache('watchlist', userId);
+            const companyCodes = await WatchlistModel.findCompanyCodes(userId);
 
             logger.info(`Company ${companyCode} removed from watchlist for user: ${userId}. Total companies: ${companyCodes.length}`);
 
+            if (previousCodes.includes(companyCode)) {
+                await auditService.record(actor, 'watchlist.company_removed', userTarget(userId), {
+                    before: { companyCodes: previousCodes },
+                    after: { companyCodes },
+                    details: { companyCode }
+                });
+            }
+
             return {
                 userId,
                 companyCodes,
@@ -185,7 +157,7 @@ class WatchlistService {
     }
 
     /**
-     * Check if user is following a company
+     * Check if user is following a company (on any list)
      * @param {string} userId - User ID
      * @param {string} companyCode - Company code to check
      * @returns {Promise<boolean>} True if following, false otherwise
@@ -228,50 +200,450 @@ class WatchlistService {
     }
 
     /**
-     * Clear user's entire watchlist
+     * Everything a watchlist dashboard needs in one call: a snapshot of each
+     * followed company (see companyService.buildSnapshot), loaded in a batch.
+     * With a watchlist ID, only that list's companies, in its order and with
+     * each entry's note, tags and reference price.
      * @param {string} userId - User ID
-     * @returns {Promise<Object>} Result
+     * @param {Object} [options]
+     * @param {string} [options.watchlistId] - One named watchlist
+     * @param {boolean} [options.includeInsights] - Include headline metrics (insights entitlement)
+     * @returns {Promise<Object>} { watchlist, companies, notFound, insightsLocked }
      */
-    async clearWatchlist(userId) {
-        try {
-            logger.info(`Clearing watchlist for user: ${userId}`);
+    async getDashboard(userId, { watchlistId = null, includeInsights = false } = {}) {
+        let list = null;
+        let entries;
+        if (watchlistId) {
+            list = await this._getList(userId, watchlistId);
+            entries = list.entries.map(entry => this._entryToPublic(entry));
+        } else {
+            entries = (await this.getUserWatchlist(userId)).map(companyCode => ({ companyCode }));
+        }
 
-            // Connect to MongoDB if not already connected
+        const companies = await companyService.getCompaniesByIds(entries.map(entry => entry.companyCode));
+
+        const snapshots = [];
+        const notFound = [];
+        for (const entry of entries) {
+            const company = companies.get(entry.companyCode);
+            if (!company) {
+                notFound.push(entry.companyCode);
+                continue;
+            }
+            const snapshot = companyService.buildSnapshot(company, { includeInsights });
+            snapshots.push(list ? { ...snapshot, entry } : snapshot);
+        }
+
+        return {
+            watchlist: list ? { id: String(list._id), name: list.name, isDefault: list.isDefault } : null,
+            companies: snapshots,
+            notFound,
+            insightsLocked: !includeInsights
+        };
+    }
+
+    // ── Named watchlists ─────────────────────────────────────────────────────
+
+    /**
+     * All of a user's watchlists in their chosen order. The default list is
+     * created on first use.
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Watchlists (public shape)
+     */
+    async getWatchlists(userId) {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+        await this._getOrCreateDefault(userId);
+        const lists = await WatchlistModel.findByUserId(userId);
+        return lists.map(list => this.toPublic(list));
+    }
+
+    /**
+     * One watchlist
+     * @param {string} userId - User ID
+     * @param {string} id - Watchlist ID
+     * @returns {Promise<Object>} Watchlist (public shape)
+     */
+    async getWatchlist(userId, id) {
+        return this.toPublic(await this._getList(userId, id));
+    }
+
+    /**
+     * Create a named watchlist, placed after the user's existing lists
+     * @param {string} userId - User ID
+     * @param {string} name - List name (unique per user, case-insensitive)
+     * @param {Object} [actor] - Who made the change, for the audit log
+     * @returns {Promise<Object>} New watchlist (public shape)
+     */
+    async createWatchlist(userId, name, actor = null) {
+        await this._getOrCreateDefault(userId);
+
+        const count = await WatchlistModel.countByUserId(userId);
+        if (count >= MAX_WATCHLISTS) {
+            throw watchlistError(`You can have at most ${MAX_WATCHLISTS} watchlists`, 'WATCHLIST_COUNT_LIMIT');
+        }
+
+        const list = await WatchlistModel.create({ userId, name, position: count });
+        if (!list) {
+            throw watchlistError(`You already have a watchlist named "${name.trim()}"`, 'WATCHLIST_EXISTS');
+        }
+
+        await auditService.record(actor, 'watchlist.created', userTarget(userId), {
+            after: { name: list.name },
+            details: { watchlistId: String(list._id) }
+        });
+        return this.toPublic(list);
+    }
+
+    /**
+     * Rename a watchlist
+     * @returns {Promise<Object>} Updated watchlist (public shape)
+     */
+    async renameWatchlist(userId, id, name, actor = null) {
+        const list = await this._getList(userId, id);
+        const renamed = await WatchlistModel.rename(id, userId, name);
+        if (!renamed) {
+            throw watchlistError(`You already have a watchlist named "${name.trim()}"`, 'WATCHLIST_EXISTS');
+        }
+
+        await auditService.record(actor, 'watchlist.renamed', userTarget(userId), {
+            before: { name: list.name },
+            after: { name: name.trim() },
+            details: { watchlistId: id }
+        });
+        return this.getWatchlist(userId, id);
+    }
+
+    /**
+     * Delete a watchlist. The default list can't be deleted.
+     */
+    async deleteWatchlist(userId, id, actor = null) {
+        const list = await this._getList(userId, id);
+        if (list.isDefault) {
+            throw watchlistError('The default watchlist cannot be deleted', 'DEFAULT_WATCHLIST');
+        }
+
+        await WatchlistModel.delete(id, userId);
+        await redis.invalidateCache('watchlist', userId);
+
+        await auditService.record(actor, 'watchlist.deleted', userTarget(userId), {
+            before: { name: list.name, companyCodes: list.entries.map(entry => entry.companyCode) },
+            details: { watchlistId: id }
+        });
+    }
+
+    /**
+     * Reorder the user's watchlists
+     * @param {string} userId - User ID
+     * @param {string[]} ids - Every watchlist ID, in the new order
+     * @returns {Promise<Array>} Watchlists in the new order
+     */
+    async reorderWatchlists(userId, ids) {
+        const lists = await WatchlistModel.findByUserId(userId);
+        this._checkPermutation(lists.map(list => String(list._id)), ids, 'watchlist IDs');
+
+        await WatchlistModel.setPositions(userId, ids);
+        return this.getWatchlists(userId);
+    }
+
+    /**
+     * Add a company to a watchlist
+     * @param {string} userId - User ID
+     * @param {string} id - Watchlist ID
+     * @param {Object} entry - { companyCode, note, tags, price, currency }; price is
+     *   the reference price the user saw when adding
+     * @param {Object} [actor] - Who made the change, for the audit log
+     * @returns {Promise<Object>} Updated watchlist (public shape)
+     */
+    async addEntry(userId, id, entry, actor = null) {
+        const list = await this._getList(userId, id);
+        if (list.entries.some(existing => existing.companyCode === entry.companyCode)) {
+            throw watchlistError(`${entry.companyCode} is already on this watchlist`, 'ENTRY_EXISTS');
+        }
+
+        const previousCodes = await WatchlistModel.findCompanyCodes(userId);
+        await this._checkQuota(userId, entry.companyCode, previousCodes);
+        const saved = await this._addEntry(list, userId, entry);
+
+        await redis.invalidateCache('watchlist', userId);
+        await auditService.record(actor, 'watchlist.entry_added', userTarget(userId), {
+            after: saved,
+            details: { watchlistId: id, companyCode: entry.companyCode }
+        });
+        return this.getWatchlist(userId, id);
+    }
+
+    /**
+     * Update an entry's note and/or tags
+     * @returns {Promise<Object>} Updated watchlist (public shape)
+     */
+    async updateEntry(userId, id, companyCode, changes, actor = null) {
+        const list = await this._getList(userId, id);
+        const entry = list.entries.find(existing => existing.companyCode === companyCode);
+        if (!entry) {
+            throw watchlistError(`${companyCode} is not on this watchlist`, 'ENTRY_NOT_FOUND');
+        }
+
+        const update = {
+            note: changes.note === undefined ? undefined : (changes.note || null),
+            tags: changes.tags === undefined ? undefined : this._normalizeTags(changes.tags)
+        };
+        await WatchlistModel.updateEntry(id, userId, companyCode, update);
+
+        await auditService.record(actor, 'watchlist.entry_updated', userTarget(userId), {
+            before: { note: entry.note, tags: entry.tags },
+            after: { note: update.note ?? entry.note, tags: update.tags ?? entry.tags },
+            details: { watchlistId: id, companyCode }
+        });
+        return this.getWatchlist(userId, id);
+    }
+
+    /**
+     * Remove a company from one watchlist
+     * @returns {Promise<Object>} Updated watchlist (public shape)
+     */
+    async removeEntry(userId, id, companyCode, actor = null) {
+        const list = await this._getList(userId, id);
+        const entry = list.entries.find(existing => existing.companyCode === companyCode);
+        if (!entry) {
+            throw watchlistError(`${companyCode} is not on this watchlist`, 'ENTRY_NOT_FOUND');
+        }
+
+        await WatchlistModel.removeEntry(id, userId, companyCode);
+        await redis.invalidateCache('watchlist', userId);
+
+        await auditService.record(actor, 'watchlist.entry_removed', userTarget(userId), {
+            before: entry,
+            details: { watchlistId: id, companyCode }
+        });
+        return this.getWatchlist(userId, id);
+    }
+
+    /**
+     * Reorder a watchlist's entries
+     * @param {string} userId - User ID
+     * @param {string} id - Watchlist ID
+     * @param {string[]} companyCodes - Every company on the list, in the new order
+     * @returns {Promise<Object>} Updated watchlist (public shape)
+     */
+    async reorderEntries(userId, id, companyCodes) {
+        const list = await this._getList(userId, id);
+        this._checkPermutation(list.entries.map(entry => entry.companyCode), companyCodes, 'company codes');
+
+        const byCode = new Map(list.entries.map(entry => [entry.companyCode, entry]));
+        const reordered = await WatchlistModel.replaceEntries(
+            id,
+            userId,
+            list.updatedAt,
+            companyCodes.map(code => byCode.get(code))
+        );
+        if (!reordered) {
+            throw watchlistError('Watchlist changed while reordering; reload and try again', 'WATCHLIST_CONFLICT');
+        }
+
+        await redis.invalidateCache('watchlist', userId);
+        return this.getWatchlist(userId, id);
+    }
+
+    /**
+     * API shape of a watchlist document
+     * @param {Object} list - Watchlist document
+     * @returns {Object}
+     */
+    toPublic(list) {
+        return {
+            id: String(list._id),
+            name: list.name,
+            isDefault: list.isDefault,
+            position: list.position,
+            entries: (list.entries || []).map(entry => this._entryToPublic(entry)),
+            createdAt: list.createdAt,
+            updatedAt: list.updatedAt
+        };
+    }
+
+    // ── Account data ─────────────────────────────────────────────────────────
+
+    /**
+     * Raw watchlist documents, for data exports
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Watchlist documents
+     */
+    async getWatchlistDocuments(userId) {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+        return WatchlistModel.findByUserId(userId);
+    }
+
+    /**
+     * Delete all of a user's watchlists (account deletion), including a
+     * legacy `watchlists` document that was never migrated
+     * @param {string} userId - User ID
+     * @returns {Promise<number>} Watchlists deleted
+     */
+    async deleteAllWatchlists(userId) {
+        try {
             if (!mongodb.isConnected) {
                 await mongodb.connect();
             }
-            const collection = mongodb.getCollection('watchlists');
-
-            // Clear the companyCodes array
-            const result = await collection.updateOne(
-                { userId },
-                {
-                    $set: {
-                        companyCodes: [],
-                        updatedAt: new Date()
-                    }
-                }
-            );
-
-            // Clear cache
+            const deleted = await WatchlistModel.deleteByUserId(userId);
+            await mongodb.getCollection('watchlists').deleteOne({ userId });
             await redis.invalidateCache('watchlist', userId);
 
-            logger.info(`Watchlist cleared for user: ${userId}`);
-
-            return {
-                userId,
-                companyCodes: [],
-                totalCompanies: 0,
-                action: 'cleared'
-            };
+            logger.info(`Watchlists deleted for user: ${userId}`);
+            return deleted;
         } catch (error) {
-            logger.error('Failed to clear watchlist:', {
+            logger.error('Failed to delete watchlists:', {
                 error: error.message,
                 userId
             });
             throw error;
         }
     }
+
+    /**
+     * Create indexes for the user_watchlists collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await WatchlistModel.createIndexes();
+    }
+
+    // ── Internals ────────────────────────────────────────────────────────────
+
+    async _getOrCreateDefault(userId) {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+        await this._migrateLegacy(userId);
+        const existing = await WatchlistModel.findDefault(userId);
+        if (existing) return existing;
+
+        const created = await WatchlistModel.create({ userId, name: DEFAULT_WATCHLIST_NAME, isDefault: true });
+        // Lost a race with a concurrent request (or the name is taken)
+        return created || WatchlistModel.findDefault(userId);
+    }
+
+    /**
+     * Move a user's legacy watchlist (the `watchlists` collection and the
+     * `watchlist` array on the user document) into their default list, for
+     * users scripts/migrate-watchlists.js hasn't reached. The legacy copies
+     * are removed afterwards so companies unfollowed later don't come back.
+     */
+    async _migrateLegacy(userId) {
+        const legacyCollection = mongodb.getCollection('watchlists');
+        const usersCollection = mongodb.getCollection('users');
+        const [legacy, user] = await Promise.all([
+            legacyCollection.findOne({ userId }),
+            usersCollection.findOne(
+                { uid: userId, 'watchlist.0': { $exists: true } },
+                { projection: { watchlist: 1, createdAt: 1 } }
+            )
+        ]);
+        if (!legacy && !user) return;
+
+        const codes = [...new Set([...(legacy?.companyCodes || []), ...(user?.watchlist || [])].filter(Boolean))];
+        const addedAt = legacy?.createdAt || user?.createdAt || new Date();
+
+        if (codes.length > 0) {
+            let list = await WatchlistModel.findDefault(userId);
+            if (!list) {
+                await WatchlistModel.create({ userId, name: DEFAULT_WATCHLIST_NAME, isDefault: true });
+                // Created here or by a concurrent request
+                list = await WatchlistModel.findDefault(userId);
+            }
+            if (!list) {
+                logger.warn(`Legacy watchlist not migrated for user ${userId}: no default list`);
+                return;
+            }
+            for (const companyCode of codes) {
+                // No price was recorded when these were followed
+                await WatchlistModel.addEntry(String(list._id), userId, { companyCode, note: null, tags: [], addedAt, priceRef: null });
+            }
+        }
+
+        if (legacy) await legacyCollection.deleteOne({ _id: legacy._id });
+        if (user) await usersCollection.updateOne({ _id: user._id }, { $unset: { watchlist: '' } });
+        await redis.invalidateCache('watchlist', userId);
+        logger.info(`Migrated ${codes.length} legacy watchlist companies for user: ${userId}`);
+    }
+
+    async _getList(userId, id) {
+        if (!mongodb.isConnected) {
+            await mongodb.connect();
+        }
+        const list = await WatchlistModel.findForUser(id, userId);
+        if (!list) throw watchlistError('Watchlist not found', 'WATCHLIST_NOT_FOUND');
+        return list;
+    }
+
+    /**
+     * Enforce the plan's watchlist quota: distinct companies across all lists
+     */
+    async _checkQuota(userId, companyCode, currentCodes) {
+        if (currentCodes.includes(companyCode)) return;
+
+        const usersCollection = mongodb.getCollection('users');
+        const userDoc = await usersCollection.findOne(
+            { uid: userId },
+            { projection: { subscription: 1 } }
+        );
+        const plan = await planService.getActivePlan(userDoc?.subscription);
+        const limit = plan.quotas?.watchlist ?? null;
+
+        if (limit !== null && currentCodes.length >= limit) {
+            throw watchlistError(
+                `Free plan limit reached. Upgrade to premium to follow more than ${limit} companies.`,
+                'WATCHLIST_LIMIT_REACHED'
+            );
+        }
+    }
+
+    async _addEntry(list, userId, { companyCode, note, tags, price, currency }) {
+        if ((list.entries || []).length >= MAX_ENTRIES_PER_WATCHLIST) {
+            throw watchlistError(`A watchlist can hold at most ${MAX_ENTRIES_PER_WATCHLIST} companies`, 'WATCHLIST_FULL');
+        }
+
+        const now = new Date();
+        const entry = {
+            companyCode,
+            note: note || null,
+            tags: this._normalizeTags(tags),
+            addedAt: now,
+            priceRef: price != null ? { price, currency: (currency || 'INR').toUpperCase(), recordedAt: now } : null
+        };
+
+        const added = await WatchlistModel.addEntry(String(list._id), userId, entry);
+        if (!added) {
+            throw watchlistError(`${companyCode} is already on this watchlist`, 'ENTRY_EXISTS');
+        }
+        return entry;
+    }
+
+    _entryToPublic(entry) {
+        return {
+            companyCode: entry.companyCode,
+            note: entry.note || null,
+            tags: entry.tags || [],
+            addedAt: entry.addedAt,
+            priceRef: entry.priceRef || null
+        };
+    }
+
+    _normalizeTags(tags) {
+        return [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+
+    _checkPermutation(current, requested, label) {
+        const same = requested.length === current.length
+            && new Set(requested).size === requested.length
+            && requested.every(value => current.includes(value));
+        if (!same) {
+            throw watchlistError(`Order must list each of the ${current.length} ${label} exactly once`, 'INVALID_ORDER');
+        }
+    }
 }
 
-module.exports = new WatchlistService();
\ No newline at end of file
+module.exports = new WatchlistService();
@@ -0,0 +1,118 @@
+const WebhookEventModel = require('../models/WebhookEvent');
+const paymentService = require('./paymentService');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Retries back off exponentially: 1, 2, 4 ... 128 minutes (about 4 hours in all)
+const MAX_ATTEMPTS = 9;
+const BASE_DELAY_MS = MINUTE_MS;
+
+// An event still `processing` after this long is assumed abandoned (crash)
+const STALE_LOCK_MS = 10 * MINUTE_MS;
+
+class WebhookService {
+    /**
+     * Handle a verified Razorpay webhook delivery exactly once per event ID.
+     * A processing failure is recorded and retried by the webhook retry job,
+     * so the delivery is still acknowledged.
+     * @param {Object} delivery - { eventId, event, payload }
+     * @returns {Promise<Object>} { status, duplicate }
+     */
+    async receive({ eventId, event, payload }) {
+        const saved = await WebhookEventModel.claimDelivery({
+            eventId,
+            event,
+            entityId: this._extractEntityId(event, payload),
+            payload
+        });
+
+        if (!saved) {
+            const existing = await WebhookEventModel.findByEventId(eventId);
+            logger.info(`Duplicate webhook delivery ignored: ${event} (${eventId}, ${existing?.status})`);
+            return { status: existing?.status || 'processed', duplicate: true };
+        }
+
+        const status = await this._process(saved);
+        return { status, duplicate: false };
+    }
+
+    /**
+     * Retry failed events that are due, oldest first
+     * @param {number} limit - Max events per run
+     * @returns {Promise<number>} Number of events retried
+     */
+    async retryDue(limit = 50) {
+        let retried = 0;
+        while (retried < limit) {
+            const now = new Date();
+            const doc = await WebhookEventModel.claimDueRetry(now, new Date(now.getTime() - STALE_LOCK_MS));
+            if (!doc) break;
+            await this._process(doc);
+            retried++;
+        }
+        return retried;
+    }
+
+    /**
+     * Dead-lettered events (retries exhausted), newest first
+     */
+    async listDeadLetters(page = 1, limit = 20) {
+        return WebhookEventModel.findByStatus('dead', limit, (page - 1) * limit);
+    }
+
+    /**
+     * Process a dead-lettered or failed event again, now
+     * @param {string} id - Webhook event document ID
+     * @returns {Promise<Object|null>} Updated event, or null if not replayable
+     */
+    async replay(id) {
+        const doc = await WebhookEventModel.claimForReplay(id);
+        if (!doc) return null;
+
+        logger.info(`Replaying webhook event ${doc.event} (${doc.eventId})`);
+        await this._process(doc);
+        return WebhookEventModel.findById(id);
+    }
+
+    async _process(doc) {
+        try {
+            await paymentService.processWebhookEvent(doc.event, doc.payload);
+            await WebhookEventModel.markProcessed(doc._id);
+            return 'processed';
+        } catch (error) {
+            const nextAttemptAt = doc.attempts < MAX_ATTEMPTS
+                ? new Date(Date.now() + BASE_DELAY_MS * 2 ** (doc.attempts - 1))
+                : null;
+            await WebhookEventModel.markFailed(doc._id, error.message || String(error), nextAttemptAt);
+
+            if (nextAttemptAt) {
+                logger.warn(`Webhook ${doc.event} (${doc.eventId}) failed on attempt ${doc.attempts}, retrying at ${nextAttemptAt.toISOString()}:`, error);
+                return 'failed';
+            }
+            logger.error(`Webhook ${doc.event} (${doc.eventId}) dead-lettered after ${doc.attempts} attempts:`, error);
+            return 'dead';
+        }
+    }
+
+    _extractEntityId(event, payload) {
+        const [resource] = (event || '').split('.');
+        const entityMap = {
+            payment: payload?.payment?.entity?.id,
+            order: payload?.order?.entity?.id,
+            refund: payload?.refund?.entity?.id,
+            subscription: payload?.subscription?.entity?.id
+        };
+        return entityMap[resource] || null;
+    }
+
+    /**
+     * Create indexes for the webhook_events collection
+     * @returns {Promise<void>}
+     */
+    async initializeIndexes() {
+        await WebhookEventModel.createIndexes();
+    }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,129 @@
+/**
+ * Email templates. Each renderer returns { subject, html, text }; the HTML
+ * is kept to inline styles and tables so it survives common mail clients.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+/** Digest sections, in display order, keyed by feed item type */
+const DIGEST_SECTIONS = [
+  { type: 'concall.new', heading: 'New concall summaries' },
+  { type: 'guidance.new', heading: 'Guidance changes' },
+  { type: 'insights.updated', heading: 'Updated financials' }
+];
+
+function layout(title, bodyHtml, footerHtml) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f5f7;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:6px;padding:24px;">
+<tr><td>${bodyHtml}</td></tr>
+</table>
+<p style="font-size:12px;color:#7b8794;max-width:600px;">${footerHtml}</p>
+</td></tr>
+</table>
+</body>
+</html>`;
+}
+
+/**
+ * Watchlist digest
+ * @param {Object} data
+ * @param {Object} data.user - { name, email }
+ * @param {string} data.frequency - daily | weekly
+ * @param {Array} data.items - Feed items (type, title, companyCode, occurredAt)
+ * @param {number} data.moreCount - Items left out of the email
+ * @param {Object|null} data.reminder - { planName, expiresAt, daysLeft }
+ * @param {string} data.unsubscribeUrl - One-click unsubscribe link
+ * @param {string|null} data.preferencesUrl - Where to change notification settings
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+function renderDigest({ user, frequency, items, moreCount = 0, reminder, unsubscribeUrl, preferencesUrl }) {
+  const period = frequency === 'daily' ? 'daily' : 'weekly';
+  const companies = new Set(items.map(item => item.companyCode));
+  const subject = items.length > 0
+    ? `Your ${period} watchlist digest: ${items.length + moreCount} update${items.length + moreCount === 1 ? '' : 's'} across ${companies.size} compan${companies.size === 1 ? 'y' : 'ies'}`
+    : `Your ${period} watchlist digest`;
+  const greeting = `Hi ${user.name || 'there'},`;
+
+  const sections = DIGEST_SECTIONS
+    .map(section => ({ ...section, items: items.filter(item => item.type === section.type) }))
+    .filter(section => section.items.length > 0);
+
+  const reminderText = reminder
+    ? `Your ${reminder.planName} access ends on ${formatDate(reminder.expiresAt)} (${reminder.daysLeft} day${reminder.daysLeft === 1 ? '' : 's'} left) and will not renew automatically.`
+    : null;
+
+  // Plain text
+  const text = [
+    greeting,
+    '',
+    reminderText,
+    reminderText ? '' : null,
+    ...sections.flatMap(section => [
+      section.heading,
+      ...section.items.map(item => `  - ${item.title} (${formatDate(item.occurredAt)})`),
+      ''
+    ]),
+    moreCount > 0 ? `...and ${moreCount} more in your feed.` : null,
+    '',
+    `Unsubscribe from ${period} digests: ${unsubscribeUrl}`,
+    preferencesUrl ? `Notification settings: ${preferencesUrl}` : null
+  ].filter(line => line !== null).join('\n');
+
+  // HTML
+  const reminderHtml = reminderText
+    ? `<p style="background:#fff4e5;border-left:4px solid #f0a020;padding:12px;">${escapeHtml(reminderText)}</p>`
+    : '';
+  const sectionsHtml = sections.map(section => `
+<h3 style="font-size:15px;margin:20px 0 8px;">${escapeHtml(section.heading)}</h3>
+<ul style="padding-left:20px;margin:0;">
+${section.items.map(item => `<li style="margin-bottom:6px;">${escapeHtml(item.title)} <span style="color:#7b8794;font-size:12px;">${escapeHtml(formatDate(item.occurredAt))}</span></li>`).join('\n')}
+</ul>`).join('\n');
+  const moreHtml = moreCount > 0 ? `<p>…and ${moreCount} more in your feed.</p>` : '';
+
+  const footerHtml = [
+    `You receive this ${period} digest because you follow companies on SpecterFi.`,
+    `<a href="${escapeHtml(unsubscribeUrl)}" style="color:#7b8794;">Unsubscribe</a>`,
+    preferencesUrl ? `<a href="${escapeHtml(preferencesUrl)}" style="color:#7b8794;">Notification settings</a>` : null
+  ].filter(Boolean).join(' · ');
+
+  const html = layout(
+    subject,
+    `<p>${escapeHtml(greeting)}</p>${reminderHtml}${sectionsHtml}${moreHtml}`,
+    footerHtml
+  );
+
+  return { subject, html, text };
+}
+
+/**
+ * Page shown after following an unsubscribe link
+ * @param {Object} data - { success, message }
+ * @returns {string} HTML
+ */
+function renderUnsubscribePage({ success, message }) {
+  const title = success ? 'You have been unsubscribed' : 'Unsubscribe link not valid';
+  return layout(title, `<h2 style="font-size:18px;">${escapeHtml(title)}</h2><p>${escapeHtml(message)}</p>`, '');
+}
+
+module.exports = {
+  escapeHtml,
+  renderDigest,
+  renderUnsubscribePage
+};
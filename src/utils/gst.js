@@ -0,0 +1,107 @@
+/**
+ * GST helpers for invoicing: GSTIN validation, state codes and the
+ * CGST/SGST vs IGST split.
+ */
+
+/** GST state/UT codes (first two digits of a GSTIN) */
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Validate a GSTIN's format, state code and check digit
+ * @param {string} gstin
+ * @returns {boolean}
+ */
+function isValidGstin(gstin) {
+  if (typeof gstin !== 'string' || !GSTIN_PATTERN.test(gstin)) return false;
+  if (!STATE_CODES[gstin.slice(0, 2)]) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === gstin[14];
+}
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax.
+ * Intra-state supplies (buyer in the seller's state, or buyer state unknown —
+ * place of supply then defaults to the supplier's location) are taxed as
+ * CGST + SGST at half the rate each; inter-state supplies as IGST.
+ * @param {number} inclusiveAmount - Amount paid, in rupees, tax included
+ * @param {Object} options
+ * @param {number} options.rate - GST rate in percent (e.g. 18)
+ * @param {string} options.sellerStateCode - Seller's two-digit state code
+ * @param {string|null} options.buyerStateCode - Buyer's two-digit state code
+ * @returns {Object} { supplyType, placeOfSupply, taxableValue, cgst, sgst, igst, totalTax, total }
+ */
+function computeTaxBreakup(inclusiveAmount, { rate, sellerStateCode, buyerStateCode }) {
+  const total = round2(inclusiveAmount);
+  const taxableValue = round2(total / (1 + rate / 100));
+  const totalTax = round2(total - taxableValue);
+
+  const placeOfSupply = buyerStateCode || sellerStateCode;
+  const supplyType = placeOfSupply === sellerStateCode ? 'intra_state' : 'inter_state';
+
+  let cgst = null;
+  let sgst = null;
+  let igst = null;
+  if (supplyType === 'intra_state') {
+    const half = round2(totalTax / 2);
+    cgst = { rate: rate / 2, amount: half };
+    sgst = { rate: rate / 2, amount: round2(totalTax - half) };
+  } else {
+    igst = { rate, amount: totalTax };
+  }
+
+  return { supplyType, placeOfSupply, taxableValue, cgst, sgst, igst, totalTax, total };
+}
+
+module.exports = {
+  STATE_CODES,
+  isValidGstin,
+  computeTaxBreakup
+};
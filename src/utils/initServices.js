@@ -7,6 +7,60 @@ global.servicesReady = {
     redis: false
 };
 
+// Services whose collections need indexes
+const INDEXED_SERVICES = [
+    'userService',
+    'usageService',
+    'watchlistService',
+    'feedService',
+    'notificationService',
+    'pushService',
+    'paymentService',
+    'webhookService',
+    'reconciliationService',
+    'auditService'
+];
+
+/**
+ * Build indexes service by service. A failed build (e.g. a unique index
+ * over existing duplicate rows) is logged and doesn't stop the rest.
+ */
+const initializeIndexes = async () => {
+    for (const name of INDEXED_SERVICES) {
+        try {
+            await require(`../services/${name}`).initializeIndexes();
+        } catch (error) {
+            logger.error(`Index initialization failed for ${name}:`, error);
+        }
+    }
+    logger.info('Service indexes initialized');
+};
+
+/**
+ * Start the background jobs. Every instance runs the timers; a lease per job
+ * (see jobs/scheduledJob.js) lets one instance at a time do the work. Set
+ * JOBS_ENABLED=false to keep an instance out of it entirely.
+ */
+const startJobs = () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+        logger.info('Background jobs disabled on this instance (JOBS_ENABLED=false)');
+        return;
+    }
+
+    // Record lapsed subscriptions in the subscription ledger
+    require('../jobs/subscriptionExpiryJob').start();
+    // Retry failed webhook events
+    require('../jobs/webhookRetryJob').start();
+    // Recover payments whose verify call and webhook were both lost
+    require('../jobs/reconciliationJob').start();
+    // Deliver new concalls, guidance and results to followers' feeds
+    require('../jobs/feedJob').start();
+    // Daily and weekly watchlist digest emails
+    require('../jobs/digestJob').start();
+    // Prune dead push endpoints and push expiry reminders
+    require('../jobs/pushJob').start();
+};
+
 const initializeServices = async () => {
     logger.info('Initializing services...');
 
@@ -26,16 +80,23 @@ const initializeServices = async () => {
         await mongodb.connect();
         global.servicesReady.mongodb = true;
         logger.info('MongoDB connected successfully');
-
-        // Initialize user service indexes
-        const userService = require('../services/userService');
-        await userService.initializeIndexes();
-        logger.info('User service indexes initialized');
     } catch (error) {
         logger.error('MongoDB connection failed:', error);
         global.servicesReady.mongodb = false;
     }
 
+    if (global.servicesReady.mongodb) {
+        // Seed the plan catalog before anything reads prices or quotas
+        try {
+            const planService = require('../services/planService');
+            await planService.initialize();
+        } catch (error) {
+            logger.error('Plan catalog initialization failed:', error);
+        }
+
+        await initializeIndexes();
+    }
+
     // Initialize Redis connection
     try {
         const redis = require('../config/redis');
@@ -47,6 +108,12 @@ const initializeServices = async () => {
         global.servicesReady.redis = false;
     }
 
+    // Jobs use MongoDB for their leases and the cache through the services,
+    // so they start once every connection has been attempted
+    if (global.servicesReady.mongodb) {
+        startJobs();
+    }
+
     logger.info('Service initialization completed:', global.servicesReady);
 };
 
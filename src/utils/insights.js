@@ -0,0 +1,213 @@
+// ─── Period ordering ─────────────────────────────────────────────────────────
+
+const MONTH_ABBR = {
+  jan:1,feb:2,mar:3,apr:4,may:5,jun:6,
+  jul:7,aug:8,sep:9,oct:10,nov:11,dec:12
+};
+
+/**
+ * Parse any quarter/period string into a comparable { year, month } object.
+ * Handles:
+ *   "Q4FY26" / "Q4 FY26"  → fiscal-year format (Q4 FY26 = Jan 2026)
+ *   "May2026" / "Jan2025"  → MonthYear format
+ * Returns { year: 0, month: 0 } for unrecognised formats (sorted to end).
+ */
+function parseQuarterForSort(quarter) {
+  if (!quarter) return { year: 0, month: 0 };
+
+  // "Q4FY26" / "Q4 FY26"
+  const qMatch = quarter.match(/Q(\d+)\s*FY(\d+)/i);
+  if (qMatch) {
+    const qNum = parseInt(qMatch[1], 10);
+    const fy   = parseInt(qMatch[2], 10);
+    // Indian FY: Q1=Apr-Jun, Q2=Jul-Sep, Q3=Oct-Dec, Q4=Jan-Mar
+    // FY26 starts April 2025 → base calendar year = 2000+fy-1
+    const base = 2000 + fy - 1;
+    const monthStarts = { 1: 4, 2: 7, 3: 10, 4: 1 };
+    const yearAdd     = qNum === 4 ? 1 : 0;
+    return { year: base + yearAdd, month: monthStarts[qNum] ?? 1 };
+  }
+
+  // "May2026" / "Nov2025"
+  const mMatch = quarter.match(/^([A-Za-z]+)(\d{4})$/);
+  if (mMatch) {
+    const m = MONTH_ABBR[mMatch[1].toLowerCase().slice(0, 3)];
+    if (m) return { year: parseInt(mMatch[2], 10), month: m };
+  }
+
+  return { year: 0, month: 0 };
+}
+
+/**
+ * Parse an insights period label ("Mar 2024", "Q4 FY24") into { year, month }.
+ * Labels carry a space the quarter parser doesn't expect, so whitespace is
+ * collapsed first.
+ */
+function parsePeriodLabel(label) {
+  return parseQuarterForSort(String(label || '').replace(/\s+/g, ''));
+}
+
+/**
+ * Parse an insights period label into the { year, month } the period ends
+ * in, for matching periods rather than sorting them. Quarter labels resolve
+ * to the quarter's last month ("Q3 FY26" → Dec 2025), the same month a
+ * month-labelled column for that quarter ("Dec 2025") carries.
+ */
+function parsePeriodEnd(label) {
+  const text = String(label || '').replace(/\s+/g, '');
+  const period = parseQuarterForSort(text);
+  if (period.year && /^Q\d+FY\d+$/i.test(text)) {
+    return { year: period.year, month: period.month + 2 };
+  }
+  return period;
+}
+
+/**
+ * Sort comparator for insights period labels, oldest first.
+ * Unrecognised labels (e.g. "TTM") keep their relative order and go to the end.
+ */
+function comparePeriods(a, b) {
+  const pa = parsePeriodLabel(a);
+  const pb = parsePeriodLabel(b);
+  const ka = pa.year ? pa.year * 12 + pa.month : Infinity;
+  const kb = pb.year ? pb.year * 12 + pb.month : Infinity;
+  if (ka === kb) return 0;
+  return ka < kb ? -1 : 1;
+}
+
+// ─── Value parsing ───────────────────────────────────────────────────────────
+
+/** Display strings the scraper uses for "no value" */
+const EMPTY_VALUES = new Set(['', '-', '--', '—', 'na', 'n/a', 'nm', 'null']);
+
+/**
+ * Parse an insights display value into a number.
+ *   "1,234"   → 1234
+ *   "(56.7)"  → -56.7   (accounting negative)
+ *   "−12%"    → -12     (unicode minus, unit "%")
+ *   "-" / ""  → null
+ * @param {string|number|null} display - Value as stored in rows[].values
+ * @returns {{ value: number|null, unit: string|null }}
+ */
+function parseInsightNumber(display) {
+  if (display === null || display === undefined) return { value: null, unit: null };
+  if (typeof display === 'number') {
+    return { value: Number.isFinite(display) ? display : null, unit: null };
+  }
+
+  let text = String(display).trim();
+  if (EMPTY_VALUES.has(text.toLowerCase())) return { value: null, unit: null };
+
+  let negative = false;
+  const paren = text.match(/^\((.*)\)$/);
+  if (paren) {
+    negative = true;
+    text = paren[1].trim();
+  }
+
+  text = text.replace(/[−–]/g, '-');
+
+  let unit = null;
+  if (text.endsWith('%')) {
+    unit = '%';
+    text = text.slice(0, -1);
+  } else if (/\d\s*x$/i.test(text)) {
+    unit = 'x';
+    text = text.slice(0, -1);
+  }
+
+  text = text.replace(/,/g, '').replace(/^(₹|rs\.?)/i, '').trim();
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return { value: null, unit };
+
+  const value = parseFloat(text);
+  return { value: negative ? -Math.abs(value) : value, unit };
+}
+
+/**
+ * Resolve the unit for an insights row: explicit row.unit wins, then a
+ * unit found in the values themselves, then a trailing "%" on the metric name
+ * (e.g. "OPM %").
+ */
+function resolveRowUnit(row, parsedUnits = []) {
+  if (row.unit !== undefined && row.unit !== null && row.unit !== '') return row.unit;
+  const fromValues = parsedUnits.find(Boolean);
+  if (fromValues) return fromValues;
+  if (/%\s*$/.test(row.metric || '')) return '%';
+  return null;
+}
+
+/** Normalise a metric name for lookups ("Net Profit +" → "net profit") */
+function normalizeMetricName(name) {
+  return String(name || '')
+    .replace(/\s*\+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Find a tab in a transformed insights object, case-insensitively.
+ * @returns {{ key: string, data: Object }|null}
+ */
+function findInsightsTab(insights, tab) {
+  if (!insights || !tab) return null;
+  if (insights[tab]) return { key: tab, data: insights[tab] };
+  const wanted = tab.toLowerCase();
+  const key = Object.keys(insights).find(k => k.toLowerCase() === wanted);
+  return key && insights[key] ? { key, data: insights[key] } : null;
+}
+
+/**
+ * Build numeric series for the requested metrics of one insights tab.
+ * Operates on the shape produced by transformInsights():
+ *   { periods: [{ label }], rows: [{ metric, unit?, values: { [label]: display } }] }
+ * @param {Object} tabData - One transformed insights tab
+ * @param {string[]} metrics - Metric names to extract
+ * @returns {{ periods: string[], series: Array, missingMetrics: string[] }}
+ */
+function buildMetricSeries(tabData, metrics) {
+  const rows = tabData?.rows || [];
+  const labels = (tabData?.periods || []).map(p => p.label).filter(Boolean);
+
+  // Some tabs carry values for periods missing from the header — include them
+  const allLabels = new Set(labels);
+  rows.forEach(row => Object.keys(row.values || {}).forEach(l => allLabels.add(l)));
+  const periods = [...allLabels].sort(comparePeriods);
+
+  const series = [];
+  const missingMetrics = [];
+
+  for (const metric of metrics) {
+    const wanted = normalizeMetricName(metric);
+    const row = rows.find(r => normalizeMetricName(r.metric) === wanted);
+    if (!row) {
+      missingMetrics.push(metric);
+      continue;
+    }
+
+    const parsed = periods.map(period => {
+      const display = row.values?.[period] ?? null;
+      return { period, display, ...parseInsightNumber(display) };
+    });
+
+    series.push({
+      metric: row.metric,
+      unit: resolveRowUnit(row, parsed.map(p => p.unit)),
+      points: parsed.map(({ period, value, display }) => ({ period, value, display })),
+    });
+  }
+
+  return { periods, series, missingMetrics };
+}
+
+module.exports = {
+  parseQuarterForSort,
+  parsePeriodLabel,
+  parsePeriodEnd,
+  comparePeriods,
+  parseInsightNumber,
+  resolveRowUnit,
+  normalizeMetricName,
+  findInsightsTab,
+  buildMetricSeries,
+};
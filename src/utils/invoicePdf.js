@@ -0,0 +1,122 @@
+const PDFDocument = require('pdfkit');
+
+// Built-in PDF fonts have no rupee glyph, so amounts are labelled INR
+const money = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+function partyLines(party) {
+  return [
+    party.legalName || party.name,
+    party.address,
+    party.state && party.stateCode ? `State: ${party.state} (${party.stateCode})` : null,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    party.email
+  ].filter(Boolean);
+}
+
+/**
+ * Render a tax invoice as a PDF and pipe it to a writable stream
+ * (e.g. an Express response)
+ * @param {Object} invoice - Invoice document from invoiceService
+ * @param {Object} stream - Writable stream
+ */
+function renderInvoicePdf(invoice, stream) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const left = 50;
+  const right = doc.page.width - 50;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', left, 50);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Invoice No: ${invoice.invoiceNumber}`, left, 50, { align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Payment ID: ${invoice.razorpayPaymentId}`, { align: 'right' });
+
+  // Parties
+  const partiesTop = 120;
+  doc.font('Helvetica-Bold').text('Supplier', left, partiesTop);
+  doc.font('Helvetica').text(partyLines(invoice.seller).join('\n'), left, partiesTop + 15, { width: 230 });
+  doc.font('Helvetica-Bold').text('Bill To', 320, partiesTop);
+  doc.font('Helvetica').text(partyLines(invoice.buyer).join('\n') || 'Customer', 320, partiesTop + 15, { width: 230 });
+
+  const placeOfSupply = invoice.placeOfSupply.state
+    ? `${invoice.placeOfSupply.state} (${invoice.placeOfSupply.code})`
+    : invoice.placeOfSupply.code;
+  doc.moveDown(2)
+    .text(`Place of supply: ${placeOfSupply}    Reverse charge: ${invoice.reverseCharge ? 'Yes' : 'No'}`, left);
+
+  // Line items
+  const columns = [
+    { label: 'Description', x: left, width: 200 },
+    { label: 'SAC', x: 255, width: 50 },
+    { label: 'Qty', x: 305, width: 30, align: 'right' },
+    { label: 'Rate', x: 340, width: 65, align: 'right' },
+    { label: 'Discount', x: 410, width: 65, align: 'right' },
+    { label: 'Taxable', x: 480, width: right - 480, align: 'right' }
+  ];
+  let y = doc.y + 20;
+  doc.font('Helvetica-Bold');
+  columns.forEach(col => doc.text(col.label, col.x, y, { width: col.width, align: col.align || 'left' }));
+  doc.moveTo(left, y + 14).lineTo(right, y + 14).stroke();
+  y += 20;
+
+  doc.font('Helvetica');
+  for (const item of invoice.lineItems) {
+    const cells = [item.description, item.sac, String(item.quantity), money(item.unitPrice), money(item.discount), money(item.taxableValue)];
+    const rowHeight = doc.heightOfString(item.description, { width: columns[0].width });
+    cells.forEach((cell, i) => doc.text(cell, columns[i].x, y, { width: columns[i].width, align: columns[i].align || 'left' }));
+    y += rowHeight + 6;
+  }
+  doc.moveTo(left, y).lineTo(right, y).stroke();
+  y += 10;
+
+  // Tax breakup and totals
+  const totalRows = [['Taxable value', invoice.totals.taxableValue]];
+  if (invoice.tax.igst) {
+    totalRows.push([`IGST @ ${invoice.tax.igst.rate}%`, invoice.tax.igst.amount]);
+  } else {
+    totalRows.push([`CGST @ ${invoice.tax.cgst.rate}%`, invoice.tax.cgst.amount]);
+    totalRows.push([`SGST @ ${invoice.tax.sgst.rate}%`, invoice.tax.sgst.amount]);
+  }
+
+  for (const [label, amount] of totalRows) {
+    doc.text(label, 340, y, { width: 135, align: 'right' });
+    doc.text(money(amount), 480, y, { width: right - 480, align: 'right' });
+    y += 16;
+  }
+  doc.font('Helvetica-Bold');
+  doc.text(`Total (${invoice.currency})`, 340, y, { width: 135, align: 'right' });
+  doc.text(money(invoice.totals.total), 480, y, { width: right - 480, align: 'right' });
+
+  const remarks = [];
+  if (invoice.coupon) remarks.push(`Coupon ${invoice.coupon.code} applied.`);
+  if (invoice.prorationCredit) {
+    remarks.push(`Prorated credit of INR ${money(invoice.prorationCredit)} for the unused period of the previous plan applied.`);
+  }
+  if (remarks.length) {
+    doc.font('Helvetica').fontSize(9).text(remarks.join('\n'), left, y + 30, { width: right - left });
+  }
+
+  doc.font('Helvetica').fontSize(8)
+    .text('This is a computer-generated invoice and does not require a signature.', left, doc.page.height - 80, {
+      width: right - left,
+      align: 'center'
+    });
+
+  doc.end();
+}
+
+module.exports = {
+  renderInvoicePdf
+};
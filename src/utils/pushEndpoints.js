@@ -0,0 +1,39 @@
+/**
+ * Which URLs we accept as web push endpoints. Endpoints come from the
+ * browser and the server POSTs to them, so only the browsers' push services
+ * are allowed — anything else (internal hosts, metadata addresses) would let
+ * a client make the server send requests on its behalf.
+ */
+const { push: pushConfig } = require('../config/notifications');
+
+/**
+ * @param {string} hostname - Lowercase hostname
+ * @param {string} pattern - Exact host, or "*.example.com" for any subdomain
+ */
+function hostMatches(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Whether an endpoint is an https URL on a known push service (see
+ * push.allowedHosts), on the default port and without credentials
+ * @param {string} endpoint - PushSubscription endpoint
+ * @returns {boolean}
+ */
+function isPushServiceEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+  return pushConfig.allowedHosts.some(pattern => hostMatches(url.hostname, pattern));
+}
+
+module.exports = {
+  isPushServiceEndpoint
+};
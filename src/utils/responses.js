@@ -59,6 +59,26 @@ class ApiResponse {
         });
     }
 
+    static usageLimitReached(res, message, usage = null) {
+        return res.status(403).json({
+            success: false,
+            code: 'USAGE_LIMIT_REACHED',
+            message,
+            usage,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    static entitlementRequired(res, message, entitlement) {
+        return res.status(403).json({
+            success: false,
+            code: 'ENTITLEMENT_REQUIRED',
+            message,
+            entitlement,
+            timestamp: new Date().toISOString()
+        });
+    }
+
     static tooManyRequests(res, message = 'Too many requests') {
         return res.status(429).json({
             success: false,
@@ -1,4 +1,8 @@
 const Joi = require('joi');
+const { STATE_CODES, isValidGstin } = require('./gst');
+const { isPushServiceEndpoint } = require('./pushEndpoints');
+const { REFUND_REASONS } = require('../config/refunds');
+const { ROLES } = require('../config/roles');
 
 const schemas = {
     verifyToken: Joi.object({
@@ -35,18 +39,136 @@ const schemas = {
 
     trackConcall: Joi.object({
         concallId: Joi.string().required().min(1).max(200)
-    })
+    }),
+
+    compareCompanies: Joi.object({
+        companyCodes: Joi.array()
+            .items(Joi.string().min(1).max(50).pattern(/^[A-Z0-9_-]+$/))
+            .min(2).max(10).unique().required(),
+        metrics: Joi.array()
+            .items(Joi.object({
+                tab: Joi.string().required().min(1).max(50),
+                metric: Joi.string().required().min(1).max(100)
+            }))
+            .min(1).max(10).required()
+    }),
+
+    billingDetails: Joi.object({
+        legalName: Joi.string().trim().min(1).max(200).required(),
+        gstin: Joi.string().trim().uppercase().allow(null, '')
+            .custom((value, helpers) => (!value || isValidGstin(value) ? value : helpers.error('any.invalid')))
+            .messages({ 'any.invalid': '"gstin" is not a valid GSTIN' }),
+        address: Joi.string().trim().max(500).allow(null, ''),
+        stateCode: Joi.string().valid(...Object.keys(STATE_CODES)).allow(null)
+    }),
+
+    refundRequest: Joi.object({
+        reasonCode: Joi.string().valid(...Object.keys(REFUND_REASONS)).required(),
+        comment: Joi.string().trim().max(1000).allow(null, ''),
+        amount: Joi.number().positive().precision(2) // rupees; omit for a full refund
+    }),
+
+    refundReview: Joi.object({
+        note: Joi.string().trim().max(1000).allow(null, '')
+    }),
+
+    refundRejection: Joi.object({
+        reason: Joi.string().trim().min(1).max(1000).required()
+    }),
+
+    userRole: Joi.object({
+        role: Joi.string().valid(...Object.keys(ROLES)).required()
+    }),
+
+    adminGrant: Joi.object({
+        plan: Joi.string().trim().required(),
+        days: Joi.number().integer().min(1).max(3650).required(),
+        reason: Joi.string().trim().min(1).max(500).required()
+    }),
+
+    userStatus: Joi.object({
+        isActive: Joi.boolean().required(),
+        reason: Joi.string().trim().max(500).allow('', null)
+    }),
+
+    accountDeletion: Joi.object({
+        confirm: Joi.string().valid('DELETE').required()
+    }),
+
+    revokeSessions: Joi.object({
+        reason: Joi.string().trim().max(500).allow('', null)
+    }),
+
+    watchlistName: Joi.object({
+        name: Joi.string().trim().min(1).max(60).required()
+    }),
+
+    watchlistOrder: Joi.object({
+        ids: Joi.array().items(Joi.string().hex().length(24)).min(1).required()
+    }),
+
+    watchlistEntry: Joi.object({
+        companyCode: Joi.string().required().min(1).max(50).pattern(/^[A-Z0-9_-]+$/),
+        note: Joi.string().max(1000).allow('', null),
+        tags: Joi.array().items(Joi.string().trim().min(1).max(30)).max(20),
+        // Reference price the user saw when adding the company
+        price: Joi.number().positive(),
+        currency: Joi.string().length(3).uppercase()
+    }),
+
+    watchlistEntryUpdate: Joi.object({
+        note: Joi.string().max(1000).allow('', null),
+        tags: Joi.array().items(Joi.string().trim().min(1).max(30)).max(20)
+    }).min(1),
+
+    watchlistEntryOrder: Joi.object({
+        companyCodes: Joi.array().items(Joi.string().min(1).max(50)).min(1).required()
+    }),
+
+    notificationPreferences: Joi.object({
+        email: Joi.boolean(),
+        push: Joi.boolean(),
+        sms: Joi.boolean(),
+        digest: Joi.string().valid('daily', 'weekly', 'off')
+    }).min(1),
+
+    // PushSubscription.toJSON() from the browser
+    pushSubscription: Joi.object({
+        subscription: Joi.object({
+            endpoint: Joi.string().uri({ scheme: 'https' }).max(2048).required()
+                .custom((value, helpers) => (isPushServiceEndpoint(value) ? value : helpers.error('any.invalid')))
+                .messages({ 'any.invalid': '"endpoint" is not a supported push service' }),
+            expirationTime: Joi.number().integer().allow(null),
+            keys: Joi.object({
+                p256dh: Joi.string().max(200).required(),
+                auth: Joi.string().max(100).required()
+            }).required()
+        }).required(),
+        deviceName: Joi.string().trim().max(100)
+    }),
+
+    pushUnsubscribe: Joi.object({
+        endpoint: Joi.string().uri({ scheme: 'https' }).max(2048).required()
+    }),
+
+    // Either specific items or the whole feed
+    feedRead: Joi.object({
+        ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100),
+        all: Joi.boolean().valid(true)
+    }).xor('ids', 'all')
 };
 
 const validate = (schema) => {
     return (req, res, next) => {
-        const { error } = schema.validate(req.body);
+        const { error, value } = schema.validate(req.body);
         if (error) {
             return res.status(400).json({
                 error: 'Validation error',
                 details: error.details.map(detail => detail.message)
             });
         }
+        // Handlers see the normalized body (trimmed, upper-cased, converted)
+        req.body = value;
         next();
     };
 };
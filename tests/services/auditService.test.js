@@ -0,0 +1,63 @@
+jest.mock('../../src/models/AuditLog', () => ({}));
+
+const auditService = require('../../src/services/auditService');
+
+describe('auditService.diff', () => {
+  it('lists changed fields as sorted dotted paths', () => {
+    const expiresAt = new Date('2026-11-01T00:00:00Z');
+    const before = { isActive: true, subscription: { plan: 'basic', expiresAt }, tags: ['a'] };
+    const after = {
+      isActive: true,
+      subscription: { plan: 'premium', expiresAt: new Date(expiresAt) },
+      tags: ['a', 'b'],
+      role: 'admin',
+    };
+
+    expect(auditService.diff(before, after)).toEqual([
+      { path: 'role', from: null, to: 'admin' },
+      { path: 'subscription.plan', from: 'basic', to: 'premium' },
+      { path: 'tags', from: ['a'], to: ['a', 'b'] },
+    ]);
+  });
+
+  it('treats a missing state as empty', () => {
+    expect(auditService.diff(null, { status: 'requested', amount: 100 })).toEqual([
+      { path: 'amount', from: null, to: 100 },
+      { path: 'status', from: null, to: 'requested' },
+    ]);
+    expect(auditService.diff({ status: 'requested' }, null)).toEqual([
+      { path: 'status', from: 'requested', to: null },
+    ]);
+  });
+
+  it('compares dates by value', () => {
+    const changed = auditService.diff(
+      { expiresAt: new Date('2026-11-01T00:00:00Z') },
+      { expiresAt: new Date('2026-12-01T00:00:00Z') }
+    );
+
+    expect(changed).toEqual([
+      { path: 'expiresAt', from: new Date('2026-11-01T00:00:00Z'), to: new Date('2026-12-01T00:00:00Z') },
+    ]);
+  });
+
+  it('does not report undefined and null as a change', () => {
+    expect(auditService.diff({ note: undefined }, { note: null })).toEqual([]);
+  });
+
+  it('compares objects nested beyond the depth limit as a whole', () => {
+    const before = { a: { b: { c: { d: { e: 1 } } } } };
+    const after = { a: { b: { c: { d: { e: 2 } } } } };
+
+    expect(auditService.diff(before, after)).toEqual([
+      { path: 'a.b.c.d', from: { e: 1 }, to: { e: 2 } },
+    ]);
+  });
+
+  it('reports an object emptied out', () => {
+    expect(auditService.diff({ notes: { a: 1 } }, { notes: {} })).toEqual([
+      { path: 'notes', from: null, to: {} },
+      { path: 'notes.a', from: 1, to: null },
+    ]);
+  });
+});
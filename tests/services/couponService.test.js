@@ -0,0 +1,125 @@
+jest.mock('../../src/models/Coupon', () => ({
+  findByCode: jest.fn(),
+  claimRedemption: jest.fn()
+}));
+jest.mock('../../src/models/CouponRedemption', () => ({
+  claim: jest.fn(),
+  release: jest.fn()
+}));
+jest.mock('../../src/models/Order', () => {
+  // coupon.countedAt per order, as claimCouponCount/releaseCouponCount keep it
+  const counted = new Set();
+  return {
+    counted,
+    claimCouponCount: jest.fn(async (id) => {
+      if (counted.has(id)) return false;
+      counted.add(id);
+      return true;
+    }),
+    releaseCouponCount: jest.fn(async (id) => { counted.delete(id); }),
+    markCouponRedeemed: jest.fn(async () => true),
+    flagCouponOverLimit: jest.fn(async () => {})
+  };
+});
+jest.mock('../../src/services/planService', () => ({}));
+
+const CouponModel = require('../../src/models/Coupon');
+const CouponRedemptionModel = require('../../src/models/CouponRedemption');
+const OrderModel = require('../../src/models/Order');
+const couponService = require('../../src/services/couponService');
+
+describe('couponService.computeDiscount', () => {
+  it('takes a percentage of the price', () => {
+    expect(couponService.computeDiscount({ type: 'percent', value: 20 }, 299)).toBe(59.8);
+  });
+
+  it('caps a percentage at maxDiscount', () => {
+    expect(couponService.computeDiscount({ type: 'percent', value: 50, maxDiscount: 100 }, 299)).toBe(100);
+    expect(couponService.computeDiscount({ type: 'percent', value: 10, maxDiscount: null }, 299)).toBe(29.9);
+  });
+
+  it('takes a flat amount off', () => {
+    expect(couponService.computeDiscount({ type: 'flat', value: 50 }, 299)).toBe(50);
+  });
+
+  it('leaves the minimum payable amount', () => {
+    expect(couponService.computeDiscount({ type: 'flat', value: 500 }, 299)).toBe(298);
+    expect(couponService.computeDiscount({ type: 'percent', value: 100 }, 299)).toBe(298);
+  });
+
+  it('rounds to paise', () => {
+    expect(couponService.computeDiscount({ type: 'percent', value: 15 }, 2999)).toBe(449.85);
+    expect(couponService.computeDiscount({ type: 'percent', value: 33 }, 299)).toBe(98.67);
+  });
+
+  it('never goes negative', () => {
+    expect(couponService.computeDiscount({ type: 'flat', value: 10 }, 0.5)).toBe(0);
+  });
+});
+
+describe('couponService.recordRedemption', () => {
+  const order = {
+    razorpayOrderId: 'order_1',
+    userId: 'user_1',
+    coupon: { code: 'WELCOME20', redeemedAt: null }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrderModel.counted.clear();
+    CouponModel.findByCode.mockResolvedValue({ code: 'WELCOME20', perUserLimit: 1 });
+    CouponModel.claimRedemption.mockResolvedValue(true);
+    CouponRedemptionModel.claim.mockResolvedValue(true);
+  });
+
+  it('claims the user\'s use and a redemption for the order', async () => {
+    await expect(couponService.recordRedemption(order)).resolves.toBe(true);
+
+    expect(CouponRedemptionModel.claim).toHaveBeenCalledWith('WELCOME20', 'user_1', 1, 'order_1');
+    expect(CouponModel.claimRedemption).toHaveBeenCalledTimes(1);
+    expect(OrderModel.markCouponRedeemed).toHaveBeenCalledWith('order_1');
+  });
+
+  it('counts the redemption once when retried after a failure', async () => {
+    OrderModel.markCouponRedeemed.mockRejectedValueOnce(new Error('connection reset'));
+    await expect(couponService.recordRedemption(order)).rejects.toThrow('connection reset');
+
+    await expect(couponService.recordRedemption(order)).resolves.toBe(true);
+    expect(CouponModel.claimRedemption).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives the count back when the coupon update fails', async () => {
+    CouponModel.claimRedemption.mockRejectedValueOnce(new Error('connection reset'));
+    await expect(couponService.recordRedemption(order)).rejects.toThrow('connection reset');
+
+    expect(OrderModel.releaseCouponCount).toHaveBeenCalledWith('order_1');
+    await expect(couponService.recordRedemption(order)).resolves.toBe(true);
+    expect(CouponModel.claimRedemption).toHaveBeenCalledTimes(2);
+  });
+
+  it('flags the order and gives back the user\'s use when the coupon is fully redeemed', async () => {
+    CouponModel.claimRedemption.mockResolvedValueOnce(false);
+
+    await expect(couponService.recordRedemption(order)).resolves.toBe(false);
+
+    expect(CouponRedemptionModel.release).toHaveBeenCalledWith('WELCOME20', 'user_1', 'order_1');
+    expect(OrderModel.flagCouponOverLimit).toHaveBeenCalledWith('order_1', 'max_redemptions');
+    expect(OrderModel.markCouponRedeemed).not.toHaveBeenCalled();
+  });
+
+  it('skips orders already redeemed', async () => {
+    const redeemed = { ...order, coupon: { ...order.coupon, redeemedAt: new Date() } };
+
+    await expect(couponService.recordRedemption(redeemed)).resolves.toBe(false);
+    expect(CouponModel.findByCode).not.toHaveBeenCalled();
+  });
+});
+
+describe('CouponRedemption.claim', () => {
+  // The real model; the service tests above use the mock
+  const CouponRedemption = jest.requireActual('../../src/models/CouponRedemption');
+
+  it('refuses every use of a coupon with a per-user limit of 0', async () => {
+    await expect(CouponRedemption.claim('WELCOME20', 'user_1', 0, 'order_1')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../src/services/companyService', () => ({ getCompanyById: jest.fn() }));
+
+const companyService = require('../../src/services/companyService');
+const guidanceService = require('../../src/services/guidanceService');
+
+const companyWith = (insights, guidanceTable) => ({
+  companyCode: 'ACME',
+  name: 'Acme Ltd',
+  insights,
+  documents: { Concalls: [{ quarter: 'Q2 FY26', guidanceTable }] },
+});
+
+describe('guidanceService.getGuidanceTracker', () => {
+  it('matches a quarterly target to quarter-labelled actuals', async () => {
+    companyService.getCompanyById.mockResolvedValue(companyWith(
+      { quarterlyResults: { rows: [{ metric: 'Sales', values: { 'Q3 FY25': '1,000', 'Q3 FY26': '1,180' } }] } },
+      [{ metric: 'Revenue growth', guidance: '15-20%', period: 'Q3 FY26' }]
+    ));
+
+    const tracker = await guidanceService.getGuidanceTracker('ACME');
+    const [entry] = tracker.metrics[0].entries;
+
+    expect(entry.targetPeriod).toBe('Q3FY26');
+    expect(entry.actual).toMatchObject({ value: 18, period: 'Q3 FY26', tab: 'quarterlyResults' });
+    expect(entry.status).toBe('met');
+  });
+
+  it('matches a quarterly target to month-labelled actuals', async () => {
+    companyService.getCompanyById.mockResolvedValue(companyWith(
+      { quarterlyResults: { rows: [{ metric: 'OPM %', values: { 'Sep 2025': '21%', 'Dec 2025': '24%' } }] } },
+      [{ metric: 'EBITDA margin', guidance: 'at least 22%', period: 'Q3FY26' }]
+    ));
+
+    const tracker = await guidanceService.getGuidanceTracker('ACME');
+    const [entry] = tracker.metrics[0].entries;
+
+    expect(entry.actual).toMatchObject({ value: 24, period: 'Dec 2025' });
+    expect(entry.status).toBe('beat');
+  });
+
+  it('matches an annual target to the fiscal year-end column', async () => {
+    companyService.getCompanyById.mockResolvedValue(companyWith(
+      { profitLoss: { rows: [{ metric: 'Net Profit', values: { 'Mar 2025': '100', 'Mar 2026': '90' } }] } },
+      [{ metric: 'PAT growth', guidance: '10%', period: 'FY26' }]
+    ));
+
+    const tracker = await guidanceService.getGuidanceTracker('ACME');
+    const [entry] = tracker.metrics[0].entries;
+
+    expect(entry.actual).toMatchObject({ value: -10, period: 'Mar 2026' });
+    expect(entry.status).toBe('missed');
+  });
+
+  it('leaves guidance pending until the quarter is reported', async () => {
+    companyService.getCompanyById.mockResolvedValue(companyWith(
+      { quarterlyResults: { rows: [{ metric: 'Sales', values: { 'Q2 FY26': '1,000' } }] } },
+      [{ metric: 'Revenue', guidance: '1,100', period: 'Q3 FY26' }]
+    ));
+
+    const tracker = await guidanceService.getGuidanceTracker('ACME');
+    const [entry] = tracker.metrics[0].entries;
+
+    expect(entry.status).toBe('pending');
+    expect(entry.reason).toBe('awaiting_actuals');
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/models/NotificationLog', () => ({
+  claim: jest.fn(async () => ({ _id: 'log_1' })),
+  findLastSent: jest.fn(async () => null),
+  markSent: jest.fn(async () => {}),
+  markSkipped: jest.fn(async () => {}),
+  markFailed: jest.fn(async () => {})
+}));
+jest.mock('../../src/models/FeedItem', () => ({
+  findSince: jest.fn(async () => []),
+  countSince: jest.fn(async () => 0)
+}));
+jest.mock('../../src/models/User', () => ({}));
+jest.mock('../../src/services/planService', () => ({ getPlan: jest.fn(async () => ({ name: 'Premium' })) }));
+jest.mock('../../src/services/auditService', () => ({}));
+
+const notificationConfig = require('../../src/config/notifications');
+const { createTransport } = require('../../src/config/emailTransport');
+const NotificationLogModel = require('../../src/models/NotificationLog');
+const FeedItemModel = require('../../src/models/FeedItem');
+const notificationService = require('../../src/services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T04:00:00Z');
+
+const user = {
+  uid: 'user_1',
+  email: 'asha@example.com',
+  name: 'Asha',
+  subscription: null,
+  preferences: { notifications: { email: true, digest: 'weekly' } }
+};
+
+const feedItem = (type, companyCode, title) => ({
+  type, companyCode, title, occurredAt: new Date(NOW.getTime() - DAY_MS)
+});
+
+describe('notificationService.sendDigest through the file transport', () => {
+  let fileDir;
+
+  // The one message the file transport wrote
+  const sentMessage = () => {
+    const files = fs.readdirSync(fileDir);
+    expect(files).toHaveLength(1);
+    return JSON.parse(fs.readFileSync(path.join(fileDir, files[0]), 'utf8'));
+  };
+
+  beforeEach(() => {
+    fileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'digest-test-'));
+    notificationService.setTransport(createTransport('file', { ...notificationConfig.email, fileDir }));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(fileDir, { recursive: true, force: true });
+  });
+
+  it('renders feed items by section with a working unsubscribe link', async () => {
+    FeedItemModel.findSince.mockResolvedValueOnce([
+      feedItem('concall.new', 'ACME', 'Acme Q2 FY27 concall summary'),
+      feedItem('guidance.new', 'ACME', 'Acme raises FY27 revenue guidance'),
+      feedItem('concall.new', 'GLOBEX', 'Globex <Q2> concall summary')
+    ]);
+
+    const status = await notificationService.sendDigest(user, 'weekly', 'weekly:2026-10-19', NOW);
+
+    expect(status).toBe('sent');
+    const message = sentMessage();
+    expect(message.to).toBe('asha@example.com');
+    expect(message.subject).toBe('Your weekly watchlist digest: 3 updates across 2 companies');
+    expect(message.text).toContain('Hi Asha,');
+    expect(message.text).toContain('New concall summaries\n  - Acme Q2 FY27 concall summary');
+    expect(message.text).toContain('Guidance changes\n  - Acme raises FY27 revenue guidance');
+    expect(message.html).toContain('Globex &lt;Q2&gt; concall summary');
+
+    const unsubscribeUrl = message.headers['List-Unsubscribe'].slice(1, -1);
+    expect(message.text).toContain(unsubscribeUrl);
+    const token = new URL(unsubscribeUrl).searchParams.get('token');
+    expect(notificationService.verifyUnsubscribeToken(token)).toEqual({ uid: 'user_1', scope: 'digest' });
+
+    expect(NotificationLogModel.markSent).toHaveBeenCalledWith('log_1', { messageId: message.messageId, itemCount: 3 });
+  });
+
+  it('includes an expiry reminder for a subscription that will not renew', async () => {
+    const expiring = {
+      ...user,
+      subscription: { plan: 'premium', expiresAt: new Date(NOW.getTime() + 3 * DAY_MS), autoRenew: false }
+    };
+
+    const status = await notificationService.sendDigest(expiring, 'daily', 'daily:2026-10-19', NOW);
+
+    expect(status).toBe('sent');
+    const message = sentMessage();
+    expect(message.subject).toBe('Your daily watchlist digest');
+    expect(message.text).toContain('Your Premium access ends on');
+    expect(message.text).toContain('(3 days left) and will not renew automatically.');
+  });
+
+  it('mentions items beyond the digest limit', async () => {
+    const { maxItems } = notificationConfig.digest;
+    FeedItemModel.findSince.mockResolvedValueOnce(
+      Array.from({ length: maxItems }, (_, i) => feedItem('insights.updated', `CO${i}`, `Results for CO${i}`))
+    );
+    FeedItemModel.countSince.mockResolvedValueOnce(maxItems + 5);
+
+    await notificationService.sendDigest(user, 'weekly', 'weekly:2026-10-19', NOW);
+
+    expect(sentMessage().text).toContain('...and 5 more in your feed.');
+  });
+
+  it('sends nothing when there is nothing new', async () => {
+    const status = await notificationService.sendDigest(user, 'weekly', 'weekly:2026-10-19', NOW);
+
+    expect(status).toBe('skipped');
+    expect(fs.readdirSync(fileDir)).toEqual([]);
+    expect(NotificationLogModel.markSkipped).toHaveBeenCalledWith('log_1');
+  });
+
+  it('sends at most one digest per period', async () => {
+    NotificationLogModel.claim.mockResolvedValueOnce(null);
+
+    const status = await notificationService.sendDigest(user, 'weekly', 'weekly:2026-10-19', NOW);
+
+    expect(status).toBe('duplicate');
+    expect(fs.readdirSync(fileDir)).toEqual([]);
+  });
+});
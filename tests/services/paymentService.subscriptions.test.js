@@ -0,0 +1,152 @@
+process.env.RAZORPAY_STUB = 'true';
+process.env.RAZORPAY_KEY_SECRET = 'test-secret';
+
+jest.mock('../../src/models/Subscription', () => {
+  const docs = new Map();
+  const live = ['created', 'authenticated', 'active', 'pending', 'halted', 'paused'];
+  return {
+    docs,
+    create: jest.fn(async (data) => {
+      const doc = { _id: data.razorpaySubscriptionId, paidCount: 0, cancelAtCycleEnd: false, ...data };
+      docs.set(doc.razorpaySubscriptionId, doc);
+      return doc;
+    }),
+    findByRazorpaySubscriptionId: jest.fn(async (id) => docs.get(id) || null),
+    findLiveByUserId: jest.fn(async (userId) =>
+      [...docs.values()].find(doc => doc.userId === userId && live.includes(doc.status)) || null),
+    updateStatus: jest.fn(async (id, status, extra = {}) => {
+      const doc = docs.get(id);
+      if (!doc) return null;
+      Object.assign(doc, { status, ...extra });
+      return doc;
+    })
+  };
+});
+
+jest.mock('../../src/models/Payment', () => {
+  const docs = new Map();
+  return {
+    docs,
+    findByRazorpayPaymentId: jest.fn(async (id) => docs.get(id) || null),
+    create: jest.fn(async (data) => {
+      docs.set(data.razorpayPaymentId, data);
+      return data;
+    })
+  };
+});
+
+jest.mock('../../src/models/User', () => ({
+  findByUid: jest.fn(async () => ({ uid: 'user_1', subscription: null })),
+  syncRecurringSubscription: jest.fn(async (uid, { plan, currentEnd }) => ({
+    plan, startedAt: new Date(), expiresAt: currentEnd, previous: null
+  })),
+  updateRecurringStatus: jest.fn(async () => true)
+}));
+
+jest.mock('../../src/models/Order', () => ({}));
+
+jest.mock('../../src/services/planService', () => ({
+  getBillingCycle: jest.fn(async (plan, billingCycle) => ({
+    plan, billingCycle, name: 'Premium', price: 299, currency: 'INR', razorpayPlanId: null
+  })),
+  setRazorpayPlan: jest.fn(async () => {})
+}));
+
+jest.mock('../../src/services/invoiceService', () => ({
+  generateForSubscriptionCharge: jest.fn(async () => ({}))
+}));
+
+jest.mock('../../src/services/entitlementService', () => ({ invalidate: jest.fn(async () => {}) }));
+
+jest.mock('../../src/services/subscriptionEventService', () => ({
+  TYPES: { ACTIVATED: 'activated', CANCELLED: 'cancelled', PAUSED: 'paused', RESUMED: 'resumed', HALTED: 'halted' },
+  activationType: () => 'activated',
+  record: jest.fn(async () => null)
+}));
+
+jest.mock('../../src/services/couponService', () => ({}));
+jest.mock('../../src/services/planChangeService', () => ({}));
+jest.mock('../../src/services/refundService', () => ({}));
+
+const { razorpay } = require('../../src/config/razorpay');
+const SubscriptionModel = require('../../src/models/Subscription');
+const PaymentModel = require('../../src/models/Payment');
+const UserModel = require('../../src/models/User');
+const invoiceService = require('../../src/services/invoiceService');
+const subscriptionEventService = require('../../src/services/subscriptionEventService');
+const paymentService = require('../../src/services/paymentService');
+
+describe('recurring subscriptions against the stub Razorpay client', () => {
+  let subscriptionId;
+
+  it('creates a Razorpay plan and subscription', async () => {
+    const { razorpaySubscription, savedSubscription } = await paymentService.createSubscription('user_1', 'premium', 'monthly');
+
+    subscriptionId = razorpaySubscription.id;
+    expect(razorpaySubscription.status).toBe('created');
+    expect(savedSubscription).toMatchObject({ userId: 'user_1', plan: 'premium', billingCycle: 'monthly', status: 'created' });
+
+    const rzpPlan = await razorpay.plans.fetch(savedSubscription.razorpayPlanId);
+    expect(rzpPlan).toMatchObject({ period: 'monthly', item: { amount: 29900, currency: 'INR' } });
+  });
+
+  it('refuses a second live subscription', async () => {
+    await expect(paymentService.createSubscription('user_1', 'premium', 'monthly'))
+      .rejects.toMatchObject({ code: 'SUBSCRIPTION_EXISTS' });
+  });
+
+  it('activates access and records the payment on subscription.charged', async () => {
+    const payload = razorpay.subscriptions.charge(subscriptionId);
+
+    await paymentService.processWebhookEvent('subscription.charged', payload);
+    // Redelivered webhook
+    await paymentService.processWebhookEvent('subscription.charged', payload);
+
+    const paymentId = payload.payment.entity.id;
+    expect(PaymentModel.create).toHaveBeenCalledTimes(1);
+    expect(PaymentModel.docs.get(paymentId)).toMatchObject({ razorpaySubscriptionId: subscriptionId, userId: 'user_1', amount: 29900 });
+    expect(invoiceService.generateForSubscriptionCharge).toHaveBeenCalledTimes(1);
+
+    expect(SubscriptionModel.docs.get(subscriptionId)).toMatchObject({ status: 'active', paidCount: 1 });
+    expect(UserModel.syncRecurringSubscription).toHaveBeenCalledWith('user_1', expect.objectContaining({
+      razorpaySubscriptionId: subscriptionId,
+      status: 'active',
+      currentEnd: new Date(payload.subscription.entity.current_end * 1000)
+    }));
+    expect(subscriptionEventService.record).toHaveBeenCalledWith('activated', 'user_1', expect.objectContaining({
+      dedupeKey: `charge:${subscriptionId}:1`
+    }));
+  });
+
+  it('pauses and resumes', async () => {
+    const paused = await paymentService.pauseSubscription('user_1');
+    expect(paused.status).toBe('paused');
+    expect(UserModel.updateRecurringStatus).toHaveBeenLastCalledWith('user_1', subscriptionId, 'paused', false);
+
+    await expect(paymentService.pauseSubscription('user_1')).rejects.toMatchObject({ code: 'INVALID_SUBSCRIPTION_STATE' });
+
+    const resumed = await paymentService.resumeSubscription('user_1');
+    expect(resumed.status).toBe('active');
+    expect(UserModel.updateRecurringStatus).toHaveBeenLastCalledWith('user_1', subscriptionId, 'active', true);
+  });
+
+  it('stops renewing when halted', async () => {
+    const entity = { ...(await razorpay.subscriptions.fetch(subscriptionId)), status: 'halted' };
+
+    await paymentService.processWebhookEvent('subscription.halted', { subscription: { entity } });
+
+    expect(SubscriptionModel.docs.get(subscriptionId).status).toBe('halted');
+    expect(UserModel.updateRecurringStatus).toHaveBeenLastCalledWith('user_1', subscriptionId, 'halted', false);
+    expect(subscriptionEventService.record).toHaveBeenLastCalledWith('halted', 'user_1', expect.objectContaining({
+      razorpaySubscriptionId: subscriptionId
+    }));
+  });
+
+  it('cancels immediately unless the subscription is active', async () => {
+    const cancelled = await paymentService.cancelSubscription('user_1');
+
+    expect(cancelled).toMatchObject({ status: 'cancelled', cancelAtCycleEnd: false });
+    expect((await razorpay.subscriptions.fetch(subscriptionId)).status).toBe('cancelled');
+    await expect(paymentService.cancelSubscription('user_1')).rejects.toMatchObject({ code: 'SUBSCRIPTION_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../../src/models/User', () => ({ findByUid: jest.fn(), applyPlanChange: jest.fn() }));
+jest.mock('../../src/services/planService', () => ({ getBillingCycle: jest.fn() }));
+jest.mock('../../src/services/entitlementService', () => ({ invalidate: jest.fn(async () => {}) }));
+jest.mock('../../src/services/subscriptionEventService', () => ({
+  TYPES: { PLAN_CHANGED: 'plan_changed' },
+  record: jest.fn(async () => null),
+}));
+
+const UserModel = require('../../src/models/User');
+const planService = require('../../src/services/planService');
+const planChangeService = require('../../src/services/planChangeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+const CATALOG = {
+  'premium:monthly': { plan: 'premium', price: 299, currency: 'INR', durationDays: 30 },
+  'premium:annual': { plan: 'premium', price: 2999, currency: 'INR', durationDays: 365 },
+  'plus:monthly': { plan: 'plus', price: 289.5, currency: 'INR', durationDays: 30 },
+};
+
+const onPlan = (plan, billingCycle, daysLeft, source = 'paid') => {
+  UserModel.findByUid.mockResolvedValue({
+    uid: 'user_1',
+    subscription: { plan, billingCycle, source, expiresAt: new Date(NOW.getTime() + daysLeft * DAY_MS) },
+  });
+};
+
+beforeAll(() => {
+  jest.useFakeTimers({ now: NOW });
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+});
+
+beforeEach(() => {
+  planService.getBillingCycle.mockImplementation(async (plan, cycle) => CATALOG[`${plan}:${cycle}`] || null);
+});
+
+describe('planChangeService.quote', () => {
+  it('credits the unused part of the current period against an upgrade', async () => {
+    onPlan('premium', 'monthly', 15);
+
+    const quote = await planChangeService.quote('user_1', 'premium', 'annual');
+
+    expect(quote).toMatchObject({
+      remainingDays: 15,
+      credit: 149.5,
+      amountDue: 2849.5,
+      requiresPayment: true,
+      to: { plan: 'premium', billingCycle: 'annual', price: 2999, durationDays: 365 },
+    });
+    expect(quote.expiresAt).toEqual(new Date(NOW.getTime() + 365 * DAY_MS));
+  });
+
+  it('turns surplus credit into extra days on a free switch', async () => {
+    onPlan('premium', 'annual', 300);
+
+    const quote = await planChangeService.quote('user_1', 'premium', 'monthly');
+
+    // 2999 * 300/365 of credit buys 247 days at 299 per 30 days
+    expect(quote).toMatchObject({ credit: 2464.93, amountDue: 0, requiresPayment: false });
+    expect(quote.to.durationDays).toBe(247);
+    expect(quote.expiresAt).toEqual(new Date(NOW.getTime() + 247 * DAY_MS));
+  });
+
+  it('never credits more than the current price', async () => {
+    onPlan('premium', 'monthly', 45);
+
+    const quote = await planChangeService.quote('user_1', 'premium', 'annual');
+
+    expect(quote.credit).toBe(299);
+    expect(quote.amountDue).toBe(2700);
+  });
+
+  it('rounds a small difference up to the minimum payable amount', async () => {
+    onPlan('premium', 'monthly', 29);
+
+    const quote = await planChangeService.quote('user_1', 'plus', 'monthly');
+
+    expect(quote.credit).toBe(289.03);
+    expect(quote.amountDue).toBe(1);
+    expect(quote.to.durationDays).toBe(30);
+  });
+
+  it('refuses to switch to the current plan', async () => {
+    onPlan('premium', 'monthly', 15);
+
+    await expect(planChangeService.quote('user_1', 'premium', 'monthly')).rejects.toMatchObject({ code: 'SAME_PLAN' });
+  });
+
+  it.each([
+    ['a recurring subscription', () => onPlan('premium', 'monthly', 15, 'recurring')],
+    ['an expired plan', () => onPlan('premium', 'monthly', -1)],
+    ['a trial', () => onPlan('premium', 'monthly', 5, 'trial')],
+  ])('refuses to switch from %s', async (_, setup) => {
+    setup();
+
+    await expect(planChangeService.quote('user_1', 'premium', 'annual')).rejects.toMatchObject({ code: 'NO_SWITCHABLE_PLAN' });
+  });
+
+  it('rejects an unknown target plan', async () => {
+    onPlan('premium', 'monthly', 15);
+
+    await expect(planChangeService.quote('user_1', 'gold', 'monthly')).rejects.toMatchObject({ code: 'INVALID_PLAN' });
+  });
+});
+
+describe('planChangeService.applySwitch', () => {
+  const quote = {
+    from: { plan: 'premium', billingCycle: 'annual', expiresAt: new Date(NOW.getTime() + 300 * DAY_MS) },
+    to: { plan: 'premium', billingCycle: 'monthly', price: 299, currency: 'INR', durationDays: 247 },
+    credit: 2464.93,
+  };
+
+  it('refuses a stale free switch instead of granting the period again', async () => {
+    UserModel.applyPlanChange.mockResolvedValueOnce(false);
+
+    await expect(planChangeService.applySwitch('user_1', quote)).rejects.toMatchObject({ code: 'QUOTE_STALE' });
+    expect(UserModel.applyPlanChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('re-prices a stale paid switch from the current subscription', async () => {
+    // Quoted from 15 days left on monthly; another month was bought before this payment landed
+    const paidQuote = {
+      from: { plan: 'premium', billingCycle: 'monthly', expiresAt: new Date(NOW.getTime() + 15 * DAY_MS) },
+      to: { plan: 'premium', billingCycle: 'annual', price: 2999, currency: 'INR', durationDays: 365 },
+      credit: 149.5,
+    };
+    onPlan('premium', 'monthly', 45);
+    UserModel.applyPlanChange.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const result = await planChangeService.applySwitch('user_1', paidQuote, {
+      razorpayOrderId: 'order_1', razorpayPaymentId: 'pay_1', amount: 2849.5,
+    });
+
+    // 299 of credit (capped at the monthly price) + 2849.5 paid, at 2999 per 365 days
+    expect(result.creditApplied).toBe(299);
+    expect(result.expiresAt).toEqual(new Date(NOW.getTime() + 383 * DAY_MS));
+    expect(UserModel.applyPlanChange).toHaveBeenLastCalledWith(
+      'user_1',
+      expect.objectContaining({ plan: 'premium', billingCycle: 'monthly' }),
+      { plan: 'premium', billingCycle: 'annual', expiresAt: result.expiresAt },
+      expect.objectContaining({ credit: 299, amountPaid: 2849.5, quoteStale: true })
+    );
+  });
+
+  it('buys only the paid days when there is no paid time left to credit', async () => {
+    const paidQuote = {
+      from: { plan: 'premium', billingCycle: 'monthly', expiresAt: new Date(NOW.getTime() + 15 * DAY_MS) },
+      to: { plan: 'premium', billingCycle: 'annual', price: 2999, currency: 'INR', durationDays: 365 },
+      credit: 149.5,
+    };
+    onPlan('premium', 'monthly', -1);
+    UserModel.applyPlanChange.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+
+    const result = await planChangeService.applySwitch('user_1', paidQuote, {
+      razorpayOrderId: 'order_1', razorpayPaymentId: 'pay_1', amount: 2849.5,
+    });
+
+    // 2849.5 at 2999 per 365 days
+    expect(result.creditApplied).toBe(0);
+    expect(result.expiresAt).toEqual(new Date(NOW.getTime() + 346 * DAY_MS));
+  });
+});
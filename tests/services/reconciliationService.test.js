@@ -0,0 +1,186 @@
+jest.mock('../../src/config/razorpay', () => ({ razorpay: null, razorpayConfig: {} }));
+jest.mock('../../src/models/Order', () => ({
+  findUnpaid: jest.fn(),
+  updateStatus: jest.fn(async () => null),
+  claimFulfilment: jest.fn(async () => false)
+}));
+jest.mock('../../src/models/Payment', () => {
+  const docs = new Map();
+  return {
+    docs,
+    findByRazorpayPaymentId: jest.fn(async (id) => docs.get(id) || null),
+    create: jest.fn(async (data) => {
+      docs.set(data.razorpayPaymentId, data);
+      return data;
+    }),
+    updateStatus: jest.fn(async (id, status, extra = {}) => {
+      Object.assign(docs.get(id), { status, ...extra });
+      return docs.get(id);
+    })
+  };
+});
+jest.mock('../../src/models/ReconciliationReport', () => ({ create: jest.fn(async (report) => report) }));
+jest.mock('../../src/services/paymentService', () => ({ recoverOrderPayment: jest.fn(async () => ({})) }));
+
+const { createStubClient } = require('../../src/config/razorpayStub');
+const OrderModel = require('../../src/models/Order');
+const ReconciliationReportModel = require('../../src/models/ReconciliationReport');
+const PaymentModel = require('../../src/models/Payment');
+const paymentService = require('../../src/services/paymentService');
+const reconciliationService = require('../../src/services/reconciliationService');
+
+describe('reconciliationService.reconcileOrders', () => {
+  let client;
+
+  // An order in our database and the matching Razorpay order
+  const createOrder = async (userId, amountInPaise = 29900) => {
+    const rzpOrder = await client.orders.create({ amount: amountInPaise, receipt: `rcpt_${userId}` });
+    return { razorpayOrderId: rzpOrder.id, userId, amountInPaise, status: 'created' };
+  };
+
+  const reconcile = (orders, options = {}) => {
+    OrderModel.findUnpaid.mockResolvedValue(orders);
+    return reconciliationService.reconcileOrders({ client, ...options });
+  };
+
+  beforeEach(() => {
+    client = createStubClient();
+    jest.clearAllMocks();
+  });
+
+  it('recovers a captured payment that was never verified', async () => {
+    const order = await createOrder('user_1');
+    const payment = client.orders.pay(order.razorpayOrderId);
+
+    const report = await reconcile([order]);
+
+    expect(paymentService.recoverOrderPayment).toHaveBeenCalledWith(order, expect.objectContaining({ id: payment.id }));
+    expect(report.recovered).toEqual([
+      { razorpayOrderId: order.razorpayOrderId, razorpayPaymentId: payment.id, userId: 'user_1', action: 'fulfil' }
+    ]);
+    expect(report.discrepancies).toEqual([]);
+    expect(ReconciliationReportModel.create).toHaveBeenCalledWith(report);
+  });
+
+  it('captures an authorized payment before recovering it', async () => {
+    const order = await createOrder('user_1');
+    const payment = client.orders.pay(order.razorpayOrderId, { status: 'authorized' });
+
+    const report = await reconcile([order]);
+
+    expect(report.recovered).toHaveLength(1);
+    expect((await client.payments.fetch(payment.id)).status).toBe('captured');
+    expect((await client.orders.fetch(order.razorpayOrderId)).status).toBe('paid');
+  });
+
+  it('reports an already fulfilled order as marked paid', async () => {
+    const order = await createOrder('user_1');
+    client.orders.pay(order.razorpayOrderId);
+    paymentService.recoverOrderPayment.mockResolvedValueOnce(null);
+
+    const report = await reconcile([order]);
+
+    expect(report.recovered).toEqual([]);
+    expect(report.markedPaid).toHaveLength(1);
+  });
+
+  it('reports orders without a successful payment as unpaid', async () => {
+    const abandoned = await createOrder('user_1');
+    const failed = await createOrder('user_2');
+    client.orders.pay(failed.razorpayOrderId, { status: 'failed' });
+
+    const report = await reconcile([abandoned, failed]);
+
+    expect(report.unpaid).toEqual([
+      { razorpayOrderId: abandoned.razorpayOrderId, userId: 'user_1', failedAttempts: 0 },
+      { razorpayOrderId: failed.razorpayOrderId, userId: 'user_2', failedAttempts: 1 }
+    ]);
+    expect(paymentService.recoverOrderPayment).not.toHaveBeenCalled();
+  });
+
+  it('flags an amount mismatch instead of fulfilling', async () => {
+    const order = await createOrder('user_1');
+    const payment = client.orders.pay(order.razorpayOrderId, { amount: 100 });
+
+    const report = await reconcile([order]);
+
+    expect(report.discrepancies).toEqual([expect.objectContaining({
+      type: 'amount_mismatch',
+      razorpayPaymentId: payment.id,
+      orderAmount: 29900,
+      paymentAmount: 100
+    })]);
+    expect(paymentService.recoverOrderPayment).not.toHaveBeenCalled();
+  });
+
+  it('fulfils once and flags an order paid twice', async () => {
+    const order = await createOrder('user_1');
+    const first = client.orders.pay(order.razorpayOrderId);
+    const second = client.orders.pay(order.razorpayOrderId);
+
+    const report = await reconcile([order]);
+
+    expect(paymentService.recoverOrderPayment).toHaveBeenCalledTimes(1);
+    expect(report.recovered).toHaveLength(1);
+    expect(report.discrepancies).toEqual([expect.objectContaining({
+      type: 'multiple_captured',
+      razorpayPaymentIds: [first.id, second.id]
+    })]);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const order = await createOrder('user_1');
+    const payment = client.orders.pay(order.razorpayOrderId, { status: 'authorized' });
+
+    const report = await reconcile([order], { dryRun: true });
+
+    expect(report.recovered).toEqual([expect.objectContaining({ razorpayPaymentId: payment.id, action: 'capture' })]);
+    expect((await client.payments.fetch(payment.id)).status).toBe('authorized');
+    expect(paymentService.recoverOrderPayment).not.toHaveBeenCalled();
+    expect(ReconciliationReportModel.create).not.toHaveBeenCalled();
+  });
+
+  it('records Razorpay errors and carries on', async () => {
+    const missing = { razorpayOrderId: 'order_missing', userId: 'user_1', amountInPaise: 29900 };
+    const order = await createOrder('user_2');
+    client.orders.pay(order.razorpayOrderId);
+
+    const report = await reconcile([missing, order]);
+
+    expect(report.errors).toEqual([expect.objectContaining({ razorpayOrderId: 'order_missing' })]);
+    expect(report.recovered).toHaveLength(1);
+  });
+});
+
+describe('paymentService.recoverOrderPayment', () => {
+  // The real service; the reconciliation tests above use the mock
+  const realPaymentService = jest.requireActual('../../src/services/paymentService');
+  const order = { razorpayOrderId: 'order_1', userId: 'user_1', amountInPaise: 29900 };
+  const rzpPayment = { id: 'pay_1', amount: 29900, currency: 'INR', status: 'captured', captured_at: 1792382400 };
+
+  beforeEach(() => {
+    PaymentModel.docs.clear();
+    jest.clearAllMocks();
+  });
+
+  it('brings a payment saved as authorized up to captured', async () => {
+    PaymentModel.docs.set('pay_1', { razorpayPaymentId: 'pay_1', status: 'authorized', capturedAt: null });
+
+    await realPaymentService.recoverOrderPayment(order, rzpPayment);
+
+    expect(PaymentModel.create).not.toHaveBeenCalled();
+    expect(PaymentModel.docs.get('pay_1')).toMatchObject({
+      status: 'captured',
+      capturedAt: new Date(1792382400 * 1000)
+    });
+  });
+
+  it('leaves a payment that has moved past captured alone', async () => {
+    PaymentModel.docs.set('pay_1', { razorpayPaymentId: 'pay_1', status: 'refunded' });
+
+    await realPaymentService.recoverOrderPayment(order, rzpPayment);
+
+    expect(PaymentModel.updateStatus).not.toHaveBeenCalled();
+    expect(PaymentModel.docs.get('pay_1').status).toBe('refunded');
+  });
+});
@@ -0,0 +1,56 @@
+const { computeTaxBreakup, isValidGstin } = require('../../src/utils/gst');
+
+describe('computeTaxBreakup', () => {
+  it('splits tax into CGST and SGST within the seller state', () => {
+    expect(computeTaxBreakup(299, { rate: 18, sellerStateCode: '29', buyerStateCode: '29' })).toEqual({
+      supplyType: 'intra_state',
+      placeOfSupply: '29',
+      taxableValue: 253.39,
+      cgst: { rate: 9, amount: 22.81 },
+      sgst: { rate: 9, amount: 22.8 },
+      igst: null,
+      totalTax: 45.61,
+      total: 299,
+    });
+  });
+
+  it('charges IGST to a buyer in another state', () => {
+    expect(computeTaxBreakup(2999, { rate: 18, sellerStateCode: '29', buyerStateCode: '27' })).toEqual({
+      supplyType: 'inter_state',
+      placeOfSupply: '27',
+      taxableValue: 2541.53,
+      cgst: null,
+      sgst: null,
+      igst: { rate: 18, amount: 457.47 },
+      totalTax: 457.47,
+      total: 2999,
+    });
+  });
+
+  it('treats a buyer without a state as intra-state', () => {
+    const breakup = computeTaxBreakup(100, { rate: 18, sellerStateCode: '29', buyerStateCode: null });
+
+    expect(breakup.supplyType).toBe('intra_state');
+    expect(breakup.placeOfSupply).toBe('29');
+  });
+
+  it.each([1, 99.99, 100, 299, 2999, 12345.67])('adds up to the inclusive amount (%p)', (amount) => {
+    for (const buyerStateCode of ['29', '07']) {
+      const breakup = computeTaxBreakup(amount, { rate: 18, sellerStateCode: '29', buyerStateCode });
+      const tax = (breakup.cgst?.amount ?? 0) + (breakup.sgst?.amount ?? 0) + (breakup.igst?.amount ?? 0);
+
+      expect(Math.round((breakup.taxableValue + tax) * 100) / 100).toBe(breakup.total);
+      expect(Math.round(tax * 100) / 100).toBe(breakup.totalTax);
+    }
+  });
+});
+
+describe('isValidGstin', () => {
+  it('accepts a GSTIN with a valid check digit', () => {
+    expect(isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+  });
+
+  it.each(['27AAPFU0939F1ZX', '27aapfu0939f1zv', '27AAPFU0939F1Z', '', null])('rejects %p', (gstin) => {
+    expect(isValidGstin(gstin)).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+const { parseInsightNumber, buildMetricSeries } = require('../../src/utils/insights');
+
+describe('parseInsightNumber', () => {
+  it.each([
+    ['1,234', 1234, null],
+    ['(56.7)', -56.7, null],
+    ['−12%', -12, '%'],
+    ['–3.5', -3.5, null],
+    ['₹ 1,200', 1200, null],
+    ['2.5x', 2.5, 'x'],
+    ['.5', 0.5, null],
+    [42, 42, null],
+  ])('parses %p', (display, value, unit) => {
+    expect(parseInsightNumber(display)).toEqual({ value, unit });
+  });
+
+  it.each(['', '-', '--', '—', 'NA', 'n/a', null, undefined, 'TTM'])('treats %p as no value', (display) => {
+    expect(parseInsightNumber(display).value).toBeNull();
+  });
+
+  it('keeps the unit of an unparseable percentage', () => {
+    expect(parseInsightNumber('abc%')).toEqual({ value: null, unit: '%' });
+  });
+
+  it('rejects non-finite numbers', () => {
+    expect(parseInsightNumber(Infinity)).toEqual({ value: null, unit: null });
+  });
+});
+
+describe('buildMetricSeries', () => {
+  const tab = {
+    periods: [{ label: 'Mar 2024' }, { label: 'Mar 2023' }],
+    rows: [
+      { metric: 'Sales +', values: { 'Mar 2023': '1,000', 'Mar 2024': '1,200', 'Mar 2025': '1,500' } },
+      { metric: 'OPM %', values: { 'Mar 2024': '21%' } },
+      { metric: 'Debt', unit: '₹ Cr', values: { 'Mar 2023': '-', 'Mar 2024': '(40)' } },
+    ],
+  };
+
+  it('sorts periods oldest first, including ones missing from the header', () => {
+    expect(buildMetricSeries(tab, ['Sales']).periods).toEqual(['Mar 2023', 'Mar 2024', 'Mar 2025']);
+  });
+
+  it('parses each requested metric into points on every period', () => {
+    const { series, missingMetrics } = buildMetricSeries(tab, ['sales', 'OPM %', 'Debt', 'EPS']);
+
+    expect(missingMetrics).toEqual(['EPS']);
+    expect(series).toEqual([
+      {
+        metric: 'Sales +',
+        unit: null,
+        points: [
+          { period: 'Mar 2023', value: 1000, display: '1,000' },
+          { period: 'Mar 2024', value: 1200, display: '1,200' },
+          { period: 'Mar 2025', value: 1500, display: '1,500' },
+        ],
+      },
+      {
+        metric: 'OPM %',
+        unit: '%',
+        points: [
+          { period: 'Mar 2023', value: null, display: null },
+          { period: 'Mar 2024', value: 21, display: '21%' },
+          { period: 'Mar 2025', value: null, display: null },
+        ],
+      },
+      {
+        metric: 'Debt',
+        unit: '₹ Cr',
+        points: [
+          { period: 'Mar 2023', value: null, display: '-' },
+          { period: 'Mar 2024', value: -40, display: '(40)' },
+          { period: 'Mar 2025', value: null, display: null },
+        ],
+      },
+    ]);
+  });
+
+  it('orders quarter and month labels chronologically', () => {
+    const quarterly = { rows: [{ metric: 'Sales', values: { 'Q1 FY25': '1', 'Dec 2023': '2', 'Q4 FY24': '3' } }] };
+
+    expect(buildMetricSeries(quarterly, ['Sales']).periods).toEqual(['Dec 2023', 'Q4 FY24', 'Q1 FY25']);
+  });
+
+  it('handles a missing tab', () => {
+    expect(buildMetricSeries(null, ['Sales'])).toEqual({ periods: [], series: [], missingMetrics: ['Sales'] });
+  });
+});
@@ -0,0 +1,35 @@
+const { schemas, validate } = require('../../src/utils/validators');
+
+describe('validate', () => {
+  const run = (schema, body) => {
+    const req = { body };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    validate(schema)(req, res, next);
+    return { req, res, next };
+  };
+
+  it('hands the normalized body to the handler', () => {
+    const { req, next } = run(schemas.billingDetails, {
+      legalName: '  Acme Traders  ',
+      gstin: ' 27aapfu0939f1zv ',
+      address: ' 12 MG Road, Pune '
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({
+      legalName: 'Acme Traders',
+      gstin: '27AAPFU0939F1ZV',
+      address: '12 MG Road, Pune'
+    });
+  });
+
+  it('rejects an invalid body with the Joi messages', () => {
+    const { req, res, next } = run(schemas.billingDetails, { legalName: 'Acme Traders', gstin: '27AAPFU0939F1ZX' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Validation error', details: ['"gstin" is not a valid GSTIN'] });
+    expect(req.body.gstin).toBe('27AAPFU0939F1ZX');
+  });
+});